@@ -197,3 +197,133 @@ var Stemmer = function() {
   }
 }
 
+
+/**
+ * German stopwords of the Snowball project
+ */
+var germanStopwords = ["aber", "alle", "allem", "allen", "aller", "alles", "als", "also", "am", "an", "ander", "andere", "anderem", "anderen", "anderer", "anderes", "anderm", "andern", "anderr", "anders", "auch", "auf", "aus", "bei", "bin", "bis", "bist", "da", "damit", "dann", "das", "dass", "daß", "dasselbe", "dazu", "dein", "deine", "deinem", "deinen", "deiner", "deines", "dem", "demselben", "den", "denn", "denselben", "der", "derer", "derselbe", "derselben", "des", "desselben", "dessen", "dich", "die", "dies", "diese", "dieselbe", "dieselben", "diesem", "diesen", "dieser", "dieses", "dir", "doch", "dort", "du", "durch", "ein", "eine", "einem", "einen", "einer", "eines", "einig", "einige", "einigem", "einigen", "einiger", "einiges", "einmal", "er", "es", "etwas", "euch", "euer", "eure", "eurem", "euren", "eurer", "eures", "für", "gegen", "gewesen", "hab", "habe", "haben", "hat", "hatte", "hatten", "hier", "hin", "hinter", "ich", "ihm", "ihn", "ihnen", "ihr", "ihre", "ihrem", "ihren", "ihrer", "ihres", "im", "in", "indem", "ins", "ist", "jede", "jedem", "jeden", "jeder", "jedes", "jene", "jenem", "jenen", "jener", "jenes", "jetzt", "kann", "kein", "keine", "keinem", "keinen", "keiner", "keines", "können", "könnte", "machen", "man", "manche", "manchem", "manchen", "mancher", "manches", "mein", "meine", "meinem", "meinen", "meiner", "meines", "mich", "mir", "mit", "muss", "musste", "nach", "nicht", "nichts", "noch", "nun", "nur", "ob", "oder", "ohne", "sehr", "sein", "seine", "seinem", "seinen", "seiner", "seines", "selbst", "sich", "sie", "sind", "so", "solche", "solchem", "solchen", "solcher", "solches", "soll", "sollte", "sondern", "sonst", "um", "und", "uns", "unser", "unsere", "unserem", "unseren", "unserer", "unseres", "unter", "viel", "vom", "von", "vor", "während", "war", "waren", "warst", "was", "weg", "weil", "weiter", "welche", "welchem", "welchen", "welcher", "welches", "wenn", "werde", "werden", "wie", "wieder", "will", "wir", "wird", "wirst", "wo", "wollen", "wollte", "würde", "würden", "zu", "zum", "zur", "zwar", "zwischen", "über"];
+
+/**
+ * German stemmer of the Snowball project, the same as the one Sphinx uses
+ * for the search index of German docs
+ */
+var GermanStemmer = function() {
+
+  var vowels = "aeiouyäöü";
+  var isVowel = function(ch) {
+    return vowels.indexOf(ch) !== -1;
+  };
+
+  // the start of the region after the first non-vowel following a vowel
+  var regionStart = function(w, from) {
+    for (var i = from + 1; i < w.length; i++)
+      if (!isVowel(w[i]) && isVowel(w[i - 1]))
+        return i + 1;
+    return w.length;
+  };
+
+  var endsWith = function(w, suffixes) {
+    for (var i = 0; i < suffixes.length; i++)
+      if (w.endsWith(suffixes[i]))
+        return suffixes[i];
+    return null;
+  };
+
+  this.stemWord = function (w) {
+    w = w.replace(/ß/g, "ss");
+    // u and y between vowels are treated as consonants
+    w = w.replace(/([aeiouyäöü])u(?=[aeiouyäöü])/g, "$1U");
+    w = w.replace(/([aeiouyäöü])y(?=[aeiouyäöü])/g, "$1Y");
+
+    // R2 starts after R1, the region before R1 has at least three letters
+    var r1 = regionStart(w, 0);
+    var r2 = regionStart(w, r1);
+    r1 = Math.max(r1, 3);
+    var inR1 = function(suffix) { return w.length - suffix.length >= r1; };
+    var inR2 = function(suffix) { return w.length - suffix.length >= r2; };
+    var cut = function(suffix) { w = w.substr(0, w.length - suffix.length); };
+    var suffix;
+
+    // step 1
+    suffix = endsWith(w, ["ern", "em", "er", "en", "es", "e", "s"]);
+    if (suffix !== null && inR1(suffix)) {
+      if (suffix === "s") {
+        if (/[bdfghklmnrt]s$/.test(w))
+          cut(suffix);
+      } else {
+        cut(suffix);
+        if ((suffix === "en" || suffix === "es" || suffix === "e") && w.endsWith("niss"))
+          cut("s");
+      }
+    }
+
+    // step 2
+    suffix = endsWith(w, ["est", "en", "er", "st"]);
+    if (suffix !== null && inR1(suffix)) {
+      if (suffix !== "st")
+        cut(suffix);
+      else if (/[bdfghklmnt]st$/.test(w) && w.length >= 6)
+        cut(suffix);
+    }
+
+    // step 3
+    suffix = endsWith(w, ["isch", "lich", "heit", "keit", "end", "ung", "ig", "ik"]);
+    if (suffix !== null && inR2(suffix)) {
+      if (suffix === "end" || suffix === "ung") {
+        cut(suffix);
+        if (w.endsWith("ig") && !w.endsWith("eig") && inR2("ig"))
+          cut("ig");
+      } else if (suffix === "ig" || suffix === "ik" || suffix === "isch") {
+        if (!w.endsWith("e" + suffix))
+          cut(suffix);
+      } else if (suffix === "lich" || suffix === "heit") {
+        cut(suffix);
+        var before = endsWith(w, ["er", "en"]);
+        if (before !== null && inR1(before))
+          cut(before);
+      } else {
+        cut(suffix);
+        var before = endsWith(w, ["lich", "ig"]);
+        if (before !== null && inR2(before))
+          cut(before);
+      }
+    }
+
+    return w
+      .replace(/U/g, "u")
+      .replace(/Y/g, "y")
+      .replace(/ä/g, "a")
+      .replace(/ö/g, "o")
+      .replace(/ü/g, "u");
+  }
+}
+
+/**
+ * The stopwords, the stemmer and the splitter of the search for every
+ * language, searchtools.js and extend_searchindex.js choose them by the
+ * language of the docs. Languages without a splitter use the default
+ * ``splitQuery`` of searchtools.js.
+ */
+var SearchLanguages = {
+  DEFAULT: "en",
+  _languages: {},
+
+  register: function(language, data) {
+    SearchLanguages._languages[language] = data;
+  },
+
+  /**
+   * the data of a language like "de" or "de_AT", or of English if there is
+   * none for the language
+   */
+  get: function(language) {
+    var languages = SearchLanguages._languages;
+    language = (language || "").toLowerCase().replace("-", "_");
+    return languages[language]
+      || languages[language.split("_")[0]]
+      || languages[SearchLanguages.DEFAULT];
+  }
+};
+
+SearchLanguages.register("en", {stopwords: stopwords, Stemmer: Stemmer});
+SearchLanguages.register("de", {stopwords: germanStopwords, Stemmer: GermanStemmer});
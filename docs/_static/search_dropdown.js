@@ -0,0 +1,306 @@
+/*
+ * search_dropdown.js
+ * ~~~~~~~~~~~~~~~~~~
+ *
+ * Search-as-you-type dropdown for the search box of the sidebar. It shows
+ * the best matching API objects and section titles while typing. The search
+ * index and searchtools.js are only loaded once the search box is used, the
+ * search itself runs in the search worker of searchtools.js. The empty
+ * search box shows the search history of search_history.js instead.
+ *
+ */
+"use strict";
+
+const SearchDropdown = {
+  // maximum number of shown objects and section titles
+  MAX_OBJECTS: 6,
+  MAX_TITLES: 6,
+  // delay in milliseconds after the last keystroke before searching
+  DELAY: 100,
+
+  _input: null,
+  _dropdown: null,
+  _loading: false,
+  _timeout: null,
+
+  init: () => {
+    const input = document.querySelector('#rtd-search-form input[name="q"]');
+    if (input === null) return;
+
+    const dropdown = document.createElement("ul");
+    dropdown.classList.add("search-dropdown");
+    dropdown.setAttribute("role", "listbox");
+    dropdown.hidden = true;
+    input.setAttribute("autocomplete", "off");
+    input.after(dropdown);
+    SearchDropdown._input = input;
+    SearchDropdown._dropdown = dropdown;
+
+    input.addEventListener("focus", () => {
+      SearchDropdown.load();
+      if (!input.value.trim()) SearchDropdown.showHistory();
+    });
+    input.addEventListener("input", () => {
+      SearchDropdown.load();
+      if (!input.value.trim()) SearchDropdown.showHistory();
+      window.clearTimeout(SearchDropdown._timeout);
+      SearchDropdown._timeout = window.setTimeout(
+        SearchDropdown.update,
+        SearchDropdown.DELAY
+      );
+    });
+    input.addEventListener("keydown", SearchDropdown.onKeyDown);
+    // remember the results opened from the dropdown
+    dropdown.addEventListener("click", (event) => {
+      const link = event.target.closest("li[role=option] a");
+      if (link === null || dropdown.dataset.query === undefined) return;
+      if (link.parentElement.classList.contains("search-dropdown-all")) return;
+      SearchHistory.addResult(dropdown.dataset.query, link.firstChild.textContent, link.href);
+    });
+    // listed with the other search shortcuts, like in doctools.js
+    if (DOCUMENTATION_OPTIONS.ENABLE_SEARCH_SHORTCUTS)
+      Documentation.SHORTCUTS.push(
+        ["↓ ↑", _("Select a suggestion of the search box")],
+        ["Ctrl Enter", _("Open the selected suggestion in a new tab")]
+      );
+    // hide the dropdown when clicking somewhere else
+    document.addEventListener("click", (event) => {
+      if (!input.form.contains(event.target)) SearchDropdown.hide();
+    });
+  },
+
+  /**
+   * load searchtools.js and the search index, if not already done
+   */
+  load: () => {
+    if (SearchDropdown._loading) return;
+    SearchDropdown._loading = true;
+
+    const contentRoot = document.documentElement.dataset.content_root;
+    const loadScript = (url) =>
+      new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = url;
+        script.addEventListener("load", resolve);
+        script.addEventListener("error", reject);
+        document.body.appendChild(script);
+      });
+
+    // the search page loads searchtools.js and the index on its own
+    const loaded =
+      typeof Search !== "undefined"
+        ? Promise.resolve()
+        : loadScript(contentRoot + "_static/language_data.js")
+            .then(() => loadScript(contentRoot + "_static/searchtools.js"))
+            .then(() => Search.loadIndex(contentRoot + "searchindex.js"));
+    loaded
+      .then(() => Search.whenIndexLoaded(SearchDropdown.update))
+      .catch(() => console.warn("The search index could not be loaded."));
+  },
+
+  /**
+   * the URL of the search page for a query
+   */
+  searchUrl: (query) =>
+    document.documentElement.dataset.content_root +
+    "search" +
+    DOCUMENTATION_OPTIONS.FILE_SUFFIX +
+    "?q=" +
+    encodeURIComponent(query),
+
+  /**
+   * search for the current input in the search worker and show the results
+   */
+  update: () => {
+    const query = SearchDropdown._input.value.trim();
+    if (!query) return;  // the search history is shown instead
+    if (query.length < 2 || typeof Search === "undefined" || !Search.hasIndex()) {
+      SearchDropdown.hide();
+      return;
+    }
+
+    Search.request({
+      type: "quick",
+      query: query,
+      maxObjects: SearchDropdown.MAX_OBJECTS,
+      maxTitles: SearchDropdown.MAX_TITLES,
+    }).then((response) => {
+      // a newer search was started or the input changed meanwhile
+      if (response === null || SearchDropdown._input.value.trim() !== query) return;
+      SearchDropdown.show(query, response);
+    });
+  },
+
+  show: (query, { objects, titles }) => {
+    const dropdown = SearchDropdown._dropdown;
+    _removeChildren(dropdown);
+    dropdown.dataset.query = query;
+    SearchDropdown._addGroup(_("API"), objects);
+    SearchDropdown._addGroup(_("Sections"), titles);
+
+    // the last entry leads to the full results page
+    const searchAll = document.createElement("a");
+    searchAll.href = SearchDropdown.searchUrl(query);
+    searchAll.textContent = Documentation.interpolate(
+      _('Search all pages for "%(query)s"'),
+      { query }
+    );
+    const searchAllItem = dropdown.appendChild(document.createElement("li"));
+    searchAllItem.classList.add("search-dropdown-all");
+    searchAllItem.setAttribute("role", "option");
+    searchAllItem.appendChild(searchAll);
+
+    dropdown.hidden = false;
+  },
+
+  _addGroup: (heading, results) => {
+    if (!results.length) return;
+    // the index may be the one of another version, see Search.loadIndex
+    const contentRoot =
+      Search._content_root || document.documentElement.dataset.content_root;
+    const linkSuffix = DOCUMENTATION_OPTIONS.LINK_SUFFIX;
+    const dropdown = SearchDropdown._dropdown;
+
+    const headingItem = dropdown.appendChild(document.createElement("li"));
+    headingItem.classList.add("search-dropdown-heading");
+    headingItem.textContent = heading;
+
+    results.forEach(([docName, title, anchor, descr, _score, _filename]) => {
+      const item = dropdown.appendChild(document.createElement("li"));
+      item.setAttribute("role", "option");
+      const linkEl = item.appendChild(document.createElement("a"));
+      linkEl.href = contentRoot + docName + linkSuffix + anchor;
+      linkEl.textContent = title;
+      if (descr) {
+        const descrEl = linkEl.appendChild(document.createElement("span"));
+        descrEl.classList.add("search-dropdown-descr");
+        descrEl.textContent = descr;
+      }
+    });
+  },
+
+  /**
+   * show the pinned and the recent queries with the results opened for them
+   */
+  showHistory: () => {
+    const dropdown = SearchDropdown._dropdown;
+    const entries = SearchHistory.load();
+    dropdown.replaceChildren();
+    delete dropdown.dataset.query;
+    if (!entries.length) {
+      dropdown.hidden = true;
+      return;
+    }
+
+    SearchDropdown._addHistoryGroup(
+      _("Pinned searches"),
+      entries.filter(({ pinned }) => pinned)
+    );
+    SearchDropdown._addHistoryGroup(
+      _("Recent searches"),
+      entries.filter(({ pinned }) => !pinned)
+    );
+
+    const clearItem = dropdown.appendChild(document.createElement("li"));
+    clearItem.classList.add("search-history-clear");
+    const clearButton = clearItem.appendChild(document.createElement("button"));
+    clearButton.type = "button";
+    clearButton.textContent = _("Clear history");
+    clearButton.addEventListener("click", (event) => {
+      // the button is removed, the dropdown must stay open nevertheless
+      event.stopPropagation();
+      SearchHistory.clear();
+      SearchDropdown.showHistory();
+      SearchDropdown._input.focus();
+    });
+
+    dropdown.hidden = false;
+  },
+
+  _addHistoryGroup: (heading, entries) => {
+    if (!entries.length) return;
+    const dropdown = SearchDropdown._dropdown;
+
+    const headingItem = dropdown.appendChild(document.createElement("li"));
+    headingItem.classList.add("search-dropdown-heading");
+    headingItem.textContent = heading;
+
+    entries.forEach(({ query, pinned, results }) => {
+      const item = dropdown.appendChild(document.createElement("li"));
+      item.classList.add("search-history-query");
+      item.setAttribute("role", "option");
+      const linkEl = item.appendChild(document.createElement("a"));
+      linkEl.href = SearchDropdown.searchUrl(query);
+      linkEl.textContent = query;
+
+      const pinButton = item.appendChild(document.createElement("button"));
+      pinButton.type = "button";
+      pinButton.classList.add("search-history-pin");
+      pinButton.textContent = pinned ? "★" : "☆";
+      pinButton.title = pinned ? _("Unpin this search") : _("Pin this search");
+      pinButton.setAttribute("aria-pressed", pinned);
+      pinButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        SearchHistory.togglePin(query);
+        SearchDropdown.showHistory();
+        SearchDropdown._input.focus();
+      });
+
+      results.forEach(({ title, url }) => {
+        const resultItem = dropdown.appendChild(document.createElement("li"));
+        resultItem.classList.add("search-history-result");
+        resultItem.setAttribute("role", "option");
+        const resultLink = resultItem.appendChild(document.createElement("a"));
+        resultLink.href = url;
+        resultLink.textContent = title;
+      });
+    });
+  },
+
+  hide: () => {
+    if (SearchDropdown._dropdown !== null) SearchDropdown._dropdown.hidden = true;
+  },
+
+  /**
+   * move through the entries with the arrow keys, open one with enter or
+   * in a new tab with ctrl+enter
+   */
+  onKeyDown: (event) => {
+    const dropdown = SearchDropdown._dropdown;
+    if (dropdown.hidden) return;
+    const links = [...dropdown.querySelectorAll("li[role=option] a")];
+    const active = dropdown.querySelector("li.active a");
+    const activeIndex = links.indexOf(active);
+
+    const select = (index) => {
+      if (active) active.parentElement.classList.remove("active");
+      if (index < 0 || index >= links.length) return;
+      links[index].parentElement.classList.add("active");
+      links[index].scrollIntoView({ block: "nearest" });
+    };
+
+    switch (event.key) {
+      case "ArrowDown":
+        select(activeIndex + 1);
+        event.preventDefault();
+        break;
+      case "ArrowUp":
+        select(activeIndex < 0 ? links.length - 1 : activeIndex - 1);
+        event.preventDefault();
+        break;
+      case "Enter":
+        if (active === null) break;
+        // Ctrl+Enter opens the entry in a new tab
+        if (event.ctrlKey || event.metaKey) window.open(active.href, "_blank");
+        else active.click();
+        event.preventDefault();
+        break;
+      case "Escape":
+        SearchDropdown.hide();
+        event.preventDefault();
+        break;
+    }
+  },
+};
+
+_ready(SearchDropdown.init);
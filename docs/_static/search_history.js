@@ -0,0 +1,121 @@
+/*
+ * search_history.js
+ * ~~~~~~~~~~~~~~~~~
+ *
+ * History of the recent search queries and of the results opened for them.
+ * Queries can be pinned to keep them at the top. The history is stored in
+ * the localStorage of the browser only, next to ``sphinx_highlight_terms``,
+ * and shown by the search dropdown under the empty search box.
+ *
+ */
+"use strict";
+
+const SearchHistory = {
+  KEY: "sphinx_search_history",
+  // maximum number of unpinned queries and of results kept for a query
+  MAX_QUERIES: 10,
+  MAX_RESULTS: 3,
+
+  init: () => {
+    // record the searches of the search page and the results opened there
+    const out = document.getElementById("search-results");
+    if (out === null) return;
+    const query = new URLSearchParams(window.location.search).get("q");
+    if (!query) return;
+    SearchHistory.addQuery(query);
+
+    const record = (event) => {
+      // only the results, not the suggestion or the other links of the page
+      const link = event.target.closest("ul.search a");
+      if (link === null) return;
+      const page = link.closest("ul.search-children")?.parentElement.querySelector("a");
+      const title =
+        page && page !== link && page.textContent !== link.textContent
+          ? page.textContent + " > " + link.textContent
+          : link.textContent;
+      SearchHistory.addResult(query, title, link.href);
+    };
+    out.addEventListener("click", record);
+    // middle click opening a new tab
+    out.addEventListener("auxclick", record);
+  },
+
+  /**
+   * the entries ``{query, pinned, results}`` with the most recent first,
+   * ``results`` are the opened results as ``{title, url}``
+   */
+  load: () => {
+    try {
+      return JSON.parse(localStorage.getItem(SearchHistory.KEY)) || [];
+    } catch (error) {
+      // no localStorage or no valid history
+      return [];
+    }
+  },
+
+  save: (entries) => {
+    // keep the pinned queries and the most recent other ones
+    let unpinned = 0;
+    entries = entries.filter(
+      ({ pinned }) => pinned || ++unpinned <= SearchHistory.MAX_QUERIES
+    );
+    try {
+      localStorage.setItem(SearchHistory.KEY, JSON.stringify(entries));
+    } catch (error) {
+      // no localStorage, the history is not kept
+    }
+  },
+
+  /**
+   * move the entry of the query to the top, returns it with the other entries
+   */
+  _touch: (query) => {
+    const entries = SearchHistory.load();
+    const index = entries.findIndex((entry) => entry.query === query);
+    const entry =
+      index < 0
+        ? { query: query, pinned: false, results: [] }
+        : entries.splice(index, 1)[0];
+    entries.unshift(entry);
+    return [entry, entries];
+  },
+
+  addQuery: (query) => {
+    query = query.trim();
+    if (!query) return;
+    const [_entry, entries] = SearchHistory._touch(query);
+    SearchHistory.save(entries);
+  },
+
+  addResult: (query, title, url) => {
+    query = query.trim();
+    if (!query) return;
+    const [entry, entries] = SearchHistory._touch(query);
+    entry.results = [
+      { title: title.trim(), url: url },
+      ...entry.results.filter((result) => result.url !== url),
+    ].slice(0, SearchHistory.MAX_RESULTS);
+    SearchHistory.save(entries);
+  },
+
+  togglePin: (query) => {
+    const entries = SearchHistory.load();
+    const entry = entries.find((entry) => entry.query === query);
+    if (entry === undefined) return;
+    entry.pinned = !entry.pinned;
+    SearchHistory.save(entries);
+  },
+
+  /**
+   * remove all queries and results except for the pinned queries
+   */
+  clear: () => {
+    SearchHistory.save(
+      SearchHistory.load()
+        .filter(({ pinned }) => pinned)
+        .map((entry) => ({ ...entry, results: [] }))
+    );
+  },
+};
+
+_ready(SearchHistory.init);
@@ -0,0 +1,73 @@
+/*
+ * search_worker.js
+ * ~~~~~~~~~~~~~~~~
+ *
+ * Web worker running the search of searchtools.js off the main thread.
+ * The page sends the URL of the search index once and then its requests,
+ * see ``Search.request``. Every request is answered with the results the
+ * page renders. Requests replaced by a newer one of the same type while
+ * the worker was busy are dropped.
+ *
+ */
+"use strict";
+
+// the parts of doctools.js used by searchtools.js, the page sends the
+// translations of its catalog
+const _ready = (_callback) => {};
+const Documentation = {
+  TRANSLATIONS: {},
+
+  gettext: (string) => {
+    const translated = Documentation.TRANSLATIONS[string];
+    switch (typeof translated) {
+      case "undefined":
+        return string; // no translation
+      case "string":
+        return translated; // translation exists
+      default:
+        return translated[0]; // (singular, plural) translation tuple exists
+    }
+  },
+
+  interpolate: (string, values) =>
+    string.replace(/%\((\w+)\)s/g, (placeholder, name) =>
+      values.hasOwnProperty(name) ? values[name] : placeholder
+    ),
+};
+const _ = Documentation.gettext;
+// the options of the page, only its language is used
+const DOCUMENTATION_OPTIONS = {};
+
+importScripts("language_data.js", "searchtools.js");
+
+// the latest request of every type
+const pendingRequests = new Map();
+
+const answerRequests = () => {
+  pendingRequests.forEach((message, type) => {
+    pendingRequests.delete(type);
+    postMessage({ type, id: message.id, response: Search.handleRequest(message) });
+  });
+};
+
+self.addEventListener("message", ({ data }) => {
+  if (data.type === "load") {
+    Object.assign(Documentation.TRANSLATIONS, data.translations);
+    DOCUMENTATION_OPTIONS.LANGUAGE = data.language;
+    // the Scorer of the page replaces the default one of searchtools.js
+    if (data.scorer !== null) importScripts(data.scorer);
+    try {
+      importScripts("search_synonyms.js");
+    } catch (error) {
+      // the synonyms are optional
+    }
+    // calls Search.setIndex
+    importScripts(data.url);
+    postMessage({ type: "loaded", buildId: Search._build_id });
+    return;
+  }
+  // answer once the messages received meanwhile are handled, so that only
+  // the latest request of a type is searched for
+  pendingRequests.set(data.type, data);
+  setTimeout(answerRequests, 0);
+});
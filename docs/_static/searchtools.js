@@ -44,66 +44,495 @@ if (typeof Scorer === "undefined") {
     // query found in terms
     term: 5,
     partialTerm: 2,
+    // query found in a code cell
+    codeTerm: 5,
+    // TeX query found in an equation, or only all of its symbols
+    math: 10,
+    partialMath: 4,
+    // query found in title or terms with a typo
+    fuzzyTitle: 3,
+    fuzzyTerm: 1,
+    // BM25 relevance of the fulltext matches, added to the scores above: its
+    // weight, the saturation of the term frequency and the normalization of
+    // the document length
+    bm25Weight: 1,
+    bm25K1: 1.2,
+    bm25B: 0.75,
+    // added to the results of the selected facets, if they are boosted
+    facetBoost: 50,
+    // factor for the scores of the results found with synonyms of the query
+    synonym: 0.8,
+    // the function computing a field path like "sim.dust.St" of the query,
+    // and the sections of the notebooks about the field, setting or plotting it
+    field: 200,
+    fieldSection: 90,
   };
 }
 
+/**
+ * Groups of pages, the search results can be filtered by. A page belongs to
+ * the first facet whose pattern matches its docname.
+ */
+if (typeof SearchFacets === "undefined") {
+  var SearchFacets = [
+    { name: "api", label: "API reference", pattern: /^api(\/|$)/ },
+    { name: "tutorials", label: "Tutorials", pattern: /^\d+_/ },
+    { name: "examples", label: "Examples", pattern: /^example_/ },
+    { name: "tests", label: "Tests", pattern: /^test_/ },
+    { name: "other", label: "Other", pattern: /.*/ },
+  ];
+}
+
 const _removeChildren = (element) => {
   while (element && element.lastChild) element.removeChild(element.lastChild);
 };
 
 /**
- * See https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Regular_Expressions#escaping
+ * Optimal string alignment distance between two words, i.e. the number of
+ * inserted, deleted or substituted characters and of swapped adjacent
+ * characters needed to turn one word into the other.
+ */
+const _editDistance = (a, b) => {
+  let previousRow = [];
+  let row = [...Array(b.length + 1).keys()];
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+        nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+/**
+ * Number of typos allowed in a word of the query. Short words are
+ * not corrected, since too many terms would be similar to them.
+ */
+const _maxEditDistance = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+/**
+ * Check if a word of a query looks like code: a dotted path like
+ * "sim.dust.v.frag" or a snake_case name like "vrel_tot". Such words are not
+ * stemmed, extend_searchindex.js indexes snake_case words unstemmed as well.
+ */
+const _isIdentifier = (word) =>
+  /[\p{Letter}\p{Number}][._][\p{Letter}\p{Number}_]/u.test(word) &&
+  !word.match(/^[\d.]+$/);
+
+/**
+ * Split a query into words like ``splitQuery``, but keep identifiers as one
+ * word, so that they can be looked up as objects.
+ */
+const _splitIdentifiers = (query, split = splitQuery) =>
+  query
+    .split(/[^\p{Letter}\p{Number}_.\p{Emoji_Presentation}]+/u)
+    .flatMap((chunk) => {
+      chunk = chunk.replace(/^\.+|\.+$/g, "");
+      return _isIdentifier(chunk) ? [chunk] : split(chunk);
+    });
+
+/**
+ * The text a word or phrase of a query has to appear as in a title or
+ * description, whose words are joined with spaces.
+ */
+const _leafText = (leaf) => (leaf.text !== undefined ? leaf.text : leaf.word);
+
+// TeX commands and symbols that only change the appearance of an equation
+const _TEX_IGNORED = new Set([
+  "\\left", "\\right", "\\big", "\\Big", "\\bigg", "\\Bigg",
+  "\\mathrm", "\\mathit", "\\text", "\\textrm", "\\rm",
+  "\\displaystyle", "\\limits", "\\nolimits",
+  "\\,", "\\;", "\\:", "\\!", "\\ ", "\\quad", "\\qquad",
+  "_", "^", "&",
+]);
+
+/**
+ * Split TeX source into commands, runs of letters and single characters,
+ * so that e.g. "\partial_t \Sigma" and "\partial_{t}\Sigma" are the same.
+ */
+const _texTokens = (tex) =>
+  (tex.match(/\\[a-zA-Z]+|\\.|[a-zA-Z]+|[^\s{}]/g) || []).filter(
+    (token) => !_TEX_IGNORED.has(token)
+  );
+
+/**
+ * Check if the words of a quoted phrase appear next to each other in a file,
+ * either in its title or in its text using the word positions of the index.
+ */
+const _hasPhrase = (file, phrase) => {
+  const termPositions = Search._index.termpositions;
+  const title = Search._language
+    .splitQuery(Search._index.titles[file].toLowerCase())
+    .join(" ");
+  if (title.includes(phrase.text)) return true;
+  // index without word positions: all words of the phrase are in the file
+  if (termPositions === undefined) return true;
+
+  const positionsOf = (term) => (termPositions[term] || {})[file] || [];
+  const [[firstOffset, firstTerm], ...otherWords] = phrase.words;
+  return positionsOf(firstTerm).some((position) =>
+    otherWords.every(([offset, term]) =>
+      positionsOf(term).includes(position - firstOffset + offset)
+    )
+  );
+};
+
+/**
+ * Sorted array of the suffixes of all terms of a mapping of terms to files,
+ * as pairs [suffix, term]. All terms containing a word are found with a
+ * binary search for the suffixes starting with it.
+ */
+const _makeSuffixArray = (termMapping) => {
+  const suffixes = [];
+  Object.keys(termMapping).forEach((term) => {
+    for (let i = 0; i < term.length; i++) suffixes.push([term.substring(i), term]);
+  });
+  return suffixes.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+};
+
+/**
+ * Find the terms containing a word in a suffix array of ``_makeSuffixArray``.
+ */
+const _termsContaining = (suffixes, word) => {
+  // the first suffix not sorted before the word
+  let low = 0;
+  let high = suffixes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (suffixes[middle][0] < word) low = middle + 1;
+    else high = middle;
+  }
+  const terms = new Set();
+  for (let i = low; i < suffixes.length && suffixes[i][0].startsWith(word); i++)
+    terms.add(suffixes[i][1]);
+  return terms;
+};
+
+/**
+ * BM25 relevance of a term for a file, weighted with ``Scorer.bm25Weight``.
+ * The term frequency is the number of word positions of the term in the
+ * file. It's 0 for an index without word positions.
+ */
+const _bm25 = (term, file) => {
+  const termPositions = Search._index.termpositions;
+  const docLengths = Search._index.doclengths;
+  if (termPositions === undefined || docLengths === undefined) return 0;
+
+  const termFiles = termPositions[term] || {};
+  const frequency = (termFiles[file] || []).length;
+  if (!frequency) return 0;
+  const fileCount = docLengths.length;
+  const documentFrequency = Object.keys(termFiles).length;
+  const idf = Math.log(
+    1 + (fileCount - documentFrequency + 0.5) / (documentFrequency + 0.5)
+  );
+  const lengthNorm =
+    1 - Scorer.bm25B + (Scorer.bm25B * docLengths[file]) / Search._average_doc_length;
+  return (
+    (Scorer.bm25Weight * idf * frequency * (Scorer.bm25K1 + 1)) /
+    (frequency + Scorer.bm25K1 * lengthNorm)
+  );
+};
+
+/**
+ * Find the section of a file where a match is, as ``[id, title, start, end]``
+ * of the index. ``termGroups`` has a list of matched terms for every word of
+ * the query. The section containing the most of the words wins, then the
+ * one with the most occurrences. Words count for the innermost section they
+ * are in. Returns null for an index without sections.
  */
-const _escapeRegExp = (string) =>
-  string.replace(/[.*+\-?^${}()|[\]\\]/g, "\\$&"); // $& means the whole matched string
+const _findSection = (file, termGroups) => {
+  const termPositions = Search._index.termpositions || {};
+  const sections = (Search._index.sections || {})[file];
+  if (sections === undefined) return null;
+
+  const groups = sections.map(() => new Set());
+  const occurrences = sections.map(() => 0);
+  termGroups.forEach((terms, group) =>
+    terms.forEach((term) =>
+      ((termPositions[term] || {})[file] || []).forEach((position) => {
+        // the subsections come after their section
+        let innermost = -1;
+        sections.forEach(([_id, _title, start, end], i) => {
+          if (position >= start && position < end) innermost = i;
+        });
+        if (innermost < 0) return;
+        groups[innermost].add(group);
+        occurrences[innermost]++;
+      })
+    )
+  );
+
+  let best = -1;
+  sections.forEach((_section, i) => {
+    if (!occurrences[i]) return;
+    if (
+      best < 0 ||
+      groups[i].size > groups[best].size ||
+      (groups[i].size === groups[best].size && occurrences[i] > occurrences[best])
+    )
+      best = i;
+  });
+  return best < 0 ? null : sections[best];
+};
+
+// name of the IndexedDB database caching the text of pages for summaries
+const _PAGE_CACHE_DB = "sphinx_search_pages";
+
+/**
+ * Get the text of a page from the IndexedDB cache, or fetch the page and
+ * cache its text. The text is only used, if it was cached for the same
+ * build of the docs.
+ */
+const _getCachedPageText = (db, url) => {
+  const buildId = Search._build_id;
+  const cached = new Promise((resolve) => {
+    if (db === null) return resolve(undefined);
+    const request = db.transaction("pages").objectStore("pages").get(url);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(undefined);
+  });
+  return cached.then((page) => {
+    if (page !== undefined && page.buildId === buildId) return page.text;
+    return fetch(url)
+      .then((responseData) => {
+        // error pages are not the text of the page
+        if (!responseData.ok) throw new Error(`${url}: ${responseData.status}`);
+        return responseData.text();
+      })
+      .then((data) => {
+        const text = data ? Search.htmlToText(data) : "";
+        if (db !== null)
+          db.transaction("pages", "readwrite")
+            .objectStore("pages")
+            .put({ buildId, text }, url);
+        return text;
+      });
+  });
+};
+
+/**
+ * Evaluate a parsed query (see ``Search.parseQuery``), ``matches`` is called
+ * for the words and phrases and tells if they are found.
+ */
+const _evaluateQuery = (node, matches) => {
+  switch (node.op) {
+    case "and":
+      return node.items.every((item) => _evaluateQuery(item, matches));
+    case "or":
+      return node.items.some((item) => _evaluateQuery(item, matches));
+    case "not":
+      return !_evaluateQuery(node.item, matches);
+    default:
+      return matches(node);
+  }
+};
 
-const _displayItem = (item, searchTerms, highlightTerms) => {
+/**
+ * Collect the words and phrases of a parsed query, which are searched for
+ * (``positive``) or excluded with "NOT" or "-" (``!positive``).
+ */
+const _queryLeaves = (node, positive = true) => {
+  if (node === null) return [];
+  switch (node.op) {
+    case "and":
+    case "or":
+      return node.items.flatMap((item) => _queryLeaves(item, positive));
+    case "not":
+      return _queryLeaves(node.item, !positive);
+    default:
+      return positive ? [node] : [];
+  }
+};
+
+/**
+ * Match a parsed query with a text like a title, the words and phrases
+ * are searched as substrings, or as whole words with ``wholeWords``.
+ * Returns a score that is higher the more of the text is covered by the
+ * query, or null if the query doesn't match or covers less than half of
+ * the text.
+ */
+const _matchText = (expression, text, wholeWords = false) => {
+  const textLower = Search._language.splitQuery(text.toLowerCase()).join(" ");
+  const matches = wholeWords
+    ? (leaf) => ` ${textLower} `.includes(` ${_leafText(leaf)} `)
+    : (leaf) => textLower.includes(_leafText(leaf));
+  if (!_evaluateQuery(expression, matches)) return null;
+
+  const matched = new Set(_queryLeaves(expression).filter(matches).map(_leafText));
+  if (!matched.size) return null;
+  // the matched words and the spaces between them
+  const matchedLength = [...matched].join(" ").length;
+  if (matchedLength < text.length / 2) return null;
+  return Math.round((100 * matchedLength) / text.length);
+};
+
+/**
+ * The files excluded by the "NOT" and "-" parts of a parsed query, i.e.
+ * whose fulltext or title contains what is negated. This applies to the
+ * results found in titles, index entries and objects as well, which only
+ * see the text they matched.
+ */
+const _excludedFiles = (expression) => {
+  const filesOf = (term) =>
+    [Search._index.terms[term], Search._index.titleterms[term]].flatMap((files) =>
+      files === undefined ? [] : files.length === undefined ? [files] : files
+    );
+  const hasTerm = (file, term) => filesOf(term).includes(file);
+  const inFile = (file, leaf) => {
+    if (leaf.op === "phrase")
+      return (
+        leaf.words.every(([_offset, term]) => hasTerm(file, term)) &&
+        _hasPhrase(file, leaf)
+      );
+    if (hasTerm(file, leaf.stem)) return true;
+    // an identifier is also found with all its parts
+    return (leaf.parts || []).some((parts) =>
+      parts.every((part) => hasTerm(file, part))
+    );
+  };
+  // the negated parts, not those negated twice
+  const negated = (node) => {
+    if (node === null) return [];
+    if (node.op === "and" || node.op === "or") return node.items.flatMap(negated);
+    return node.op === "not" ? [node.item] : [];
+  };
+
+  const excluded = new Set();
+  negated(expression).forEach((item) => {
+    // only the files containing the first word of a leaf can match it
+    const firstTerms = (leaf) =>
+      leaf.op === "phrase"
+        ? [leaf.words[0][1]]
+        : [leaf.stem, ...(leaf.parts || []).map((parts) => parts[0])];
+    const candidates = new Set(_queryLeaves(item).flatMap(firstTerms).flatMap(filesOf));
+    candidates.forEach((file) => {
+      if (_evaluateQuery(item, (leaf) => inFile(file, leaf))) excluded.add(file);
+    });
+  });
+  return excluded;
+};
+
+// number of pages shown at once, and of results nested under a page
+const _RESULTS_SHOWN = 10;
+const _CHILDREN_SHOWN = 3;
+
+/**
+ * Returns the URL to fetch a page and the URL to link to it.
+ */
+const _pageUrls = (docName) => {
   const docBuilder = DOCUMENTATION_OPTIONS.BUILDER;
   const docFileSuffix = DOCUMENTATION_OPTIONS.FILE_SUFFIX;
   const docLinkSuffix = DOCUMENTATION_OPTIONS.LINK_SUFFIX;
-  const showSearchSummary = DOCUMENTATION_OPTIONS.SHOW_SEARCH_SUMMARY;
-  const contentRoot = document.documentElement.dataset.content_root;
-
-  const [docName, title, anchor, descr, score, _filename] = item;
+  const contentRoot =
+    Search._content_root || document.documentElement.dataset.content_root;
+  // links relative to the search page, or to the other version
+  const linkRoot = Search._content_root || "";
 
-  let listItem = document.createElement("li");
-  let requestUrl;
-  let linkUrl;
   if (docBuilder === "dirhtml") {
     // dirhtml builder
     let dirname = docName + "/";
     if (dirname.match(/\/index\/$/))
       dirname = dirname.substring(0, dirname.length - 6);
     else if (dirname === "index/") dirname = "";
-    requestUrl = contentRoot + dirname;
-    linkUrl = requestUrl;
-  } else {
-    // normal html builders
-    requestUrl = contentRoot + docName + docFileSuffix;
-    linkUrl = docName + docLinkSuffix;
+    return [contentRoot + dirname, contentRoot + dirname];
   }
+  // normal html builders
+  return [contentRoot + docName + docFileSuffix, linkRoot + docName + docLinkSuffix];
+};
+
+/**
+ * Returns a list item with a button to show ``count`` more results.
+ */
+const _makeShowMore = (count, onClick) => {
+  const listItem = document.createElement("li");
+  listItem.classList.add("search-show-more");
+  const button = listItem.appendChild(document.createElement("button"));
+  button.type = "button";
+  button.textContent = Documentation.interpolate(
+    Documentation.ngettext("Show one more", "Show %(count)s more", count),
+    { count }
+  );
+  button.addEventListener("click", () => {
+    listItem.remove();
+    onClick();
+  });
+  return listItem;
+};
+
+/**
+ * Returns the list item of a result nested under its page, like a section,
+ * an object or a code cell.
+ */
+const _makeChildItem = (item, pageTitle) => {
+  const [docName, title, anchor, descr, score, _filename] = item;
+  const [_requestUrl, linkUrl] = _pageUrls(docName);
+
+  let listItem = document.createElement("li");
   let linkEl = listItem.appendChild(document.createElement("a"));
   linkEl.href = linkUrl + anchor;
   linkEl.dataset.score = score;
-  linkEl.innerHTML = title;
-  if (descr) {
+  // the title of the page is already shown above
+  linkEl.innerHTML = title.startsWith(pageTitle + " > ")
+    ? title.substring(pageTitle.length + 3)
+    : title;
+  if (descr)
     listItem.appendChild(document.createElement("span")).innerHTML =
       " (" + descr + ")";
-    // highlight search terms in the description
+  else if (anchor.startsWith("#math-"))
+    listItem.appendChild(
+      Search.makeEquationPreview(Search._equations[docName + anchor])
+    );
+  return listItem;
+};
+
+/**
+ * Show the results of a page: the page with its summary, and the matching
+ * sections, objects etc. nested under it.
+ */
+const _displayItem = (group, searchTerms, highlightTerms) => {
+  const showSearchSummary = DOCUMENTATION_OPTIONS.SHOW_SEARCH_SUMMARY;
+  const { docName, title, score, items } = group;
+  const [requestUrl, linkUrl] = _pageUrls(docName);
+
+  let listItem = document.createElement("li");
+  let linkEl = listItem.appendChild(document.createElement("a"));
+  linkEl.href = linkUrl;
+  linkEl.dataset.score = score;
+  linkEl.innerHTML = title;
+
+  if (items.length) {
+    const childList = listItem.appendChild(document.createElement("ul"));
+    childList.classList.add("search-children");
+    const childItems = items.map((item) => _makeChildItem(item, title));
+    childList.append(...childItems.slice(0, _CHILDREN_SHOWN));
+    if (childItems.length > _CHILDREN_SHOWN)
+      childList.appendChild(
+        _makeShowMore(childItems.length - _CHILDREN_SHOWN, () =>
+          childList.append(...childItems.slice(_CHILDREN_SHOWN))
+        )
+      );
+    // highlight search terms in the descriptions
     if (SPHINX_HIGHLIGHT_ENABLED)  // set in sphinx_highlight.js
-      highlightTerms.forEach((term) => _highlightText(listItem, term, "highlighted"));
+      childItems.forEach((childItem) =>
+        highlightTerms.forEach((term) => _highlightText(childItem, term, "highlighted"))
+      );
   }
-  else if (showSearchSummary)
-    fetch(requestUrl)
-      .then((responseData) => responseData.text())
-      .then((data) => {
-        if (data)
-          listItem.appendChild(
-            Search.makeSearchSummary(data, searchTerms)
-          );
+
+  if (showSearchSummary)
+    Search.fetchPageText(requestUrl)
+      .then((text) => {
+        if (!text) return;
+        const summary = Search.makeSearchSummary(text, searchTerms);
+        linkEl.after(summary);
         // highlight search terms in the summary
         if (SPHINX_HIGHLIGHT_ENABLED)  // set in sphinx_highlight.js
-          highlightTerms.forEach((term) => _highlightText(listItem, term, "highlighted"));
+          highlightTerms.forEach((term) => _highlightText(summary, term, "highlighted"));
       });
   Search.output.appendChild(listItem);
 };
@@ -115,27 +544,28 @@ const _finishSearch = (resultCount) => {
       "Your search did not match any documents. Please make sure that all words are spelled correctly and that you've selected enough categories."
     );
   else
-    Search.status.innerText = _(
-      `Search finished, found ${resultCount} page(s) matching the search query.`
+    Search.status.innerText = Documentation.interpolate(
+      Documentation.ngettext(
+        "Search finished, found one page matching the search query.",
+        "Search finished, found %(count)s pages matching the search query.",
+        resultCount
+      ),
+      { count: resultCount }
     );
 };
-const _displayNextItem = (
-  results,
-  resultCount,
-  searchTerms,
-  highlightTerms,
-) => {
-  // results left, load the summary and display it
-  // this is intended to be dynamic (don't sub resultsCount)
-  if (results.length) {
-    _displayItem(results.pop(), searchTerms, highlightTerms);
-    setTimeout(
-      () => _displayNextItem(results, resultCount, searchTerms, highlightTerms),
-      5
+/**
+ * Show the next pages of the results, and a button to show more of them.
+ */
+const _displayNextItems = (groups, searchTerms, highlightTerms) => {
+  groups
+    .splice(0, _RESULTS_SHOWN)
+    .forEach((group) => _displayItem(group, searchTerms, highlightTerms));
+  if (groups.length)
+    Search.output.appendChild(
+      _makeShowMore(groups.length, () =>
+        _displayNextItems(groups, searchTerms, highlightTerms)
+      )
     );
-  }
-  // search finished, update title and status message
-  else _finishSearch(resultCount);
 };
 
 /**
@@ -152,13 +582,52 @@ if (typeof splitQuery === "undefined") {
       .filter(term => term)  // remove remaining empty strings
 }
 
+/**
+ * The stopwords, the stemmer and the splitter of a language, from the
+ * registry ``SearchLanguages`` of language_data.js. Without a language, the
+ * one of the docs or else the one of the page is used.
+ */
+const _languageData = (language) => {
+  if (!language && typeof DOCUMENTATION_OPTIONS !== "undefined")
+    language = DOCUMENTATION_OPTIONS.LANGUAGE;
+  if (!language && typeof document !== "undefined")
+    language = document.documentElement.lang;
+  // the language_data.js of Sphinx only has the language of the docs
+  const data =
+    typeof SearchLanguages !== "undefined"
+      ? SearchLanguages.get(language)
+      : { stopwords, Stemmer };
+  return { splitQuery, ...data };
+};
+
 /**
  * Search Module
  */
 const Search = {
+  // a custom Scorer of the project is defined in this script, added to
+  // html_js_files before the search, the search worker loads it as well
+  SCORER_SCRIPT: "_static/scorer.js",
+
   _index: null,
+  _term_suffixes: [],
+  _title_term_suffixes: [],
+  _average_doc_length: 0,
   _queued_query: null,
   _pulse_status: -1,
+  _index_callbacks: [],
+  _facet_filter: { facets: new Set(), boost: false },
+  _worker: null,
+  _worker_ready: false,
+  _request_count: 0,
+  _requests: new Map(),
+  _equations: {},
+  _build_id: null,
+  // the root of the docs of the index, if it is another version of the docs
+  _content_root: null,
+  // the language data of the index, see _languageData
+  _language: null,
+  _page_texts: new Map(),
+  _page_cache: null,
 
   htmlToText: (htmlString) => {
     const htmlElement = new DOMParser().parseFromString(htmlString, 'text/html');
@@ -172,18 +641,241 @@ const Search = {
   },
 
   init: () => {
-    const query = new URLSearchParams(window.location.search).get("q");
+    // searchtools.js is also loaded by the search dropdown on other pages
+    if (document.getElementById("search-results") === null) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const query = params.get("q");
+    Search._facet_filter = {
+      facets: new Set(params.getAll("facet")),
+      boost: params.get("facetmode") === "boost",
+    };
     document
       .querySelectorAll('input[name="q"]')
       .forEach((el) => (el.value = query));
+    Search.initOnKeyListeners();
     if (query) Search.performSearch(query);
   },
 
-  loadIndex: (url) =>
-    (document.body.appendChild(document.createElement("script")).src = url),
+  /**
+   * move through the results with the arrow keys, open the selected one
+   * with Enter (in a new tab with Ctrl+Enter) and go back to the search box
+   * with Escape
+   */
+  initOnKeyListeners: () => {
+    if (!DOCUMENTATION_OPTIONS.ENABLE_SEARCH_SHORTCUTS) return;
+    Documentation.SHORTCUTS.push(
+      ["↓ ↑", _("Select the next or previous search result")],
+      ["Enter", _("Open the selected search result")],
+      ["Ctrl Enter", _("Open the selected search result in a new tab")],
+      ["Escape", _("Go back to the search box")]
+    );
+
+    document.addEventListener("keydown", (event) => {
+      // bail for input elements
+      if (BLACKLISTED_KEY_CONTROL_ELEMENTS.has(document.activeElement.tagName)) return;
+      // bail with special keys
+      if (event.altKey || event.shiftKey || Search.output === undefined) return;
+
+      const links = [...Search.output.querySelectorAll("a")];
+      const selected = links.indexOf(document.activeElement);
+      const select = (index) => {
+        if (!links.length) return;
+        const link = links[Math.min(Math.max(index, 0), links.length - 1)];
+        link.focus();
+        link.scrollIntoView({ block: "nearest" });
+        event.preventDefault();
+      };
+
+      switch (event.key) {
+        case "ArrowDown":
+          if (!event.ctrlKey && !event.metaKey) select(selected + 1);
+          break;
+        case "ArrowUp":
+          if (!event.ctrlKey && !event.metaKey && selected >= 0) select(selected - 1);
+          break;
+        case "Enter":
+          if (selected < 0) break;
+          if (event.ctrlKey || event.metaKey) window.open(links[selected].href, "_blank");
+          else links[selected].click();
+          event.preventDefault();
+          break;
+        case "Escape":
+          Documentation.focusSearchBar();
+          event.preventDefault();
+          break;
+      }
+    });
+  },
+
+  /**
+   * load the index, on the search page the one of the version given by the
+   * parameter "version" (see version_switcher.js)
+   */
+  loadIndex: (url) => {
+    const version = new URLSearchParams(window.location.search).get("version");
+    if (
+      version === null ||
+      document.getElementById("search-results") === null ||
+      typeof VersionSwitcher === "undefined"
+    ) {
+      Search.loadIndexIntoWorker(url);
+      return;
+    }
+    VersionSwitcher.load().then(() => {
+      const entry = VersionSwitcher.find(version);
+      if (entry === null || entry === VersionSwitcher.current) {
+        Search.loadIndexIntoWorker(url);
+        return;
+      }
+      // the results link to the pages of the other version
+      Search._content_root = entry.url;
+      Search.loadIndexIntoWorker(entry.url + "searchindex.js");
+    });
+  },
+
+  /**
+   * load the index into a search worker, so that searching doesn't block
+   * the page. Without support for workers the index is loaded into the page.
+   */
+  loadIndexIntoWorker: (url) => {
+    const contentRoot = document.documentElement.dataset.content_root;
+    let worker;
+    try {
+      worker = new Worker(contentRoot + "_static/search_worker.js");
+    } catch (error) {
+      // e.g. pages opened from the file system can't start workers
+      Search.loadIndexIntoPage(url);
+      return;
+    }
+    worker.addEventListener("message", Search.onWorkerMessage);
+    worker.addEventListener("error", () => {
+      worker.terminate();
+      const sent = Search._worker_ready;
+      Search._worker = null;
+      Search._worker_ready = false;
+      Search.loadIndexIntoPage(url, sent);
+    });
+    // a custom Scorer of the project, the worker needs it as well
+    const scorerScript = [...document.scripts].find((script) =>
+      script.src.split("?")[0].endsWith(Search.SCORER_SCRIPT)
+    );
+    // the worker builds some of the strings, so it needs the whole catalog
+    Documentation.translationsLoaded.then(() =>
+      worker.postMessage({
+        type: "load",
+        url: new URL(url, document.baseURI).href,
+        scorer: scorerScript ? scorerScript.src : null,
+        translations: Documentation.TRANSLATIONS,
+        // for indexes without their language
+        language: DOCUMENTATION_OPTIONS.LANGUAGE || document.documentElement.lang,
+      })
+    );
+    Search._worker = worker;
+  },
+
+  /**
+   * load the index into the page. The requests already ``sent`` to a
+   * failed worker are answered on the page, the others are still waiting
+   * for the index and are answered on the page anyway.
+   */
+  loadIndexIntoPage: (url, sent = false) => {
+    const contentRoot = document.documentElement.dataset.content_root;
+    // the synonyms are optional, they are loaded before the index
+    [contentRoot + "_static/search_synonyms.js", url].forEach((src) => {
+      const script = document.createElement("script");
+      script.async = false;
+      script.src = src;
+      if (src === url) script.addEventListener("error", Search.onIndexError);
+      document.body.appendChild(script);
+    });
+    if (!sent) return;
+    Search._requests.forEach(({ id, message }) =>
+      Search.whenIndexLoaded(() =>
+        Search.onWorkerMessage({
+          data: { type: message.type, id, response: Search.handleRequest(message) },
+        })
+      )
+    );
+  },
+
+  /**
+   * the index could neither be loaded by the worker nor by the page, e.g.
+   * the index of another version that doesn't exist
+   */
+  onIndexError: () => {
+    console.warn("The search index could not be loaded.");
+    Search._index_callbacks = [];
+    Search._requests.forEach(({ resolve }) => resolve(null));
+    Search._requests.clear();
+    if (Search.status === undefined) return;
+    Search.stopPulse();
+    Search.title.innerText = _("Search Results");
+    Search.status.innerText = _("The search index could not be loaded.");
+    _removeChildren(document.getElementById("search-progress"));
+  },
+
+  onWorkerMessage: ({ data }) => {
+    if (data.type === "loaded") {
+      Search._worker_ready = true;
+      Search._build_id = data.buildId;
+      Search._index_callbacks.splice(0).forEach((callback) => callback());
+      return;
+    }
+    // ignore the answers to cancelled requests
+    const request = Search._requests.get(data.type);
+    if (request === undefined || request.id !== data.id) return;
+    Search._requests.delete(data.type);
+    request.resolve(data.response);
+  },
+
+  /**
+   * send a request ``{type, ...}`` to the search worker, or answer it on the
+   * page without worker. Returns a promise of the answer. A new request
+   * cancels the previous one of the same type, its promise resolves to null.
+   */
+  request: (message) =>
+    new Promise((resolve) => {
+      const id = ++Search._request_count;
+      const previous = Search._requests.get(message.type);
+      if (previous !== undefined) previous.resolve(null);
+      Search._requests.set(message.type, { id, message, resolve });
+
+      Search.whenIndexLoaded(() => {
+        if (Search._worker_ready) Search._worker.postMessage({ ...message, id });
+        else
+          Search.onWorkerMessage({
+            data: { type: message.type, id, response: Search.handleRequest(message) },
+          });
+      });
+    }),
+
+  /**
+   * answer a request of the page, the search worker calls this for every
+   * request (requires search index to be loaded)
+   */
+  handleRequest: (message) => {
+    switch (message.type) {
+      case "query":
+        return Search.find(message.query, message.facetFilter);
+      case "quick":
+        return Search.quickSearch(message.query, message.maxObjects, message.maxTitles);
+    }
+  },
 
   setIndex: (index) => {
     Search._index = index;
+    Search._build_id = index.buildid || null;
+    // the words of the index are stemmed for its language
+    Search._language = _languageData(index.language);
+    // for partial matches of the search terms
+    Search._term_suffixes = _makeSuffixArray(index.terms);
+    Search._title_term_suffixes = _makeSuffixArray(index.titleterms);
+    // for the BM25 ranking
+    const docLengths = index.doclengths || [];
+    Search._average_doc_length =
+      docLengths.reduce((sum, length) => sum + length, 0) / docLengths.length;
+    Search._index_callbacks.splice(0).forEach((callback) => callback());
     if (Search._queued_query !== null) {
       const query = Search._queued_query;
       Search._queued_query = null;
@@ -191,7 +883,15 @@ const Search = {
     }
   },
 
-  hasIndex: () => Search._index !== null,
+  hasIndex: () => Search._index !== null || Search._worker_ready,
+
+  /**
+   * call a function as soon as the index is loaded
+   */
+  whenIndexLoaded: (callback) => {
+    if (Search.hasIndex()) callback();
+    else Search._index_callbacks.push(callback);
+  },
 
   deferQuery: (query) => (Search._queued_query = query),
 
@@ -218,6 +918,8 @@ const Search = {
     const searchSummary = document.createElement("p");
     searchSummary.classList.add("search-summary");
     searchSummary.innerText = "";
+    const searchFacets = document.createElement("form");
+    searchFacets.classList.add("search-facets");
     const searchList = document.createElement("ul");
     searchList.classList.add("search");
 
@@ -225,6 +927,7 @@ const Search = {
     Search.title = out.appendChild(searchText);
     Search.dots = Search.title.appendChild(document.createElement("span"));
     Search.status = out.appendChild(searchSummary);
+    Search.facets = out.appendChild(searchFacets);
     Search.output = out.appendChild(searchList);
 
     const searchProgress = document.getElementById("search-progress");
@@ -234,105 +937,143 @@ const Search = {
     }
     Search.startPulse();
 
-    // index already loaded, the browser was quick!
-    if (Search.hasIndex()) Search.query(query);
-    else Search.deferQuery(query);
+    // the query waits in the worker until the index is loaded
+    Search.query(query);
   },
 
   /**
-   * execute search (requires search index to be loaded)
+   * execute search, the results are found by the search worker and shown
+   * as soon as they arrive
    */
   query: (query) => {
-    const filenames = Search._index.filenames;
-    const docNames = Search._index.docnames;
-    const titles = Search._index.titles;
-    const allTitles = Search._index.alltitles;
-    const indexEntries = Search._index.indexentries;
-
-    // stem the search terms and add them to the correct list
-    const stemmer = new Stemmer();
-    const searchTerms = new Set();
-    const excludedTerms = new Set();
-    const highlightTerms = new Set();
-    const objectTerms = new Set(splitQuery(query.toLowerCase().trim()));
-    splitQuery(query.trim()).forEach((queryTerm) => {
-      const queryTermLower = queryTerm.toLowerCase();
-
-      // maybe skip this "word"
-      // stopwords array is from language_data.js
-      if (
-        stopwords.indexOf(queryTermLower) !== -1 ||
-        queryTerm.match(/^\d+$/)
-      )
-        return;
-
-      // stem the word
-      let word = stemmer.stemWord(queryTermLower);
-      // select the correct list
-      if (word[0] === "-") excludedTerms.add(word.substr(1));
-      else {
-        searchTerms.add(word);
-        highlightTerms.add(queryTermLower);
-      }
+    Search.request({
+      type: "query",
+      query: query,
+      facetFilter: Search._facet_filter,
+    }).then((response) => {
+      if (response !== null) Search.showResults(response);
     });
+  },
+
+  /**
+   * show the results of ``Search.find``
+   */
+  showResults: (response) => {
+    const { groups, facetCounts, summaryTerms, highlightTerms } = response;
+    _removeChildren(document.getElementById("search-progress"));
+    _removeChildren(Search.output);
 
     if (SPHINX_HIGHLIGHT_ENABLED) {  // set in sphinx_highlight.js
       localStorage.setItem("sphinx_highlight_terms", [...highlightTerms].join(" "))
     }
 
+    // for debugging
+    //Search.lastresults = groups.slice();  // a copy
+    // console.info("search results:", Search.lastresults);
+
+    Search.showFacets(facetCounts);
+    Search._equations = response.equations;
+    _displayNextItems([...groups], summaryTerms, highlightTerms);
+    _finishSearch(groups.length);
+
+    // the query contains typos, maybe nothing was found
+    if (response.suggestion !== null) Search.showSuggestion(response.suggestion);
+    Search.showWarnings(response.warnings);
+  },
+
+  /**
+   * search for a query, returns the results grouped by page in the order of
+   * display together with everything needed to show them. Doesn't use the DOM, so
+   * that it runs in the search worker (requires search index to be loaded)
+   */
+  find: (query, facetFilter = Search._facet_filter) => {
+    const parsed = Search.parseQualifiers(query);
+    const qualifiers = parsed.qualifiers;
+    query = parsed.query;
+    // "in:code" restricts the search to the code cells of notebooks
+    const codeOnly = qualifiers.in.includes("code");
+    // "in:math" or TeX commands restrict the search to equations
+    const mathOnly = qualifiers.in.includes("math") || query.includes("\\");
+    // "type:" and "module:" restrict the search to API objects
+    const objectsOnly = qualifiers.type.length > 0 || qualifiers.module.length > 0;
+
+    const docNames = Search._index.docnames;
+    const titles = Search._index.titles;
+
+    // parse the boolean query, the words to search for are stemmed
+    const expression = Search.parseQuery(query);
+    const searchTerms = new Set();
+    const highlightTerms = new Set();
+    const phrases = [];
+    const addTerms = (expression) =>
+      _queryLeaves(expression).forEach((leaf) => {
+        if (leaf.op === "phrase") {
+          leaf.words.forEach(([_offset, word]) => searchTerms.add(word));
+          leaf.terms.forEach((term) => highlightTerms.add(term));
+          phrases.push(leaf);
+        } else {
+          searchTerms.add(leaf.stem);
+          highlightTerms.add(leaf.word);
+        }
+      });
+    addTerms(expression);
+
     // console.debug("SEARCH: searching for:");
-    // console.info("required: ", [...searchTerms]);
-    // console.info("excluded: ", [...excludedTerms]);
+    // console.info("query: ", expression);
 
     // array of [docname, title, anchor, descr, score, filename]
     let results = [];
-    _removeChildren(document.getElementById("search-progress"));
-
-    const queryLower = query.toLowerCase();
-    for (const [title, foundTitles] of Object.entries(allTitles)) {
-      if (title.toLowerCase().includes(queryLower) && (queryLower.length >= title.length/2)) {
-        for (const [file, id] of foundTitles) {
-          let score = Math.round(100 * queryLower.length / title.length)
-          results.push([
-            docNames[file],
-            titles[file] !== title ? `${titles[file]} > ${title}` : title,
-            id !== null ? "#" + id : "",
-            null,
-            score,
-            filenames[file],
-          ]);
-        }
-      }
-    }
 
-    // search for explicit entries in index directives
-    for (const [entry, foundEntries] of Object.entries(indexEntries)) {
-      if (entry.includes(queryLower) && (queryLower.length >= entry.length/2)) {
-        for (const [file, id] of foundEntries) {
-          let score = Math.round(100 * queryLower.length / entry.length)
-          results.push([
-            docNames[file],
-            titles[file],
-            id ? "#" + id : "",
-            null,
-            score,
-            filenames[file],
-          ]);
-        }
-      }
+    if (codeOnly) {
+      // lookup only in the code cells of notebooks
+      results.push(...Search.performCodeSearch(expression));
+    } else if (mathOnly) {
+      // lookup only in the TeX source of equations
+      results.push(...Search.performMathSearch(query));
+      // highlight the equations by their source, see sphinx_highlight.js
+      highlightTerms.add("math:" + query.replace(/\s+/g, ""));
+    } else if (objectsOnly) {
+      // lookup only objects, without words all objects of the type or module
+      results.push(...Search.performObjectQuery(expression, qualifiers));
+    } else if (expression !== null) {
+      const field = Search.performFieldSearch(query);
+      results.push(...field.objects, ...field.sections);
+      results.push(...Search.performQuerySearch(expression));
+
+      // the same search with synonyms as whole words, their matches rank
+      // below the best literal match
+      const synonymResults = Search.expandQuery(query).flatMap((synonymQuery) => {
+        const synonymExpression = Search.parseQuery(synonymQuery);
+        addTerms(synonymExpression);
+        return Search.performQuerySearch(synonymExpression, true);
+      });
+      const bestScore = Math.max(0, ...results.map((item) => item[4]));
+      const bestSynonymScore = Math.max(0, ...synonymResults.map((item) => item[4]));
+      const factor =
+        bestScore > 0 && bestSynonymScore * Scorer.synonym >= bestScore
+          ? (Scorer.synonym * bestScore) / bestSynonymScore
+          : Scorer.synonym;
+      synonymResults.forEach((item) => {
+        item[4] *= factor;
+        results.push(item);
+      });
     }
 
-    // lookup as object
-    objectTerms.forEach((term) =>
-      results.push(...Search.performObjectSearch(term, objectTerms))
-    );
-
-    // lookup as search terms in fulltext
-    results.push(...Search.performTermsSearch(searchTerms, excludedTerms));
+    // drop the results of the pages with excluded words
+    const excluded = _excludedFiles(expression);
+    if (excluded.size)
+      results = results.filter((item) => !excluded.has(docNames.indexOf(item[0])));
 
     // let the scorer override scores with a custom scoring function
     if (Scorer.score) results.forEach((item) => (item[4] = Scorer.score(item)));
 
+    // rank the results of the selected facets first
+    if (facetFilter.boost)
+      results.forEach((item) => {
+        if (facetFilter.facets.has(Search.getFacet(item[0])))
+          item[4] += Scorer.facetBoost;
+      });
+
     // now sort the results by score (in opposite order of appearance, since the
     // display function below uses pop() to retrieve items) and then
     // alphabetically
@@ -361,20 +1102,517 @@ const Search = {
       return acc;
     }, []);
 
-    results = results.reverse();
+    // group the results by page, best first. The score of a page is the
+    // best score of its results, the results for the page itself only count
+    // for the score and the others are nested under the page.
+    const groups = new Map();
+    results.forEach((item) => {
+      const [docName, _title, anchor, _descr, score, filename] = item;
+      if (!groups.has(docName))
+        groups.set(docName, {
+          docName,
+          title: titles[docNames.indexOf(docName)],
+          score,
+          filename,
+          items: [],
+        });
+      const items = groups.get(docName).items;
+      if (anchor !== "" && !items.some((other) => other[2] === anchor))
+        items.push(item);
+    });
+    let pages = [...groups.values()];
+
+    // count the pages of every facet, then drop the unselected ones
+    const facetCounts = new Map(SearchFacets.map((facet) => [facet.name, 0]));
+    pages.forEach((group) => {
+      const facet = Search.getFacet(group.docName);
+      facetCounts.set(facet, facetCounts.get(facet) + 1);
+    });
+    if (facetFilter.facets.size && !facetFilter.boost)
+      pages = pages.filter((group) =>
+        facetFilter.facets.has(Search.getFacet(group.docName))
+      );
+
+    // the query without its qualifiers corrected, they are kept in front;
+    // TeX, code and object names are not words to correct
+    const suggestion =
+      mathOnly || codeOnly || objectsOnly
+        ? null
+        : Search.makeSuggestion(query.trim(), pages.length > 0);
+
+    // the TeX of the found equations for their previews
+    const equations = {};
+    results.forEach(([docName, _title, anchor]) => {
+      if (!anchor.startsWith("#math-")) return;
+      const file = Search._index.docnames.indexOf(docName);
+      const number = parseInt(anchor.substring("#math-".length), 10);
+      equations[docName + anchor] = Search._index.equations[file][number - 1];
+    });
 
-    // for debugging
-    //Search.lastresults = results.slice();  // a copy
-    // console.info("search results:", Search.lastresults);
+    return {
+      groups: pages,
+      facetCounts,
+      // the summaries prefer the context of a phrase
+      summaryTerms: new Set([
+        ...searchTerms,
+        ...phrases.map((phrase) => phrase.text),
+      ]),
+      highlightTerms,
+      equations,
+      // nothing found or only with typos corrected
+      suggestion: suggestion === null ? null : [...parsed.used, suggestion].join(" "),
+      warnings: parsed.warnings,
+    };
+  },
+
+  /**
+   * search for a parsed query in the titles, the index entries, the objects
+   * and the fulltext, with ``wholeWords`` without partial or fuzzy matches
+   */
+  performQuerySearch: (expression, wholeWords = false) => {
+    const filenames = Search._index.filenames;
+    const docNames = Search._index.docnames;
+    const titles = Search._index.titles;
+    const indexEntries = Search._index.indexentries;
+
+    const results = [...Search.performTitleSearch(expression, wholeWords)];
+
+    // search for explicit entries in index directives
+    for (const [entry, foundEntries] of Object.entries(indexEntries)) {
+      const score = _matchText(expression, entry, wholeWords);
+      if (score === null) continue;
+      for (const [file, id] of foundEntries) {
+        results.push([
+          docNames[file],
+          titles[file],
+          id ? "#" + id : "",
+          null,
+          score,
+          filenames[file],
+        ]);
+      }
+    }
+
+    // lookup as object
+    results.push(...Search.performObjectQuery(expression, {}, wholeWords));
+
+    // lookup as search terms in fulltext
+    results.push(...Search.performTermsSearch(expression, wholeWords));
+    return results;
+  },
+
+  /**
+   * resolve a field path of a simulation like "sim.dust.St" with the fields
+   * of the index, see extend_searchindex.js. Returns the function computing
+   * the field as ``objects`` and the sections of the notebooks about the
+   * field, setting or plotting it as ``sections``.
+   */
+  performFieldSearch: (query) => {
+    const fields = Search._index.fields || {};
+    const filenames = Search._index.filenames;
+    const docNames = Search._index.docnames;
+    const titles = Search._index.titles;
+    const objects = Search._index.objects;
+    const objNames = Search._index.objnames;
 
-    // print the results
-    _displayNextItem(results, results.length, searchTerms, highlightTerms);
+    const results = { objects: [], sections: [] };
+    const queryLower = query.trim().toLowerCase();
+    if (!queryLower.startsWith("sim.")) return results;
+    const fieldPath = Object.keys(fields).find(
+      (fieldPath) => fieldPath.toLowerCase() === queryLower
+    );
+    if (fieldPath === undefined) return results;
+    const [updater, uses] = fields[fieldPath];
+
+    // the API page of the function
+    const prefix = updater.substring(0, updater.lastIndexOf("."));
+    const name = updater.substring(prefix.length + 1);
+    (objects[prefix] || [])
+      .filter((match) => match[4] === name)
+      .forEach((match) => {
+        let anchor = match[3];
+        if (anchor === "") anchor = updater;
+        else if (anchor === "-") anchor = objNames[match[1]][1] + "-" + updater;
+        results.objects.push([
+          docNames[match[0]],
+          updater,
+          "#" + anchor,
+          Documentation.interpolate(_("computes %(field)s"), { field: fieldPath }),
+          Scorer.field,
+          filenames[match[0]],
+        ]);
+      });
+
+    const kindTexts = {
+      about: _("about %(field)s"),
+      set: _("sets %(field)s"),
+      plot: _("plots %(field)s"),
+    };
+    uses.forEach(([file, id, kinds]) => {
+      const section = (Search._index.sections[file] || []).find(
+        (section) => section[0] === id
+      );
+      if (section === undefined) return;
+      results.sections.push([
+        docNames[file],
+        `${titles[file]} > ${section[1]}`,
+        "#" + id,
+        kinds
+          .map((kind) => Documentation.interpolate(kindTexts[kind], { field: fieldPath }))
+          .join(", "),
+        Scorer.fieldSection,
+        filenames[file],
+      ]);
+    });
+    return results;
+  },
+
+  /**
+   * the queries with a word or phrase of the query replaced by one of its
+   * synonyms, see search_synonyms.js. Returns an empty list without synonyms.
+   */
+  expandQuery: (query) => {
+    if (typeof searchSynonyms === "undefined") return [];
+    const queryLower = query.toLowerCase();
+    const isBoundary = (position) =>
+      position < 0 ||
+      position >= query.length ||
+      !query[position].match(/[\p{Letter}\p{Number}_.]/u);
+
+    const expanded = new Set();
+    searchSynonyms.forEach((synonyms) =>
+      synonyms.forEach((entry) => {
+        const entryLower = entry.toLowerCase();
+        let start = queryLower.indexOf(entryLower);
+        for (; start >= 0; start = queryLower.indexOf(entryLower, start + 1)) {
+          const end = start + entry.length;
+          if (!isBoundary(start - 1) || !isBoundary(end)) continue;
+          // synonyms with spaces are phrases, unless already in a phrase
+          const quoted = query[start - 1] === '"' && query[end] === '"';
+          synonyms.forEach((synonym) => {
+            if (synonym.toLowerCase() === entryLower) return;
+            const replacement =
+              quoted || !synonym.includes(" ") ? synonym : `"${synonym}"`;
+            expanded.add(query.substring(0, start) + replacement + query.substring(end));
+          });
+        }
+      })
+    );
+    return [...expanded];
+  },
+
+  /**
+   * find the best matching objects and section titles for the search
+   * dropdown, returns the lists of results with the best results first
+   */
+  quickSearch: (query, maxObjects, maxTitles) => {
+    const { query: rest, qualifiers } = Search.parseQualifiers(query);
+    const expression = Search.parseQuery(rest);
+
+    // "type:" and "module:" only apply to objects
+    const objectsOnly = qualifiers.type.length || qualifiers.module.length;
+    const field = Search.performFieldSearch(rest);
+    const objects = [...field.objects, ...Search.performObjectQuery(expression, qualifiers)];
+    const titles = objectsOnly
+      ? []
+      : [...field.sections, ...Search.performTitleSearch(expression)];
+
+    // same ranking as on the search page, but best results first
+    const excluded = _excludedFiles(expression);
+    const docNames = Search._index.docnames;
+    const rank = (results, maxResults) => {
+      results = results.filter((item) => !excluded.has(docNames.indexOf(item[0])));
+      if (Scorer.score) results.forEach((item) => (item[4] = Scorer.score(item)));
+      results.sort((a, b) => b[4] - a[4] || a[1].localeCompare(b[1]));
+      const seen = new Set();
+      return results
+        .filter((item) => {
+          const key = item[0] + item[2];
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .slice(0, maxResults);
+    };
+    return {
+      objects: rank(objects, maxObjects),
+      titles: rank(titles, maxTitles),
+    };
+  },
+
+  /**
+   * parse a query with the boolean operators "OR", "NOT" (or a "-" in front
+   * of a word) and parentheses, words without operator in between all have
+   * to match. Returns a tree of nodes ``{op: "and" | "or", items}`` and
+   * ``{op: "not", item}`` with the leaves ``{op: "word", word, stem}`` and
+   * ``{op: "phrase", text, terms, words}`` for quoted phrases, or null if the
+   * query contains no word to search for. Stopwords and numbers are dropped.
+   *
+   * Identifiers like "dustpy.std.dust.vrel_tot" are one word leaf, which
+   * also has the ``text`` and ``terms`` it appears as in titles and code, and
+   * as ``parts`` the lists of stems to match in the fulltext instead of the
+   * whole identifier: split at the dots, then also at the underscores.
+   */
+  parseQuery: (query) => {
+    const language = Search._language;
+    const stemmer = new language.Stemmer();
+    const isSearchable = (word) =>
+      language.stopwords.indexOf(word) === -1 && !word.match(/^\d+$/);
+    // code is not stemmed
+    const stem = (word) => (_isIdentifier(word) ? word : stemmer.stemWord(word));
+    const makeWord = (word) => {
+      if (!_isIdentifier(word)) return { op: "word", word, stem: stem(word) };
+      const terms = language.splitQuery(word);
+      const parts = [
+        terms.filter(isSearchable).map(stem),
+        word.split(/[._]/).filter((part) => part && isSearchable(part)).map(stem),
+      ].filter(
+        (stems, i, all) =>
+          stems.length &&
+          String(stems) !== word &&
+          (i === 0 || String(stems) !== String(all[0]))
+      );
+      return { op: "word", word, stem: word, text: terms.join(" "), terms, parts };
+    };
+    const makeNode = (op, items) => {
+      items = items.filter((item) => item !== null);
+      if (items.length < 2) return items.length ? items[0] : null;
+      return { op, items };
+    };
+    const makeNot = (item) => (item === null ? null : { op: "not", item });
+    const makeWords = (text) =>
+      makeNode(
+        "and",
+        _splitIdentifiers(text.toLowerCase(), language.splitQuery)
+          .filter(isSearchable)
+          .map(makeWord)
+      );
+    const makePhrase = (text) => {
+      const terms = language.splitQuery(text.toLowerCase());
+      // the stemmed words with their offset in the phrase
+      const words = [];
+      terms.forEach((term, offset) => {
+        if (isSearchable(term)) words.push([offset, stem(term)]);
+      });
+      if (words.length < 2) return makeWords(text);
+      return { op: "phrase", text: terms.join(" "), terms, words };
+    };
+
+    const tokens = query.match(/"[^"]*"?|[()]|[^\s()"]+/g) || [];
+    let position = 0;
+    const parseUnary = () => {
+      const token = tokens[position++];
+      if (token === "NOT" || token === "-")
+        return position < tokens.length ? makeNot(parseUnary()) : null;
+      if (token === "(") {
+        const node = parseOr();
+        if (tokens[position] === ")") position++;
+        return node;
+      }
+      if (token.startsWith('"')) return makePhrase(token.replace(/"/g, ""));
+      if (token.startsWith("-")) return makeNot(makeWords(token.substr(1)));
+      return makeWords(token);
+    };
+    const parseAnd = () => {
+      const items = [];
+      while (position < tokens.length) {
+        const token = tokens[position];
+        if (token === ")" || token === "OR") break;
+        if (token === "AND") position++;
+        else items.push(parseUnary());
+      }
+      return makeNode("and", items);
+    };
+    const parseOr = () => {
+      const items = [parseAnd()];
+      while (tokens[position] === "OR") {
+        position++;
+        items.push(parseAnd());
+      }
+      return makeNode("or", items);
+    };
+
+    const items = [];
+    while (position < tokens.length) {
+      // skip unbalanced closing parentheses
+      if (tokens[position] === ")") position++;
+      else items.push(parseOr());
+    }
+    return makeNode("and", items);
+  },
+
+  /**
+   * split the qualifiers ("in:code","type:function", "module:dustpy.std.gas")
+   * from a query, returns the remaining query, the values of every qualifier,
+   * the ``used`` qualifiers as written in the query and warnings about
+   * unknown qualifiers
+   */
+  parseQualifiers: (query) => {
+    const objectTypes = new Set(
+      Object.values(Search._index.objnames).map((objName) => objName[1])
+    );
+    const isValid = {
+      in: (value) => value === "code" || value === "math",
+      type: (value) => objectTypes.has(value),
+      module: (value) => value.length > 0,
+    };
+
+    const qualifiers = { in: [], type: [], module: [] };
+    const used = [];
+    const warnings = [];
+    const rest = query.replace(
+      /(^|\s)([a-zA-Z]+):(\S*)/g,
+      (qualifier, space, name, value) => {
+        name = name.toLowerCase();
+        value = value.toLowerCase();
+        const warn = (text) =>
+          warnings.push(Documentation.interpolate(text, { qualifier: qualifier.trim() }));
+        if (!isValid.hasOwnProperty(name))
+          warn(_("Unknown search qualifier, ignored: %(qualifier)s"));
+        else if (!isValid[name](value))
+          warn(_("Unknown value of a search qualifier, ignored: %(qualifier)s"));
+        else {
+          qualifiers[name].push(value);
+          used.push(qualifier.trim());
+        }
+        return space;
+      }
+    );
+    return { query: rest, qualifiers, used, warnings };
+  },
+
+  /**
+   * show warnings about the query below the search status
+   */
+  showWarnings: (warnings) => {
+    [...warnings].reverse().forEach((warning) => {
+      const warningText = document.createElement("p");
+      warningText.classList.add("search-warning");
+      warningText.textContent = warning;
+      Search.status.after(warningText);
+    });
+  },
+
+  /**
+   * return the name of the facet a page belongs to
+   */
+  getFacet: (docName) =>
+    SearchFacets.find((facet) => facet.pattern.test(docName)).name,
+
+  /**
+   * show the checkboxes to select facets together with their result counts,
+   * changing them reloads the search page with the facets in the URL
+   */
+  showFacets: (facetCounts) => {
+    const form = Search.facets;
+    const facetFilter = Search._facet_filter;
+    _removeChildren(form);
+
+    const queryInput = form.appendChild(document.createElement("input"));
+    queryInput.type = "hidden";
+    queryInput.name = "q";
+    queryInput.value = new URLSearchParams(window.location.search).get("q");
+
+    SearchFacets.forEach((facet) => {
+      const label = form.appendChild(document.createElement("label"));
+      const checkbox = label.appendChild(document.createElement("input"));
+      checkbox.type = "checkbox";
+      checkbox.name = "facet";
+      checkbox.value = facet.name;
+      checkbox.checked = facetFilter.facets.has(facet.name);
+      const count = document.createElement("span");
+      count.classList.add("facet-count");
+      count.textContent = `(${facetCounts.get(facet.name)})`;
+      label.append(" " + _(facet.label) + " ", count);
+    });
+
+    const mode = form.appendChild(document.createElement("select"));
+    mode.name = "facetmode";
+    [
+      ["only", _("show only the selected groups")],
+      ["boost", _("rank the selected groups first")],
+    ].forEach(([value, text]) => {
+      const option = mode.appendChild(document.createElement("option"));
+      option.value = value;
+      option.textContent = text;
+      option.selected = (value === "boost") === facetFilter.boost;
+    });
+
+    // search the index of another version of the docs
+    if (typeof VersionSwitcher !== "undefined") VersionSwitcher.addSearchSelect(form);
+
+    form.addEventListener("change", () => form.submit());
+  },
+
+  /**
+   * search for section titles
+   */
+  performTitleSearch: (expression, wholeWords = false) => {
+    const filenames = Search._index.filenames;
+    const docNames = Search._index.docnames;
+    const titles = Search._index.titles;
+    const allTitles = Search._index.alltitles;
+
+    const results = [];
+    if (expression === null) return results;
+    for (const [title, foundTitles] of Object.entries(allTitles)) {
+      const score = _matchText(expression, title, wholeWords);
+      if (score === null) continue;
+      for (const [file, id] of foundTitles) {
+        results.push([
+          docNames[file],
+          titles[file] !== title ? `${titles[file]} > ${title}` : title,
+          id !== null ? "#" + id : "",
+          null,
+          score,
+          filenames[file],
+        ]);
+      }
+    }
+    return results;
+  },
+
+  /**
+   * search for objects matching a parsed query, every word is looked up in
+   * the object names and the query is evaluated with the name, type and
+   * page title of the found objects. With ``wholeWords`` a word has to be
+   * the whole name or its last dotted parts.
+   */
+  performObjectQuery: (expression, qualifiers = {}, wholeWords = false) => {
+    const words = new Set(
+      _queryLeaves(expression).flatMap((leaf) =>
+        leaf.op === "phrase" ? leaf.terms : [leaf.word]
+      )
+    );
+
+    const results = [];
+    // without words all objects of the requested types and modules
+    const types = qualifiers.type || [];
+    const modules = qualifiers.module || [];
+    if (!words.size && (types.length || modules.length))
+      results.push(...Search.performObjectSearch("", words, qualifiers));
+    words.forEach((word) =>
+      results.push(
+        ...Search.performObjectSearch(word, new Set([word]), qualifiers, wholeWords)
+      )
+    );
+    if (expression === null) return results;
+    return results.filter((item) =>
+      _evaluateQuery(expression, (leaf) => {
+        const haystack = Search._language
+          .splitQuery(`${item[1]} ${item[3]}`.toLowerCase())
+          .join(" ");
+        return wholeWords
+          ? ` ${haystack} `.includes(` ${_leafText(leaf)} `)
+          : haystack.includes(_leafText(leaf));
+      })
+    );
   },
 
   /**
    * search for object names
    */
-  performObjectSearch: (object, objectTerms) => {
+  performObjectSearch: (object, objectTerms, qualifiers = {}, wholeWords = false) => {
     const filenames = Search._index.filenames;
     const docNames = Search._index.docnames;
     const objects = Search._index.objects;
@@ -388,6 +1626,22 @@ const Search = {
       const fullname = (prefix ? prefix + "." : "") + name;
       const fullnameLower = fullname.toLowerCase();
       if (fullnameLower.indexOf(object) < 0) return;
+      if (
+        wholeWords &&
+        fullnameLower !== object &&
+        !fullnameLower.endsWith("." + object)
+      )
+        return;
+
+      // only objects of the requested types and modules
+      const types = qualifiers.type || [];
+      const modules = qualifiers.module || [];
+      if (types.length && !types.includes(objNames[match[1]][1])) return;
+      if (
+        modules.length &&
+        !modules.some((module) => fullnameLower.startsWith(module + "."))
+      )
+        return;
 
       let score = 0;
       const parts = fullnameLower.split(".");
@@ -418,7 +1672,10 @@ const Search = {
       if (anchor === "") anchor = fullname;
       else if (anchor === "-") anchor = objNames[match[1]][1] + "-" + fullname;
 
-      const descr = objName + _(", in ") + title;
+      const descr = Documentation.interpolate(_("%(type)s, in %(title)s"), {
+        type: objName,
+        title: title,
+      });
 
       // add custom score for some objects according to scorer
       if (Scorer.objPrio.hasOwnProperty(match[2]))
@@ -443,9 +1700,92 @@ const Search = {
   },
 
   /**
-   * search for full-text terms in the index
+   * search for words in the code cells of notebooks, the query is evaluated
+   * for every cell, so all words combined with "AND" have to be in the same
+   * cell. Code words are not stemmed.
    */
-  performTermsSearch: (searchTerms, excludedTerms) => {
+  performCodeSearch: (expression) => {
+    const codeIndex = Search._index.codeterms || {};
+    const filenames = Search._index.filenames;
+    const docNames = Search._index.docnames;
+    const titles = Search._index.titles;
+
+    const results = [];
+    if (expression === null) return results;
+    const cellsOf = (word, file) => (codeIndex[word] || {})[file] || [];
+
+    // the cells containing any of the searched words, as "file,cell"
+    const candidates = new Set();
+    _queryLeaves(expression).forEach((leaf) =>
+      (leaf.terms || [leaf.word]).forEach((word) => {
+        for (const [file, cells] of Object.entries(codeIndex[word] || {}))
+          cells.forEach((cell) => candidates.add(`${file},${cell}`));
+      })
+    );
+
+    candidates.forEach((candidate) => {
+      const [file, cell] = candidate.split(",").map(Number);
+      const inCell = (word) => cellsOf(word, file).includes(cell);
+      const matches = (leaf) =>
+        leaf.terms ? leaf.terms.every(inCell) : inCell(leaf.word);
+      if (!_evaluateQuery(expression, matches)) return;
+
+      results.push([
+        docNames[file],
+        `${titles[file]} > ` +
+          Documentation.interpolate(_("Code cell %(number)s"), { number: cell }),
+        `#cell-${cell}`,
+        null,
+        Scorer.codeTerm,
+        filenames[file],
+      ]);
+    });
+    return results;
+  },
+
+  /**
+   * search for TeX in the equations. The symbols of the query have to appear
+   * in the same order in an equation, or at least all of them in any order.
+   */
+  performMathSearch: (tex) => {
+    const equations = Search._index.equations || {};
+    const filenames = Search._index.filenames;
+    const docNames = Search._index.docnames;
+    const titles = Search._index.titles;
+
+    const queryTokens = _texTokens(tex);
+    if (!queryTokens.length) return [];
+    const queryString = queryTokens.join(" ") + " ";
+
+    const results = [];
+    for (const [file, fileEquations] of Object.entries(equations)) {
+      fileEquations.forEach((equation, i) => {
+        const tokens = _texTokens(equation);
+        let score;
+        if ((tokens.join(" ") + " ").includes(queryString)) score = Scorer.math;
+        else if (queryTokens.every((token) => tokens.includes(token)))
+          score = Scorer.partialMath;
+        else return;
+
+        results.push([
+          docNames[file],
+          `${titles[file]} > ` +
+            Documentation.interpolate(_("Equation %(number)s"), { number: i + 1 }),
+          `#math-${i + 1}`,
+          null,
+          score,
+          filenames[file],
+        ]);
+      });
+    }
+    return results;
+  },
+
+  /**
+   * search for full-text terms in the index, with ``wholeWords`` without
+   * partial or fuzzy matches
+   */
+  performTermsSearch: (expression, wholeWords = false) => {
     // prepare search
     const terms = Search._index.terms;
     const titleTerms = Search._index.titleterms;
@@ -453,31 +1793,49 @@ const Search = {
     const docNames = Search._index.docnames;
     const titles = Search._index.titles;
 
+    if (expression === null) return [];
     const scoreMap = new Map();
-    const fileMap = new Map();
 
-    // perform the search on the required terms
+    // the stemmed words of the query, searched for or excluded
+    const searchTerms = new Set();
+    [..._queryLeaves(expression), ..._queryLeaves(expression, false)].forEach(
+      (leaf) => {
+        if (leaf.op === "phrase")
+          leaf.words.forEach(([_offset, word]) => searchTerms.add(word));
+        else searchTerms.add(leaf.stem);
+        // the parts of identifiers
+        (leaf.parts || []).flat().forEach((part) => searchTerms.add(part));
+      }
+    );
+
+    // perform the search on the terms
     searchTerms.forEach((word) => {
-      const files = [];
+      // the matched term is used for the BM25 relevance
       const arr = [
-        { files: terms[word], score: Scorer.term },
-        { files: titleTerms[word], score: Scorer.title },
+        { files: terms[word], score: Scorer.term, term: word },
+        { files: titleTerms[word], score: Scorer.title, term: word },
       ];
       // add support for partial matches
-      if (word.length > 2) {
-        const escapedWord = _escapeRegExp(word);
-        Object.keys(terms).forEach((term) => {
-          if (term.match(escapedWord) && !terms[word])
-            arr.push({ files: terms[term], score: Scorer.partialTerm });
-        });
-        Object.keys(titleTerms).forEach((term) => {
-          if (term.match(escapedWord) && !titleTerms[word])
-            arr.push({ files: titleTerms[word], score: Scorer.partialTitle });
-        });
+      if (word.length > 2 && !wholeWords) {
+        if (!terms[word])
+          _termsContaining(Search._term_suffixes, word).forEach((term) =>
+            arr.push({ files: terms[term], score: Scorer.partialTerm, term })
+          );
+        if (!titleTerms[word])
+          _termsContaining(Search._title_term_suffixes, word).forEach((term) =>
+            arr.push({ files: titleTerms[term], score: Scorer.partialTitle, term })
+          );
       }
 
-      // no match but word was a required one
-      if (arr.every((record) => record.files === undefined)) return;
+      // no exact or partial match, maybe the word contains a typo
+      if (!wholeWords && arr.every((record) => record.files === undefined)) {
+        Search.similarTerms(word, terms).forEach(([term, _distance]) =>
+          arr.push({ files: terms[term], score: Scorer.fuzzyTerm, term })
+        );
+        Search.similarTerms(word, titleTerms).forEach(([term, _distance]) =>
+          arr.push({ files: titleTerms[term], score: Scorer.fuzzyTitle, term })
+        );
+      }
 
       // found search word in contents
       arr.forEach((record) => {
@@ -485,57 +1843,76 @@ const Search = {
 
         let recordFiles = record.files;
         if (recordFiles.length === undefined) recordFiles = [recordFiles];
-        files.push(...recordFiles);
 
-        // set score for the word in each file
+        // set score and relevance for the word in each file, the best
+        // match of the word counts
         recordFiles.forEach((file) => {
           if (!scoreMap.has(file)) scoreMap.set(file, {});
-          scoreMap.get(file)[word] = record.score;
+          const fileScores = scoreMap.get(file);
+          const relevance = _bm25(record.term, file);
+          const previous = fileScores[word] || { score: 0, relevance: 0, terms: [] };
+          fileScores[word] = {
+            score: Math.max(previous.score, record.score),
+            relevance: Math.max(previous.relevance, relevance),
+            // the matched terms, to find the section of the match
+            terms: [...previous.terms, record.term],
+          };
         });
       });
+    });
 
-      // create the mapping
-      files.forEach((file) => {
-        if (fileMap.has(file) && fileMap.get(file).indexOf(word) === -1)
-          fileMap.get(file).push(word);
-        else fileMap.set(file, [word]);
-      });
+    // the score and relevance of a word or phrase in a file, undefined if
+    // not found
+    const combine = (scores) => ({
+      score: Math.max(...scores.map(({ score }) => score)),
+      relevance: scores.reduce((sum, { relevance }) => sum + relevance, 0),
+      terms: scores.flatMap(({ terms }) => terms),
     });
+    const leafScore = (file, leaf) => {
+      const fileScores = scoreMap.get(file);
+      if (leaf.op === "word") {
+        if (fileScores[leaf.stem] !== undefined || !leaf.parts)
+          return fileScores[leaf.stem];
+        // an identifier not found as a whole matches if all its parts do
+        for (const parts of leaf.parts) {
+          const scores = parts.map((part) => fileScores[part]);
+          if (!scores.includes(undefined)) return combine(scores);
+        }
+        return undefined;
+      }
+      // the words of a phrase have to be next to each other
+      const scores = leaf.words.map(([_offset, word]) => fileScores[word]);
+      if (scores.includes(undefined) || !_hasPhrase(file, leaf)) return undefined;
+      return combine(scores);
+    };
 
-    // now check if the files don't contain excluded terms
+    // now check if the files match the query, which also excludes the
+    // files with excluded terms
     const results = [];
-    for (const [file, wordList] of fileMap) {
-      // check if all requirements are matched
-
-      // as search terms with length < 3 are discarded
-      const filteredTermCount = [...searchTerms].filter(
-        (term) => term.length > 2
-      ).length;
-      if (
-        wordList.length !== searchTerms.size &&
-        wordList.length !== filteredTermCount
-      )
+    const searchLeaves = _queryLeaves(expression);
+    for (const file of scoreMap.keys()) {
+      if (!_evaluateQuery(expression, (leaf) => leafScore(file, leaf) !== undefined))
         continue;
 
-      // ensure that none of the excluded terms is in the search result
-      if (
-        [...excludedTerms].some(
-          (term) =>
-            terms[term] === file ||
-            titleTerms[term] === file ||
-            (terms[term] || []).includes(file) ||
-            (titleTerms[term] || []).includes(file)
-        )
-      )
-        break;
-
-      // select one (max) score for the file.
-      const score = Math.max(...wordList.map((w) => scoreMap.get(file)[w]));
+      // select one (max) score for the file and add the relevance of all
+      // found words, so that files about the words rank first
+      const scores = searchLeaves
+        .map((leaf) => leafScore(file, leaf))
+        .filter((score) => score !== undefined);
+      if (!scores.length) continue;
+      const score =
+        Math.max(...scores.map(({ score }) => score)) +
+        scores.reduce((sum, { relevance }) => sum + relevance, 0);
+
+      // link to the section of the match, unless it's the first section
+      // with the title of the page
+      const section = _findSection(file, scores.map(({ terms }) => terms));
+      const inSection = section !== null && section !== Search._index.sections[file][0];
       // add result to the result list
       results.push([
         docNames[file],
-        titles[file],
-        "",
+        inSection ? `${titles[file]} > ${section[1]}` : titles[file],
+        inSection ? "#" + section[0] : "",
         null,
         score,
         filenames[file],
@@ -545,28 +1922,190 @@ const Search = {
   },
 
   /**
-   * helper function to return a node containing the
-   * search summary for a given text. keywords is a list
-   * of stemmed words.
+   * find the terms of the index (given as mapping of terms to files) that
+   * differ from a word by a few typos, returns a list of [term, distance]
+   * sorted by the distance
    */
-  makeSearchSummary: (htmlText, keywords) => {
-    const text = Search.htmlToText(htmlText);
-    if (text === "") return null;
+  similarTerms: (word, termMapping) => {
+    const maxDistance = _maxEditDistance(word);
+    if (maxDistance === 0) return [];
+
+    const similar = [];
+    Object.keys(termMapping).forEach((term) => {
+      if (Math.abs(term.length - word.length) > maxDistance) return;
+      const distance = _editDistance(word, term);
+      if (distance > 0 && distance <= maxDistance) similar.push([term, distance]);
+    });
+    return similar.sort((a, b) => a[1] - b[1]);
+  },
 
-    const textLower = text.toLowerCase();
-    const actualStartPosition = [...keywords]
-      .map((k) => textLower.indexOf(k.toLowerCase()))
-      .filter((i) => i > -1)
-      .slice(-1)[0];
-    const startWithContext = Math.max(actualStartPosition - 120, 0);
+  /**
+   * build a query with the misspelled words replaced by the closest words
+   * of the index, returns null if there is nothing to correct. With
+   * ``fuzzyOnly`` only the words found only with typos are corrected, like
+   * in ``performTermsSearch``, not those found as part of other terms.
+   */
+  makeSuggestion: (query, fuzzyOnly = false) => {
+    const terms = Search._index.terms;
+    const titleTerms = Search._index.titleterms;
+    const termWords = Search._index.termwords || {};
+    const language = Search._language;
+    const stemmer = new language.Stemmer();
+
+    // count of files containing a term, used to prefer common terms
+    const fileCount = (term) =>
+      [terms[term], titleTerms[term]]
+        .filter((files) => files !== undefined)
+        .reduce((count, files) => count + (files.length || 1), 0);
+
+    let corrected = false;
+    // split with a capturing group to keep the separators
+    const parts = query
+      .split(/([^\p{Letter}\p{Number}_\p{Emoji_Presentation}]+)/u)
+      .map((part, i) => {
+        const partLower = part.toLowerCase();
+        if (
+          i % 2 === 1 ||
+          language.stopwords.indexOf(partLower) !== -1 ||
+          part.match(/^\d*$/)
+        )
+          return part;
+        const word = _isIdentifier(partLower) ? partLower : stemmer.stemWord(partLower);
+        if (terms.hasOwnProperty(word) || titleTerms.hasOwnProperty(word)) return part;
+        if (
+          fuzzyOnly &&
+          word.length > 2 &&
+          (_termsContaining(Search._term_suffixes, word).size ||
+            _termsContaining(Search._title_term_suffixes, word).size)
+        )
+          return part;
+
+        const [best] = [
+          ...Search.similarTerms(word, terms),
+          ...Search.similarTerms(word, titleTerms),
+        ].sort((a, b) => a[1] - b[1] || fileCount(b[0]) - fileCount(a[0]));
+        if (best === undefined) return part;
+        corrected = true;
+        return termWords[best[0]] || best[0];
+      });
+    return corrected ? parts.join("") : null;
+  },
+
+  /**
+   * show a link to the corrected query below the search status
+   */
+  showSuggestion: (suggestion) => {
+    const suggestionText = document.createElement("p");
+    suggestionText.classList.add("search-suggestion");
+    const linkEl = document.createElement("a");
+    linkEl.href = "?q=" + encodeURIComponent(suggestion);
+    linkEl.textContent = suggestion;
+    // the link replaces the placeholder of the translated text
+    const [before, after] = _("Did you mean %(query)s?").split("%(query)s");
+    suggestionText.append(before, linkEl, after);
+    Search.status.after(suggestionText);
+  },
+
+  /**
+   * helper function to return a node showing the equation of
+   * a search result
+   */
+  makeEquationPreview: (tex) => {
+    const preview = document.createElement("p");
+    preview.classList.add("context", "equation-preview");
+    // render the equation if MathJax is available, else show the TeX
+    if (window.MathJax && MathJax.typesetPromise) {
+      preview.textContent = `\\(${tex}\\)`;
+      MathJax.typesetPromise([preview]);
+    } else {
+      const code = preview.appendChild(document.createElement("code"));
+      code.textContent = tex.length > 200 ? tex.substr(0, 200) + "..." : tex;
+    }
+    return preview;
+  },
+
+  /**
+   * get the text of the main content of a page, cached in memory and, for
+   * later visits, in IndexedDB as long as the search index doesn't change
+   */
+  fetchPageText: (url) => {
+    if (!Search._page_texts.has(url)) {
+      const text = Search.openPageCache()
+        .then((db) => _getCachedPageText(db, url))
+        .catch(() => {
+          // don't keep failed requests
+          Search._page_texts.delete(url);
+          return "";
+        });
+      Search._page_texts.set(url, text);
+    }
+    return Search._page_texts.get(url);
+  },
 
-    const top = startWithContext === 0 ? "" : "...";
-    const tail = startWithContext + 240 < text.length ? "..." : "";
+  /**
+   * open the IndexedDB database of page texts, resolves to null if
+   * IndexedDB isn't available or the index has no build id
+   */
+  openPageCache: () => {
+    if (Search._page_cache === null)
+      Search._page_cache = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined" || Search._build_id === null)
+          return resolve(null);
+        const request = indexedDB.open(_PAGE_CACHE_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore("pages");
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+      });
+    return Search._page_cache;
+  },
 
-    let summary = document.createElement("p");
-    summary.classList.add("context");
-    summary.textContent = top + text.substr(startWithContext, 240).trim() + tail;
+  /**
+   * helper function to return a node containing the search summary for
+   * the text of a page. keywords is a list of stemmed words. There is one
+   * snippet for every keyword found, up to three, but keywords found in
+   * the snippet of another one get no own snippet.
+   */
+  makeSearchSummary: (text, keywords) => {
+    if (text === "") return null;
 
+    const textLower = text.toLowerCase();
+    // the snippets are shorter, if there are several
+    const shortLength = 160;
+    const longLength = 240;
+    const snippetAt = (position, length) => {
+      const start = Math.max(position - length / 2, 0);
+      return [start, start + length];
+    };
+    // the first position of every keyword, unless it's in the snippet of
+    // another keyword
+    const positions = [];
+    [...keywords].forEach((keyword) => {
+      const position = textLower.indexOf(keyword.toLowerCase());
+      if (position < 0) return;
+      const inSnippet = positions.some((other) => {
+        const [start, end] = snippetAt(other, shortLength);
+        return position >= start && position < end;
+      });
+      if (!inSnippet) positions.push(position);
+    });
+    positions.splice(3);
+    const length = positions.length > 1 ? shortLength : longLength;
+    const snippets = positions.map((position) => snippetAt(position, length));
+    // no keyword found, show the beginning of the page
+    if (!snippets.length) snippets.push([0, length]);
+    snippets.sort((a, b) => a[0] - b[0]);
+
+    const summary = document.createElement("div");
+    summary.classList.add("search-snippets");
+    snippets.forEach(([start, end], i) => {
+      // don't repeat the end of the previous snippet
+      if (i > 0) start = Math.max(start, snippets[i - 1][1]);
+      const top = start === 0 ? "" : "...";
+      const tail = end < text.length ? "..." : "";
+      const snippet = summary.appendChild(document.createElement("p"));
+      snippet.classList.add("context");
+      snippet.textContent = top + text.substring(start, end).trim() + tail;
+    });
     return summary;
   },
 };
@@ -0,0 +1,95 @@
+/*
+ * translations/de.js
+ * ~~~~~~~~~~~~~~~~~~
+ *
+ * German catalog of the strings of the search, the highlighting and the
+ * other additions to the DustPy documentation, loaded by doctools.js for
+ * the language "de". Plural forms are lists indexed by ``plural_expr``.
+ *
+ */
+Documentation.addTranslations({
+  locale: "de",
+  plural_expr: "(n != 1)",
+  messages: {
+    // doctools.js
+    "Keyboard shortcuts": "Tastenkürzel",
+    "Go to the previous page": "Zur vorherigen Seite",
+    "Go to the next page": "Zur nächsten Seite",
+    "Focus the search box": "Suchfeld auswählen",
+    "Show or hide the keyboard shortcuts": "Tastenkürzel ein- oder ausblenden",
+    // sphinx_highlight.js
+    "Hide Search Matches": "Suchtreffer ausblenden",
+    "Search matches": "Suchtreffer",
+    "Previous match": "Vorheriger Treffer",
+    "Next match": "Nächster Treffer",
+    "%(term)s (%(count)s)": "%(term)s (%(count)s)",
+    "Show or hide the match of this term": [
+      "Den Treffer dieses Begriffs ein- oder ausblenden",
+      "Die %(count)s Treffer dieses Begriffs ein- oder ausblenden",
+    ],
+    "%(current)s / %(count)s": "%(current)s / %(count)s",
+    "Go to the next search match": "Zum nächsten Suchtreffer",
+    "Go to the previous search match": "Zum vorherigen Suchtreffer",
+    "Hide the search matches": "Suchtreffer ausblenden",
+    // searchtools.js
+    "Show one more": ["Einen weiteren anzeigen", "%(count)s weitere anzeigen"],
+    "Search Results": "Suchergebnisse",
+    "Your search did not match any documents. Please make sure that all words are spelled correctly and that you've selected enough categories.":
+      "Es wurden keine zutreffenden Dokumente gefunden. Haben Sie alle Suchbegriffe richtig geschrieben und genügend Kategorien ausgewählt?",
+    "Search finished, found one page matching the search query.": [
+      "Suche abgeschlossen, eine Seite entspricht der Suchanfrage.",
+      "Suche abgeschlossen, %(count)s Seiten entsprechen der Suchanfrage.",
+    ],
+    "Select the next or previous search result": "Nächstes oder vorheriges Suchergebnis auswählen",
+    "Open the selected search result": "Ausgewähltes Suchergebnis öffnen",
+    "Open the selected search result in a new tab": "Ausgewähltes Suchergebnis in einem neuen Tab öffnen",
+    "Go back to the search box": "Zurück zum Suchfeld",
+    "Searching": "Suche läuft",
+    "Preparing search...": "Suche wird vorbereitet...",
+    "The search index could not be loaded.": "Der Suchindex konnte nicht geladen werden.",
+    "computes %(field)s": "berechnet %(field)s",
+    "about %(field)s": "über %(field)s",
+    "sets %(field)s": "setzt %(field)s",
+    "plots %(field)s": "zeichnet %(field)s",
+    "Unknown search qualifier, ignored: %(qualifier)s":
+      "Unbekannte Einschränkung der Suche ignoriert: %(qualifier)s",
+    "Unknown value of a search qualifier, ignored: %(qualifier)s":
+      "Unbekannter Wert einer Einschränkung der Suche ignoriert: %(qualifier)s",
+    "API reference": "API-Referenz",
+    "Tutorials": "Tutorials",
+    "Examples": "Beispiele",
+    "Tests": "Tests",
+    "Other": "Sonstiges",
+    "show only the selected groups": "nur die ausgewählten Gruppen zeigen",
+    "rank the selected groups first": "die ausgewählten Gruppen zuerst zeigen",
+    "%(type)s, in %(title)s": "%(type)s, in %(title)s",
+    "Code cell %(number)s": "Code-Zelle %(number)s",
+    "Equation %(number)s": "Gleichung %(number)s",
+    "Did you mean %(query)s?": "Meinten Sie %(query)s?",
+    // search_dropdown.js and search_history.js
+    "Select a suggestion of the search box": "Vorschlag des Suchfelds auswählen",
+    "Open the selected suggestion in a new tab": "Ausgewählten Vorschlag in einem neuen Tab öffnen",
+    "API": "API",
+    "Sections": "Abschnitte",
+    'Search all pages for "%(query)s"': "Alle Seiten nach „%(query)s“ durchsuchen",
+    "Pinned searches": "Angeheftete Suchen",
+    "Recent searches": "Letzte Suchen",
+    "Clear history": "Verlauf löschen",
+    "Pin this search": "Diese Suche anheften",
+    "Unpin this search": "Diese Suche nicht mehr anheften",
+    // version_switcher.js
+    "Versions": "Versionen",
+    "v: %(version)s": "v: %(version)s",
+    "Old version": "Alte Version",
+    "This is the documentation of the old version %(version)s of DustPy.":
+      "Dies ist die Dokumentation der alten Version %(version)s von DustPy.",
+    "Read it for the latest version %(version)s.":
+      "Zur Dokumentation der neuesten Version %(version)s.",
+    "Version": "Version",
+    // offline.js
+    "Make this documentation available offline": "Diese Dokumentation offline verfügbar machen",
+    "Saving the documentation…": "Dokumentation wird gespeichert…",
+    "Available offline": "Offline verfügbar",
+    "The documentation could not be saved.": "Die Dokumentation konnte nicht gespeichert werden.",
+  },
+});
@@ -0,0 +1,226 @@
+/*
+ * version_switcher.js
+ * ~~~~~~~~~~~~~~~~~~~
+ *
+ * Switcher between the versions of the documentation in the rst-versions
+ * panel of the theme. Switching keeps the page and its anchor, or leads to
+ * the index of the other version if it doesn't have the page. Pages of old
+ * versions get a banner linking to the latest version, and the search page
+ * can search the index of another version.
+ *
+ * versions.json has the URL of the site as ``root`` and lists the versions
+ * as ``versions: [{version, path, latest}]``, ``path`` is the directory of
+ * the version relative to the root, e.g. "" for the latest version and
+ * "v1.0.4/" for an older one. Every build has a copy of versions.json, the
+ * copies of old versions are outdated, so the one of the site is used if
+ * it lists the build.
+ *
+ */
+"use strict";
+
+const VersionSwitcher = {
+  FILE: "versions.json",
+
+  // the entries of versions.json with the absolute ``url`` of every version
+  versions: [],
+  // the entry of the version of this page
+  current: null,
+  _loaded: null,
+
+  init: () => {
+    VersionSwitcher.load().then(() => {
+      if (!VersionSwitcher.versions.length) return;
+      VersionSwitcher.showPanel();
+      VersionSwitcher.showBanner();
+    });
+  },
+
+  /**
+   * load versions.json once, the returned promise resolves when the versions
+   * are known
+   */
+  load: () => {
+    if (VersionSwitcher._loaded !== null) return VersionSwitcher._loaded;
+    const buildRoot = new URL(
+      document.documentElement.dataset.content_root,
+      window.location.href
+    );
+    const fetchVersions = (root) =>
+      fetch(new URL(VersionSwitcher.FILE, root)).then((response) => {
+        if (!response.ok) throw new Error(`${response.url}: ${response.status}`);
+        return response.json();
+      });
+    const urlsOf = (list) =>
+      list.versions.map((entry) => new URL(entry.path, new URL(list.root, buildRoot)).href);
+    const setVersions = (list) => {
+      const urls = urlsOf(list);
+      VersionSwitcher.versions = list.versions.map((entry, i) => ({
+        ...entry,
+        url: urls[i],
+      }));
+      VersionSwitcher.current =
+        VersionSwitcher.find(DOCUMENTATION_OPTIONS.VERSION) ||
+        VersionSwitcher.versions.find((entry) => entry.url === buildRoot.href) ||
+        null;
+    };
+
+    VersionSwitcher._loaded = fetchVersions(buildRoot)
+      .then((list) => {
+        const siteRoot = new URL(list.root, buildRoot);
+        if (siteRoot.href === buildRoot.href) return setVersions(list);
+        // an old version, or a copy of the docs somewhere else, which only
+        // has its own copy of versions.json
+        const ownList = { ...list, root: buildRoot.href };
+        return fetchVersions(siteRoot)
+          .then((siteList) =>
+            urlsOf(siteList).includes(buildRoot.href) ? siteList : ownList
+          )
+          .catch(() => ownList)
+          .then(setVersions);
+      })
+      // no versions.json, e.g. for pages opened from the file system
+      .catch(() => {});
+    return VersionSwitcher._loaded;
+  },
+
+  /**
+   * the entry of a version, or null if it is not listed
+   */
+  find: (version) =>
+    VersionSwitcher.versions.find((entry) => entry.version === version) || null,
+
+  latest: () =>
+    VersionSwitcher.versions.find((entry) => entry.latest) ||
+    VersionSwitcher.versions[0],
+
+  /**
+   * the URL of this page with its query and anchor in another version
+   */
+  pageUrl: (entry) => {
+    const buildRoot = new URL(
+      document.documentElement.dataset.content_root,
+      window.location.href
+    ).href;
+    const page = window.location.href.split(/[?#]/)[0].substring(buildRoot.length);
+    return entry.url + page + window.location.search + window.location.hash;
+  },
+
+  /**
+   * go to this page in another version, or to its index if the version
+   * doesn't have the page
+   */
+  switchTo: (entry) => {
+    const url = VersionSwitcher.pageUrl(entry);
+    fetch(url.split(/[?#]/)[0], { method: "HEAD" })
+      .then((response) => (response.ok ? url : entry.url))
+      .catch(() => entry.url)
+      .then((target) => (window.location.href = target));
+  },
+
+  _makeLink: (entry, text) => {
+    const link = document.createElement("a");
+    link.href = entry.url;
+    link.textContent = text;
+    link.addEventListener("click", (event) => {
+      // keep opening the index in a new tab
+      if (event.ctrlKey || event.metaKey || event.shiftKey) return;
+      event.preventDefault();
+      VersionSwitcher.switchTo(entry);
+    });
+    return link;
+  },
+
+  /**
+   * add the rst-versions panel of the theme, theme.js opens it on a click
+   * on the current version
+   */
+  showPanel: () => {
+    const panel = document.createElement("div");
+    panel.classList.add("rst-versions");
+    panel.dataset.toggle = "rst-versions";
+    panel.setAttribute("role", "note");
+    panel.setAttribute("aria-label", _("Versions"));
+
+    const currentVersion = panel.appendChild(document.createElement("span"));
+    currentVersion.classList.add("rst-current-version");
+    currentVersion.dataset.toggle = "rst-current-version";
+    currentVersion.appendChild(document.createElement("span")).classList.add("fa", "fa-book");
+    currentVersion.append(
+      " " +
+        Documentation.interpolate(_("v: %(version)s"), {
+          version: VersionSwitcher.current ? VersionSwitcher.current.version : "?",
+        }) +
+        " "
+    );
+    currentVersion.appendChild(document.createElement("span")).classList.add("fa", "fa-caret-down");
+
+    const list = panel
+      .appendChild(document.createElement("div"))
+      .appendChild(document.createElement("dl"));
+    list.parentElement.classList.add("rst-other-versions");
+    list.appendChild(document.createElement("dt")).textContent = _("Versions");
+    VersionSwitcher.versions.forEach((entry) => {
+      const item = list.appendChild(document.createElement("dd"));
+      const link = VersionSwitcher._makeLink(entry, entry.version);
+      if (entry === VersionSwitcher.current)
+        item.appendChild(document.createElement("strong")).appendChild(link);
+      else item.appendChild(link);
+    });
+    document.body.appendChild(panel);
+  },
+
+  /**
+   * show a banner above the content of pages of old versions
+   */
+  showBanner: () => {
+    const current = VersionSwitcher.current;
+    const latest = VersionSwitcher.latest();
+    const main = document.querySelector('[role="main"]');
+    if (current === null || current === latest || main === null) return;
+
+    const banner = document.createElement("div");
+    banner.classList.add("admonition", "warning", "version-banner");
+    const title = banner.appendChild(document.createElement("p"));
+    title.classList.add("admonition-title");
+    title.textContent = _("Old version");
+    const text = banner.appendChild(document.createElement("p"));
+    text.textContent =
+      Documentation.interpolate(
+        _("This is the documentation of the old version %(version)s of DustPy."),
+        { version: current.version }
+      ) + " ";
+    text.appendChild(
+      VersionSwitcher._makeLink(
+        latest,
+        Documentation.interpolate(_("Read it for the latest version %(version)s."), {
+          version: latest.version,
+        })
+      )
+    );
+    main.prepend(banner);
+  },
+
+  /**
+   * add a select of the version to search to the facets of the search page,
+   * it is submitted as the parameter "version"
+   */
+  addSearchSelect: (form) =>
+    VersionSwitcher.load().then(() => {
+      if (VersionSwitcher.versions.length < 2) return;
+      const selected =
+        new URLSearchParams(window.location.search).get("version") ||
+        (VersionSwitcher.current && VersionSwitcher.current.version);
+      const label = form.appendChild(document.createElement("label"));
+      label.append(_("Version") + " ");
+      const select = label.appendChild(document.createElement("select"));
+      select.name = "version";
+      VersionSwitcher.versions.forEach((entry) => {
+        const option = select.appendChild(document.createElement("option"));
+        option.value = entry.version;
+        option.textContent = entry.version;
+        option.selected = entry.version === selected;
+      });
+    }),
+};
+
+_ready(VersionSwitcher.init);
@@ -0,0 +1 @@
+var offlineManifest = {"version":"843888bf04e4d12c","files":["1_basics.html","2_simple_customization.html","3_advanced_customization.html","4_standard_model.html","5_dust_coagulation.html","6_dust_evolution.html","7_gas_evolution.html","A_citation.html","B_publications.html","C_contrib_bug_feature.html","D_discussions.html","E_changelog.html","_images/1_basics_22_0.png","_images/1_basics_24_0.png","_images/1_basics_27_0.png","_images/2_simple_customization_34_0.png","_images/3_advanced_customization_104_0.png","_images/3_advanced_customization_107_0.png","_images/3_advanced_customization_28_0.png","_images/3_advanced_customization_37_0.png","_images/3_advanced_customization_50_0.png","_images/6_dust_evolution_9_0.png","_images/7_gas_evolution_5_0.png","_images/example_ice_lines_14_0.png","_images/example_ice_lines_19_0.png","_images/example_ice_lines_6_0.png","_images/example_planetary_gaps_25_0.png","_images/example_planetary_gaps_49_0.png","_images/example_planetary_gaps_52_0.png","_images/example_planetary_gaps_8_0.png","_images/example_planetesimal_formation_43_0.png","_images/example_planetesimal_formation_48_0.png","_images/test_analytical_coagulation_kernels_29_0.png","_images/test_analytical_coagulation_kernels_40_0.png","_images/test_analytical_coagulation_kernels_53_0.png","_images/test_analytical_coagulation_kernels_64_0.png","_images/test_gas_evolution_22_0.png","_images/test_gas_evolution_33_0.png","_images/test_gas_evolution_43_0.png","_images/test_gas_evolution_54_0.png","_images/test_gas_evolution_8_0.png","_modules/dustpy/plot/plot.html","_modules/dustpy/simulation.html","_modules/dustpy/std/dust.html","_modules/dustpy/std/gas.html","_modules/dustpy/std/grid.html","_modules/dustpy/std/sim.html","_modules/dustpy/std/star.html","_modules/dustpy/utils/boundary.html","_modules/dustpy/utils/version.html","_modules/index.html","_static/_sphinx_javascript_frameworks_compat.js","_static/basic.css","_static/css/badge_only.css","_static/css/fonts/Roboto-Slab-Bold.woff","_static/css/fonts/Roboto-Slab-Bold.woff2","_static/css/fonts/Roboto-Slab-Regular.woff","_static/css/fonts/Roboto-Slab-Regular.woff2","_static/css/fonts/fontawesome-webfont.eot","_static/css/fonts/fontawesome-webfont.svg","_static/css/fonts/fontawesome-webfont.ttf","_static/css/fonts/fontawesome-webfont.woff","_static/css/fonts/fontawesome-webfont.woff2","_static/css/fonts/lato-bold-italic.woff","_static/css/fonts/lato-bold-italic.woff2","_static/css/fonts/lato-bold.woff","_static/css/fonts/lato-bold.woff2","_static/css/fonts/lato-normal-italic.woff","_static/css/fonts/lato-normal-italic.woff2","_static/css/fonts/lato-normal.woff","_static/css/fonts/lato-normal.woff2","_static/css/theme.css","_static/custom.css","_static/doctools.js","_static/documentation_options.js","_static/file.png","_static/graphviz.css","_static/jquery.js","_static/js/badge_only.js","_static/js/html5shiv-printshiv.min.js","_static/js/html5shiv.min.js","_static/js/theme.js","_static/language_data.js","_static/logo.png","_static/minus.png","_static/nbsphinx-broken-thumbnail.svg","_static/nbsphinx-code-cells.css","_static/nbsphinx-gallery.css","_static/nbsphinx-no-thumbnail.svg","_static/offline.js","_static/plus.png","_static/pygments.css","_static/search_dropdown.js","_static/search_history.js","_static/search_synonyms.js","_static/search_worker.js","_static/searchtools.js","_static/sphinx_highlight.js","_static/translations/de.js","_static/version_switcher.js","api.html","api/dustpy.Simulation.html","api/dustpy.plot.ipanel.html","api/dustpy.plot.panel.html","api/dustpy.std.dust.D.html","api/dustpy.std.dust.F_adv.html","api/dustpy.std.dust.F_diff.html","api/dustpy.std.dust.F_tot.html","api/dustpy.std.dust.H.html","api/dustpy.std.dust.MRN_distribution.html","api/dustpy.std.dust.S_coag.html","api/dustpy.std.dust.S_hyd.html","api/dustpy.std.dust.S_tot.html","api/dustpy.std.dust.SigmaFloor.html","api/dustpy.std.dust.Sigma_deriv.html","api/dustpy.std.dust.St_Epstein_StokesI.html","api/dustpy.std.dust.a.html","api/dustpy.std.dust.boundary.html","api/dustpy.std.dust.coagulation_parameters.html","api/dustpy.std.dust.dt.html","api/dustpy.std.dust.dt_adaptive.html","api/dustpy.std.dust.enforce_floor_value.html","api/dustpy.std.dust.eps.html","api/dustpy.std.dust.finalize_explicit.html","api/dustpy.std.dust.finalize_implicit.html","api/dustpy.std.dust.impl_1_direct.html","api/dustpy.std.dust.jacobian.html","api/dustpy.std.dust.kernel.html","api/dustpy.std.dust.p_frag.html","api/dustpy.std.dust.p_stick.html","api/dustpy.std.dust.prepare.html","api/dustpy.std.dust.rho_midplane.html","api/dustpy.std.dust.set_implicit_boundaries.html","api/dustpy.std.dust.vdriftmax.html","api/dustpy.std.dust.vrad.html","api/dustpy.std.dust.vrel_azimuthal_drift.html","api/dustpy.std.dust.vrel_brownian_motion.html","api/dustpy.std.dust.vrel_radial_drift.html","api/dustpy.std.dust.vrel_tot.html","api/dustpy.std.dust.vrel_turbulent_motion.html","api/dustpy.std.dust.vrel_vertical_settling.html","api/dustpy.std.gas.Fi.html","api/dustpy.std.gas.Hp.html","api/dustpy.std.gas.P_midplane.html","api/dustpy.std.gas.S_hyd.html","api/dustpy.std.gas.S_tot.html","api/dustpy.std.gas.T_passive.html","api/dustpy.std.gas.boundary.html","api/dustpy.std.gas.cs_adiabatic.html","api/dustpy.std.gas.dt.html","api/dustpy.std.gas.enforce_floor_value.html","api/dustpy.std.gas.eta_midplane.html","api/dustpy.std.gas.finalize.html","api/dustpy.std.gas.impl_1_direct.html","api/dustpy.std.gas.jacobian.html","api/dustpy.std.gas.lyndenbellpringle1974.html","api/dustpy.std.gas.mfp_midplane.html","api/dustpy.std.gas.n_midplane.html","api/dustpy.std.gas.nu.html","api/dustpy.std.gas.prepare.html","api/dustpy.std.gas.rho_midplane.html","api/dustpy.std.gas.set_implicit_boundaries.html","api/dustpy.std.gas.vrad.html","api/dustpy.std.gas.vvisc.html","api/dustpy.std.grid.OmegaK.html","api/dustpy.std.sim.dt.html","api/dustpy.std.sim.dt_adaptive.html","api/dustpy.std.sim.finalize_explicit_dust.html","api/dustpy.std.sim.finalize_implicit_dust.html","api/dustpy.std.sim.prepare_explicit_dust.html","api/dustpy.std.sim.prepare_implicit_dust.html","api/dustpy.std.star.luminosity.html","api/dustpy.utils.Boundary.html","api/dustpy.utils.print_version_warning.html","dustpylib.html","example_ice_lines.html","example_planetary_gaps.html","example_planetesimal_formation.html","genindex.html","index.html","py-modindex.html","search.html","searchindex.js","test_analytical_coagulation_kernels.html","test_gas_evolution.html"],"external":["https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-chtml.js","https://cdnjs.cloudflare.com/ajax/libs/require.js/2.3.4/require.min.js"]};
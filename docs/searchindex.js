@@ -1 +1 @@
-Search.setIndex({"docnames": ["1_basics", "2_simple_customization", "3_advanced_customization", "4_standard_model", "5_dust_coagulation", "6_dust_evolution", "7_gas_evolution", "A_citation", "B_publications", "C_contrib_bug_feature", "D_discussions", "E_changelog", "api", "api/dustpy.Simulation", "api/dustpy.plot.ipanel", "api/dustpy.plot.panel", "api/dustpy.std.dust.D", "api/dustpy.std.dust.F_adv", "api/dustpy.std.dust.F_diff", "api/dustpy.std.dust.F_tot", "api/dustpy.std.dust.H", "api/dustpy.std.dust.MRN_distribution", "api/dustpy.std.dust.S_coag", "api/dustpy.std.dust.S_hyd", "api/dustpy.std.dust.S_tot", "api/dustpy.std.dust.SigmaFloor", "api/dustpy.std.dust.Sigma_deriv", "api/dustpy.std.dust.St_Epstein_StokesI", "api/dustpy.std.dust.a", "api/dustpy.std.dust.boundary", "api/dustpy.std.dust.coagulation_parameters", "api/dustpy.std.dust.dt", "api/dustpy.std.dust.dt_adaptive", "api/dustpy.std.dust.enforce_floor_value", "api/dustpy.std.dust.eps", "api/dustpy.std.dust.finalize_explicit", "api/dustpy.std.dust.finalize_implicit", "api/dustpy.std.dust.impl_1_direct", "api/dustpy.std.dust.jacobian", "api/dustpy.std.dust.kernel", "api/dustpy.std.dust.p_frag", "api/dustpy.std.dust.p_stick", "api/dustpy.std.dust.prepare", "api/dustpy.std.dust.rho_midplane", "api/dustpy.std.dust.set_implicit_boundaries", "api/dustpy.std.dust.vdriftmax", "api/dustpy.std.dust.vrad", "api/dustpy.std.dust.vrel_azimuthal_drift", "api/dustpy.std.dust.vrel_brownian_motion", "api/dustpy.std.dust.vrel_radial_drift", "api/dustpy.std.dust.vrel_tot", "api/dustpy.std.dust.vrel_turbulent_motion", "api/dustpy.std.dust.vrel_vertical_settling", "api/dustpy.std.gas.Fi", "api/dustpy.std.gas.Hp", "api/dustpy.std.gas.P_midplane", "api/dustpy.std.gas.S_hyd", "api/dustpy.std.gas.S_tot", "api/dustpy.std.gas.T_passive", "api/dustpy.std.gas.boundary", "api/dustpy.std.gas.cs_adiabatic", "api/dustpy.std.gas.dt", "api/dustpy.std.gas.enforce_floor_value", "api/dustpy.std.gas.eta_midplane", "api/dustpy.std.gas.finalize", "api/dustpy.std.gas.impl_1_direct", "api/dustpy.std.gas.jacobian", "api/dustpy.std.gas.lyndenbellpringle1974", "api/dustpy.std.gas.mfp_midplane", "api/dustpy.std.gas.n_midplane", "api/dustpy.std.gas.nu", "api/dustpy.std.gas.prepare", "api/dustpy.std.gas.rho_midplane", "api/dustpy.std.gas.set_implicit_boundaries", "api/dustpy.std.gas.vrad", "api/dustpy.std.gas.vvisc", "api/dustpy.std.grid.OmegaK", "api/dustpy.std.sim.dt", "api/dustpy.std.sim.dt_adaptive", "api/dustpy.std.sim.finalize_explicit_dust", "api/dustpy.std.sim.finalize_implicit_dust", "api/dustpy.std.sim.prepare_explicit_dust", "api/dustpy.std.sim.prepare_implicit_dust", "api/dustpy.std.star.luminosity", "api/dustpy.utils.Boundary", "api/dustpy.utils.print_version_warning", "dustpylib", "example_ice_lines", "example_planetary_gaps", "example_planetesimal_formation", "index", "test_analytical_coagulation_kernels", "test_gas_evolution"], "filenames": ["1_basics.ipynb", "2_simple_customization.ipynb", "3_advanced_customization.ipynb", "4_standard_model.ipynb", "5_dust_coagulation.ipynb", "6_dust_evolution.ipynb", "7_gas_evolution.ipynb", "A_citation.ipynb", "B_publications.ipynb", "C_contrib_bug_feature.ipynb", "D_discussions.ipynb", "E_changelog.ipynb", "api.rst", "api/dustpy.Simulation.rst", "api/dustpy.plot.ipanel.rst", "api/dustpy.plot.panel.rst", "api/dustpy.std.dust.D.rst", "api/dustpy.std.dust.F_adv.rst", "api/dustpy.std.dust.F_diff.rst", "api/dustpy.std.dust.F_tot.rst", "api/dustpy.std.dust.H.rst", "api/dustpy.std.dust.MRN_distribution.rst", "api/dustpy.std.dust.S_coag.rst", "api/dustpy.std.dust.S_hyd.rst", "api/dustpy.std.dust.S_tot.rst", "api/dustpy.std.dust.SigmaFloor.rst", "api/dustpy.std.dust.Sigma_deriv.rst", "api/dustpy.std.dust.St_Epstein_StokesI.rst", "api/dustpy.std.dust.a.rst", "api/dustpy.std.dust.boundary.rst", "api/dustpy.std.dust.coagulation_parameters.rst", "api/dustpy.std.dust.dt.rst", "api/dustpy.std.dust.dt_adaptive.rst", "api/dustpy.std.dust.enforce_floor_value.rst", "api/dustpy.std.dust.eps.rst", "api/dustpy.std.dust.finalize_explicit.rst", "api/dustpy.std.dust.finalize_implicit.rst", "api/dustpy.std.dust.impl_1_direct.rst", "api/dustpy.std.dust.jacobian.rst", "api/dustpy.std.dust.kernel.rst", "api/dustpy.std.dust.p_frag.rst", "api/dustpy.std.dust.p_stick.rst", "api/dustpy.std.dust.prepare.rst", "api/dustpy.std.dust.rho_midplane.rst", "api/dustpy.std.dust.set_implicit_boundaries.rst", "api/dustpy.std.dust.vdriftmax.rst", "api/dustpy.std.dust.vrad.rst", "api/dustpy.std.dust.vrel_azimuthal_drift.rst", "api/dustpy.std.dust.vrel_brownian_motion.rst", "api/dustpy.std.dust.vrel_radial_drift.rst", "api/dustpy.std.dust.vrel_tot.rst", "api/dustpy.std.dust.vrel_turbulent_motion.rst", "api/dustpy.std.dust.vrel_vertical_settling.rst", "api/dustpy.std.gas.Fi.rst", "api/dustpy.std.gas.Hp.rst", "api/dustpy.std.gas.P_midplane.rst", "api/dustpy.std.gas.S_hyd.rst", "api/dustpy.std.gas.S_tot.rst", "api/dustpy.std.gas.T_passive.rst", "api/dustpy.std.gas.boundary.rst", "api/dustpy.std.gas.cs_adiabatic.rst", "api/dustpy.std.gas.dt.rst", "api/dustpy.std.gas.enforce_floor_value.rst", "api/dustpy.std.gas.eta_midplane.rst", "api/dustpy.std.gas.finalize.rst", "api/dustpy.std.gas.impl_1_direct.rst", "api/dustpy.std.gas.jacobian.rst", "api/dustpy.std.gas.lyndenbellpringle1974.rst", "api/dustpy.std.gas.mfp_midplane.rst", "api/dustpy.std.gas.n_midplane.rst", "api/dustpy.std.gas.nu.rst", "api/dustpy.std.gas.prepare.rst", "api/dustpy.std.gas.rho_midplane.rst", "api/dustpy.std.gas.set_implicit_boundaries.rst", "api/dustpy.std.gas.vrad.rst", "api/dustpy.std.gas.vvisc.rst", "api/dustpy.std.grid.OmegaK.rst", "api/dustpy.std.sim.dt.rst", "api/dustpy.std.sim.dt_adaptive.rst", "api/dustpy.std.sim.finalize_explicit_dust.rst", "api/dustpy.std.sim.finalize_implicit_dust.rst", "api/dustpy.std.sim.prepare_explicit_dust.rst", "api/dustpy.std.sim.prepare_implicit_dust.rst", "api/dustpy.std.star.luminosity.rst", "api/dustpy.utils.Boundary.rst", "api/dustpy.utils.print_version_warning.rst", "dustpylib.ipynb", "example_ice_lines.ipynb", "example_planetary_gaps.ipynb", "example_planetesimal_formation.ipynb", "index.rst", "test_analytical_coagulation_kernels.ipynb", "test_gas_evolution.ipynb"], "titles": ["1. Basic usage", "2. Simple Customization", "3. Advanced Customization", "4. The Standard Model", "5. Dust Coagulation", "6. Dust Evolution", "7. Gas Evolution", "Appendix A: Citation", "Appendix B: List of Publications", "Appendix C: Contributing/Bugs/Features", "Appendix D: DustPy Discussions", "Appendix E: Changelog", "Module Reference", "Simulation", "ipanel", "panel", "D", "F_adv", "F_diff", "F_tot", "H", "MRN_distribution", "S_coag", "S_hyd", "S_tot", "SigmaFloor", "Sigma_deriv", "St_Epstein_StokesI", "a", "boundary", "coagulation_parameters", "dt", "dt_adaptive", "enforce_floor_value", "eps", "finalize_explicit", "finalize_implicit", "impl_1_direct", "jacobian", "kernel", "p_frag", "p_stick", "prepare", "rho_midplane", "set_implicit_boundaries", "vdriftmax", "vrad", "vrel_azimuthal_drift", "vrel_brownian_motion", "vrel_radial_drift", "vrel_tot", "vrel_turbulent_motion", "vrel_vertical_settling", "Fi", "Hp", "P_midplane", "S_hyd", "S_tot", "T_passive", "boundary", "cs_adiabatic", "dt", "enforce_floor_value", "eta_midplane", "finalize", "impl_1_direct", "jacobian", "lyndenbellpringle1974", "mfp_midplane", "n_midplane", "nu", "prepare", "rho_midplane", "set_implicit_boundaries", "vrad", "vvisc", "OmegaK", "dt", "dt_adaptive", "finalize_explicit_dust", "finalize_implicit_dust", "prepare_explicit_dust", "prepare_implicit_dust", "luminosity", "Boundary", "print_version_warning", "Library: dustpylib", "Example: Ice Lines", "Example: Planetary Gaps", "Example: Planetesimal Formation", "<code class=\"docutils literal notranslate\"><span class=\"pre\">DustPy</span></code> Documentation", "Test: Analytical Coagulation Kernels", "Test: Gas Evolution"], "terms": {"dustpi": [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 11, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 91], "i": [0, 1, 2, 3, 4, 5, 6, 8, 9, 11, 12, 13, 14, 15, 17, 21, 25, 27, 30, 37, 38, 41, 48, 65, 66, 78, 79, 80, 81, 82, 85, 86, 87, 88, 89, 90, 91, 92], "us": [0, 1, 2, 3, 4, 5, 6, 7, 8, 12, 13, 17, 19, 22, 23, 24, 27, 51, 66, 78, 87, 88, 89, 91, 92], "simfram": [0, 2, 3, 5, 6, 12, 13, 89, 90], "framework": [0, 90], "scientif": [0, 12, 90], "For": [0, 2, 3, 4, 5, 10, 11, 13, 30, 60, 86, 88, 90, 91], "detail": [0, 1, 2, 3, 4, 5, 13, 30, 66, 86, 89, 90, 91], "descript": [0, 2, 4, 13, 37, 65, 88, 89], "pleas": [0, 1, 2, 3, 4, 5, 7, 8, 9, 10, 11, 13, 86, 87, 88, 89, 90, 91, 92], "have": [0, 1, 2, 3, 4, 5, 6, 9, 10, 11, 13, 86, 87, 88, 89, 90, 91, 92], "look": [0, 1, 2, 3, 4, 5, 9, 10, 11, 13, 14, 15, 86, 89, 90, 92], "document": [0, 1, 2, 9, 11, 13, 66, 84, 86, 87, 88, 89, 91, 92], "thi": [0, 1, 2, 3, 4, 5, 6, 8, 11, 13, 21, 30, 79, 80, 81, 82, 85, 87, 88, 89, 90, 91, 92], "notebook": [0, 4, 91], "demonstr": [0, 2, 87, 88, 89, 91], "how": [0, 1, 2, 8, 9, 88, 89], "most": [0, 4, 5, 11, 91, 92], "simpl": [0, 3, 12, 13, 14, 15, 30, 90, 91], "model": [0, 1, 4, 5, 6, 8, 10, 11, 30, 87, 88, 89, 90, 91, 92], "e": [0, 2, 3, 4, 6, 8, 88, 89, 90, 91, 92], "default": [0, 1, 2, 3, 4, 5, 6, 13, 14, 15, 17, 19, 22, 23, 24, 38, 78, 84, 85, 87, 89, 91, 92], "resum": 0, "from": [0, 1, 2, 3, 4, 5, 6, 8, 10, 11, 13, 21, 28, 30, 31, 53, 61, 67, 87, 88, 89, 91, 92], "To": [0, 2, 3, 4, 5, 6, 9, 88, 89, 91, 92], "set": [0, 1, 2, 3, 4, 5, 6, 10, 11, 12, 13, 16, 29, 45, 48, 59, 60, 84, 88, 89, 90, 91], "up": [0, 1, 4, 6, 8, 10, 12, 13, 21, 88, 90, 91], "we": [0, 1, 2, 3, 4, 5, 6, 87, 88, 89, 91, 92], "import": [0, 1, 2, 3, 4, 5, 6, 87, 88, 89, 91, 92], "class": [0, 8, 13, 37, 65, 84], "packag": [0, 7, 90], "can": [0, 1, 2, 3, 4, 5, 6, 8, 11, 12, 86, 87, 88, 89, 90, 91, 92], "now": [0, 1, 2, 11, 87, 88, 89, 91, 92], "creat": [0, 1, 2, 5, 6, 13, 87, 88, 89, 91, 92], "an": [0, 1, 2, 3, 4, 5, 6, 8, 9, 11, 25, 85, 88, 89, 91, 92], "instanc": [0, 3, 5, 13, 14, 15], "2": [0, 2, 3, 4, 5, 6, 8, 30, 87, 88, 89, 90, 91, 92], "sim": [0, 1, 2, 3, 4, 5, 6, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 66, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 87, 88, 89, 90, 91, 92], "At": [0, 3, 87], "stage": [0, 8, 66], "empti": [0, 2, 5, 88, 89, 91], "object": [0, 1, 2, 3, 12, 13, 14, 15, 21, 84, 89, 91], "control": [0, 2, 3, 4, 13, 37, 65], "our": [0, 1, 2, 4, 5, 6, 87, 88, 89, 92], "3": [0, 1, 3, 4, 5, 6, 87, 88, 89, 90, 91, 92], "dust": [0, 2, 6, 7, 8, 11, 13, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 84, 87, 88, 89, 90, 91], "group": [0, 2, 3, 4, 5, 88, 89], "quantiti": [0, 1, 2, 3, 4, 5, 6, 88, 89, 92], "ga": [0, 2, 5, 8, 21, 34, 45, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 84, 87, 88, 89, 90, 91], "grid": [0, 4, 5, 6, 13, 14, 15, 16, 17, 19, 53, 76, 87, 88, 90, 91, 92], "star": [0, 1, 2, 8, 67, 83, 87, 88, 89, 90, 92], "stellar": [0, 2, 3, 90], "t": [0, 1, 2, 4, 5, 6, 8, 11, 26, 58, 84, 87, 88, 89, 91, 92], "nonetyp": [0, 2], "integr": [0, 2, 4, 6, 13, 34, 35, 36, 37, 38, 39, 42, 44, 53, 64, 65, 66, 71, 73, 78, 79, 80, 81, 82, 89, 90, 91], "specifi": 0, "writer": [0, 1, 2, 13, 87, 88, 89, 90, 91], "all": [0, 1, 3, 4, 5, 11, 12, 13, 50, 87, 89, 91, 92], "field": [0, 3, 4, 5, 6, 13, 16, 17, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 34, 39, 40, 41, 42, 43, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 63, 66, 68, 69, 70, 71, 72, 74, 75, 76, 83, 87, 88, 89, 90, 91, 92], "ar": [0, 1, 2, 3, 4, 5, 6, 11, 12, 13, 14, 15, 21, 30, 45, 53, 66, 87, 88, 89, 91, 92], "none": [0, 2, 3, 5, 6, 13, 17, 18, 19, 22, 23, 24, 38, 84, 89, 91, 92], "attribut": [0, 1, 3, 13, 37, 65, 84], "easilii": 0, "address": 0, "via": [0, 2, 3, 66, 90], "g": [0, 1, 2, 3, 4, 5, 6, 11, 12, 87, 88, 89, 91, 92], "4": [0, 1, 2, 4, 5, 6, 8, 30, 87, 88, 89, 90, 91, 92], "boundari": [0, 1, 2, 4, 5, 6, 16, 44, 66, 73, 79, 80, 89, 91, 92], "condit": [0, 2, 3, 5, 6, 13, 29, 59, 79, 80, 84, 90, 91, 92], "": [0, 1, 2, 4, 5, 6, 8, 12, 84, 87, 88, 89, 91, 92], "sourc": [0, 2, 3, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 89, 90, 91], "term": [0, 3, 4, 5, 6, 22, 23, 24, 56, 57, 66, 77, 89], "v": [0, 2, 5, 8, 87, 91], "veloc": [0, 1, 2, 3, 4, 5, 6, 17, 45, 46, 47, 48, 49, 50, 51, 52, 74, 75, 87, 89], "alpha": [0, 1, 2, 5, 6, 88, 89, 91, 92], "c": [0, 1, 2, 8, 87, 88, 89, 90, 91, 92], "eta": [0, 2, 6, 63], "fi": [0, 2, 5, 17], "gamma": [0, 1, 2, 4, 60, 92], "hp": [0, 2, 88], "mfp": [0, 2, 68], "mu": [0, 1, 2], "n": [0, 1, 2, 4, 5, 6, 8, 21, 69, 88, 89, 91], "nu": [0, 2, 6, 88, 92], "p": [0, 2, 4, 5, 8, 41, 55, 67, 88, 91, 92], "rho": [0, 2, 5, 11, 43, 72, 89], "sigma": [0, 5, 6, 17, 18, 19, 21, 22, 23, 24, 26, 38, 67, 88, 89, 91, 92], "sigmafloor": [0, 91], "fill": [0, 1, 2, 5, 21, 28, 91], "valu": [0, 1, 2, 3, 4, 5, 6, 13, 25, 33, 42, 48, 62, 66, 71, 79, 80, 84, 87, 88, 89, 92], "5": [0, 1, 2, 3, 5, 6, 85, 87, 88, 89, 90, 91, 92], "As": [0, 2, 4, 88, 89, 91, 92], "you": [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 13, 91, 92], "see": [0, 1, 2, 3, 4, 5, 30, 66, 88, 89, 92], "ha": [0, 1, 2, 3, 4, 5, 6, 11, 30, 87, 88, 89, 90, 91, 92], "assign": [0, 2, 87, 88, 89], "its": [0, 6, 88, 90, 92], "cg": [0, 1, 2, 12], "6": [0, 1, 2, 3, 4, 6, 87, 88, 89, 90, 91, 92], "turbul": [0, 3, 8, 51, 88], "paramet": [0, 2, 3, 4, 5, 6, 8, 11, 13, 14, 15, 16, 17, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 61, 62, 63, 64, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 78, 80, 81, 82, 83, 84, 85, 88, 89, 90, 91, 92], "sound": [0, 3, 48, 60], "speed": [0, 3, 48, 60], "cm": [0, 2, 3, 5, 88, 89], "pressur": [0, 3, 8, 54, 55, 63, 88], "gradient": [0, 3, 5, 6, 63, 84, 92], "flux": [0, 3, 5, 6, 17, 18, 19, 44, 53, 73, 88, 92], "interfac": [0, 2, 3, 5, 6, 13, 17, 18, 19, 53, 86, 90], "adiabat": [0, 3, 60], "index": [0, 3, 4, 14, 15, 90], "scale": [0, 1, 3, 20, 54, 88, 89, 92], "height": [0, 3, 20, 54, 88], "midplan": [0, 3, 11, 43, 55, 63, 68, 69, 72, 89], "mean": [0, 1, 2, 3, 4, 25, 50, 68, 91, 92], "free": [0, 3, 68], "path": [0, 3, 14, 15, 68], "molecular": [0, 1, 3], "weight": [0, 1, 3], "miplan": [0, 3], "number": [0, 1, 2, 3, 4, 5, 7, 11, 14, 15, 27, 69, 89, 91], "densiti": [0, 1, 3, 4, 5, 6, 11, 14, 15, 17, 19, 21, 22, 23, 24, 25, 26, 28, 29, 33, 42, 43, 57, 62, 67, 69, 71, 72, 88, 89, 91, 92], "cm\u00b3": [0, 1, 3], "kinemat": [0, 3, 6, 70, 92], "viscos": [0, 1, 3, 6, 70, 89, 90, 92], "cm\u00b2": [0, 2, 3, 89, 92], "s\u00b2": [0, 3], "mass": [0, 1, 3, 4, 5, 8, 12, 13, 14, 15, 17, 19, 21, 30, 43, 53, 67, 72, 87, 88, 89, 91, 92], "surfac": [0, 1, 3, 5, 6, 11, 17, 19, 21, 22, 23, 24, 25, 26, 29, 33, 42, 57, 62, 67, 71, 87, 88, 89, 91, 92], "floor": [0, 3, 5, 6, 25, 33, 62, 79, 80, 92], "temperatur": [0, 1, 2, 3, 58, 87, 92], "k": [0, 1, 2, 3, 4, 6, 30, 39, 87, 88, 89, 91, 92], "also": [0, 2, 3, 4, 5, 9, 85, 87, 88, 91, 92], "displai": [0, 13], "full": [0, 1, 2, 4, 87, 88, 89, 91, 92], "tabl": [0, 13], "content": [0, 13], "7": [0, 1, 2, 3, 4, 5, 8, 87, 88, 89, 90, 91, 92], "toc": [0, 13, 88], "particl": [0, 1, 2, 3, 4, 5, 8, 21, 25, 28, 30, 47, 48, 49, 51, 52, 87, 88, 89, 91, 92], "size": [0, 1, 2, 3, 4, 8, 21, 28, 78, 87, 91], "backreact": [0, 2, 5, 6], "coeffici": [0, 3, 5, 6, 45], "A": [0, 1, 2, 4, 5, 6, 8, 11, 30, 88, 89, 90, 91, 92], "pull": [0, 3, 9], "factor": [0, 1, 3, 4, 11, 28, 89, 92], "b": [0, 2, 3, 4, 5, 6, 90, 91], "push": [0, 3], "inner": [0, 1, 2, 3, 5, 6, 8, 87, 92], "constant": [0, 1, 2, 3, 4, 5, 6, 58, 84, 87, 88, 89, 90, 92], "outer": [0, 1, 3, 5, 6, 8, 11, 89, 92], "coagul": [0, 1, 2, 8, 12, 13, 22, 30, 90], "fragment": [0, 1, 2, 3, 8, 30, 40, 41, 87, 88, 89, 90, 91, 92], "normal": [0, 4, 88], "ep": [0, 2, 4, 5, 7, 30], "remnant": [0, 4], "distribut": [0, 1, 3, 4, 8, 14, 15, 21, 25, 90, 91], "lf_ind": [0, 4], "largest": [0, 4, 5], "phi": [0, 3, 4, 30], "rm_ind": [0, 4], "smaller": [0, 1, 2, 4, 5], "stick": [0, 1, 2, 5, 30, 40, 41, 87, 88, 89, 90, 91, 92], "matrix": [0, 4, 5, 6, 30, 38, 66, 91], "stick_ind": [0, 4], "non": [0, 1, 2, 4, 5, 6, 30], "zero": [0, 2, 3, 4, 5, 6, 11, 16, 30, 89], "element": [0, 4, 5, 6, 30], "d": [0, 1, 2, 4, 5, 89, 90, 91], "diffus": [0, 3, 16, 18, 90, 91], "delta": [0, 2, 5, 6, 88, 91], "mix": [0, 3], "rad": [0, 2, 5, 6, 91], "radial": [0, 1, 3, 5, 6, 13, 14, 15, 16, 46, 49, 67, 74, 75, 88, 90, 91, 92], "turb": [0, 2, 5], "vert": [0, 2, 5], "vertic": [0, 3, 8, 34, 39, 52], "ratio": [0, 1, 2, 3, 4, 12, 21, 34, 88, 89], "adv": [0, 2, 5], "advect": [0, 3, 17, 90, 91], "diff": [0, 2, 5, 92], "tot": [0, 2, 5, 91, 92], "total": [0, 3, 4, 5, 19, 24, 50, 57, 89, 91], "h": [0, 2, 5, 88], "kernel": [0, 2, 4, 5, 90], "collis": [0, 1, 2, 3, 5, 8, 30, 39, 87, 88, 89, 90, 91, 92], "probabl": [0, 3, 5, 40, 41, 90], "frag": [0, 2, 4, 5, 87, 91], "per": [0, 1, 2, 3, 30, 89, 91], "bin": [0, 1, 2, 3, 4, 5, 14, 15, 30, 89, 91], "solid": [0, 3, 28, 91], "state": [0, 1, 3, 5, 88, 92], "coag": [0, 2, 4, 5, 92], "ext": [0, 2, 5, 6, 89, 92], "extern": [0, 3, 8, 89, 90], "hyd": [0, 2, 5, 92], "hydrodynam": [0, 3, 8, 23, 56, 88, 90], "st": [0, 2, 5, 14, 15, 27, 89], "stoke": [0, 1, 3, 11, 27], "driftmax": [0, 2, 5], "maximum": [0, 1, 2, 3, 4, 5, 13, 21, 30, 45, 48, 89, 91], "drift": [0, 1, 3, 5, 11, 21, 45, 47, 49, 87, 91], "rel": [0, 1, 2, 4, 5, 11, 13, 47, 48, 49, 50, 51, 52, 87, 88, 89, 91, 92], "azi": [0, 2, 5], "azimuth": [0, 3, 5, 47], "brown": [0, 2, 5, 8], "brownian": [0, 3, 48], "motion": [0, 3, 48, 51], "settl": [0, 3, 52, 89], "visc": [0, 2, 6], "viscou": [0, 3, 6, 75, 89, 90, 92], "accret": [0, 3, 5, 6, 8, 88, 92], "annulu": [0, 2, 3, 25], "area": [0, 2, 3], "m": [0, 1, 2, 4, 7, 8, 87, 88, 89, 91, 92], "nm": [0, 2, 5, 30, 91], "nr": [0, 1, 2, 5, 6, 17, 91], "cell": [0, 1, 2, 3, 4, 5, 6, 13, 16, 17, 18, 19, 53, 91], "omegak": [0, 2, 89], "keplerian": [0, 2, 3, 76], "frequenc": [0, 2, 3, 76], "r": [0, 1, 2, 4, 5, 6, 11, 67, 84, 87, 88, 89, 91, 92], "center": [0, 2, 3, 88, 89], "ri": [0, 2, 13, 84, 88, 89], "l": [0, 2, 8, 83, 88], "luminos": [0, 3], "erg": [0, 3], "radiu": [0, 1, 2, 3, 12, 67, 89, 92], "effect": [0, 1, 2, 3, 4, 5, 6, 8, 11, 87, 89], "intvar": [0, 3, 26, 38, 66], "time": [0, 1, 2, 4, 5, 6, 26, 31, 32, 61, 66, 78, 87, 88, 89, 90, 91, 92], "variabl": [0, 3, 38, 66], "readi": [0, 1, 87, 91], "go": [0, 1, 3, 87, 91], "take": [0, 2, 50], "few": [0, 8, 91], "minut": 0, "100": [0, 1, 2, 3, 87, 88, 89], "000": [0, 1, 2, 88, 92], "year": [0, 1, 2, 3, 7, 12, 88, 89, 92], "8": [0, 1, 2, 3, 4, 5, 6, 8, 87, 88, 89, 91, 92], "v1": [0, 1, 2, 87, 88, 89, 90, 91, 92], "0": [0, 1, 2, 3, 4, 5, 6, 8, 14, 15, 17, 58, 85, 87, 88, 89, 90, 91, 92], "http": [0, 1, 2, 7, 87, 88, 89, 91, 92], "stammler": [0, 1, 2, 7, 8, 11, 87, 88, 89, 90, 91, 92], "github": [0, 1, 2, 87, 88, 89, 91, 92], "io": [0, 1, 2, 87, 88, 89, 91, 92], "pypi": [0, 1, 2, 87, 88, 89, 91, 92], "org": [0, 1, 2, 87, 88, 89, 91, 92], "project": [0, 1, 2, 86, 87, 88, 89, 91, 92], "com": [0, 1, 2, 3, 87, 88, 89, 91, 92], "cite": [0, 1, 2, 7, 87, 88, 89, 91, 92], "amp": [0, 1, 2, 87, 88, 89, 91, 92], "birnstiel": [0, 1, 2, 3, 4, 7, 8, 11, 87, 88, 89, 90, 91, 92], "2022": [0, 1, 2, 7, 8, 11, 87, 88, 89, 90, 91, 92], "check": [0, 1, 2, 4, 13, 87, 88, 89, 91, 92], "conserv": [0, 1, 2, 4, 5, 13, 87, 88, 89, 91, 92], "max": [0, 1, 2, 3, 87, 88, 89, 91, 92], "error": [0, 1, 2, 4, 11, 13, 87, 88, 89, 91, 92], "75e": [0, 1, 2, 87, 88, 91, 92], "14": [0, 1, 2, 3, 4, 5, 6, 87, 88, 89, 91, 92], "114": [0, 1, 2, 87, 88, 91, 92], "93e": [0, 1, 2, 87, 88, 89, 91, 92], "04": [0, 1, 2, 3, 87, 88, 89, 91, 92], "116": [0, 1, 2, 87, 88, 91, 92], "73e": [0, 1, 2, 87, 88, 89, 91, 92], "55e": [0, 1, 2, 87, 88, 89, 91, 92], "16": [0, 1, 2, 3, 4, 5, 6, 8, 87, 88, 89, 91, 92], "55": [0, 1, 2, 3, 87, 88, 89, 91, 92], "20e": [0, 1, 2, 87, 88, 89, 91, 92], "05": [0, 1, 2, 3, 11, 58, 87, 88, 89, 91, 92], "eros": [0, 1, 2, 30, 87, 88, 89, 90, 91, 92], "78e": [0, 1, 2, 87, 88, 89, 91, 92], "15": [0, 1, 2, 3, 4, 5, 6, 8, 87, 88, 89, 91, 92], "110": [0, 1, 2, 87, 88, 89, 91, 92], "18e": [0, 1, 2, 87, 88, 89, 91, 92], "03": [0, 1, 2, 3, 87, 88, 89, 91, 92], "118": [0, 1, 2, 87, 88, 89, 91, 92], "directori": [0, 2, 3, 14, 15, 87, 88, 89, 90, 91, 92], "39": [0, 1, 2, 3, 5, 87, 88, 89, 91, 92], "write": [0, 1, 2, 3, 8, 13, 87, 88, 89, 91, 92], "data0000": [0, 1, 2, 3, 87, 88, 89, 91, 92], "hdf5": [0, 1, 2, 3, 14, 15, 87, 88, 89, 91, 92], "dmp": [0, 1, 2, 87, 88, 89, 91, 92], "data0001": [0, 1, 2, 87, 88, 89, 91, 92], "data0002": [0, 1, 2, 87, 88, 89, 91, 92], "data0003": [0, 1, 2, 87, 88, 89, 91, 92], "data0004": [0, 1, 2, 87, 88, 89, 91, 92], "data0005": [0, 1, 2, 87, 88, 89, 91], "data0006": [0, 1, 2, 87, 88, 89, 91], "data0007": [0, 2, 87, 88, 89], "data0008": [0, 2, 87, 88, 89], "data0009": [0, 2, 87, 88, 89], "data0010": [0, 2, 87, 88, 89], "data0011": [0, 2, 87, 88, 89], "data0012": [0, 2, 87, 88, 89], "data0013": [0, 2, 87, 88, 89], "data0014": [0, 2, 87, 88, 89], "data0015": [0, 2, 87, 88, 89], "data0016": [0, 2, 87, 88, 89], "data0017": [0, 2, 87, 88, 89], "data0018": [0, 2, 87, 88, 89], "data0019": [0, 2, 87, 88, 89], "data0020": [0, 2, 87, 88, 89], "data0021": [0, 2, 87, 88, 89], "execut": [0, 1, 2, 3, 87, 88, 89, 91, 92], "25": [0, 2, 3, 4, 5, 88, 89, 91, 92], "21": [0, 2, 3, 4, 8, 88, 89, 91, 92], "By": [0, 1, 2, 3, 4, 5, 6, 78, 92], "written": [0, 3, 5, 6, 12], "output": [0, 13, 90, 91, 92], "come": [0, 5, 6, 91], "script": [0, 3, 12, 14, 15], "statu": [0, 13], "9": [0, 1, 2, 3, 4, 5, 6, 87, 88, 89, 91, 92], "doe": [0, 2, 3, 4, 92], "either": [0, 1, 2, 4, 6, 14, 15, 92], "argument": [0, 37, 38, 65, 66], "If": [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 11, 13, 14, 15, 85, 89, 91], "onli": [0, 1, 2, 3, 4, 5, 6, 11, 30, 66, 87, 91, 92], "current": [0, 1, 3, 4, 13, 26, 42, 71, 88, 92], "10": [0, 1, 2, 3, 4, 5, 6, 7, 8, 87, 88, 89, 91, 92], "panel": [0, 1, 2, 87, 88, 89], "blue": [0, 5, 6], "green": 0, "line": [0, 2, 8, 11, 14, 15, 90, 91], "top": 0, "left": [0, 1, 3, 4, 5, 6, 11, 87, 88, 89, 91, 92], "analyt": [0, 4, 90], "estim": 0, "barrier": [0, 11, 91], "taken": [0, 1, 3, 4, 21], "et": [0, 1, 2, 3, 4, 11, 20, 30, 87, 88, 89, 91, 92], "al": [0, 1, 2, 3, 4, 11, 20, 30, 87, 88, 89, 91, 92], "2012": 0, "pass": [0, 37, 65], "access": [0, 3, 5, 6], "evolut": [0, 2, 3, 4, 7, 8, 12, 66, 88, 89, 90, 91], "furthermor": [0, 5, 12, 89], "some": [0, 1, 2, 3, 4, 5, 12, 91], "ir": [0, 3, 14, 15], "im": [0, 14, 15], "11": [0, 1, 2, 3, 4, 5, 6, 8, 87, 88, 89, 91, 92], "middl": [0, 3], "bottom": 0, "show": [0, 2, 5, 6, 8, 87, 88, 89, 91, 92], "along": [0, 3, 14, 15, 30], "grai": [0, 2, 5, 6], "dash": 0, "It": [0, 3, 4, 6, 17, 40, 42, 51, 71, 79, 80, 86, 87, 92], "possibl": [0, 1, 2, 3, 4, 5, 13, 91, 92], "interact": [0, 6, 14], "12": [0, 1, 2, 3, 4, 5, 6, 8, 88, 89, 91, 92], "ipanel": 0, "here": [0, 1, 2, 3, 4, 8, 87, 89, 91, 92], "given": [0, 2, 3, 4, 5, 6, 13, 89, 91, 92], "sigma_": [0, 3, 5, 6, 11, 88, 89, 92], "mathrm": [0, 1, 2, 3, 4, 5, 6, 11, 87, 88, 89, 91, 92], "right": [0, 1, 2, 3, 4, 5, 6, 11, 87, 88, 89, 91, 92], "int": [0, 2, 3, 4, 14, 15, 88, 89, 91], "limits_0": [0, 4, 91], "infti": [0, 3, 4, 91], "log": [0, 3], "In": [0, 1, 2, 3, 4, 5, 6, 11, 87, 88, 89, 91, 92], "wai": [0, 4, 5, 88, 91, 92], "independ": [0, 3, 91], "equiv": [0, 5, 6], "m_i": [0, 3], "sum": [0, 3, 4, 5, 89, 91], "limits_i": [0, 3, 89], "numer": [0, 3, 4, 11, 88], "over": [0, 3, 4, 88, 89, 92], "dimens": [0, 3], "13": [0, 1, 2, 3, 4, 5, 6, 8, 88, 89, 91, 92], "10558450e": 0, "01": [0, 1, 3, 91], "02993178e": 0, "59195549e": 0, "00": [0, 3, 4, 6, 88, 91, 92], "93896250e": 0, "32864174e": 0, "75848590e": 0, "22598369e": 0, "72858592e": 0, "26421498e": 0, "83081686e": 0, "42620155e": 0, "04864366e": 0, "69645621e": 0, "36777353e": 0, "06118666e": 0, "77532356e": 0, "50860884e": 0, "25989679e": 0, "02807142e": 0, "81181881e": 0, "61021238e": 0, "42234104e": 0, "24712484e": 0, "08381550e": 0, "93166208e": 0, "78979299e": 0, "65760302e": 0, "53446451e": 0, "41968942e": 0, "31278633e": 0, "21322188e": 0, "12046727e": 0, "03412179e": 0, "53725668e": 0, "78889287e": 0, "09295487e": 0, "44492670e": 0, "84225840e": 0, "28197359e": 0, "76099776e": 0, "27718147e": 0, "82764881e": 0, "41043793e": 0, "02342272e": 0, "66453458e": 0, "33227994e": 0, "02446805e": 0, "73990240e": 0, "47688216e": 0, "23422420e": 0, "01049388e": 0, "80460725e": 0, "61534454e": 0, "44173668e": 0, "28272126e": 0, "13746515e": 0, "00500117e": 0, "84600676e": 0, "02": [0, 3], "75352688e": 0, "76579619e": 0, "87666240e": 0, "07930091e": 0, "36881105e": 0, "74080407e": 0, "18793025e": 0, "70181020e": 0, "27460221e": 0, "90019344e": 0, "57365503e": 0, "29008272e": 0, "04285647e": 0, "21052034e": 0, "08307277e": 0, "92338320e": 0, "93621450e": 0, "99128440e": 0, "85480259e": 0, "65581248e": 0, "35346523e": 0, "06": [0, 3], "68845727e": 0, "07": [0, 3, 89], "38908175e": 0, "08": [0, 3, 4, 88, 92], "70624483e": 0, "09": [0, 3, 88], "34691188e": 0, "43173421e": 0, "76930567e": 0, "59995512e": 0, "32088975e": 0, "17": [0, 1, 2, 3, 4, 5, 6, 8, 88, 89, 91, 92], "41486135e": 0, "18": [0, 2, 3, 4, 5, 8, 88, 89, 91, 92], "51708088e": 0, "20": [0, 2, 3, 4, 88, 89, 91, 92], "06317740e": 0, "22": [0, 2, 3, 4, 8, 88, 89, 91, 92], "45397680e": 0, "14219956e": 0, "27": [0, 2, 3, 4, 88, 89, 91, 92], "04642867e": 0, "28": [0, 2, 3, 88, 89, 91, 92], "00834622e": 0, "29": [0, 2, 3, 88, 89, 91, 92], "84588136e": 0, "83347698e": [0, 3], "95170965e": [0, 3], "18372240e": [0, 3], "51483347e": [0, 3], "93225557e": [0, 3], "convert": [0, 2, 3, 8, 89, 91, 92], "divid": 0, "frac": [0, 3, 4, 5, 6, 11, 88, 89, 91, 92], "where": [0, 2, 4, 5, 6, 87, 88, 89, 91, 92], "width": [0, 3, 4, 8, 89, 91], "sinc": [0, 2, 3, 4, 5, 6, 11, 30, 87, 88, 89, 91, 92], "strictli": [0, 2, 3, 4, 13, 92], "logarithm": [0, 1, 2, 3, 4, 13, 91], "follow": [0, 2, 3, 4, 5, 6, 88, 89, 91, 92], "relat": [0, 3], "hold": [0, 2], "m_": [0, 1, 2, 3, 4, 8, 88, 89], "cdot": [0, 3, 4, 5, 6, 91, 92], "easili": [0, 1, 2, 3, 89], "calcul": [0, 1, 2, 3, 4, 5, 6, 11, 12, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 30, 31, 38, 39, 40, 41, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 60, 61, 63, 66, 67, 68, 69, 70, 72, 73, 74, 75, 76, 83, 88, 89, 91, 92], "numpi": [0, 1, 2, 5, 6, 11, 87, 88, 89, 91, 92], "np": [0, 1, 2, 5, 6, 87, 88, 89, 91, 92], "3894954943731377": 0, "further": [0, 2, 13], "assum": [0, 3, 5, 17, 40, 89, 92], "exactli": [0, 1, 2, 3, 92], "between": [0, 1, 2, 3, 4, 8, 11, 30, 40, 91, 92], "solv": [0, 3, 4, 5, 6, 90, 91, 92], "yield": 0, "begin": [0, 1, 3, 4, 5, 6, 88, 91, 92], "split": [0, 4, 5, 6, 91, 92], "end": [0, 2, 3, 4, 5, 6, 88, 91, 92], "therefor": [0, 1, 2, 3, 4, 5, 6, 11, 66, 78, 87, 88, 89, 92], "35750251e": 0, "11450049e": 0, "16073436e": 0, "52526930e": 0, "23": [0, 2, 3, 8, 88, 89, 91, 92], "11935481e": 0, "94483396e": 0, "29655487e": 0, "06116482e": 0, "10245276e": 0, "32845402e": 0, "84588088e": 0, "56484316e": 0, "24179647e": 0, "01289473e": 0, "04943384e": 0, "15703508e": 0, "60769503e": 0, "23388501e": 0, "45718657e": 0, "46": [0, 2, 3, 91], "19324066e": 0, "60547999e": 0, "30858850e": 0, "20777332e": 0, "88204722e": 0, "39408712e": 0, "49505975e": 0, "01069653e": 0, "79385376e": 0, "38112178e": 0, "69805348e": 0, "52792414e": 0, "75124347e": 0, "43334490e": 0, "want": [0, 1, 2, 3, 4, 5, 8, 9, 13, 87, 88, 89, 91, 92], "modul": [0, 1, 3, 5, 90], "provid": [0, 3, 7], "hdf5writer": [0, 3], "wrtr": 0, "make": [0, 2, 4, 13, 91], "sure": 0, "correct": [0, 2, 6, 92], "format": [0, 2, 3, 4, 5, 7, 8, 88, 90, 91, 92], "h5py": [0, 3], "name": [0, 1, 3, 88, 89, 92], "overwrit": [0, 1, 2, 3, 92], "fals": [0, 1, 3, 5, 6, 11, 21, 89, 91], "true": [0, 1, 2, 3, 4, 5, 6, 14, 15, 21, 88, 89, 91, 92], "option": [0, 1, 2, 3, 5, 6, 13, 14, 15, 17, 19, 22, 23, 24, 38, 84, 85, 89], "lzf": [0, 3], "comopt": [0, 3], "verbos": [0, 3, 13], "singl": [0, 4, 11], "19": [0, 2, 3, 4, 88, 89, 91, 92], "function": [0, 1, 2, 3, 4, 5, 11, 13, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 87, 88, 89, 91, 92], "return": [0, 2, 3, 4, 16, 17, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 30, 31, 32, 34, 38, 39, 40, 41, 43, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 61, 63, 66, 67, 68, 69, 70, 72, 74, 75, 76, 77, 78, 83, 87, 88, 89, 91, 92], "namespac": [0, 1], "simpli": [0, 2, 4, 6, 41, 78, 88, 89, 92], "same": [0, 2, 3, 11, 89, 91, 92], "arrai": [0, 2, 3, 6, 13, 67, 84, 88, 89, 91], "11442758e": 0, "003": 0, "03950016e": 0, "69534899e": 0, "002": 0, "03996575e": 0, "42652573e": 0, "85281679e": 0, "31666653e": 0, "81591015e": 0, "34839857e": 0, "91202935e": 0, "50478001e": 0, "12473131e": 0, "77007790e": 0, "43912953e": 0, "13030706e": 0, "84213637e": 0, "57324174e": 0, "32233942e": 0, "08823154e": 0, "86980035e": 0, "66600291e": 0, "47586611e": 0, "29848199e": 0, "13300346e": 0, "97864019e": 0, "83465484e": 0, "70035958e": 0, "57511273e": 0, "45831575e": 0, "34941033e": 0, "24787571e": 0, "15322622e": 0, "06500891e": 0, "82801375e": 0, "001": [0, 1, 3], "06209726e": 0, "34866689e": 0, "68429821e": 0, "06579849e": 0, "49019115e": 0, "95470123e": 0, "45674173e": 0, "99390088e": 0, "56393015e": 0, "16473303e": 0, "79435448e": 0, "45097100e": 0, "13288134e": 0, "83849764e": 0, "56633720e": 0, "31501460e": 0, "08323432e": 0, "86978378e": 0, "67352666e": 0, "49339667e": 0, "32839164e": 0, "17756796e": 0, "04003528e": 0, "14951632e": 0, "01518836e": 0, "98978248e": 0, "06606887e": 0, "23713926e": 0, "49637584e": 0, "83742439e": 0, "25417178e": 0, "74072812e": 0, "29141364e": 0, "90075039e": 0, "56345878e": 0, "27445866e": 0, "02887484e": 0, "22046251e": 0, "49538378e": 0, "07157848e": 0, "90968245e": 0, "97305957e": 0, "22794764e": 0, "64357939e": 0, "19226636e": 0, "49435663e": 0, "93611962e": 0, "06340475e": 0, "72050959e": 0, "77866714e": 0, "13366732e": 0, "03125139e": 0, "23534403e": 0, "47255688e": 0, "39583152e": 0, "60163304e": 0, "004": 0, "98337858e": 0, "00295348e": 0, "63569541e": 0, "005": 0, "42094325e": 0, "92794721e": 0, "96245913e": 0, "006": 0, "10228830e": 0, "13550420e": 0, "87735143e": 0, "007": 0, "00000000e": [0, 3, 4, 6], "addit": [0, 6, 9, 38, 66, 88, 89], "shape": [0, 1, 2, 3, 5, 30], "quit": [0, 92], "larg": [0, 1, 3, 4, 5, 8, 11], "entir": [0, 2, 5, 6, 89], "instead": [0, 3, 5, 11, 38, 89], "sigmaga": [0, 89], "sequenc": [0, 2, 88, 89, 91, 92], "24": [0, 1, 2, 3, 8, 88, 89, 91, 92], "exclud": [0, 3], "certain": [0, 3, 5], "being": 0, "save": [0, 4, 5], "memori": 0, "contain": [0, 2, 4, 5, 6, 12, 86, 89, 90], "pure": [0, 2], "inform": [0, 6, 66], "about": [0, 2, 3, 4, 5, 6, 10, 66, 87, 89], "oper": [0, 3], "perform": [0, 1, 4, 11, 12], "like": [0, 3, 4], "custom": [0, 3, 4, 5, 6, 11, 13, 84, 86, 88, 90, 91], "directli": [0, 2, 4], "restart": 0, "recent": [0, 11], "which": [0, 2, 3, 4, 5, 6, 11, 14, 15, 66, 85, 86, 87, 88, 89, 92], "attent": [0, 3], "malwar": 0, "inject": 0, "pickl": 0, "yourself": 0, "trust": 0, "version": [0, 11, 85], "thei": [0, 1, 2, 3, 4, 5, 6, 12, 88, 89], "were": [0, 2, 11], "otherwis": [0, 1, 2, 4, 6], "guarante": 0, "work": [0, 3], "26": [0, 2, 3, 87, 88, 89, 91, 92], "readdump": 0, "sim_restart": 0, "should": [0, 1, 2, 3, 4, 11, 66, 88, 89], "ident": [0, 3, 4], "previou": [0, 1, 2, 5, 11, 92], "exampl": [0, 1, 2, 3, 4, 5, 11, 30, 86, 90, 91, 92], "add": [0, 2, 4, 5, 6, 11, 88, 89], "more": [0, 1, 2, 4, 86, 87, 89, 90, 91], "snapshot": [0, 3, 14, 15, 89, 90, 91, 92], "just": [0, 2], "extend": 0, "one": [0, 1, 2, 3, 4, 5, 6, 11, 25, 88, 91, 92], "concaten": [0, 2, 88, 89], "100001": 0, "30": [0, 1, 2, 3, 88, 91, 92], "100000": [0, 1], "anoth": [0, 2, 6], "31": [0, 1, 2, 3, 88, 89, 91, 92], "data0022": [0, 89], "wa": [0, 2, 3, 11, 13], "32": [0, 2, 3, 88, 91, 92], "do": [1, 2, 3, 4, 5, 6, 87, 89, 91, 92], "run": [1, 2, 4, 13, 87, 88, 89, 90, 91, 92], "standard": [1, 4, 11, 12, 13, 90], "simul": [1, 2, 4, 5, 6, 7, 11, 12, 14, 15, 16, 17, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 66, 68, 69, 70, 71, 72, 73, 74, 75, 76, 78, 80, 81, 82, 83, 87, 88, 89, 90, 91, 92], "modifi": [1, 3, 4, 11, 37, 65, 88, 90, 91], "1": [1, 2, 3, 4, 5, 6, 7, 8, 14, 15, 17, 30, 41, 60, 87, 88, 89, 90, 91, 92], "The": [1, 4, 5, 6, 8, 11, 12, 13, 16, 21, 30, 38, 41, 48, 53, 66, 78, 84, 87, 88, 89, 90, 92], "ini": [1, 2, 3, 4, 5, 6, 11, 13, 21, 89, 91, 92], "structur": [1, 4, 5, 6, 8, 88], "central": [1, 12], "call": [1, 2, 4, 5, 6, 13, 79, 80, 81, 82, 87], "simulatio": 1, "accord": [1, 3, 11, 20, 67, 87, 88], "ll": [1, 3, 87], "through": [1, 3, 5, 17, 19, 53], "unit": [1, 2, 4, 12, 91], "ainimax": [1, 21], "0001": 1, "allowdriftingparticl": [1, 5, 11, 21, 91], "erosionmassratio": [1, 4], "d2gratio": [1, 21], "distexp": [1, 21], "excavatedmass": [1, 4], "fragmentdistribut": [1, 4], "8333333333333333": 1, "rhomonom": [1, 3], "67": [1, 3], "vfrag": [1, 3, 87, 89], "mdisk": [1, 67, 89, 92], "942049353490256e": 1, "847030424486999e": 1, "sigmaexp": [1, 92], "sigmarc": [1, 89, 92], "897587224200000": 1, "nmbpd": [1, 2, 3, 91], "mmin": [1, 2, 3, 5], "1e": [1, 4, 91, 92], "mmax": [1, 2, 3, 5, 89], "rmin": [1, 2], "14959787070000": 1, "rmax": [1, 2], "495978707e": 1, "988409870698051e": [1, 3], "33": [1, 2, 3, 88, 91, 92], "139140000000": [1, 3], "5772": [1, 3], "mainli": [1, 12], "influenc": [1, 3, 5, 6, 11, 87, 91], "dynam": [1, 4, 8], "profil": [1, 2, 58, 67, 87, 89, 90, 92], "odot": [1, 2], "timescal": 1, "disk": [1, 2, 3, 4, 6, 7, 8, 11, 12, 58, 67, 87, 88, 89, 90, 92], "r_": [1, 3, 4], "passiv": [1, 3, 58], "irradi": [1, 3, 58], "irradt": 1, "angl": [1, 3, 58], "determin": [1, 3, 8], "while": [1, 3, 4, 88], "your": [1, 2, 4, 5, 8, 9, 13, 91, 92], "own": [1, 2, 86], "later": [1, 89], "under": 1, "circumst": 1, "meddl": 1, "unless": [1, 5], "know": [1, 2, 4, 88], "what": [1, 5, 92], "alwai": [1, 2, 4, 5, 13, 92], "strickli": 1, "algorithm": [1, 2, 3, 4, 5, 91], "produc": [1, 4, 5, 88], "wrong": [1, 92], "result": [1, 2, 4, 5, 30, 87, 88, 89, 91, 92], "attentian": 1, "ani": [1, 3, 4, 92], "reason": [1, 2, 3, 4, 87, 91, 92], "dure": 1, "re": [1, 2, 4, 92], "note": [1, 2, 3, 4, 5, 6, 8, 9, 13, 16, 21, 30, 38, 66, 85, 87, 89, 91], "veri": [1, 3, 5, 8], "sensit": 1, "finer": 1, "slow": 1, "down": [1, 87], "drastic": 1, "decad": [1, 3, 91], "least": 1, "dr\u0105\u017ckowska": [1, 4, 8, 91], "2014": [1, 4, 91], "impact": [1, 8], "accuraci": 1, "comput": [1, 4, 5, 12, 91], "cost": [1, 5, 91], "minimum": [1, 4, 88], "locat": [1, 2, 3, 4, 87, 88, 89, 92], "au": [1, 2, 12, 87, 88, 89, 92], "1000": [1, 2, 87, 88, 89], "defin": [1, 3, 4, 12, 89, 91, 92], "self": [1, 67, 88, 92], "similar": [1, 3, 4, 67, 87, 88, 89, 92], "solut": [1, 2, 67, 90, 91], "lynden": [1, 67, 92], "bell": [1, 67, 92], "pringl": [1, 67, 92], "1974": [1, 67, 92], "shakura": [1, 3], "sunyaev": [1, 3], "1973": [1, 3], "heat": [1, 3, 8], "capac": 1, "init": 1, "proton": [1, 12], "power": [1, 3, 67, 84, 90], "law": [1, 3, 67, 84, 90], "expon": [1, 3, 4, 67, 84], "critic": [1, 67, 89, 92], "cut": [1, 89], "off": [1, 3, 4, 89, 90, 91], "basic": [1, 2, 90], "collision": [1, 2, 4, 8, 87], "behavior": [1, 2, 3, 4, 9, 16, 87], "\u00b5m": 1, "remov": [1, 4, 5, 6, 89, 91, 92], "inward": 1, "rapidli": [1, 87], "increas": [1, 4, 8, 89, 91], "low": [1, 2, 8, 91], "even": [1, 2, 5, 91, 92], "small": [1, 3, 4], "caus": [1, 3, 5, 11], "them": [1, 2, 3, 5, 87, 88, 89, 91], "alreadi": [1, 2, 3, 4, 21, 88, 89, 92], "visibl": [1, 88], "wave": [1, 21], "collid": [1, 3, 4, 11, 91], "below": [1, 2, 3, 87], "both": [1, 2, 4, 5, 91, 92], "fulli": [1, 4], "three": [1, 4, 5, 6, 88, 91], "thing": 1, "happen": [1, 4, 5, 85, 92], "when": [1, 2, 3, 4, 5, 6, 11, 91], "togeth": 1, "form": [1, 4, 91], "larger": [1, 3, 4, 5, 87, 89, 91], "partner": [1, 4, 91], "chip": [1, 4], "latter": [1, 4], "threshold": [1, 4, 89], "propto": [1, 3, 4, 11, 92], "so": [1, 2, 3, 11, 12, 87, 88], "mrn": 1, "interstellar": 1, "grain": [1, 8, 87], "mathi": 1, "1977": 1, "excav": [1, 4], "event": [1, 4], "much": 1, "whenev": [1, 5, 6], "dohnanyi": [1, 4], "1969": [1, 4], "monom": 1, "bulk": [1, 11], "uniti": [1, 89], "share": 1, "exce": [1, 4, 89], "depend": [1, 2, 3, 5, 6, 77, 87, 91], "lead": [1, 3, 91, 92], "massiv": [1, 8, 91], "m_sun": [1, 12, 88, 89], "describ": [1, 3, 4, 5, 6, 9, 30, 87, 89, 91, 92], "section": [1, 2, 3, 12], "start": [1, 2, 3, 4, 13, 87, 88, 91], "data": [1, 2, 3, 7, 12, 14, 15, 87, 88, 89, 90, 91], "file": [1, 2, 3, 11, 12, 13, 14, 15, 87, 88, 89, 90, 91, 92], "logspac": [1, 2, 88, 89, 91, 92], "num": [1, 2, 88, 89, 92], "base": [1, 2, 13, 37, 65, 84, 90, 92], "protect": 1, "exist": [1, 2, 3, 5, 87, 92], "ran": 1, "would": [1, 2, 4, 5, 6, 87, 88, 89], "rais": 1, "becaus": [1, 2, 5, 13], "chapter": [1, 2, 3, 5, 88, 92], "could": [1, 2, 5, 11, 88, 89], "datadir": [1, 2, 87, 88, 89, 91, 92], "2_data": 1, "dump": [1, 2, 3, 87, 88, 89, 90, 91, 92], "frame": [1, 2, 3, 13, 16, 17, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 61, 62, 63, 64, 66, 68, 69, 70, 71, 72, 73, 74, 75, 76, 78, 80, 81, 82, 83, 87, 88, 89, 90, 91, 92], "52": [1, 2, 3], "10000": 1, "plot": [1, 2, 3, 14, 15, 87, 88, 89, 90, 91], "limit": [1, 3, 5, 11, 14, 15], "machin": [1, 4, 8], "precis": [1, 4], "everyth": [1, 2], "than": [1, 2, 3, 4, 5, 25, 85, 87, 91], "still": [1, 2, 3, 4, 5, 6, 88, 92], "accept": [1, 92], "compat": [1, 11], "ignor": [1, 4], "checkmassconserv": [1, 13], "core": [2, 8, 88], "principl": [2, 5], "chang": [2, 3, 4, 6, 9, 30, 87, 88, 89, 90, 92], "anyth": [2, 3], "Not": [2, 29, 59], "initi": [2, 3, 4, 5, 6, 11, 13, 21, 87, 88, 89, 90, 91, 92], "shown": [2, 5], "behind": [2, 92], "But": [2, 4, 88, 89, 92], "situat": [2, 91], "need": [2, 3, 4, 5, 6, 10, 13, 30, 66, 84, 88, 89, 91, 92], "befor": [2, 4, 5, 9, 11, 13, 81, 82, 88, 89], "complet": [2, 13], "case": [2, 3, 4, 5, 11, 88, 91, 92], "makegrid": [2, 13], "without": [2, 3, 5, 6], "fact": [2, 92], "within": [2, 4, 5, 12, 92], "been": [2, 3, 11, 87, 90], "point": [2, 3, 4, 87], "regular": 2, "adjac": [2, 4], "07151931": 2, "explain": [2, 3, 89], "refin": [2, 88, 90], "helper": [2, 12], "doubl": [2, 4, 11], "region": 2, "side": [2, 4, 5, 6], "around": [2, 4, 8, 89], "r0": [2, 88, 89], "recurs": 2, "reduc": [2, 3, 4, 11, 89], "smooth": [2, 4, 89], "transit": [2, 4, 8, 40], "high": [2, 4, 8, 89, 91], "resolut": [2, 89, 91], "def": [2, 87, 88, 89, 91, 92], "refinegrid": [2, 88, 89], "float": [2, 3, 4, 31, 32, 38, 61, 67, 78, 84, 85, 88, 89, 91, 92], "iter": [2, 89], "new": [2, 3, 4, 6, 9, 88, 89, 92], "ind": [2, 88, 89], "argmin": [2, 88, 89], "indl": [2, 88, 89], "indr": [2, 88, 89], "ril": [2, 88, 89], "rir": [2, 88, 89], "rim": [2, 88, 89], "rang": [2, 4, 88, 89, 91, 92], "j": [2, 3, 4, 5, 6, 8, 11, 30, 88, 89], "feed": 2, "ndarrai": 2, "suffici": [2, 88], "automat": [2, 3, 5, 92], "other": [2, 3, 4, 5, 6, 11, 92], "greater": [2, 85], "actual": [2, 4, 88, 92], "matplotlib": [2, 5, 6, 11, 87, 88, 89, 91, 92], "pyplot": [2, 5, 6, 87, 88, 89, 91, 92], "plt": [2, 5, 6, 87, 88, 89, 91, 92], "fig": [2, 5, 6, 87, 88, 89, 91, 92], "figur": [2, 5, 6, 87, 88, 89, 91, 92], "dpi": [2, 5, 6, 87, 88, 89, 91, 92], "150": [2, 5, 6, 87, 88, 89, 91, 92], "ax": [2, 5, 6, 87, 88, 91, 92], "add_subplot": [2, 5, 6, 87, 88, 89, 91, 92], "111": [2, 5, 6, 87, 88, 91, 92], "semilogi": 2, "axhlin": 2, "lw": [2, 5, 88, 91, 92], "set_xlabel": [2, 87, 88, 89, 91, 92], "set_ylabel": [2, 87, 88, 89, 91, 92], "tight_layout": [2, 5, 6, 87, 88, 89, 91, 92], "posit": [2, 4, 30, 38, 66], "never": [2, 5], "manual": [2, 3], "awar": 2, "well": [2, 6, 90], "shall": [2, 88], "idea": [2, 9], "approach": 2, "coat": 2, "water": [2, 87], "ic": [2, 8, 90], "stickier": 2, "silic": [2, 87], "widthstand": 2, "higher": [2, 91], "pinilla": [2, 8, 87], "2017": [2, 87, 88], "howev": [2, 4, 5, 6, 87, 91, 92], "keep": [2, 5], "mind": [2, 5], "newer": [2, 85], "experi": 2, "suggest": [2, 4, 9, 78], "cover": [2, 4], "benefici": [2, 8], "musiolik": [2, 87], "wurm": [2, 87], "2019": [2, 3, 8, 87, 89], "first": [2, 3, 4, 5, 6, 8, 11, 13, 16, 30, 87, 89, 91], "everi": [2, 3, 4, 5, 6, 11, 79, 80, 81, 82, 87], "semilogx": [2, 87, 88], "distanc": [2, 67, 87, 88, 89, 92], "input": [2, 10], "desir": [2, 4, 88, 89, 91, 92], "v_frag": 2, "process": 2, "store": [2, 3, 4, 5, 6, 30, 38, 42, 71], "heatbeat": 2, "heartbeat": [2, 13], "consist": [2, 3, 5, 88], "afterward": 2, "those": [2, 4, 5, 88], "overwritten": [2, 6], "prevent": [2, 3, 4, 11, 21, 92], "leav": [2, 91], "command": 2, "read": [2, 88, 89, 90, 91], "old": 2, "tell": [2, 8, 88], "itself": 2, "whole": [2, 5, 87], "probabilit": 2, "better": 2, "rsnow": 2, "give": [2, 8], "u": [2, 8], "snowlin": 2, "sublim": [2, 8], "addfield": [2, 88, 89], "member": 2, "next": 2, "step": [2, 3, 5, 6, 8, 9, 31, 32, 35, 36, 42, 44, 61, 64, 66, 71, 73, 78, 79, 80, 81, 82, 87, 89, 91], "isnow": 2, "argmax": 2, "34": [2, 3, 5, 91, 92], "And": [2, 3, 4, 88, 89], "35": [2, 3, 7, 91, 92], "36": [2, 3, 91, 92], "print": [2, 4, 13, 85, 88], "2f": [2, 88], "throughout": [2, 91], "achiev": [2, 5, 6, 88, 89], "let": [2, 4, 88, 89], "decreas": 2, "yr": [2, 89, 92], "purpos": [2, 87], "necessarili": [2, 5, 6, 92], "37": [2, 3, 87, 91, 92], "rstar": 2, "dr": 2, "r_sun": [2, 12], "dt": [2, 32, 78], "e4": [2, 89, 92], "38": [2, 3, 91, 92], "done": [2, 4, 88, 92], "yet": [2, 29, 59], "instruct": [2, 3, 5, 6, 13, 89, 91, 92], "told": 2, "regularili": 2, "onc": [2, 3, 4], "timestep": [2, 3, 5, 77, 78, 91], "after": [2, 3, 4, 6, 44, 73, 79, 80, 85, 87, 88, 92], "list": [2, 6, 11, 13, 90], "whose": 2, "main": [2, 12, 13, 88], "updateord": [2, 3, 13], "sub": [2, 3], "40": [2, 3, 5, 91, 92], "41": [2, 3, 91, 92], "42": [2, 3, 91, 92], "43": [2, 3, 91], "44": [2, 3, 87, 91], "45": [2, 3, 91], "47": [2, 3, 91], "48": [2, 3, 91], "49": [2, 3], "50": [2, 3, 4, 89], "51": [2, 3], "These": [2, 3, 4, 88, 89, 91], "final": [2, 3, 35, 36, 79, 80, 88, 92], "deriv": [2, 26, 89, 91], "implicit": [2, 3, 5, 6, 13, 36, 37, 38, 42, 44, 53, 65, 73, 89, 92], "53": [2, 3, 8], "54": [2, 3, 89], "concept": 2, "problem": [2, 91, 92], "previous": 2, "cannot": [2, 6, 13], "revert": 2, "That": [2, 4, 5, 91], "respect": [2, 3, 4, 10, 88], "put": 2, "Or": [2, 4, 92], "requir": [2, 5, 6, 87, 89, 90], "separ": [2, 3, 5, 11], "56": [2, 3], "57": [2, 3], "58": [2, 3], "avoid": [2, 3, 11, 16, 91], "modif": [2, 88], "59": [2, 3], "3_data": 2, "60": [2, 3, 89], "61": [2, 3], "62": [2, 3], "obviou": 2, "discret": [2, 92], "63": [2, 3], "64": [2, 3], "hline": [2, 5, 6], "e3": [2, 91], "1e4": 2, "color": [2, 5, 6, 88], "vline": [2, 5, 6, 88], "set_xlim": [2, 87, 88, 89, 91, 92], "set_ylim": [2, 88, 89, 91, 92], "four": [3, 4, 30, 92], "two": [3, 4, 5, 8, 11, 16, 88, 91], "excert": 3, "mechan": [3, 4, 5], "g\u00e1rate": [3, 8], "v_": [3, 4, 5, 6, 11], "av_": [3, 6], "2b": [3, 6], "everywher": 3, "activ": 3, "type": [3, 11, 16, 17, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 30, 31, 32, 34, 38, 39, 40, 41, 43, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 61, 63, 66, 67, 68, 69, 70, 72, 74, 75, 76, 83, 84], "appendix": [3, 4, 90], "setcondit": [3, 84, 92], "help": [3, 5], "method": [3, 4, 5, 7, 13, 30, 37, 65, 84, 87, 89], "util": [3, 84, 85, 90], "string": [3, 5, 13, 14, 15, 84], "conditon": [3, 84], "const_grad": [3, 11, 84, 92], "const_pow": [3, 11, 84, 92], "const_val": [3, 11, 84], "val": [3, 11, 84, 92], "grad": [3, 11, 84], "pow": [3, 11, 84], "don": [3, 5, 84], "impos": [3, 84, 88], "growth": [3, 4, 8, 14, 15, 88, 90, 91], "discuss": [3, 8, 11, 88, 90, 91], "direct": [3, 5, 6, 13, 89, 92], "delta_": [3, 4, 11], "retrospect": 3, "found": [3, 5, 6, 88], "analysi": [3, 8], "f_": [3, 5], "nabla": [3, 5], "speci": [3, 5, 87, 89], "instabl": [3, 8], "Their": [3, 5], "80": [3, 87], "9948352476770317": 3, "maxwel": 3, "boltzmann": [3, 12], "f": [3, 4, 8, 88, 89], "sqrt": [3, 4, 6, 11, 88, 91, 92], "pi": [3, 4, 11, 12, 88, 91, 92], "rm": [3, 5], "exp": [3, 89, 91, 92], "k_": [3, 11], "limits_": 3, "geo": 3, "count": [3, 11], "abov": [3, 4, 5, 6, 87, 92], "p_": [3, 4], "bar": 3, "root": [3, 50, 88], "squar": [3, 50], "bounc": [3, 90], "implement": [3, 4, 29, 59, 87, 91], "leq": 3, "s_": [3, 6], "differ": [3, 4, 8, 87], "rate": [3, 8, 11, 89, 90], "outcom": [3, 4, 53], "differenti": [3, 89, 92], "_i": 3, "_j": 3, "8k_": 3, "m_j": 3, "express": [3, 91], "diverg": 3, "cap": 3, "c_": [3, 88, 92], "unwant": [3, 4, 5, 16], "individu": [3, 6, 50, 91], "prescript": [3, 51, 87, 92], "ormel": [3, 51], "cuzzi": [3, 51], "2007": [3, 51], "h_i": [3, 4, 11], "min": [3, 88], "h_j": [3, 4, 11], "omega_": [3, 89, 92], "2010": [3, 4], "dullemond": [3, 8, 11, 89], "dominik": 3, "2004": 3, "radii": 3, "3m": 3, "rho_": 3, "literatur": 3, "often": 3, "refer": [3, 4, 90, 91], "metal": 3, "z": 3, "epsilon": 3, "aggreg": [3, 8], "dubrul": [3, 20], "1995": [3, 20], "h_": [3, 88], "ij": [3, 4, 11], "a_i": [3, 4, 11], "a_j": [3, 4, 11], "geometr": [3, 4, 12], "cross": [3, 12, 87], "multipli": [3, 4], "equal": [3, 4, 11], "kroneck": 3, "reservoir": [3, 11, 89], "second": [3, 4, 5, 11, 12, 85, 91], "twice": 3, "third": [3, 5, 91], "materi": 3, "summat": 3, "11815368e": 3, "04232155e": 3, "71465059e": 3, "05339692e": 3, "43629793e": 3, "86040780e": 3, "32297742e": 3, "82144128e": 3, "35340519e": 3, "91663488e": 3, "50904531e": 3, "12869076e": 3, "77375546e": 3, "44254502e": 3, "13347826e": 3, "84507969e": 3, "57597248e": 3, "32487186e": 3, "09057900e": 3, "87197527e": 3, "66801690e": 3, "47773001e": 3, "30020595e": 3, "13459693e": 3, "98011200e": 3, "83601326e": 3, "70161231e": 3, "57626698e": 3, "45937826e": 3, "35038739e": 3, "24877321e": 3, "15404966e": 3, "06576343e": 3, "83491798e": 3, "06840556e": 3, "35442144e": 3, "68953850e": 3, "07056150e": 3, "49451154e": 3, "95861146e": 3, "46027226e": 3, "99708026e": 3, "56678518e": 3, "16728886e": 3, "79663471e": 3, "45299782e": 3, "13467557e": 3, "84007884e": 3, "56772375e": 3, "31622377e": 3, "08428234e": 3, "87068586e": 3, "67429708e": 3, "49404882e": 3, "32893806e": 3, "17802035e": 3, "04040457e": 3, "15247991e": 3, "01751688e": 3, "99156307e": 3, "06738170e": 3, "23805770e": 3, "49696665e": 3, "83774784e": 3, "25428186e": 3, "74067268e": 3, "29123459e": 3, "90048396e": 3, "56313572e": 3, "27410459e": 3, "02851052e": 3, "21687989e": 3, "49198428e": 3, "06844837e": 3, "24348839e": 3, "08303312e": 3, "43282410e": 3, "21564634e": 3, "15552883e": 3, "23220508e": 3, "42802371e": 3, "72761102e": 3, "11757706e": 3, "58625970e": 3, "12350162e": 3, "72045619e": 3, "36941829e": 3, "06367706e": 3, "79738758e": 3, "56545914e": 3, "36345791e": 3, "18752220e": 3, "03428860e": 3, "00827708e": 3, "84588135e": 3, "might": [3, 5, 87], "contribut": [3, 89, 90], "correspond": 3, "physic": [3, 5, 8, 90], "a_": [3, 88], "fewer": 3, "epstein": [3, 27], "drag": [3, 27], "regim": [3, 27], "consid": [3, 91], "text": [3, 88, 92], "lambda_": 3, "els": [3, 88], "fine": [3, 92], "deviat": [3, 92], "test": [3, 85, 90], "infal": [3, 5, 6], "implicitli": [3, 5], "relev": 3, "turn": [3, 88, 90, 91], "partial": [3, 4, 5, 6, 88, 89, 91, 92], "isotherm": [3, 60], "degre": 3, "kepler": 3, "specif": [3, 11], "iso": 3, "h_2": 3, "84703042e": 3, "euler": [3, 5, 89], "scheme": [3, 5, 6, 13, 37, 65, 78, 89], "l_": [3, 11], "sb": [3, 11], "addition": 3, "span": 3, "38949549e": 3, "93069773e": 3, "68269580e": 3, "72759372e": 3, "17947468e": 3, "19685673e": 3, "120": 3, "t_": [3, 89, 92], "solar": [3, 8], "15576000e": 3, "97286646e": 3, "00154254e": 3, "29656900e": 3, "92691073e": 3, "97938935e": 3, "25633068e": 3, "58162662e": 3, "99114995e": 3, "50670927e": 3, "safeti": 3, "65": 3, "cfl": 3, "One": 3, "66": 3, "1st": [3, 5, 6, 89, 92], "solver": [3, 5, 6, 89, 92], "jacobian": [3, 5, 6, 11], "except": [3, 6], "68": 3, "65695963e": 3, "51742395e": 3, "41277753e": 3, "31512275e": 3, "22399343e": 3, "13895454e": 3, "05960011e": 3, "85551322e": 3, "16454666e": 3, "51980274e": 3, "91820337e": 3, "35687637e": 3, "83314177e": 3, "34449895e": 3, "88861478e": 3, "46331238e": 3, "06656081e": 3, "69646526e": 3, "35125809e": 3, "02929031e": 3, "72902371e": 3, "44902350e": 3, "18795143e": 3, "94455937e": 3, "71768333e": 3, "50623785e": 3, "30921082e": 3, "12565856e": 3, "95470127e": 3, "79551880e": 3, "64734665e": 3, "50947226e": 3, "38123153e": 3, "26200553e": 3, "15121751e": 3, "04832998e": 3, "52842068e": 3, "64286959e": 3, "82229559e": 3, "06264239e": 3, "36012738e": 3, "71122173e": 3, "11263153e": 3, "56128002e": 3, "05429063e": 3, "58897093e": 3, "16279733e": 3, "77340052e": 3, "41855165e": 3, "09614912e": 3, "80420610e": 3, "54083866e": 3, "30425466e": 3, "09274328e": 3, "04665397e": 3, "38444770e": 3, "92560115e": 3, "65538218e": 3, "55948141e": 3, "62396618e": 3, "83524760e": 3, "18006141e": 3, "45463314e": 3, "18839224e": 3, "12069694e": 3, "59127752e": 3, "33752432e": 3, "46850987e": 3, "08748612e": 3, "29111679e": 3, "16870159e": 3, "80143987e": 3, "26178420e": 3, "61293508e": 3, "90852435e": 3, "19252718e": 3, "49943057e": 3, "85467018e": 3, "27532818e": 3, "77106488e": 3, "34523665e": 3, "96136649e": 3, "18283408e": 3, "03678333e": 3, "42957842e": 3, "26378068e": 3, "44589401e": 3, "91814086e": 3, "30026964e": 3, "02814903e": 3, "65881680e": 3, "68880524e": 3, "33878800e": 3, "05888641e": 3, "25247153e": 3, "92320686e": 3, "56337655e": 3, "86150120e": 3, "includ": [3, 4, 8, 11, 45, 89, 90], "69": 3, "70": 3, "ravel": [3, 5, 38], "reshap": 3, "69378160e": 3, "07100367e": 3, "46948374e": 3, "97891724e": 3, "74969659e": 3, "82069102e": 3, "23483735e": 3, "59511976e": 3, "67032489e": 3, "64083767e": 3, "20390542e": 3, "05662920e": 3, "88452713e": 3, "16639372e": 3, "65877154e": 3, "22801314e": 3, "17572957e": 3, "85635051e": 3, "55226776e": 3, "06505134e": 3, "32632479e": 3, "18906666e": 3, "48062233e": 3, "84366661e": 3, "59893623e": 3, "23624508e": 3, "02982080e": 3, "61156047e": 3, "49710457e": 3, "59978150e": 3, "dimension": [3, 4, 5], "vector": [3, 5, 66], "71": 3, "success": 3, "enforc": [3, 33, 62, 79, 80, 92], "72": [3, 8], "smolukowski": [4, 91], "equat": [4, 5, 6, 90, 91, 92], "amount": 4, "get": [4, 92], "ad": [4, 11, 90], "gener": [4, 10, 92], "neg": [4, 89], "goe": 4, "symmetr": 4, "brauer": [4, 30], "2008": [4, 30], "pre": [4, 12], "initialz": 4, "ti": 4, "neither": 4, "nor": 4, "There": [4, 5, 88], "complic": 4, "disadvantag": 4, "lie": [4, 91], "fall": 4, "too": [4, 5], "coars": 4, "resulut": 4, "order": [4, 5, 6, 11, 13, 87, 89, 90, 92], "magnitud": 4, "m1": 4, "m2": 4, "m_tot": 4, "halt": 4, "primarili": 4, "grow": [4, 8, 87, 90], "sweep": [4, 8], "mani": 4, "techniqu": 4, "arrang": 4, "apendic": 4, "pair": 4, "border": 4, "spars": [4, 5, 38], "mostli": 4, "elemet": 4, "76265439": 4, "23734561": 4, "each": [4, 5, 88, 89], "75": [4, 91], "err": 4, "rel_err": 4, "nrel": 4, "5e": 4, "2e": 4, "good": [4, 92], "collsion": 4, "90784249": 4, "09215751": 4, "90": 4, "0000000000000004": 4, "distinguish": 4, "roughli": 4, "significantli": [4, 91], "rafikov": 4, "2020": [4, 8], "who": 4, "develop": 4, "mathcal": 4, "o": 4, "n_m": 4, "kind": [4, 5, 6], "varphi": 4, "04013542": 4, "04239721": 4, "04478647": 4, "04731037": 4, "0499765": 4, "05279288": 4, "05576798": 4, "05891073": 4, "06223059": 4, "06573754": 4, "06944212": 4, "07335547": 4, "07748936": 4, "0818562": 4, "08646913": 4, "09134202": 4, "9999999999999999": 4, "mai": [4, 5, 8, 11], "notic": [4, 8, 11], "tranform": 4, "code": [4, 9, 10, 11, 90], "slope": [4, 92], "enough": [4, 5, 92], "again": [4, 91, 92], "transpos": 4, "indic": [4, 8], "m_frag": 4, "chi": [4, 8], "lose": 4, "account": 4, "onto": [4, 5, 6, 17, 33, 45, 87, 88], "lower": [4, 5], "fraction": [4, 89], "k_lf": 4, "k_rm": 4, "m_remnant": 4, "7e": 4, "accur": 4, "quick": 4, "decid": [4, 92], "wether": 4, "setup": [4, 92], "p_tot": 4, "occur": [4, 11], "product": [4, 90], "crosssect": 4, "devid": 4, "fly": 4, "evalu": 4, "23483044e": 4, "59511337e": 4, "67031877e": 4, "88452102e": 4, "16638811e": 4, "65876621e": 4, "part": [5, 6, 8, 92], "vec": [5, 6], "_": [5, 6, 88], "mathbb": [5, 6], "imshow": [5, 6], "toarrai": [5, 6], "cmap": [5, 6], "arang": [5, 6], "get_xaxi": [5, 6], "set_vis": [5, 6], "get_yaxi": [5, 6], "set_titl": [5, 6, 91], "act": 5, "box": 5, "diagon": [5, 6], "due": [5, 6, 11, 47, 48, 49, 51, 52, 87, 88, 89, 92], "choic": [5, 91], "upper": [5, 91], "last": [5, 6, 16], "column": 5, "involv": 5, "earli": [5, 8], "henc": 5, "repres": 5, "transport": 5, "row": [5, 6], "especi": 5, "y": [5, 6, 89], "hand": [5, 6], "hidden": [5, 6, 42, 71, 88], "_rh": [5, 6], "known": [5, 6, 88], "std": [5, 6, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 90], "impl_1_direct": [5, 6], "unset": [5, 6, 92], "updat": [5, 6, 11, 13, 87, 88, 89, 90, 91, 92], "reach": [5, 88, 89], "probabili": 5, "though": [5, 21], "consum": 5, "valuabl": 5, "resourc": 5, "interpol": [5, 17, 88], "aim": 5, "loss": [5, 6], "With": [5, 91], "planetesim": [5, 7, 8, 90], "pebbl": [5, 8], "deactiv": 5, "del": [5, 6, 91, 92], "ressourc": 5, "move": 5, "invers": [5, 88], "weakli": 5, "violat": 5, "explicit": [5, 13, 89], "setdustintegr": [5, 13], "cash": [5, 13], "karp": [5, 13], "5th": 5, "gmre": [5, 13], "bicgstab": [5, 13], "viscous": [6, 92], "evolv": [6, 88, 92], "planet": [6, 7, 8, 90], "tri": 6, "neighbour": 6, "notabl": 6, "j_": 6, "r_2": [6, 88], "r_1": [6, 88, 92], "r_3": 6, "r_n": 6, "ve": [6, 92], "multipl": [6, 66], "22296714e": 6, "34188528e": 6, "18365261e": 6, "83335703e": 6, "98169223e": 6, "94710783e": 6, "07670081e": 6, "21243606e": 6, "70797667e": 6, "77187596e": 6, "51664716e": 6, "82454236e": 6, "76327403e": 6, "word": [6, 92], "seen": [6, 88], "photoevapor": [6, 8], "hte": 6, "articl": [7, 8], "2022apj": 7, "935": 7, "author": 7, "sebastian": [7, 8], "tilman": [7, 8], "titl": 7, "python": [7, 12, 90], "protoplanetari": [7, 8, 12, 87, 89, 90], "journal": [7, 8], "apj": 7, "keyword": [7, 37, 65], "astronomi": [7, 8], "softwar": [7, 9], "astronom": [7, 8, 12], "circumstellar": 7, "1300": 7, "1855": 7, "1857": 7, "236": 7, "1241": 7, "1259": 7, "astrophys": [7, 8], "earth": [7, 12, 88], "planetari": [7, 8, 89, 90], "instrument": 7, "month": 7, "aug": 7, "volum": [7, 8], "eid": 7, "page": [7, 90], "doi": [7, 8], "3847": [7, 8], "1538": [7, 8], "4357": [7, 8], "ac7d58": 7, "archiveprefix": 7, "arxiv": [7, 8], "eprint": [7, 8], "2207": 7, "00322": 7, "primaryclass": 7, "astro": 7, "ph": 7, "adsurl": 7, "ui": 7, "adsab": 7, "harvard": 7, "edu": 7, "ab": [7, 88], "adsnot": 7, "sao": 7, "nasa": 7, "system": [7, 92], "incomplet": 8, "made": [8, 11], "categori": 8, "email": 8, "2023": [8, 11], "surviv": 8, "multi": 8, "wavelength": 8, "v883": 8, "ori": 8, "reveal": 8, "mantl": 8, "houg": 8, "adrien": 8, "mac\u00eda": 8, "enriqu": 8, "krijt": 8, "sebastiaan": 8, "2312": 8, "01856": 8, "48550": 8, "millimet": 8, "emiss": 8, "substructur": 8, "mat\u00eda": 8, "til": 8, "paola": 8, "andrew": 8, "sean": 8, "franz": 8, "raphael": 8, "marku": 8, "picogna": 8, "giovanni": 8, "ercolano": 8, "barbara": 8, "miotello": 8, "anna": 8, "kurtov": 8, "nicol\u00e1": 8, "679": 8, "id": 8, "a15": 8, "pp": 8, "1051": 8, "0004": 8, "6361": 8, "202244436": 8, "haworth": 8, "thoma": 8, "facchini": 8, "stefano": 8, "2310": 8, "20214": 8, "constraint": 8, "hd": 8, "163296": 8, "appar": 8, "ring": [8, 89], "alma": 8, "band": 8, "kiyoaki": 8, "kataoka": 8, "akimasa": 8, "957": 8, "issu": [8, 9], "acf5df": 8, "measur": 8, "fragil": 8, "jiang": 8, "haochang": 8, "guerra": 8, "alvarado": 8, "osmar": 8, "carrasco": 8, "gonz\u00e1lez": 8, "carlo": 8, "2311": 8, "07775": 8, "reconcil": 8, "observ": [8, 89], "shear": 8, "vsi": 8, "dead": 8, "zone": 8, "pfeil": 8, "klahr": 8, "hubert": 8, "07332": 8, "equilibrium": [8, 11], "charg": 8, "abund": 8, "submicron": 8, "dramat": 8, "akimkin": 8, "vitali": 8, "ivlev": 8, "alexei": 8, "caselli": 8, "gong": 8, "munan": 8, "silsbe": 8, "kedron": 8, "953": 8, "ace2c5": 8, "edg": [8, 88, 89], "magnet": 8, "delag": 8, "timmi": 8, "okuzumi": [8, 87], "satoshi": 8, "yang": 8, "chao": 8, "chin": 8, "flock": 8, "mario": 8, "674": 8, "a190": 8, "202244731": 8, "revisit": 8, "protostellar": 8, "oplu": [8, 88, 89], "kg": 8, "myr": [8, 89, 92], "xu": 8, "wenrui": 8, "armitag": 8, "philip": 8, "946": 8, "94": 8, "acb7e5": 8, "leaki": 8, "trap": [8, 89], "filter": 8, "lichtenberg": 8, "tim": 8, "joanna": 8, "670": 8, "l5": 8, "202245512": 8, "bump": 8, "properti": 8, "stadler": 8, "jochen": 8, "lenz": 8, "christian": 8, "corn": 8, "668": 8, "a104": 8, "202243338": 8, "rapid": 8, "lau": 8, "tommi": 8, "ho": 8, "a170": 8, "202244864": 8, "neural": 8, "network": 8, "subgrid": 8, "cranmer": 8, "mile": 8, "shirlei": 8, "learn": 8, "scienc": 8, "workshop": 8, "neurip": 8, "2211": 8, "04160": 8, "dwarf": 8, "european": 8, "plu": 8, "137": [8, 89], "1206": 8, "1140": 8, "epjp": 8, "s13360": 8, "022": 8, "03384": 8, "2021": 8, "wide": 8, "exokuip": 8, "belt": 8, "migrat": 8, "miller": 8, "marino": 8, "hen": 8, "th": 8, "monthli": 8, "royal": 8, "societi": 8, "508": 8, "5638": 8, "5656": 8, "1093": 8, "mnra": 8, "stab2935": 8, "gap": [8, 90], "655": 8, "a18": 8, "202141444": 8, "bright": 8, "cida": 8, "benisti": 8, "manara": 8, "natta": 8, "sanchi": 8, "tazzari": 8, "ricci": 8, "testi": 8, "649": 8, "a122": 8, "202140371": 8, "647": 8, "202039925": 8, "645": 8, "a70": 8, "202038920": 8, "constrain": 8, "space": 8, "nebula": 8, "kretk": 8, "katherin": 8, "640": 8, "a61": 8, "202037878": 8, "damp": 8, "back": [8, 45, 87], "reaction": [8, 45], "snow": 8, "635": 8, "a149": 8, "201936067": 8, "vicin": 8, "jupit": [8, 12, 88], "li": 8, "shengtai": 8, "hui": 8, "885": 8, "91": 8, "ab46b7": 8, "dsharp": 8, "evid": 8, "ongo": 8, "letter": 8, "884": 8, "2041": 8, "8213": 8, "ab4423": 8, "dim": 8, "rw": 8, "auriga": 8, "preced": 8, "outburst": 8, "g\u00fcnther": 8, "han": 8, "moritz": 8, "871": 8, "aaf4fc": 8, "guidlin": 9, "conduct": [9, 10], "open": 9, "introduc": [9, 87], "must": 9, "encount": 9, "expect": [9, 87], "reproduc": 9, "miss": 9, "improv": [9, 91], "commun": [10, 86], "releas": 11, "date": 11, "3rd": 11, "decemb": 11, "deprec": 11, "distutil": 11, "trigger": [11, 89], "bug": [11, 90], "fix": [11, 92], "futur": 11, "17th": 11, "june": 11, "correctli": 11, "affect": [11, 88], "7th": 11, "februari": 11, "close": [11, 88, 91, 92], "convers": 11, "denomin": 11, "neglig": 11, "potenti": 11, "incomp": 11, "docstr": 11, "fortran": [11, 12, 90], "18th": 11, "novemb": 11, "luminosisti": 11, "chiang": 11, "goldreich": 11, "1997": 11, "2001": 11, "compar": [11, 89, 91, 92], "approx0": 11, "84": 11, "comparison": [11, 91], "radi": [11, 86, 90], "transfer": [11, 86, 90], "radmc": 11, "3d": 11, "dustpylib": [11, 90], "21st": 11, "juli": 11, "paper": 11, "n_i": 11, "n_j": 11, "intens": 12, "f90": 12, "gravit": 12, "k_b": 12, "m_p": 12, "m_earth": [12, 88, 89], "m_jup": [12, 88], "sun": 12, "circl": 12, "circumfer": 12, "diamet": 12, "sigma_h2": 12, "h2": 12, "molecul": [12, 87], "sigma_sb": 12, "stephan": 12, "kwarg": [13, 38, 66], "child": 13, "progressbar": 13, "summari": [13, 84], "alorithm": 13, "filenam": [14, 15], "extens": [14, 15, 86, 90], "show_limit": [14, 15], "show_st1": [14, 15], "pattern": [14, 15], "boolean": [14, 15], "parent": [16, 17, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 61, 62, 63, 64, 66, 68, 69, 70, 71, 72, 73, 74, 75, 76, 78, 80, 81, 82, 83], "linearli": [17, 88], "cel": 17, "vi": 17, "ftot": 19, "da": 21, "chosen": 21, "travel": 21, "scoag": 22, "shyd": 23, "stot": 24, "less": 25, "sigma_floor": 25, "sigma_dot": 26, "appendic": 30, "cstick": 30, "cstick_ind": 30, "klf": 30, "krm": 30, "tupl": 30, "technic": [30, 91], "entri": 30, "elemt": 30, "axi": [30, 88], "adapt": [32, 78], "dictionari": [37, 65], "x": [38, 66, 89], "dx": 38, "arg": [38, 66], "stepsiz": 38, "keyworda": [38, 66], "jac": [38, 66], "linear": [40, 90, 92], "pf": 40, "propabl": 40, "minu": 41, "vrel": [47, 48, 49, 50, 51, 52], "vparticl": 50, "irridi": 58, "jacobi": 66, "avail": [66, 85], "meaningless": 66, "rc": [67, 89, 92], "cutoff": [67, 92], "viscoc": 70, "manag": [79, 80, 84], "prepar": [81, 82], "luminostii": 83, "appli": 84, "applic": 84, "setboundari": 84, "timeout": 85, "warn": 85, "screen": 85, "abort": 85, "internet": 85, "connect": 85, "ping": 85, "auxiliari": [86, 90], "tool": [86, 90], "everyon": 86, "upload": 86, "sever": 87, "drop": 87, "chemic": 87, "freez": 87, "out": 87, "long": 87, "specul": 87, "composit": 87, "forc": [87, 88], "volatil": 87, "evapor": 87, "bare": 87, "he": 87, "dipolar": 87, "natur": 87, "sticki": 87, "ammonia": 87, "nh": 87, "_3": 87, "slightli": 87, "weaker": 87, "carbon": 87, "dioxid": 87, "co": 87, "_2": 87, "anywai": 87, "sinter": 87, "2016": 87, "construct": 87, "700": 87, "example_ice_lin": 87, "enrich": 87, "traffic": 87, "jam": 87, "outsid": 87, "slowli": 87, "accumul": [87, 89, 91], "insid": 87, "carv": 88, "princip": 88, "torqu": 88, "focu": 88, "steadi": [88, 92], "const": [88, 92], "allow": [88, 92], "fit": 88, "kanagawa": 88, "quad": 88, "sigma_0": 88, "semi": [88, 91], "major": 88, "unperturb": 88, "alpha_0": [88, 89], "kanagawa2017_gap_profil": 88, "q": [88, 92], "alpha0": [88, 89], "majo": 88, "aspect": 88, "ret": [88, 89], "ones_lik": 88, "dist": 88, "kp": 88, "prime": 88, "kp4": 88, "fourth": 88, "sigmin": 88, "siggap": 88, "dr1": 88, "r1": 88, "dr2": 88, "r2": 88, "mask1": 88, "logical_and": 88, "mask2": 88, "induc": 88, "rp": 88, "axvlin": 88, "c7": 88, "saturn": 88, "subgroup": 88, "organ": 88, "earlier": [88, 89], "addgroup": [88, 89], "95": 88, "funtion": 88, "scipi": 88, "interp1d": 88, "__dict__": 88, "item": 88, "skip": 88, "continu": 88, "f_h": 88, "e0": 88, "mplan": [88, 89], "tini": 88, "tfin": 88, "mini": 88, "mfin": 88, "phase": 88, "elif": 88, "mjup": 88, "e5": [88, 89], "msat": 88, "oragn": 88, "bring": 88, "msg": 88, "njupit": 88, "nsaturn": 88, "example_planetary_gap": 88, "label": [88, 89, 91, 92], "legend": [88, 89, 91, 92], "optic": 89, "depth": 89, "schoonenberg": 89, "2018": 89, "soon": 89, "typic": 89, "exceed": 89, "zeta": 89, "sett": 89, "plan": 89, "r_0": 89, "2w": 89, "amplitud": 89, "w": 89, "achievend": 89, "easier": 89, "overal": 89, "slower": 89, "d2g_crit": 89, "effici": 89, "e8": 89, "until": 89, "zeros_lik": 89, "firthermor": 89, "m_plan": 89, "s_ext": 89, "d2g_mid": 89, "mask": 89, "similarli": 89, "dsigmaplan": 89, "inst_planetesim": 89, "expl_1_eul": 89, "append": 89, "example_planetesimal_form": 89, "135": 89, "data0023": 89, "data0024": 89, "data0025": 89, "data0026": 89, "data0027": 89, "data0028": 89, "data0029": 89, "data0030": 89, "data0031": 89, "dai": 89, "extract": 89, "sigmadust": 89, "mga": 89, "mdust": 89, "figsiz": 89, "ax00": 89, "211": 89, "loglog": [89, 91, 92], "ax10": 89, "212": 89, "smoluchowski": [90, 91], "publish": 90, "instal": 90, "pip": 90, "python3": 90, "compil": 90, "usag": 90, "collect": 90, "dustpylinbdocument": 90, "advanc": 90, "systol": 90, "diastol": 90, "librari": 90, "pertub": 90, "citat": 90, "public": 90, "featur": 90, "report": 90, "request": 90, "changelog": 90, "search": 90, "smoluchwoski": 91, "special": 91, "verifi": 91, "simplifi": 91, "benchmark": 91, "against": [91, 92], "silk": 91, "takahashi": 91, "1979": 91, "wetheril": 91, "1990": 91, "n_0": 91, "m_0": [91, 92], "an_0t": 91, "smallest": 91, "zeroth": 91, "bm": 91, "nm2": 91, "solution_constant_kernel": 91, "s0": 91, "m0": [91, 92], "n0": 91, "spiki": 91, "set_constant_kernel": 91, "exercis": 91, "s_0": 91, "test_constant_kernel": 91, "necessari": 91, "sigmaconst": 91, "black": [91, 92], "len": [91, 92], "cstr": [91, 92], "str": [91, 92], "annot": 91, "xy": 91, "1e2": 91, "xytext": 91, "arrowprop": 91, "dict": 91, "facecolor": 91, "red": 91, "ncol": 91, "mark": 91, "arrow": 91, "bit": [91, 92], "combin": 91, "acceler": 91, "counteract": 91, "test_constant_kernel_high_r": 91, "83e": 91, "443": 91, "63e": 91, "472": 91, "33e": 91, "468": 91, "475": 91, "21e": 91, "66e": 91, "431": 91, "47e": 91, "462": 91, "16e": 91, "sigmaconstanthighr": 91, "mhighr": 91, "thighr": 91, "closer": [91, 92], "transpar": 91, "cours": 91, "expens": [91, 92], "an_0m_0t": 91, "solution_linear_kernel": 91, "set_linear_kernel": 91, "test_linear_kernel": 91, "sigmalinear": 91, "wors": 91, "test_linear_kernel_high_r": 91, "sigmalinearhighr": 91, "runawai": 91, "scenario": 91, "quickli": 91, "bodi": 91, "design": 91, "properli": 91, "hartmann": 92, "1998": 92, "nu_1r": 92, "dimensionless": 92, "nu_1": 92, "2r_1": 92, "lbp74_analyt": 92, "log10": 92, "nu1": 92, "c0": 92, "0e": 92, "interest": 92, "computation": 92, "test_gas_evolut": 92, "agreement": 92, "ones": 92, "match": 92, "went": 92, "rightarrow": 92, "neq": 92, "find": 92, "stil": 92, "perfect": 92, "inflow": 92, "cheat": 92, "scene": 92, "prefer": 92}, "objects": {"": [[12, 0, 0, "-", "dustpy"]], "dustpy": [[13, 1, 1, "", "Simulation"], [12, 0, 0, "-", "constants"], [12, 0, 0, "-", "plot"], [12, 0, 0, "-", "std"], [12, 0, 0, "-", "utils"]], "dustpy.Simulation": [[13, 2, 1, "", "checkmassconservation"], [13, 3, 1, "", "ini"], [13, 2, 1, "", "initialize"], [13, 2, 1, "", "makegrids"], [13, 2, 1, "", "run"], [13, 2, 1, "", "setdustintegrator"]], "dustpy.plot": [[14, 4, 1, "", "ipanel"], [15, 4, 1, "", "panel"]], "dustpy.std": [[12, 0, 0, "-", "dust"], [12, 0, 0, "-", "gas"], [12, 0, 0, "-", "grid"], [12, 0, 0, "-", "sim"], [12, 0, 0, "-", "star"]], "dustpy.std.dust": [[16, 4, 1, "", "D"], [17, 4, 1, "", "F_adv"], [18, 4, 1, "", "F_diff"], [19, 4, 1, "", "F_tot"], [20, 4, 1, "", "H"], [21, 4, 1, "", "MRN_distribution"], [22, 4, 1, "", "S_coag"], [23, 4, 1, "", "S_hyd"], [24, 4, 1, "", "S_tot"], [25, 4, 1, "", "SigmaFloor"], [26, 4, 1, "", "Sigma_deriv"], [27, 4, 1, "", "St_Epstein_StokesI"], [28, 4, 1, "", "a"], [29, 4, 1, "", "boundary"], [30, 4, 1, "", "coagulation_parameters"], [31, 4, 1, "", "dt"], [32, 4, 1, "", "dt_adaptive"], [33, 4, 1, "", "enforce_floor_value"], [34, 4, 1, "", "eps"], [35, 4, 1, "", "finalize_explicit"], [36, 4, 1, "", "finalize_implicit"], [37, 1, 1, "", "impl_1_direct"], [38, 4, 1, "", "jacobian"], [39, 4, 1, "", "kernel"], [40, 4, 1, "", "p_frag"], [41, 4, 1, "", "p_stick"], [42, 4, 1, "", "prepare"], [43, 4, 1, "", "rho_midplane"], [44, 4, 1, "", "set_implicit_boundaries"], [45, 4, 1, "", "vdriftmax"], [46, 4, 1, "", "vrad"], [47, 4, 1, "", "vrel_azimuthal_drift"], [48, 4, 1, "", "vrel_brownian_motion"], [49, 4, 1, "", "vrel_radial_drift"], [50, 4, 1, "", "vrel_tot"], [51, 4, 1, "", "vrel_turbulent_motion"], [52, 4, 1, "", "vrel_vertical_settling"]], "dustpy.std.gas": [[53, 4, 1, "", "Fi"], [54, 4, 1, "", "Hp"], [55, 4, 1, "", "P_midplane"], [56, 4, 1, "", "S_hyd"], [57, 4, 1, "", "S_tot"], [58, 4, 1, "", "T_passive"], [59, 4, 1, "", "boundary"], [60, 4, 1, "", "cs_adiabatic"], [61, 4, 1, "", "dt"], [62, 4, 1, "", "enforce_floor_value"], [63, 4, 1, "", "eta_midplane"], [64, 4, 1, "", "finalize"], [65, 1, 1, "", "impl_1_direct"], [66, 4, 1, "", "jacobian"], [67, 4, 1, "", "lyndenbellpringle1974"], [68, 4, 1, "", "mfp_midplane"], [69, 4, 1, "", "n_midplane"], [70, 4, 1, "", "nu"], [71, 4, 1, "", "prepare"], [72, 4, 1, "", "rho_midplane"], [73, 4, 1, "", "set_implicit_boundaries"], [74, 4, 1, "", "vrad"], [75, 4, 1, "", "vvisc"]], "dustpy.std.grid": [[76, 4, 1, "", "OmegaK"]], "dustpy.std.sim": [[77, 4, 1, "", "dt"], [78, 4, 1, "", "dt_adaptive"], [79, 4, 1, "", "finalize_explicit_dust"], [80, 4, 1, "", "finalize_implicit_dust"], [81, 4, 1, "", "prepare_explicit_dust"], [82, 4, 1, "", "prepare_implicit_dust"]], "dustpy.std.star": [[83, 4, 1, "", "luminosity"]], "dustpy.utils": [[84, 1, 1, "", "Boundary"], [85, 4, 1, "", "print_version_warning"]], "dustpy.utils.Boundary": [[84, 3, 1, "", "condition"], [84, 2, 1, "", "setboundary"], [84, 2, 1, "", "setcondition"], [84, 3, 1, "", "value"]]}, "objtypes": {"0": "py:module", "1": "py:class", "2": "py:method", "3": "py:attribute", "4": "py:function"}, "objnames": {"0": ["py", "module", "Python module"], "1": ["py", "class", "Python class"], "2": ["py", "method", "Python method"], "3": ["py", "attribute", "Python attribute"], "4": ["py", "function", "Python function"]}, "titleterms": {"1": [0, 11], "basic": 0, "usag": 0, "The": [0, 2, 3, 91], "simul": [0, 3, 13], "frame": 0, "initi": [0, 1], "run": 0, "plot": [0, 11, 12, 92], "code": 0, "unit": 0, "read": [0, 92], "data": [0, 92], "file": 0, "dump": 0, "2": [1, 11], "simpl": 1, "custom": [1, 2], "stellar": 1, "paramet": 1, "grid": [1, 2, 3, 12, 89], "ga": [1, 3, 6, 11, 12, 92], "dust": [1, 3, 4, 5, 12, 92], "chang": [1, 5, 11], "condit": [1, 11], "snapshot": [1, 2], "output": 1, "directori": 1, "3": [2, 11], "advanc": 2, "radial": [2, 89], "mass": 2, "physic": 2, "field": 2, "ad": [2, 88, 89], "modifi": [2, 92], "updat": [2, 3], "order": [2, 3], "systol": 2, "diastol": 2, "4": [3, 11], "standard": 3, "model": 3, "backreact": 3, "boundari": [3, 11, 29, 59, 84], "coagul": [3, 4, 5, 91], "delta": 3, "rad": 3, "turb": 3, "vert": 3, "fi": [3, 53], "adv": 3, "diff": 3, "tot": 3, "p": 3, "frag": 3, "stick": [3, 4], "": 3, "coag": 3, "ext": 3, "hyd": 3, "v": 3, "rel": 3, "azi": 3, "brown": 3, "driftmax": 3, "d": [3, 10, 16], "ep": [3, 34], "fill": 3, "h": [3, 20], "kernel": [3, 11, 39, 91], "rho": 3, "sigma": 3, "sigmafloor": [3, 25], "st": 3, "visc": 3, "alpha": 3, "c": [3, 9], "eta": 3, "gamma": 3, "hp": [3, 54], "mfp": 3, "mu": 3, "n": 3, "nu": [3, 70], "t": 3, "A": [3, 7], "m": 3, "nm": 3, "nr": 3, "omegak": [3, 76], "r": 3, "ri": 3, "star": [3, 12], "l": 3, "time": 3, "integr": [3, 5, 92], "writer": [3, 92], "5": [4, 11], "fragment": [4, 5], "eros": 4, "probabl": 4, "bounc": 4, "collis": [4, 11], "rate": 4, "sourc": [4, 5, 6], "6": 5, "evolut": [5, 6, 92], "turn": [5, 6, 92], "off": [5, 6, 92], "hydrodynam": [5, 6], "advect": 5, "diffus": 5, "extern": [5, 6], "7": 6, "appendix": [7, 8, 9, 10, 11], "citat": 7, "b": 8, "list": 8, "public": 8, "contribut": 9, "bug": 9, "featur": 9, "report": 9, "request": 9, "dustpi": [10, 12, 90, 92], "discuss": 10, "e": 11, "changelog": 11, "v1": 11, "0": 11, "us": 11, "meson": 11, "build": 11, "system": 11, "bugfix": 11, "veloc": 11, "distribut": 11, "script": 11, "prepar": [11, 42, 71], "addit": 11, "multipl": 11, "speci": 11, "correct": 11, "init": 11, "particl": 11, "size": 11, "remov": 11, "non": 11, "ascii": 11, "charact": 11, "default": 11, "temperatur": 11, "profil": [11, 88], "modul": 12, "refer": 12, "packag": 12, "class": 12, "constant": [12, 91], "function": 12, "std": 12, "sim": 12, "util": 12, "ipanel": 14, "panel": 15, "f_adv": 17, "f_diff": 18, "f_tot": 19, "mrn_distribut": 21, "s_coag": 22, "s_hyd": [23, 56], "s_tot": [24, 57], "sigma_deriv": 26, "st_epstein_stokesi": 27, "coagulation_paramet": 30, "dt": [31, 61, 77], "dt_adapt": [32, 78], "enforce_floor_valu": [33, 62], "finalize_explicit": 35, "finalize_implicit": 36, "impl_1_direct": [37, 65], "jacobian": [38, 66], "p_frag": 40, "p_stick": 41, "rho_midplan": [43, 72], "set_implicit_boundari": [44, 73], "vdriftmax": 45, "vrad": [46, 74], "vrel_azimuthal_drift": 47, "vrel_brownian_mot": 48, "vrel_radial_drift": 49, "vrel_tot": 50, "vrel_turbulent_mot": 51, "vrel_vertical_settl": 52, "p_midplan": 55, "t_passiv": 58, "cs_adiabat": 60, "eta_midplan": 63, "final": 64, "lyndenbellpringle1974": 67, "mfp_midplan": 68, "n_midplan": 69, "vvisc": 75, "finalize_explicit_dust": 79, "finalize_implicit_dust": 80, "prepare_explicit_dust": 81, "prepare_implicit_dust": 82, "luminos": 83, "print_version_warn": 85, "librari": 86, "dustpylib": 86, "exampl": [87, 88, 89], "ic": 87, "line": 87, "planetari": 88, "gap": [88, 89], "planet": 88, "viscos": 88, "pertub": 88, "grow": 88, "planetesim": 89, "format": 89, "refin": 89, "document": 90, "content": 90, "indic": 90, "tabl": 90, "test": [91, 92], "analyt": [91, 92], "linear": 91, "product": 91, "solut": 92, "set": 92, "up": 92, "variabl": 92, "option": 92, "power": 92, "law": 92, "index": 92}, "envversion": {"sphinx.domains.c": 3, "sphinx.domains.changeset": 1, "sphinx.domains.citation": 1, "sphinx.domains.cpp": 9, "sphinx.domains.index": 1, "sphinx.domains.javascript": 3, "sphinx.domains.math": 2, "sphinx.domains.python": 4, "sphinx.domains.rst": 2, "sphinx.domains.std": 2, "sphinx.ext.viewcode": 1, "nbsphinx": 4, "sphinx": 60}, "alltitles": {"1. Basic usage": [[0, "1.-Basic-usage"]], "The Simulation Frame": [[0, "The-Simulation-Frame"]], "Initializing": [[0, "Initializing"]], "Running a Simulation": [[0, "Running-a-Simulation"]], "Plotting": [[0, "Plotting"]], "Code Units": [[0, "Code-Units"]], "Reading data files": [[0, "Reading-data-files"]], "Reading Dump Files": [[0, "Reading-Dump-Files"]], "2. Simple Customization": [[1, "2.-Simple-Customization"]], "Stellar parameters": [[1, "Stellar-parameters"]], "Grid parameters": [[1, "Grid-parameters"]], "Gas Parameters": [[1, "Gas-Parameters"]], "Dust Parameters": [[1, "Dust-Parameters"]], "Changing the Initial Conditions": [[1, "Changing-the-Initial-Conditions"]], "Changing the Snapshots": [[1, "Changing-the-Snapshots"]], "Changing the Output Directory": [[1, "Changing-the-Output-Directory"]], "3. Advanced Customization": [[2, "3.-Advanced-Customization"]], "Customizing the Grids": [[2, "Customizing-the-Grids"]], "The Radial Grid": [[2, "The-Radial-Grid"]], "The Mass Grid": [[2, "The-Mass-Grid"]], "Customizing the Physics of a Field": [[2, "Customizing-the-Physics-of-a-Field"]], "Adding Custom Fields": [[2, "Adding-Custom-Fields"]], "Modifying the Update Order": [[2, "Modifying-the-Update-Order"]], "Systoles and Diastoles": [[2, "Systoles-and-Diastoles"]], "Customizing the Snapshots": [[2, "Customizing-the-Snapshots"]], "4. The Standard Model": [[3, "4.-The-Standard-Model"]], "Dust": [[3, "Dust"]], "Simulation.dust.backreaction": [[3, "Simulation.dust.backreaction"]], "Simulation.dust.boundary": [[3, "Simulation.dust.boundary"]], "Simulation.dust.coagulation": [[3, "Simulation.dust.coagulation"]], "Simulation.dust.delta": [[3, "Simulation.dust.delta"]], "Simulation.dust.delta.rad": [[3, "Simulation.dust.delta.rad"]], "Simulation.dust.delta.turb": [[3, "Simulation.dust.delta.turb"]], "Simulation.dust.delta.vert": [[3, "Simulation.dust.delta.vert"]], "Simulation.dust.Fi": [[3, "Simulation.dust.Fi"]], "Simulation.dust.Fi.adv": [[3, "Simulation.dust.Fi.adv"]], "Simulation.dust.Fi.diff": [[3, "Simulation.dust.Fi.diff"]], "Simulation.dust.Fi.tot": [[3, "Simulation.dust.Fi.tot"]], "Simulation.dust.p": [[3, "Simulation.dust.p"]], "Simulation.dust.p.frag": [[3, "Simulation.dust.p.frag"]], "Simulation.dust.p.stick": [[3, "Simulation.dust.p.stick"]], "Simulation.dust.S": [[3, "Simulation.dust.S"]], "Simulation.dust.S.coag": [[3, "Simulation.dust.S.coag"]], "Simulation.dust.S.ext": [[3, "Simulation.dust.S.ext"]], "Simulation.dust.S.hyd": [[3, "Simulation.dust.S.hyd"]], "Simulation.dust.S.tot": [[3, "Simulation.dust.S.tot"]], "Simulation.dust.v": [[3, "Simulation.dust.v"]], "Simulation.dust.v.rel": [[3, "Simulation.dust.v.rel"]], "Simulation.dust.v.rel.azi": [[3, "Simulation.dust.v.rel.azi"]], "Simulation.dust.v.brown": [[3, "Simulation.dust.v.brown"]], "Simulation.dust.v.rel.rad": [[3, "Simulation.dust.v.rel.rad"]], "Simulation.dust.v.rel.tot": [[3, "Simulation.dust.v.rel.tot"]], "Simulation.dust.v.rel.turb": [[3, "Simulation.dust.v.rel.turb"]], "Simulation.dust.v.rel.vert": [[3, "Simulation.dust.v.rel.vert"]], "Simulation.dust.v.driftmax": [[3, "Simulation.dust.v.driftmax"]], "Simulation.dust.v.frag": [[3, "Simulation.dust.v.frag"]], "Simulation.dust.v.rad": [[3, "Simulation.dust.v.rad"]], "Simulation.dust.a": [[3, "Simulation.dust.a"]], "Simulation.dust.D": [[3, "Simulation.dust.D"]], "Simulation.dust.eps": [[3, "Simulation.dust.eps"]], "Simulation.dust.fill": [[3, "Simulation.dust.fill"]], "Simulation.dust.H": [[3, "Simulation.dust.H"]], "Simulation.dust.kernel": [[3, "Simulation.dust.kernel"]], "Simulation.dust.rho": [[3, "Simulation.dust.rho"]], "Simulation.dust.rhos": [[3, "Simulation.dust.rhos"]], "Simulation.dust.Sigma": [[3, "Simulation.dust.Sigma"]], "Simulation.dust.SigmaFloor": [[3, "Simulation.dust.SigmaFloor"]], "Simulation.dust.St": [[3, "Simulation.dust.St"]], "Update order": [[3, "Update-order"], [3, "id1"], [3, "id2"], [3, "id3"]], "Gas": [[3, "Gas"]], "Simulation.gas.boundary": [[3, "Simulation.gas.boundary"]], "Simulation.gas.S": [[3, "Simulation.gas.S"]], "Simulation.gas.S.ext": [[3, "Simulation.gas.S.ext"]], "Simulation.gas.S.hyd": [[3, "Simulation.gas.S.hyd"]], "Simulation.gas.S.tot": [[3, "Simulation.gas.S.tot"]], "Simulation.gas.v": [[3, "Simulation.gas.v"]], "Simulation.gas.v.rad": [[3, "Simulation.gas.v.rad"]], "Simulation.gas.v.visc": [[3, "Simulation.gas.v.visc"]], "Simulation.gas.alpha": [[3, "Simulation.gas.alpha"]], "Simulation.gas.cs": [[3, "Simulation.gas.cs"]], "Simulation.gas.eta": [[3, "Simulation.gas.eta"]], "Simulation.gas.Fi": [[3, "Simulation.gas.Fi"]], "Simulation.gas.gamma": [[3, "Simulation.gas.gamma"]], "Simulation.gas.Hp": [[3, "Simulation.gas.Hp"]], "Simulation.gas.mfp": [[3, "Simulation.gas.mfp"]], "Simulation.gas.mu": [[3, "Simulation.gas.mu"]], "Simulation.gas.n": [[3, "Simulation.gas.n"]], "Simulation.gas.nu": [[3, "Simulation.gas.nu"]], "Simulation.gas.P": [[3, "Simulation.gas.P"]], "Simulation.gas.rho": [[3, "Simulation.gas.rho"]], "Simulation.gas.Sigma": [[3, "Simulation.gas.Sigma"]], "Simulation.gas.SigmaFloor": [[3, "Simulation.gas.SigmaFloor"]], "Simulation.gas.T": [[3, "Simulation.gas.T"]], "Grid": [[3, "Grid"]], "Simulation.grid.A": [[3, "Simulation.grid.A"]], "Simulation.grid.m": [[3, "Simulation.grid.m"]], "Simulation.grid.Nm": [[3, "Simulation.grid.Nm"]], "Simulation.grid.Nr": [[3, "Simulation.grid.Nr"]], "Simulation.grid.OmegaK": [[3, "Simulation.grid.OmegaK"]], "Simulation.grid.r": [[3, "Simulation.grid.r"]], "Simulation.grid.ri": [[3, "Simulation.grid.ri"]], "Star": [[3, "Star"]], "Simulation.star.L": [[3, "Simulation.star.L"]], "Simulation.star.M": [[3, "Simulation.star.M"]], "Simulation.star.R": [[3, "Simulation.star.R"]], "Simulation.star.T": [[3, "Simulation.star.T"]], "Time": [[3, "Time"]], "Integrator": [[3, "Integrator"]], "Writer": [[3, "Writer"]], "5. Dust Coagulation": [[4, "5.-Dust-Coagulation"]], "Sticking": [[4, "Sticking"]], "Fragmentation & Erosion": [[4, "Fragmentation-&-Erosion"]], "Probabilities": [[4, "Probabilities"]], "Bouncing": [[4, "Bouncing"]], "Collision Rates": [[4, "Collision-Rates"]], "Coagulation Sources": [[4, "Coagulation-Sources"]], "6. Dust Evolution": [[5, "6.-Dust-Evolution"]], "Coagulation": [[5, "Coagulation"]], "Turning off Fragmentation": [[5, "Turning-off-Fragmentation"]], "Turning off Coagulation": [[5, "Turning-off-Coagulation"]], "Hydrodynamics": [[5, "Hydrodynamics"], [6, "Hydrodynamics"]], "Advection": [[5, "Advection"]], "Turning off Advection": [[5, "Turning-off-Advection"]], "Diffusion": [[5, "Diffusion"]], "Turning off Diffusion": [[5, "Turning-off-Diffusion"]], "Turning off Hydrodynamics": [[5, "Turning-off-Hydrodynamics"], [6, "Turning-off-Hydrodynamics"]], "External Sources": [[5, "External-Sources"], [6, "External-Sources"]], "Turning off Dust Evolution": [[5, "Turning-off-Dust-Evolution"], [92, "Turning-off-Dust-Evolution"]], "Changing the Dust Integrator": [[5, "Changing-the-Dust-Integrator"]], "7. Gas Evolution": [[6, "7.-Gas-Evolution"]], "Turning off External Sources": [[6, "Turning-off-External-Sources"]], "Turning off Gas Evolution": [[6, "Turning-off-Gas-Evolution"]], "Appendix A: Citation": [[7, "Appendix-A:-Citation"]], "Appendix B: List of Publications": [[8, "Appendix-B:-List-of-Publications"]], "Appendix C: Contributing/Bugs/Features": [[9, "Appendix-C:-Contributing/Bugs/Features"]], "Contributing": [[9, "Contributing"]], "Bug Reports": [[9, "Bug-Reports"]], "Feature Requests": [[9, "Feature-Requests"]], "Appendix D: DustPy Discussions": [[10, "Appendix-D:-DustPy-Discussions"]], "Appendix E: Changelog": [[11, "Appendix-E:-Changelog"]], "v1.0.5": [[11, "v1.0.5"]], "Using Meson as build system": [[11, "Using-Meson-as-build-system"]], "Bugfix to velocity distribution": [[11, "Bugfix-to-velocity-distribution"]], "Bugfix to plotting script": [[11, "Bugfix-to-plotting-script"]], "Preparation for the addition of multiple gas species": [[11, "Preparation-for-the-addition-of-multiple-gas-species"]], "v1.0.4": [[11, "v1.0.4"]], "Bugfix to boundary conditions": [[11, "Bugfix-to-boundary-conditions"]], "v1.0.3": [[11, "v1.0.3"]], "Correction to inital particle size distribution": [[11, "Correction-to-inital-particle-size-distribution"]], "Removal of non-ASCII characters": [[11, "Removal-of-non-ASCII-characters"]], "v1.0.2": [[11, "v1.0.2"]], "Change in default temperature profile": [[11, "Change-in-default-temperature-profile"]], "v1.0.1": [[11, "v1.0.1"]], "Change to Collision Kernel": [[11, "Change-to-Collision-Kernel"]], "v1.0.0": [[11, "v1.0.0"]], "Module Reference": [[12, "module-reference"]], "dustpy Package": [[12, "module-dustpy"]], "Classes": [[12, "classes"], [12, "id2"], [12, "id4"], [12, "id9"]], "dustpy.constants Package": [[12, "module-dustpy.constants"]], "Constants": [[12, "constants"]], "dustpy.plot Package": [[12, "module-dustpy.plot"]], "Functions": [[12, "functions"], [12, "id1"], [12, "id3"], [12, "id5"], [12, "id6"], [12, "id7"], [12, "id8"]], "dustpy.std Package": [[12, "module-dustpy.std"]], "dustpy.std.dust Module": [[12, "module-dustpy.std.dust"]], "dustpy.std.gas Module": [[12, "module-dustpy.std.gas"]], "dustpy.std.grid Module": [[12, "module-dustpy.std.grid"]], "dustpy.std.sim Module": [[12, "module-dustpy.std.sim"]], "dustpy.std.star Module": [[12, "module-dustpy.std.star"]], "dustpy.utils Package": [[12, "module-dustpy.utils"]], "Simulation": [[13, "simulation"]], "ipanel": [[14, "ipanel"]], "panel": [[15, "panel"]], "D": [[16, "d"]], "F_adv": [[17, "f-adv"]], "F_diff": [[18, "f-diff"]], "F_tot": [[19, "f-tot"]], "H": [[20, "h"]], "MRN_distribution": [[21, "mrn-distribution"]], "S_coag": [[22, "s-coag"]], "S_hyd": [[23, "s-hyd"], [56, "s-hyd"]], "S_tot": [[24, "s-tot"], [57, "s-tot"]], "SigmaFloor": [[25, "sigmafloor"]], "Sigma_deriv": [[26, "sigma-deriv"]], "St_Epstein_StokesI": [[27, "st-epstein-stokesi"]], "a": [[28, "a"]], "boundary": [[29, "boundary"], [59, "boundary"]], "coagulation_parameters": [[30, "coagulation-parameters"]], "dt": [[31, "dt"], [61, "dt"], [77, "dt"]], "dt_adaptive": [[32, "dt-adaptive"], [78, "dt-adaptive"]], "enforce_floor_value": [[33, "enforce-floor-value"], [62, "enforce-floor-value"]], "eps": [[34, "eps"]], "finalize_explicit": [[35, "finalize-explicit"]], "finalize_implicit": [[36, "finalize-implicit"]], "impl_1_direct": [[37, "impl-1-direct"], [65, "impl-1-direct"]], "jacobian": [[38, "jacobian"], [66, "jacobian"]], "kernel": [[39, "kernel"]], "p_frag": [[40, "p-frag"]], "p_stick": [[41, "p-stick"]], "prepare": [[42, "prepare"], [71, "prepare"]], "rho_midplane": [[43, "rho-midplane"], [72, "rho-midplane"]], "set_implicit_boundaries": [[44, "set-implicit-boundaries"], [73, "set-implicit-boundaries"]], "vdriftmax": [[45, "vdriftmax"]], "vrad": [[46, "vrad"], [74, "vrad"]], "vrel_azimuthal_drift": [[47, "vrel-azimuthal-drift"]], "vrel_brownian_motion": [[48, "vrel-brownian-motion"]], "vrel_radial_drift": [[49, "vrel-radial-drift"]], "vrel_tot": [[50, "vrel-tot"]], "vrel_turbulent_motion": [[51, "vrel-turbulent-motion"]], "vrel_vertical_settling": [[52, "vrel-vertical-settling"]], "Fi": [[53, "fi"]], "Hp": [[54, "hp"]], "P_midplane": [[55, "p-midplane"]], "T_passive": [[58, "t-passive"]], "cs_adiabatic": [[60, "cs-adiabatic"]], "eta_midplane": [[63, "eta-midplane"]], "finalize": [[64, "finalize"]], "lyndenbellpringle1974": [[67, "lyndenbellpringle1974"]], "mfp_midplane": [[68, "mfp-midplane"]], "n_midplane": [[69, "n-midplane"]], "nu": [[70, "nu"]], "vvisc": [[75, "vvisc"]], "OmegaK": [[76, "omegak"]], "finalize_explicit_dust": [[79, "finalize-explicit-dust"]], "finalize_implicit_dust": [[80, "finalize-implicit-dust"]], "prepare_explicit_dust": [[81, "prepare-explicit-dust"]], "prepare_implicit_dust": [[82, "prepare-implicit-dust"]], "luminosity": [[83, "luminosity"]], "Boundary": [[84, "boundary"]], "print_version_warning": [[85, "print-version-warning"]], "Library: dustpylib": [[86, "Library:-dustpylib"]], "Example: Ice Lines": [[87, "Example:-Ice-Lines"]], "Example: Planetary Gaps": [[88, "Example:-Planetary-Gaps"]], "Gap Profiles": [[88, "Gap-Profiles"]], "Adding planets": [[88, "Adding-planets"]], "Viscosity pertubation": [[88, "Viscosity-pertubation"]], "Growing planets": [[88, "Growing-planets"]], "Example: Planetesimal Formation": [[89, "Example:-Planetesimal-Formation"]], "Refining the radial grid": [[89, "Refining-the-radial-grid"]], "Adding gap": [[89, "Adding-gap"]], "Adding planetesimals": [[89, "Adding-planetesimals"]], "Adding planetesimal formation": [[89, "Adding-planetesimal-formation"]], "DustPy Documentation": [[90, "dustpy-documentation"]], "Contents:": [[90, null]], "Indices and tables": [[90, "indices-and-tables"]], "Test: Analytical Coagulation Kernels": [[91, "Test:-Analytical-Coagulation-Kernels"]], "The Constant Kernel": [[91, "The-Constant-Kernel"]], "The Linear Kernel": [[91, "The-Linear-Kernel"]], "The Product Kernel": [[91, "The-Product-Kernel"]], "Test: Gas Evolution": [[92, "Test:-Gas-Evolution"]], "Analytical Solution": [[92, "Analytical-Solution"]], "Setting up DustPy": [[92, "Setting-up-DustPy"]], "Modifying Integration Variable": [[92, "Modifying-Integration-Variable"]], "Setting Writer Options": [[92, "Setting-Writer-Options"]], "Reading and Plotting Data": [[92, "Reading-and-Plotting-Data"]], "Modifying the Power Law Index": [[92, "Modifying-the-Power-Law-Index"]]}, "indexentries": {"dustpy": [[12, "module-dustpy"]], "dustpy.constants": [[12, "module-dustpy.constants"]], "dustpy.plot": [[12, "module-dustpy.plot"]], "dustpy.std": [[12, "module-dustpy.std"]], "dustpy.std.dust": [[12, "module-dustpy.std.dust"]], "dustpy.std.gas": [[12, "module-dustpy.std.gas"]], "dustpy.std.grid": [[12, "module-dustpy.std.grid"]], "dustpy.std.sim": [[12, "module-dustpy.std.sim"]], "dustpy.std.star": [[12, "module-dustpy.std.star"]], "dustpy.utils": [[12, "module-dustpy.utils"]], "module": [[12, "module-dustpy"], [12, "module-dustpy.constants"], [12, "module-dustpy.plot"], [12, "module-dustpy.std"], [12, "module-dustpy.std.dust"], [12, "module-dustpy.std.gas"], [12, "module-dustpy.std.grid"], [12, "module-dustpy.std.sim"], [12, "module-dustpy.std.star"], [12, "module-dustpy.utils"]], "simulation (class in dustpy)": [[13, "dustpy.Simulation"]], "checkmassconservation() (dustpy.simulation method)": [[13, "dustpy.Simulation.checkmassconservation"]], "ini (dustpy.simulation attribute)": [[13, "dustpy.Simulation.ini"]], "initialize() (dustpy.simulation method)": [[13, "dustpy.Simulation.initialize"]], "makegrids() (dustpy.simulation method)": [[13, "dustpy.Simulation.makegrids"]], "run() (dustpy.simulation method)": [[13, "dustpy.Simulation.run"]], "setdustintegrator() (dustpy.simulation method)": [[13, "dustpy.Simulation.setdustintegrator"]], "ipanel() (in module dustpy.plot)": [[14, "dustpy.plot.ipanel"]], "panel() (in module dustpy.plot)": [[15, "dustpy.plot.panel"]], "d() (in module dustpy.std.dust)": [[16, "dustpy.std.dust.D"]], "f_adv() (in module dustpy.std.dust)": [[17, "dustpy.std.dust.F_adv"]], "f_diff() (in module dustpy.std.dust)": [[18, "dustpy.std.dust.F_diff"]], "f_tot() (in module dustpy.std.dust)": [[19, "dustpy.std.dust.F_tot"]], "h() (in module dustpy.std.dust)": [[20, "dustpy.std.dust.H"]], "mrn_distribution() (in module dustpy.std.dust)": [[21, "dustpy.std.dust.MRN_distribution"]], "s_coag() (in module dustpy.std.dust)": [[22, "dustpy.std.dust.S_coag"]], "s_hyd() (in module dustpy.std.dust)": [[23, "dustpy.std.dust.S_hyd"]], "s_tot() (in module dustpy.std.dust)": [[24, "dustpy.std.dust.S_tot"]], "sigmafloor() (in module dustpy.std.dust)": [[25, "dustpy.std.dust.SigmaFloor"]], "sigma_deriv() (in module dustpy.std.dust)": [[26, "dustpy.std.dust.Sigma_deriv"]], "st_epstein_stokesi() (in module dustpy.std.dust)": [[27, "dustpy.std.dust.St_Epstein_StokesI"]], "a() (in module dustpy.std.dust)": [[28, "dustpy.std.dust.a"]], "boundary() (in module dustpy.std.dust)": [[29, "dustpy.std.dust.boundary"]], "coagulation_parameters() (in module dustpy.std.dust)": [[30, "dustpy.std.dust.coagulation_parameters"]], "dt() (in module dustpy.std.dust)": [[31, "dustpy.std.dust.dt"]], "dt_adaptive() (in module dustpy.std.dust)": [[32, "dustpy.std.dust.dt_adaptive"]], "enforce_floor_value() (in module dustpy.std.dust)": [[33, "dustpy.std.dust.enforce_floor_value"]], "eps() (in module dustpy.std.dust)": [[34, "dustpy.std.dust.eps"]], "finalize_explicit() (in module dustpy.std.dust)": [[35, "dustpy.std.dust.finalize_explicit"]], "finalize_implicit() (in module dustpy.std.dust)": [[36, "dustpy.std.dust.finalize_implicit"]], "impl_1_direct (class in dustpy.std.dust)": [[37, "dustpy.std.dust.impl_1_direct"]], "jacobian() (in module dustpy.std.dust)": [[38, "dustpy.std.dust.jacobian"]], "kernel() (in module dustpy.std.dust)": [[39, "dustpy.std.dust.kernel"]], "p_frag() (in module dustpy.std.dust)": [[40, "dustpy.std.dust.p_frag"]], "p_stick() (in module dustpy.std.dust)": [[41, "dustpy.std.dust.p_stick"]], "prepare() (in module dustpy.std.dust)": [[42, "dustpy.std.dust.prepare"]], "rho_midplane() (in module dustpy.std.dust)": [[43, "dustpy.std.dust.rho_midplane"]], "set_implicit_boundaries() (in module dustpy.std.dust)": [[44, "dustpy.std.dust.set_implicit_boundaries"]], "vdriftmax() (in module dustpy.std.dust)": [[45, "dustpy.std.dust.vdriftmax"]], "vrad() (in module dustpy.std.dust)": [[46, "dustpy.std.dust.vrad"]], "vrel_azimuthal_drift() (in module dustpy.std.dust)": [[47, "dustpy.std.dust.vrel_azimuthal_drift"]], "vrel_brownian_motion() (in module dustpy.std.dust)": [[48, "dustpy.std.dust.vrel_brownian_motion"]], "vrel_radial_drift() (in module dustpy.std.dust)": [[49, "dustpy.std.dust.vrel_radial_drift"]], "vrel_tot() (in module dustpy.std.dust)": [[50, "dustpy.std.dust.vrel_tot"]], "vrel_turbulent_motion() (in module dustpy.std.dust)": [[51, "dustpy.std.dust.vrel_turbulent_motion"]], "vrel_vertical_settling() (in module dustpy.std.dust)": [[52, "dustpy.std.dust.vrel_vertical_settling"]], "fi() (in module dustpy.std.gas)": [[53, "dustpy.std.gas.Fi"]], "hp() (in module dustpy.std.gas)": [[54, "dustpy.std.gas.Hp"]], "p_midplane() (in module dustpy.std.gas)": [[55, "dustpy.std.gas.P_midplane"]], "s_hyd() (in module dustpy.std.gas)": [[56, "dustpy.std.gas.S_hyd"]], "s_tot() (in module dustpy.std.gas)": [[57, "dustpy.std.gas.S_tot"]], "t_passive() (in module dustpy.std.gas)": [[58, "dustpy.std.gas.T_passive"]], "boundary() (in module dustpy.std.gas)": [[59, "dustpy.std.gas.boundary"]], "cs_adiabatic() (in module dustpy.std.gas)": [[60, "dustpy.std.gas.cs_adiabatic"]], "dt() (in module dustpy.std.gas)": [[61, "dustpy.std.gas.dt"]], "enforce_floor_value() (in module dustpy.std.gas)": [[62, "dustpy.std.gas.enforce_floor_value"]], "eta_midplane() (in module dustpy.std.gas)": [[63, "dustpy.std.gas.eta_midplane"]], "finalize() (in module dustpy.std.gas)": [[64, "dustpy.std.gas.finalize"]], "impl_1_direct (class in dustpy.std.gas)": [[65, "dustpy.std.gas.impl_1_direct"]], "jacobian() (in module dustpy.std.gas)": [[66, "dustpy.std.gas.jacobian"]], "lyndenbellpringle1974() (in module dustpy.std.gas)": [[67, "dustpy.std.gas.lyndenbellpringle1974"]], "mfp_midplane() (in module dustpy.std.gas)": [[68, "dustpy.std.gas.mfp_midplane"]], "n_midplane() (in module dustpy.std.gas)": [[69, "dustpy.std.gas.n_midplane"]], "nu() (in module dustpy.std.gas)": [[70, "dustpy.std.gas.nu"]], "prepare() (in module dustpy.std.gas)": [[71, "dustpy.std.gas.prepare"]], "rho_midplane() (in module dustpy.std.gas)": [[72, "dustpy.std.gas.rho_midplane"]], "set_implicit_boundaries() (in module dustpy.std.gas)": [[73, "dustpy.std.gas.set_implicit_boundaries"]], "vrad() (in module dustpy.std.gas)": [[74, "dustpy.std.gas.vrad"]], "vvisc() (in module dustpy.std.gas)": [[75, "dustpy.std.gas.vvisc"]], "omegak() (in module dustpy.std.grid)": [[76, "dustpy.std.grid.OmegaK"]], "dt() (in module dustpy.std.sim)": [[77, "dustpy.std.sim.dt"]], "dt_adaptive() (in module dustpy.std.sim)": [[78, "dustpy.std.sim.dt_adaptive"]], "finalize_explicit_dust() (in module dustpy.std.sim)": [[79, "dustpy.std.sim.finalize_explicit_dust"]], "finalize_implicit_dust() (in module dustpy.std.sim)": [[80, "dustpy.std.sim.finalize_implicit_dust"]], "prepare_explicit_dust() (in module dustpy.std.sim)": [[81, "dustpy.std.sim.prepare_explicit_dust"]], "prepare_implicit_dust() (in module dustpy.std.sim)": [[82, "dustpy.std.sim.prepare_implicit_dust"]], "luminosity() (in module dustpy.std.star)": [[83, "dustpy.std.star.luminosity"]], "boundary (class in dustpy.utils)": [[84, "dustpy.utils.Boundary"]], "condition (dustpy.utils.boundary attribute)": [[84, "dustpy.utils.Boundary.condition"]], "setboundary() (dustpy.utils.boundary method)": [[84, "dustpy.utils.Boundary.setboundary"]], "setcondition() (dustpy.utils.boundary method)": [[84, "dustpy.utils.Boundary.setcondition"]], "value (dustpy.utils.boundary attribute)": [[84, "dustpy.utils.Boundary.value"]], "print_version_warning() (in module dustpy.utils)": [[85, "dustpy.utils.print_version_warning"]]}})
\ No newline at end of file
+Search.setIndex({"docnames":["1_basics","2_simple_customization","3_advanced_customization","4_standard_model","5_dust_coagulation","6_dust_evolution","7_gas_evolution","A_citation","B_publications","C_contrib_bug_feature","D_discussions","E_changelog","api","api/dustpy.Simulation","api/dustpy.plot.ipanel","api/dustpy.plot.panel","api/dustpy.std.dust.D","api/dustpy.std.dust.F_adv","api/dustpy.std.dust.F_diff","api/dustpy.std.dust.F_tot","api/dustpy.std.dust.H","api/dustpy.std.dust.MRN_distribution","api/dustpy.std.dust.S_coag","api/dustpy.std.dust.S_hyd","api/dustpy.std.dust.S_tot","api/dustpy.std.dust.SigmaFloor","api/dustpy.std.dust.Sigma_deriv","api/dustpy.std.dust.St_Epstein_StokesI","api/dustpy.std.dust.a","api/dustpy.std.dust.boundary","api/dustpy.std.dust.coagulation_parameters","api/dustpy.std.dust.dt","api/dustpy.std.dust.dt_adaptive","api/dustpy.std.dust.enforce_floor_value","api/dustpy.std.dust.eps","api/dustpy.std.dust.finalize_explicit","api/dustpy.std.dust.finalize_implicit","api/dustpy.std.dust.impl_1_direct","api/dustpy.std.dust.jacobian","api/dustpy.std.dust.kernel","api/dustpy.std.dust.p_frag","api/dustpy.std.dust.p_stick","api/dustpy.std.dust.prepare","api/dustpy.std.dust.rho_midplane","api/dustpy.std.dust.set_implicit_boundaries","api/dustpy.std.dust.vdriftmax","api/dustpy.std.dust.vrad","api/dustpy.std.dust.vrel_azimuthal_drift","api/dustpy.std.dust.vrel_brownian_motion","api/dustpy.std.dust.vrel_radial_drift","api/dustpy.std.dust.vrel_tot","api/dustpy.std.dust.vrel_turbulent_motion","api/dustpy.std.dust.vrel_vertical_settling","api/dustpy.std.gas.Fi","api/dustpy.std.gas.Hp","api/dustpy.std.gas.P_midplane","api/dustpy.std.gas.S_hyd","api/dustpy.std.gas.S_tot","api/dustpy.std.gas.T_passive","api/dustpy.std.gas.boundary","api/dustpy.std.gas.cs_adiabatic","api/dustpy.std.gas.dt","api/dustpy.std.gas.enforce_floor_value","api/dustpy.std.gas.eta_midplane","api/dustpy.std.gas.finalize","api/dustpy.std.gas.impl_1_direct","api/dustpy.std.gas.jacobian","api/dustpy.std.gas.lyndenbellpringle1974","api/dustpy.std.gas.mfp_midplane","api/dustpy.std.gas.n_midplane","api/dustpy.std.gas.nu","api/dustpy.std.gas.prepare","api/dustpy.std.gas.rho_midplane","api/dustpy.std.gas.set_implicit_boundaries","api/dustpy.std.gas.vrad","api/dustpy.std.gas.vvisc","api/dustpy.std.grid.OmegaK","api/dustpy.std.sim.dt","api/dustpy.std.sim.dt_adaptive","api/dustpy.std.sim.finalize_explicit_dust","api/dustpy.std.sim.finalize_implicit_dust","api/dustpy.std.sim.prepare_explicit_dust","api/dustpy.std.sim.prepare_implicit_dust","api/dustpy.std.star.luminosity","api/dustpy.utils.Boundary","api/dustpy.utils.print_version_warning","dustpylib","example_ice_lines","example_planetary_gaps","example_planetesimal_formation","index","test_analytical_coagulation_kernels","test_gas_evolution"],"filenames":["1_basics.ipynb","2_simple_customization.ipynb","3_advanced_customization.ipynb","4_standard_model.ipynb","5_dust_coagulation.ipynb","6_dust_evolution.ipynb","7_gas_evolution.ipynb","A_citation.ipynb","B_publications.ipynb","C_contrib_bug_feature.ipynb","D_discussions.ipynb","E_changelog.ipynb","api.rst","api/dustpy.Simulation.rst","api/dustpy.plot.ipanel.rst","api/dustpy.plot.panel.rst","api/dustpy.std.dust.D.rst","api/dustpy.std.dust.F_adv.rst","api/dustpy.std.dust.F_diff.rst","api/dustpy.std.dust.F_tot.rst","api/dustpy.std.dust.H.rst","api/dustpy.std.dust.MRN_distribution.rst","api/dustpy.std.dust.S_coag.rst","api/dustpy.std.dust.S_hyd.rst","api/dustpy.std.dust.S_tot.rst","api/dustpy.std.dust.SigmaFloor.rst","api/dustpy.std.dust.Sigma_deriv.rst","api/dustpy.std.dust.St_Epstein_StokesI.rst","api/dustpy.std.dust.a.rst","api/dustpy.std.dust.boundary.rst","api/dustpy.std.dust.coagulation_parameters.rst","api/dustpy.std.dust.dt.rst","api/dustpy.std.dust.dt_adaptive.rst","api/dustpy.std.dust.enforce_floor_value.rst","api/dustpy.std.dust.eps.rst","api/dustpy.std.dust.finalize_explicit.rst","api/dustpy.std.dust.finalize_implicit.rst","api/dustpy.std.dust.impl_1_direct.rst","api/dustpy.std.dust.jacobian.rst","api/dustpy.std.dust.kernel.rst","api/dustpy.std.dust.p_frag.rst","api/dustpy.std.dust.p_stick.rst","api/dustpy.std.dust.prepare.rst","api/dustpy.std.dust.rho_midplane.rst","api/dustpy.std.dust.set_implicit_boundaries.rst","api/dustpy.std.dust.vdriftmax.rst","api/dustpy.std.dust.vrad.rst","api/dustpy.std.dust.vrel_azimuthal_drift.rst","api/dustpy.std.dust.vrel_brownian_motion.rst","api/dustpy.std.dust.vrel_radial_drift.rst","api/dustpy.std.dust.vrel_tot.rst","api/dustpy.std.dust.vrel_turbulent_motion.rst","api/dustpy.std.dust.vrel_vertical_settling.rst","api/dustpy.std.gas.Fi.rst","api/dustpy.std.gas.Hp.rst","api/dustpy.std.gas.P_midplane.rst","api/dustpy.std.gas.S_hyd.rst","api/dustpy.std.gas.S_tot.rst","api/dustpy.std.gas.T_passive.rst","api/dustpy.std.gas.boundary.rst","api/dustpy.std.gas.cs_adiabatic.rst","api/dustpy.std.gas.dt.rst","api/dustpy.std.gas.enforce_floor_value.rst","api/dustpy.std.gas.eta_midplane.rst","api/dustpy.std.gas.finalize.rst","api/dustpy.std.gas.impl_1_direct.rst","api/dustpy.std.gas.jacobian.rst","api/dustpy.std.gas.lyndenbellpringle1974.rst","api/dustpy.std.gas.mfp_midplane.rst","api/dustpy.std.gas.n_midplane.rst","api/dustpy.std.gas.nu.rst","api/dustpy.std.gas.prepare.rst","api/dustpy.std.gas.rho_midplane.rst","api/dustpy.std.gas.set_implicit_boundaries.rst","api/dustpy.std.gas.vrad.rst","api/dustpy.std.gas.vvisc.rst","api/dustpy.std.grid.OmegaK.rst","api/dustpy.std.sim.dt.rst","api/dustpy.std.sim.dt_adaptive.rst","api/dustpy.std.sim.finalize_explicit_dust.rst","api/dustpy.std.sim.finalize_implicit_dust.rst","api/dustpy.std.sim.prepare_explicit_dust.rst","api/dustpy.std.sim.prepare_implicit_dust.rst","api/dustpy.std.star.luminosity.rst","api/dustpy.utils.Boundary.rst","api/dustpy.utils.print_version_warning.rst","dustpylib.ipynb","example_ice_lines.ipynb","example_planetary_gaps.ipynb","example_planetesimal_formation.ipynb","index.rst","test_analytical_coagulation_kernels.ipynb","test_gas_evolution.ipynb"],"titles":["1. Basic usage","2. Simple Customization","3. Advanced Customization","4. The Standard Model","5. Dust Coagulation","6. Dust Evolution","7. Gas Evolution","Appendix A: Citation","Appendix B: List of Publications","Appendix C: Contributing/Bugs/Features","Appendix D: DustPy Discussions","Appendix E: Changelog","Module Reference","Simulation","ipanel","panel","D","F_adv","F_diff","F_tot","H","MRN_distribution","S_coag","S_hyd","S_tot","SigmaFloor","Sigma_deriv","St_Epstein_StokesI","a","boundary","coagulation_parameters","dt","dt_adaptive","enforce_floor_value","eps","finalize_explicit","finalize_implicit","impl_1_direct","jacobian","kernel","p_frag","p_stick","prepare","rho_midplane","set_implicit_boundaries","vdriftmax","vrad","vrel_azimuthal_drift","vrel_brownian_motion","vrel_radial_drift","vrel_tot","vrel_turbulent_motion","vrel_vertical_settling","Fi","Hp","P_midplane","S_hyd","S_tot","T_passive","boundary","cs_adiabatic","dt","enforce_floor_value","eta_midplane","finalize","impl_1_direct","jacobian","lyndenbellpringle1974","mfp_midplane","n_midplane","nu","prepare","rho_midplane","set_implicit_boundaries","vrad","vvisc","OmegaK","dt","dt_adaptive","finalize_explicit_dust","finalize_implicit_dust","prepare_explicit_dust","prepare_implicit_dust","luminosity","Boundary","print_version_warning","Library: dustpylib","Example: Ice Lines","Example: Planetary Gaps","Example: Planetesimal Formation","<code class=\"docutils literal notranslate\"><span class=\"pre\">DustPy</span></code> Documentation","Test: Analytical Coagulation Kernels","Test: Gas Evolution"],"terms":{"0":[0,1,2,3,4,5,6,8,14,15,17,58,85,87,88,89,90,91,92],"1":[1,2,3,4,5,6,7,8,14,15,17,30,41,60,87,88,89,90,91,92],"2":[0,2,3,4,5,6,8,30,87,88,89,90,91,92],"3":[0,1,3,4,5,6,87,88,89,90,91,92],"4":[0,1,2,4,5,6,8,30,87,88,89,90,91,92],"5":[0,1,2,3,5,6,85,87,88,89,90,91,92],"6":[0,1,2,3,4,6,87,88,89,90,91,92],"7":[0,1,2,3,4,5,8,87,88,89,90,91,92],"8":[0,1,2,3,4,5,6,8,87,88,89,91,92],"9":[0,1,2,3,4,5,6,87,88,89,91,92],"10":[0,1,2,3,4,5,6,7,8,87,88,89,91,92],"11":[0,1,2,3,4,5,6,8,87,88,89,91,92],"12":[0,1,2,3,4,5,6,8,88,89,91,92],"13":[0,1,2,3,4,5,6,8,88,89,91,92],"14":[0,1,2,3,4,5,6,87,88,89,91,92],"15":[0,1,2,3,4,5,6,8,87,88,89,91,92],"16":[0,1,2,3,4,5,6,8,87,88,89,91,92],"17":[0,1,2,3,4,5,6,8,88,89,91,92],"18":[0,2,3,4,5,8,88,89,91,92],"19":[0,2,3,4,88,89,91,92],"20":[0,2,3,4,88,89,91,92],"21":[0,2,3,4,8,88,89,91,92],"22":[0,2,3,4,8,88,89,91,92],"23":[0,2,3,8,88,89,91,92],"24":[0,1,2,3,8,88,89,91,92],"25":[0,2,3,4,5,88,89,91,92],"26":[0,2,3,87,88,89,91,92],"27":[0,2,3,4,88,89,91,92],"28":[0,2,3,88,89,91,92],"29":[0,2,3,88,89,91,92],"30":[0,1,2,3,88,91,92],"31":[0,1,2,3,88,89,91,92],"32":[0,2,3,88,91,92],"33":[1,2,3,88,91,92],"34":[2,3,5,91,92],"35":[2,3,7,91,92],"36":[2,3,91,92],"37":[2,3,87,91,92],"38":[2,3,91,92],"39":[0,1,2,3,5,87,88,89,91,92],"40":[2,3,5,91,92],"41":[2,3,91,92],"42":[2,3,91,92],"43":[2,3,91],"44":[2,3,87,91],"45":[2,3,91],"46":[0,2,3,91],"47":[2,3,91],"48":[2,3,91],"49":[2,3],"50":[2,3,4,89],"51":[2,3],"52":[1,2,3],"53":[2,3,8],"54":[2,3,89],"55":[0,1,2,3,87,88,89,91,92],"56":[2,3],"57":[2,3],"58":[2,3],"59":[2,3],"60":[2,3,89],"61":[2,3],"62":[2,3],"63":[2,3],"64":[2,3],"65":3,"66":3,"67":[1,3],"68":3,"69":3,"70":3,"71":3,"72":[3,8],"75":[4,91],"80":[3,87],"84":11,"90":4,"91":8,"94":8,"95":88,"100":[0,1,2,3,87,88,89],"110":[0,1,2,87,88,89,91,92],"111":[2,5,6,87,88,91,92],"114":[0,1,2,87,88,91,92],"116":[0,1,2,87,88,91,92],"118":[0,1,2,87,88,89,91,92],"120":3,"135":89,"137":[8,89],"150":[2,5,6,87,88,89,91,92],"211":89,"212":89,"236":7,"431":91,"443":91,"462":91,"468":91,"472":91,"475":91,"508":8,"635":8,"640":8,"645":8,"647":8,"649":8,"655":8,"668":8,"670":8,"674":8,"679":8,"700":87,"871":8,"884":8,"885":8,"935":7,"946":8,"953":8,"957":8,"1000":[1,2,87,88,89],"1051":8,"1093":8,"1140":8,"1206":8,"1241":7,"1259":7,"1300":7,"1538":[7,8],"1855":7,"1857":7,"1969":[1,4],"1973":[1,3],"1974":[1,67,92],"1977":1,"1979":91,"1990":91,"1995":[3,20],"1997":11,"1998":92,"2001":11,"2004":3,"2007":[3,51],"2008":[4,30],"2010":[3,4],"2012":0,"2014":[1,4,91],"2016":87,"2017":[2,87,88],"2018":89,"2019":[2,3,8,87,89],"2020":[4,8],"2021":8,"2022":[0,1,2,7,8,11,87,88,89,90,91,92],"2023":[8,11],"2041":8,"2207":7,"2211":8,"2310":8,"2311":8,"2312":8,"3847":[7,8],"4357":[7,8],"5638":8,"5656":8,"5772":[1,3],"6361":8,"8213":8,"10000":1,"20214":8,"48550":8,"100000":[0,1],"100001":0,"163296":8,"23734561":4,"76265439":4,"90784249":4,"201936067":8,"202037878":8,"202038920":8,"202039925":8,"202140371":8,"202141444":8,"202243338":8,"202244436":8,"202244731":8,"202244864":8,"202245512":8,"dustpi":[0,1,2,3,4,5,6,7,8,9,11,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,91],"i":[0,1,2,3,4,5,6,8,9,11,12,13,14,15,17,21,25,27,30,37,38,41,48,65,66,78,79,80,81,82,85,86,87,88,89,90,91,92],"us":[0,1,2,3,4,5,6,7,8,12,13,17,19,22,23,24,27,51,66,78,87,88,89,91,92],"simfram":[0,2,3,5,6,12,13,89,90],"framework":[0,90],"scientif":[0,12,90],"For":[0,2,3,4,5,10,11,13,30,60,86,88,90,91],"detail":[0,1,2,3,4,5,13,30,66,86,89,90,91],"descript":[0,2,4,13,37,65,88,89],"pleas":[0,1,2,3,4,5,7,8,9,10,11,13,86,87,88,89,90,91,92],"have":[0,1,2,3,4,5,6,9,10,11,13,86,87,88,89,90,91,92],"look":[0,1,2,3,4,5,9,10,11,13,14,15,86,89,90,92],"document":[0,1,2,9,11,13,66,84,86,87,88,89,91,92],"thi":[0,1,2,3,4,5,6,8,11,13,21,30,79,80,81,82,85,87,88,89,90,91,92],"notebook":[0,4,91],"demonstr":[0,2,87,88,89,91],"how":[0,1,2,8,9,88,89],"most":[0,4,5,11,91,92],"simpl":[0,3,12,13,14,15,30,90,91],"model":[0,1,4,5,6,8,10,11,30,87,88,89,90,91,92],"e":[0,2,3,4,6,8,88,89,90,91,92],"default":[0,1,2,3,4,5,6,13,14,15,17,19,22,23,24,38,78,84,85,87,89,91,92],"resum":0,"from":[0,1,2,3,4,5,6,8,10,11,13,21,28,30,31,53,61,67,87,88,89,91,92],"To":[0,2,3,4,5,6,9,88,89,91,92],"set":[0,1,2,3,4,5,6,10,11,12,13,16,29,45,48,59,60,84,88,89,90,91],"up":[0,1,4,6,8,10,12,13,21,88,90,91],"we":[0,1,2,3,4,5,6,87,88,89,91,92],"import":[0,1,2,3,4,5,6,87,88,89,91,92],"class":[0,8,13,37,65,84],"packag":[0,7,90],"can":[0,1,2,3,4,5,6,8,11,12,86,87,88,89,90,91,92],"now":[0,1,2,11,87,88,89,91,92],"creat":[0,1,2,5,6,13,87,88,89,91,92],"an":[0,1,2,3,4,5,6,8,9,11,25,85,88,89,91,92],"instanc":[0,3,5,13,14,15],"sim":[0,1,2,3,4,5,6,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,66,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,87,88,89,90,91,92],"At":[0,3,87],"stage":[0,8,66],"empti":[0,2,5,88,89,91],"object":[0,1,2,3,12,13,14,15,21,84,89,91],"control":[0,2,3,4,13,37,65],"our":[0,1,2,4,5,6,87,88,89,92],"dust":[0,2,6,7,8,11,13,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,84,87,88,89,90,91],"group":[0,2,3,4,5,88,89],"quantiti":[0,1,2,3,4,5,6,88,89,92],"ga":[0,2,5,8,21,34,45,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,84,87,88,89,90,91],"grid":[0,4,5,6,13,14,15,16,17,19,53,76,87,88,90,91,92],"star":[0,1,2,8,67,83,87,88,89,90,92],"stellar":[0,2,3,90],"t":[0,1,2,4,5,6,8,11,26,58,84,87,88,89,91,92],"nonetyp":[0,2],"integr":[0,2,4,6,13,34,35,36,37,38,39,42,44,53,64,65,66,71,73,78,79,80,81,82,89,90,91],"specifi":0,"writer":[0,1,2,13,87,88,89,90,91],"all":[0,1,3,4,5,11,12,13,50,87,89,91,92],"field":[0,3,4,5,6,13,16,17,19,20,21,22,23,24,25,26,27,28,34,39,40,41,42,43,45,46,47,48,49,50,51,52,53,54,55,56,57,58,63,66,68,69,70,71,72,74,75,76,83,87,88,89,90,91,92],"ar":[0,1,2,3,4,5,6,11,12,13,14,15,21,30,45,53,66,87,88,89,91,92],"none":[0,2,3,5,6,13,17,18,19,22,23,24,38,84,89,91,92],"attribut":[0,1,3,13,37,65,84],"easilii":0,"address":0,"via":[0,2,3,66,90],"g":[0,1,2,3,4,5,6,11,12,87,88,89,91,92],"boundari":[0,1,2,4,5,6,16,44,66,73,79,80,89,91,92],"condit":[0,2,3,5,6,13,29,59,79,80,84,90,91,92],"":[0,1,2,4,5,6,8,12,84,87,88,89,91,92],"sourc":[0,2,3,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,89,90,91],"term":[0,3,4,5,6,22,23,24,56,57,66,77,89],"v":[0,2,5,8,87,91],"veloc":[0,1,2,3,4,5,6,17,45,46,47,48,49,50,51,52,74,75,87,89],"alpha":[0,1,2,5,6,88,89,91,92],"c":[0,1,2,8,87,88,89,90,91,92],"eta":[0,2,6,63],"fi":[0,2,5,17],"gamma":[0,1,2,4,60,92],"hp":[0,2,88],"mfp":[0,2,68],"mu":[0,1,2],"n":[0,1,2,4,5,6,8,21,69,88,89,91],"nu":[0,2,6,88,92],"p":[0,2,4,5,8,41,55,67,88,91,92],"rho":[0,2,5,11,43,72,89],"sigma":[0,5,6,17,18,19,21,22,23,24,26,38,67,88,89,91,92],"sigmafloor":[0,91],"fill":[0,1,2,5,21,28,91],"valu":[0,1,2,3,4,5,6,13,25,33,42,48,62,66,71,79,80,84,87,88,89,92],"As":[0,2,4,88,89,91,92],"you":[0,1,2,3,4,5,6,7,8,9,13,91,92],"see":[0,1,2,3,4,5,30,66,88,89,92],"ha":[0,1,2,3,4,5,6,11,30,87,88,89,90,91,92],"assign":[0,2,87,88,89],"its":[0,6,88,90,92],"cg":[0,1,2,12],"turbul":[0,3,8,51,88],"paramet":[0,2,3,4,5,6,8,11,13,14,15,16,17,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,61,62,63,64,66,67,68,69,70,71,72,73,74,75,76,78,80,81,82,83,84,85,88,89,90,91,92],"sound":[0,3,48,60],"speed":[0,3,48,60],"cm":[0,2,3,5,88,89],"pressur":[0,3,8,54,55,63,88],"gradient":[0,3,5,6,63,84,92],"flux":[0,3,5,6,17,18,19,44,53,73,88,92],"interfac":[0,2,3,5,6,13,17,18,19,53,86,90],"adiabat":[0,3,60],"index":[0,3,4,14,15,90],"scale":[0,1,3,20,54,88,89,92],"height":[0,3,20,54,88],"midplan":[0,3,11,43,55,63,68,69,72,89],"mean":[0,1,2,3,4,25,50,68,91,92],"free":[0,3,68],"path":[0,3,14,15,68],"molecular":[0,1,3],"weight":[0,1,3],"miplan":[0,3],"number":[0,1,2,3,4,5,7,11,14,15,27,69,89,91],"densiti":[0,1,3,4,5,6,11,14,15,17,19,21,22,23,24,25,26,28,29,33,42,43,57,62,67,69,71,72,88,89,91,92],"cm³":[0,1,3],"kinemat":[0,3,6,70,92],"viscos":[0,1,3,6,70,89,90,92],"cm²":[0,2,3,89,92],"s²":[0,3],"mass":[0,1,3,4,5,8,12,13,14,15,17,19,21,30,43,53,67,72,87,88,89,91,92],"surfac":[0,1,3,5,6,11,17,19,21,22,23,24,25,26,29,33,42,57,62,67,71,87,88,89,91,92],"floor":[0,3,5,6,25,33,62,79,80,92],"temperatur":[0,1,2,3,58,87,92],"k":[0,1,2,3,4,6,30,39,87,88,89,91,92],"also":[0,2,3,4,5,9,85,87,88,91,92],"displai":[0,13],"full":[0,1,2,4,87,88,89,91,92],"tabl":[0,13],"content":[0,13],"toc":[0,13,88],"particl":[0,1,2,3,4,5,8,21,25,28,30,47,48,49,51,52,87,88,89,91,92],"size":[0,1,2,3,4,8,21,28,78,87,91],"backreact":[0,2,5,6],"coeffici":[0,3,5,6,45],"A":[0,1,2,4,5,6,8,11,30,88,89,90,91,92],"pull":[0,3,9],"factor":[0,1,3,4,11,28,89,92],"b":[0,2,3,4,5,6,90,91],"push":[0,3],"inner":[0,1,2,3,5,6,8,87,92],"constant":[0,1,2,3,4,5,6,58,84,87,88,89,90,92],"outer":[0,1,3,5,6,8,11,89,92],"coagul":[0,1,2,8,12,13,22,30,90],"fragment":[0,1,2,3,8,30,40,41,87,88,89,90,91,92],"normal":[0,4,88],"ep":[0,2,4,5,7,30],"remnant":[0,4],"distribut":[0,1,3,4,8,14,15,21,25,90,91],"lf_ind":[0,4],"largest":[0,4,5],"phi":[0,3,4,30],"rm_ind":[0,4],"smaller":[0,1,2,4,5],"stick":[0,1,2,5,30,40,41,87,88,89,90,91,92],"matrix":[0,4,5,6,30,38,66,91],"stick_ind":[0,4],"non":[0,1,2,4,5,6,30],"zero":[0,2,3,4,5,6,11,16,30,89],"element":[0,4,5,6,30],"d":[0,1,2,4,5,89,90,91],"diffus":[0,3,16,18,90,91],"delta":[0,2,5,6,88,91],"mix":[0,3],"rad":[0,2,5,6,91],"radial":[0,1,3,5,6,13,14,15,16,46,49,67,74,75,88,90,91,92],"turb":[0,2,5],"vert":[0,2,5],"vertic":[0,3,8,34,39,52],"ratio":[0,1,2,3,4,12,21,34,88,89],"adv":[0,2,5],"advect":[0,3,17,90,91],"diff":[0,2,5,92],"tot":[0,2,5,91,92],"total":[0,3,4,5,19,24,50,57,89,91],"h":[0,2,5,88],"kernel":[0,2,4,5,90],"collis":[0,1,2,3,5,8,30,39,87,88,89,90,91,92],"probabl":[0,3,5,40,41,90],"frag":[0,2,4,5,87,91],"per":[0,1,2,3,30,89,91],"bin":[0,1,2,3,4,5,14,15,30,89,91],"solid":[0,3,28,91],"state":[0,1,3,5,88,92],"coag":[0,2,4,5,92],"ext":[0,2,5,6,89,92],"extern":[0,3,8,89,90],"hyd":[0,2,5,92],"hydrodynam":[0,3,8,23,56,88,90],"st":[0,2,5,14,15,27,89],"stoke":[0,1,3,11,27],"driftmax":[0,2,5],"maximum":[0,1,2,3,4,5,13,21,30,45,48,89,91],"drift":[0,1,3,5,11,21,45,47,49,87,91],"rel":[0,1,2,4,5,11,13,47,48,49,50,51,52,87,88,89,91,92],"azi":[0,2,5],"azimuth":[0,3,5,47],"brown":[0,2,5,8],"brownian":[0,3,48],"motion":[0,3,48,51],"settl":[0,3,52,89],"visc":[0,2,6],"viscou":[0,3,6,75,89,90,92],"accret":[0,3,5,6,8,88,92],"annulu":[0,2,3,25],"area":[0,2,3],"m":[0,1,2,4,7,8,87,88,89,91,92],"nm":[0,2,5,30,91],"nr":[0,1,2,5,6,17,91],"cell":[0,1,2,3,4,5,6,13,16,17,18,19,53,91],"omegak":[0,2,89],"keplerian":[0,2,3,76],"frequenc":[0,2,3,76],"r":[0,1,2,4,5,6,11,67,84,87,88,89,91,92],"center":[0,2,3,88,89],"ri":[0,2,13,84,88,89],"l":[0,2,8,83,88],"luminos":[0,3],"erg":[0,3],"radiu":[0,1,2,3,12,67,89,92],"effect":[0,1,2,3,4,5,6,8,11,87,89],"intvar":[0,3,26,38,66],"time":[0,1,2,4,5,6,26,31,32,61,66,78,87,88,89,90,91,92],"variabl":[0,3,38,66],"readi":[0,1,87,91],"go":[0,1,3,87,91],"take":[0,2,50],"few":[0,8,91],"minut":0,"000":[0,1,2,88,92],"year":[0,1,2,3,7,12,88,89,92],"v1":[0,1,2,87,88,89,90,91,92],"http":[0,1,2,7,87,88,89,91,92],"stammler":[0,1,2,7,8,11,87,88,89,90,91,92],"github":[0,1,2,87,88,89,91,92],"io":[0,1,2,87,88,89,91,92],"pypi":[0,1,2,87,88,89,91,92],"org":[0,1,2,87,88,89,91,92],"project":[0,1,2,86,87,88,89,91,92],"com":[0,1,2,3,87,88,89,91,92],"cite":[0,1,2,7,87,88,89,91,92],"amp":[0,1,2,87,88,89,91,92],"birnstiel":[0,1,2,3,4,7,8,11,87,88,89,90,91,92],"check":[0,1,2,4,13,87,88,89,91,92],"conserv":[0,1,2,4,5,13,87,88,89,91,92],"max":[0,1,2,3,87,88,89,91,92],"error":[0,1,2,4,11,13,87,88,89,91,92],"75e":[0,1,2,87,88,91,92],"93e":[0,1,2,87,88,89,91,92],"04":[0,1,2,3,87,88,89,91,92],"73e":[0,1,2,87,88,89,91,92],"55e":[0,1,2,87,88,89,91,92],"20e":[0,1,2,87,88,89,91,92],"05":[0,1,2,3,11,58,87,88,89,91,92],"eros":[0,1,2,30,87,88,89,90,91,92],"78e":[0,1,2,87,88,89,91,92],"18e":[0,1,2,87,88,89,91,92],"03":[0,1,2,3,87,88,89,91,92],"directori":[0,2,3,14,15,87,88,89,90,91,92],"write":[0,1,2,3,8,13,87,88,89,91,92],"data0000":[0,1,2,3,87,88,89,91,92],"hdf5":[0,1,2,3,14,15,87,88,89,91,92],"dmp":[0,1,2,87,88,89,91,92],"data0001":[0,1,2,87,88,89,91,92],"data0002":[0,1,2,87,88,89,91,92],"data0003":[0,1,2,87,88,89,91,92],"data0004":[0,1,2,87,88,89,91,92],"data0005":[0,1,2,87,88,89,91],"data0006":[0,1,2,87,88,89,91],"data0007":[0,2,87,88,89],"data0008":[0,2,87,88,89],"data0009":[0,2,87,88,89],"data0010":[0,2,87,88,89],"data0011":[0,2,87,88,89],"data0012":[0,2,87,88,89],"data0013":[0,2,87,88,89],"data0014":[0,2,87,88,89],"data0015":[0,2,87,88,89],"data0016":[0,2,87,88,89],"data0017":[0,2,87,88,89],"data0018":[0,2,87,88,89],"data0019":[0,2,87,88,89],"data0020":[0,2,87,88,89],"data0021":[0,2,87,88,89],"execut":[0,1,2,3,87,88,89,91,92],"By":[0,1,2,3,4,5,6,78,92],"written":[0,3,5,6,12],"output":[0,13,90,91,92],"come":[0,5,6,91],"script":[0,3,12,14,15],"statu":[0,13],"doe":[0,2,3,4,92],"either":[0,1,2,4,6,14,15,92],"argument":[0,37,38,65,66],"If":[0,1,2,3,4,5,6,7,8,9,11,13,14,15,85,89,91],"onli":[0,1,2,3,4,5,6,11,30,66,87,91,92],"current":[0,1,3,4,13,26,42,71,88,92],"panel":[0,1,2,87,88,89],"blue":[0,5,6],"green":0,"line":[0,2,8,11,14,15,90,91],"top":0,"left":[0,1,3,4,5,6,11,87,88,89,91,92],"analyt":[0,4,90],"estim":0,"barrier":[0,11,91],"taken":[0,1,3,4,21],"et":[0,1,2,3,4,11,20,30,87,88,89,91,92],"al":[0,1,2,3,4,11,20,30,87,88,89,91,92],"pass":[0,37,65],"access":[0,3,5,6],"evolut":[0,2,3,4,7,8,12,66,88,89,90,91],"furthermor":[0,5,12,89],"some":[0,1,2,3,4,5,12,91],"ir":[0,3,14,15],"im":[0,14,15],"middl":[0,3],"bottom":0,"show":[0,2,5,6,8,87,88,89,91,92],"along":[0,3,14,15,30],"grai":[0,2,5,6],"dash":0,"It":[0,3,4,6,17,40,42,51,71,79,80,86,87,92],"possibl":[0,1,2,3,4,5,13,91,92],"interact":[0,6,14],"ipanel":0,"here":[0,1,2,3,4,8,87,89,91,92],"given":[0,2,3,4,5,6,13,89,91,92],"sigma_":[0,3,5,6,11,88,89,92],"mathrm":[0,1,2,3,4,5,6,11,87,88,89,91,92],"right":[0,1,2,3,4,5,6,11,87,88,89,91,92],"int":[0,2,3,4,14,15,88,89,91],"limits_0":[0,4,91],"infti":[0,3,4,91],"log":[0,3],"In":[0,1,2,3,4,5,6,11,87,88,89,91,92],"wai":[0,4,5,88,91,92],"independ":[0,3,91],"equiv":[0,5,6],"m_i":[0,3],"sum":[0,3,4,5,89,91],"limits_i":[0,3,89],"numer":[0,3,4,11,88],"over":[0,3,4,88,89,92],"dimens":[0,3],"10558450e":0,"01":[0,1,3,91],"02993178e":0,"59195549e":0,"00":[0,3,4,6,88,91,92],"93896250e":0,"32864174e":0,"75848590e":0,"22598369e":0,"72858592e":0,"26421498e":0,"83081686e":0,"42620155e":0,"04864366e":0,"69645621e":0,"36777353e":0,"06118666e":0,"77532356e":0,"50860884e":0,"25989679e":0,"02807142e":0,"81181881e":0,"61021238e":0,"42234104e":0,"24712484e":0,"08381550e":0,"93166208e":0,"78979299e":0,"65760302e":0,"53446451e":0,"41968942e":0,"31278633e":0,"21322188e":0,"12046727e":0,"03412179e":0,"53725668e":0,"78889287e":0,"09295487e":0,"44492670e":0,"84225840e":0,"28197359e":0,"76099776e":0,"27718147e":0,"82764881e":0,"41043793e":0,"02342272e":0,"66453458e":0,"33227994e":0,"02446805e":0,"73990240e":0,"47688216e":0,"23422420e":0,"01049388e":0,"80460725e":0,"61534454e":0,"44173668e":0,"28272126e":0,"13746515e":0,"00500117e":0,"84600676e":0,"02":[0,3],"75352688e":0,"76579619e":0,"87666240e":0,"07930091e":0,"36881105e":0,"74080407e":0,"18793025e":0,"70181020e":0,"27460221e":0,"90019344e":0,"57365503e":0,"29008272e":0,"04285647e":0,"21052034e":0,"08307277e":0,"92338320e":0,"93621450e":0,"99128440e":0,"85480259e":0,"65581248e":0,"35346523e":0,"06":[0,3],"68845727e":0,"07":[0,3,89],"38908175e":0,"08":[0,3,4,88,92],"70624483e":0,"09":[0,3,88],"34691188e":0,"43173421e":0,"76930567e":0,"59995512e":0,"32088975e":0,"41486135e":0,"51708088e":0,"06317740e":0,"45397680e":0,"14219956e":0,"04642867e":0,"00834622e":0,"84588136e":0,"83347698e":[0,3],"95170965e":[0,3],"18372240e":[0,3],"51483347e":[0,3],"93225557e":[0,3],"convert":[0,2,3,8,89,91,92],"divid":0,"frac":[0,3,4,5,6,11,88,89,91,92],"where":[0,2,4,5,6,87,88,89,91,92],"width":[0,3,4,8,89,91],"sinc":[0,2,3,4,5,6,11,30,87,88,89,91,92],"strictli":[0,2,3,4,13,92],"logarithm":[0,1,2,3,4,13,91],"follow":[0,2,3,4,5,6,88,89,91,92],"relat":[0,3],"hold":[0,2],"m_":[0,1,2,3,4,8,88,89],"cdot":[0,3,4,5,6,91,92],"easili":[0,1,2,3,89],"calcul":[0,1,2,3,4,5,6,11,12,16,17,18,19,20,21,22,23,24,25,26,27,28,30,31,38,39,40,41,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,60,61,63,66,67,68,69,70,72,73,74,75,76,83,88,89,91,92],"numpi":[0,1,2,5,6,11,87,88,89,91,92],"np":[0,1,2,5,6,87,88,89,91,92],"3894954943731377":0,"further":[0,2,13],"assum":[0,3,5,17,40,89,92],"exactli":[0,1,2,3,92],"between":[0,1,2,3,4,8,11,30,40,91,92],"solv":[0,3,4,5,6,90,91,92],"yield":0,"begin":[0,1,3,4,5,6,88,91,92],"split":[0,4,5,6,91,92],"end":[0,2,3,4,5,6,88,91,92],"therefor":[0,1,2,3,4,5,6,11,66,78,87,88,89,92],"35750251e":0,"11450049e":0,"16073436e":0,"52526930e":0,"11935481e":0,"94483396e":0,"29655487e":0,"06116482e":0,"10245276e":0,"32845402e":0,"84588088e":0,"56484316e":0,"24179647e":0,"01289473e":0,"04943384e":0,"15703508e":0,"60769503e":0,"23388501e":0,"45718657e":0,"19324066e":0,"60547999e":0,"30858850e":0,"20777332e":0,"88204722e":0,"39408712e":0,"49505975e":0,"01069653e":0,"79385376e":0,"38112178e":0,"69805348e":0,"52792414e":0,"75124347e":0,"43334490e":0,"want":[0,1,2,3,4,5,8,9,13,87,88,89,91,92],"modul":[0,1,3,5,90],"provid":[0,3,7],"hdf5writer":[0,3],"wrtr":0,"make":[0,2,4,13,91],"sure":0,"correct":[0,2,6,92],"format":[0,2,3,4,5,7,8,88,90,91,92],"h5py":[0,3],"name":[0,1,3,88,89,92],"overwrit":[0,1,2,3,92],"fals":[0,1,3,5,6,11,21,89,91],"true":[0,1,2,3,4,5,6,14,15,21,88,89,91,92],"option":[0,1,2,3,5,6,13,14,15,17,19,22,23,24,38,84,85,89],"lzf":[0,3],"comopt":[0,3],"verbos":[0,3,13],"singl":[0,4,11],"function":[0,1,2,3,4,5,11,13,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,87,88,89,91,92],"return":[0,2,3,4,16,17,19,20,21,22,23,24,25,26,27,28,30,31,32,34,38,39,40,41,43,45,46,47,48,49,50,51,52,53,54,55,56,57,58,61,63,66,67,68,69,70,72,74,75,76,77,78,83,87,88,89,91,92],"namespac":[0,1],"simpli":[0,2,4,6,41,78,88,89,92],"same":[0,2,3,11,89,91,92],"arrai":[0,2,3,6,13,67,84,88,89,91],"11442758e":0,"003":0,"03950016e":0,"69534899e":0,"002":0,"03996575e":0,"42652573e":0,"85281679e":0,"31666653e":0,"81591015e":0,"34839857e":0,"91202935e":0,"50478001e":0,"12473131e":0,"77007790e":0,"43912953e":0,"13030706e":0,"84213637e":0,"57324174e":0,"32233942e":0,"08823154e":0,"86980035e":0,"66600291e":0,"47586611e":0,"29848199e":0,"13300346e":0,"97864019e":0,"83465484e":0,"70035958e":0,"57511273e":0,"45831575e":0,"34941033e":0,"24787571e":0,"15322622e":0,"06500891e":0,"82801375e":0,"001":[0,1,3],"06209726e":0,"34866689e":0,"68429821e":0,"06579849e":0,"49019115e":0,"95470123e":0,"45674173e":0,"99390088e":0,"56393015e":0,"16473303e":0,"79435448e":0,"45097100e":0,"13288134e":0,"83849764e":0,"56633720e":0,"31501460e":0,"08323432e":0,"86978378e":0,"67352666e":0,"49339667e":0,"32839164e":0,"17756796e":0,"04003528e":0,"14951632e":0,"01518836e":0,"98978248e":0,"06606887e":0,"23713926e":0,"49637584e":0,"83742439e":0,"25417178e":0,"74072812e":0,"29141364e":0,"90075039e":0,"56345878e":0,"27445866e":0,"02887484e":0,"22046251e":0,"49538378e":0,"07157848e":0,"90968245e":0,"97305957e":0,"22794764e":0,"64357939e":0,"19226636e":0,"49435663e":0,"93611962e":0,"06340475e":0,"72050959e":0,"77866714e":0,"13366732e":0,"03125139e":0,"23534403e":0,"47255688e":0,"39583152e":0,"60163304e":0,"004":0,"98337858e":0,"00295348e":0,"63569541e":0,"005":0,"42094325e":0,"92794721e":0,"96245913e":0,"006":0,"10228830e":0,"13550420e":0,"87735143e":0,"007":0,"00000000e":[0,3,4,6],"addit":[0,6,9,38,66,88,89],"shape":[0,1,2,3,5,30],"quit":[0,92],"larg":[0,1,3,4,5,8,11],"entir":[0,2,5,6,89],"instead":[0,3,5,11,38,89],"sigmaga":[0,89],"sequenc":[0,2,88,89,91,92],"exclud":[0,3],"certain":[0,3,5],"being":0,"save":[0,4,5],"memori":0,"contain":[0,2,4,5,6,12,86,89,90],"pure":[0,2],"inform":[0,6,66],"about":[0,2,3,4,5,6,10,66,87,89],"oper":[0,3],"perform":[0,1,4,11,12],"like":[0,3,4],"custom":[0,3,4,5,6,11,13,84,86,88,90,91],"directli":[0,2,4],"restart":0,"recent":[0,11],"which":[0,2,3,4,5,6,11,14,15,66,85,86,87,88,89,92],"attent":[0,3],"malwar":0,"inject":0,"pickl":0,"yourself":0,"trust":0,"version":[0,11,85],"thei":[0,1,2,3,4,5,6,12,88,89],"were":[0,2,11],"otherwis":[0,1,2,4,6],"guarante":0,"work":[0,3],"readdump":0,"sim_restart":0,"should":[0,1,2,3,4,11,66,88,89],"ident":[0,3,4],"previou":[0,1,2,5,11,92],"exampl":[0,1,2,3,4,5,11,30,86,90,91,92],"add":[0,2,4,5,6,11,88,89],"more":[0,1,2,4,86,87,89,90,91],"snapshot":[0,3,14,15,89,90,91,92],"just":[0,2],"extend":0,"one":[0,1,2,3,4,5,6,11,25,88,91,92],"concaten":[0,2,88,89],"anoth":[0,2,6],"data0022":[0,89],"wa":[0,2,3,11,13],"do":[1,2,3,4,5,6,87,89,91,92],"run":[1,2,4,13,87,88,89,90,91,92],"standard":[1,4,11,12,13,90],"simul":[1,2,4,5,6,7,11,12,14,15,16,17,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,66,68,69,70,71,72,73,74,75,76,78,80,81,82,83,87,88,89,90,91,92],"modifi":[1,3,4,11,37,65,88,90,91],"The":[1,4,5,6,8,11,12,13,16,21,30,38,41,48,53,66,78,84,87,88,89,90,92],"ini":[1,2,3,4,5,6,11,13,21,89,91,92],"structur":[1,4,5,6,8,88],"central":[1,12],"call":[1,2,4,5,6,13,79,80,81,82,87],"simulatio":1,"accord":[1,3,11,20,67,87,88],"ll":[1,3,87],"through":[1,3,5,17,19,53],"unit":[1,2,4,12,91],"ainimax":[1,21],"0001":1,"allowdriftingparticl":[1,5,11,21,91],"erosionmassratio":[1,4],"d2gratio":[1,21],"distexp":[1,21],"excavatedmass":[1,4],"fragmentdistribut":[1,4],"8333333333333333":1,"rhomonom":[1,3],"vfrag":[1,3,87,89],"mdisk":[1,67,89,92],"942049353490256e":1,"847030424486999e":1,"sigmaexp":[1,92],"sigmarc":[1,89,92],"897587224200000":1,"nmbpd":[1,2,3,91],"mmin":[1,2,3,5],"1e":[1,4,91,92],"mmax":[1,2,3,5,89],"rmin":[1,2],"14959787070000":1,"rmax":[1,2],"495978707e":1,"988409870698051e":[1,3],"139140000000":[1,3],"mainli":[1,12],"influenc":[1,3,5,6,11,87,91],"dynam":[1,4,8],"profil":[1,2,58,67,87,89,90,92],"odot":[1,2],"timescal":1,"disk":[1,2,3,4,6,7,8,11,12,58,67,87,88,89,90,92],"r_":[1,3,4],"passiv":[1,3,58],"irradi":[1,3,58],"irradt":1,"angl":[1,3,58],"determin":[1,3,8],"while":[1,3,4,88],"your":[1,2,4,5,8,9,13,91,92],"own":[1,2,86],"later":[1,89],"under":1,"circumst":1,"meddl":1,"unless":[1,5],"know":[1,2,4,88],"what":[1,5,92],"alwai":[1,2,4,5,13,92],"strickli":1,"algorithm":[1,2,3,4,5,91],"produc":[1,4,5,88],"wrong":[1,92],"result":[1,2,4,5,30,87,88,89,91,92],"attentian":1,"ani":[1,3,4,92],"reason":[1,2,3,4,87,91,92],"dure":1,"re":[1,2,4,92],"note":[1,2,3,4,5,6,8,9,13,16,21,30,38,66,85,87,89,91],"veri":[1,3,5,8],"sensit":1,"finer":1,"slow":1,"down":[1,87],"drastic":1,"decad":[1,3,91],"least":1,"drążkowska":[1,4,8,91],"impact":[1,8],"accuraci":1,"comput":[1,4,5,12,91],"cost":[1,5,91],"minimum":[1,4,88],"locat":[1,2,3,4,87,88,89,92],"au":[1,2,12,87,88,89,92],"defin":[1,3,4,12,89,91,92],"self":[1,67,88,92],"similar":[1,3,4,67,87,88,89,92],"solut":[1,2,67,90,91],"lynden":[1,67,92],"bell":[1,67,92],"pringl":[1,67,92],"shakura":[1,3],"sunyaev":[1,3],"heat":[1,3,8],"capac":1,"init":1,"proton":[1,12],"power":[1,3,67,84,90],"law":[1,3,67,84,90],"expon":[1,3,4,67,84],"critic":[1,67,89,92],"cut":[1,89],"off":[1,3,4,89,90,91],"basic":[1,2,90],"collision":[1,2,4,8,87],"behavior":[1,2,3,4,9,16,87],"µm":1,"remov":[1,4,5,6,89,91,92],"inward":1,"rapidli":[1,87],"increas":[1,4,8,89,91],"low":[1,2,8,91],"even":[1,2,5,91,92],"small":[1,3,4],"caus":[1,3,5,11],"them":[1,2,3,5,87,88,89,91],"alreadi":[1,2,3,4,21,88,89,92],"visibl":[1,88],"wave":[1,21],"collid":[1,3,4,11,91],"below":[1,2,3,87],"both":[1,2,4,5,91,92],"fulli":[1,4],"three":[1,4,5,6,88,91],"thing":1,"happen":[1,4,5,85,92],"when":[1,2,3,4,5,6,11,91],"togeth":1,"form":[1,4,91],"larger":[1,3,4,5,87,89,91],"partner":[1,4,91],"chip":[1,4],"latter":[1,4],"threshold":[1,4,89],"propto":[1,3,4,11,92],"so":[1,2,3,11,12,87,88],"mrn":1,"interstellar":1,"grain":[1,8,87],"mathi":1,"excav":[1,4],"event":[1,4],"much":1,"whenev":[1,5,6],"dohnanyi":[1,4],"monom":1,"bulk":[1,11],"uniti":[1,89],"share":1,"exce":[1,4,89],"depend":[1,2,3,5,6,77,87,91],"lead":[1,3,91,92],"massiv":[1,8,91],"m_sun":[1,12,88,89],"describ":[1,3,4,5,6,9,30,87,89,91,92],"section":[1,2,3,12],"start":[1,2,3,4,13,87,88,91],"data":[1,2,3,7,12,14,15,87,88,89,90,91],"file":[1,2,3,11,12,13,14,15,87,88,89,90,91,92],"logspac":[1,2,88,89,91,92],"num":[1,2,88,89,92],"base":[1,2,13,37,65,84,90,92],"protect":1,"exist":[1,2,3,5,87,92],"ran":1,"would":[1,2,4,5,6,87,88,89],"rais":1,"becaus":[1,2,5,13],"chapter":[1,2,3,5,88,92],"could":[1,2,5,11,88,89],"datadir":[1,2,87,88,89,91,92],"2_data":1,"dump":[1,2,3,87,88,89,90,91,92],"frame":[1,2,3,13,16,17,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,61,62,63,64,66,68,69,70,71,72,73,74,75,76,78,80,81,82,83,87,88,89,90,91,92],"plot":[1,2,3,14,15,87,88,89,90,91],"limit":[1,3,5,11,14,15],"machin":[1,4,8],"precis":[1,4],"everyth":[1,2],"than":[1,2,3,4,5,25,85,87,91],"still":[1,2,3,4,5,6,88,92],"accept":[1,92],"compat":[1,11],"ignor":[1,4],"checkmassconserv":[1,13],"core":[2,8,88],"principl":[2,5],"chang":[2,3,4,6,9,30,87,88,89,90,92],"anyth":[2,3],"Not":[2,29,59],"initi":[2,3,4,5,6,11,13,21,87,88,89,90,91,92],"shown":[2,5],"behind":[2,92],"But":[2,4,88,89,92],"situat":[2,91],"need":[2,3,4,5,6,10,13,30,66,84,88,89,91,92],"befor":[2,4,5,9,11,13,81,82,88,89],"complet":[2,13],"case":[2,3,4,5,11,88,91,92],"makegrid":[2,13],"without":[2,3,5,6],"fact":[2,92],"within":[2,4,5,12,92],"been":[2,3,11,87,90],"point":[2,3,4,87],"regular":2,"adjac":[2,4],"07151931":2,"explain":[2,3,89],"refin":[2,88,90],"helper":[2,12],"doubl":[2,4,11],"region":2,"side":[2,4,5,6],"around":[2,4,8,89],"r0":[2,88,89],"recurs":2,"reduc":[2,3,4,11,89],"smooth":[2,4,89],"transit":[2,4,8,40],"high":[2,4,8,89,91],"resolut":[2,89,91],"def":[2,87,88,89,91,92],"refinegrid":[2,88,89],"float":[2,3,4,31,32,38,61,67,78,84,85,88,89,91,92],"iter":[2,89],"new":[2,3,4,6,9,88,89,92],"ind":[2,88,89],"argmin":[2,88,89],"indl":[2,88,89],"indr":[2,88,89],"ril":[2,88,89],"rir":[2,88,89],"rim":[2,88,89],"rang":[2,4,88,89,91,92],"j":[2,3,4,5,6,8,11,30,88,89],"feed":2,"ndarrai":2,"suffici":[2,88],"automat":[2,3,5,92],"other":[2,3,4,5,6,11,92],"greater":[2,85],"actual":[2,4,88,92],"matplotlib":[2,5,6,11,87,88,89,91,92],"pyplot":[2,5,6,87,88,89,91,92],"plt":[2,5,6,87,88,89,91,92],"fig":[2,5,6,87,88,89,91,92],"figur":[2,5,6,87,88,89,91,92],"dpi":[2,5,6,87,88,89,91,92],"ax":[2,5,6,87,88,91,92],"add_subplot":[2,5,6,87,88,89,91,92],"semilogi":2,"axhlin":2,"lw":[2,5,88,91,92],"set_xlabel":[2,87,88,89,91,92],"set_ylabel":[2,87,88,89,91,92],"tight_layout":[2,5,6,87,88,89,91,92],"posit":[2,4,30,38,66],"never":[2,5],"manual":[2,3],"awar":2,"well":[2,6,90],"shall":[2,88],"idea":[2,9],"approach":2,"coat":2,"water":[2,87],"ic":[2,8,90],"stickier":2,"silic":[2,87],"widthstand":2,"higher":[2,91],"pinilla":[2,8,87],"howev":[2,4,5,6,87,91,92],"keep":[2,5],"mind":[2,5],"newer":[2,85],"experi":2,"suggest":[2,4,9,78],"cover":[2,4],"benefici":[2,8],"musiolik":[2,87],"wurm":[2,87],"first":[2,3,4,5,6,8,11,13,16,30,87,89,91],"everi":[2,3,4,5,6,11,79,80,81,82,87],"semilogx":[2,87,88],"distanc":[2,67,87,88,89,92],"input":[2,10],"desir":[2,4,88,89,91,92],"v_frag":2,"process":2,"store":[2,3,4,5,6,30,38,42,71],"heatbeat":2,"heartbeat":[2,13],"consist":[2,3,5,88],"afterward":2,"those":[2,4,5,88],"overwritten":[2,6],"prevent":[2,3,4,11,21,92],"leav":[2,91],"command":2,"read":[2,88,89,90,91],"old":2,"tell":[2,8,88],"itself":2,"whole":[2,5,87],"probabilit":2,"better":2,"rsnow":2,"give":[2,8],"u":[2,8],"snowlin":2,"sublim":[2,8],"addfield":[2,88,89],"member":2,"next":2,"step":[2,3,5,6,8,9,31,32,35,36,42,44,61,64,66,71,73,78,79,80,81,82,87,89,91],"isnow":2,"argmax":2,"And":[2,3,4,88,89],"print":[2,4,13,85,88],"2f":[2,88],"throughout":[2,91],"achiev":[2,5,6,88,89],"let":[2,4,88,89],"decreas":2,"yr":[2,89,92],"purpos":[2,87],"necessarili":[2,5,6,92],"rstar":2,"dr":2,"r_sun":[2,12],"dt":[2,32,78],"e4":[2,89,92],"done":[2,4,88,92],"yet":[2,29,59],"instruct":[2,3,5,6,13,89,91,92],"told":2,"regularili":2,"onc":[2,3,4],"timestep":[2,3,5,77,78,91],"after":[2,3,4,6,44,73,79,80,85,87,88,92],"list":[2,6,11,13,90],"whose":2,"main":[2,12,13,88],"updateord":[2,3,13],"sub":[2,3],"These":[2,3,4,88,89,91],"final":[2,3,35,36,79,80,88,92],"deriv":[2,26,89,91],"implicit":[2,3,5,6,13,36,37,38,42,44,53,65,73,89,92],"concept":2,"problem":[2,91,92],"previous":2,"cannot":[2,6,13],"revert":2,"That":[2,4,5,91],"respect":[2,3,4,10,88],"put":2,"Or":[2,4,92],"requir":[2,5,6,87,89,90],"separ":[2,3,5,11],"avoid":[2,3,11,16,91],"modif":[2,88],"3_data":2,"obviou":2,"discret":[2,92],"hline":[2,5,6],"e3":[2,91],"1e4":2,"color":[2,5,6,88],"vline":[2,5,6,88],"set_xlim":[2,87,88,89,91,92],"set_ylim":[2,88,89,91,92],"four":[3,4,30,92],"two":[3,4,5,8,11,16,88,91],"excert":3,"mechan":[3,4,5],"gárate":[3,8],"v_":[3,4,5,6,11],"av_":[3,6],"2b":[3,6],"everywher":3,"activ":3,"type":[3,11,16,17,19,20,21,22,23,24,25,26,27,28,30,31,32,34,38,39,40,41,43,45,46,47,48,49,50,51,52,53,54,55,56,57,58,61,63,66,67,68,69,70,72,74,75,76,83,84],"appendix":[3,4,90],"setcondit":[3,84,92],"help":[3,5],"method":[3,4,5,7,13,30,37,65,84,87,89],"util":[3,84,85,90],"string":[3,5,13,14,15,84],"conditon":[3,84],"const_grad":[3,11,84,92],"const_pow":[3,11,84,92],"const_val":[3,11,84],"val":[3,11,84,92],"grad":[3,11,84],"pow":[3,11,84],"don":[3,5,84],"impos":[3,84,88],"growth":[3,4,8,14,15,88,90,91],"discuss":[3,8,11,88,90,91],"direct":[3,5,6,13,89,92],"delta_":[3,4,11],"retrospect":3,"found":[3,5,6,88],"analysi":[3,8],"f_":[3,5],"nabla":[3,5],"speci":[3,5,87,89],"instabl":[3,8],"Their":[3,5],"9948352476770317":3,"maxwel":3,"boltzmann":[3,12],"f":[3,4,8,88,89],"sqrt":[3,4,6,11,88,91,92],"pi":[3,4,11,12,88,91,92],"rm":[3,5],"exp":[3,89,91,92],"k_":[3,11],"limits_":3,"geo":3,"count":[3,11],"abov":[3,4,5,6,87,92],"p_":[3,4],"bar":3,"root":[3,50,88],"squar":[3,50],"bounc":[3,90],"implement":[3,4,29,59,87,91],"leq":3,"s_":[3,6],"differ":[3,4,8,87],"rate":[3,8,11,89,90],"outcom":[3,4,53],"differenti":[3,89,92],"_i":3,"_j":3,"8k_":3,"m_j":3,"express":[3,91],"diverg":3,"cap":3,"c_":[3,88,92],"unwant":[3,4,5,16],"individu":[3,6,50,91],"prescript":[3,51,87,92],"ormel":[3,51],"cuzzi":[3,51],"h_i":[3,4,11],"min":[3,88],"h_j":[3,4,11],"omega_":[3,89,92],"dullemond":[3,8,11,89],"dominik":3,"radii":3,"3m":3,"rho_":3,"literatur":3,"often":3,"refer":[3,4,90,91],"metal":3,"z":3,"epsilon":3,"aggreg":[3,8],"dubrul":[3,20],"h_":[3,88],"ij":[3,4,11],"a_i":[3,4,11],"a_j":[3,4,11],"geometr":[3,4,12],"cross":[3,12,87],"multipli":[3,4],"equal":[3,4,11],"kroneck":3,"reservoir":[3,11,89],"second":[3,4,5,11,12,85,91],"twice":3,"third":[3,5,91],"materi":3,"summat":3,"11815368e":3,"04232155e":3,"71465059e":3,"05339692e":3,"43629793e":3,"86040780e":3,"32297742e":3,"82144128e":3,"35340519e":3,"91663488e":3,"50904531e":3,"12869076e":3,"77375546e":3,"44254502e":3,"13347826e":3,"84507969e":3,"57597248e":3,"32487186e":3,"09057900e":3,"87197527e":3,"66801690e":3,"47773001e":3,"30020595e":3,"13459693e":3,"98011200e":3,"83601326e":3,"70161231e":3,"57626698e":3,"45937826e":3,"35038739e":3,"24877321e":3,"15404966e":3,"06576343e":3,"83491798e":3,"06840556e":3,"35442144e":3,"68953850e":3,"07056150e":3,"49451154e":3,"95861146e":3,"46027226e":3,"99708026e":3,"56678518e":3,"16728886e":3,"79663471e":3,"45299782e":3,"13467557e":3,"84007884e":3,"56772375e":3,"31622377e":3,"08428234e":3,"87068586e":3,"67429708e":3,"49404882e":3,"32893806e":3,"17802035e":3,"04040457e":3,"15247991e":3,"01751688e":3,"99156307e":3,"06738170e":3,"23805770e":3,"49696665e":3,"83774784e":3,"25428186e":3,"74067268e":3,"29123459e":3,"90048396e":3,"56313572e":3,"27410459e":3,"02851052e":3,"21687989e":3,"49198428e":3,"06844837e":3,"24348839e":3,"08303312e":3,"43282410e":3,"21564634e":3,"15552883e":3,"23220508e":3,"42802371e":3,"72761102e":3,"11757706e":3,"58625970e":3,"12350162e":3,"72045619e":3,"36941829e":3,"06367706e":3,"79738758e":3,"56545914e":3,"36345791e":3,"18752220e":3,"03428860e":3,"00827708e":3,"84588135e":3,"might":[3,5,87],"contribut":[3,89,90],"correspond":3,"physic":[3,5,8,90],"a_":[3,88],"fewer":3,"epstein":[3,27],"drag":[3,27],"regim":[3,27],"consid":[3,91],"text":[3,88,92],"lambda_":3,"els":[3,88],"fine":[3,92],"deviat":[3,92],"test":[3,85,90],"infal":[3,5,6],"implicitli":[3,5],"relev":3,"turn":[3,88,90,91],"partial":[3,4,5,6,88,89,91,92],"isotherm":[3,60],"degre":3,"kepler":3,"specif":[3,11],"iso":3,"h_2":3,"84703042e":3,"euler":[3,5,89],"scheme":[3,5,6,13,37,65,78,89],"l_":[3,11],"sb":[3,11],"addition":3,"span":3,"38949549e":3,"93069773e":3,"68269580e":3,"72759372e":3,"17947468e":3,"19685673e":3,"t_":[3,89,92],"solar":[3,8],"15576000e":3,"97286646e":3,"00154254e":3,"29656900e":3,"92691073e":3,"97938935e":3,"25633068e":3,"58162662e":3,"99114995e":3,"50670927e":3,"safeti":3,"cfl":3,"One":3,"1st":[3,5,6,89,92],"solver":[3,5,6,89,92],"jacobian":[3,5,6,11],"except":[3,6],"65695963e":3,"51742395e":3,"41277753e":3,"31512275e":3,"22399343e":3,"13895454e":3,"05960011e":3,"85551322e":3,"16454666e":3,"51980274e":3,"91820337e":3,"35687637e":3,"83314177e":3,"34449895e":3,"88861478e":3,"46331238e":3,"06656081e":3,"69646526e":3,"35125809e":3,"02929031e":3,"72902371e":3,"44902350e":3,"18795143e":3,"94455937e":3,"71768333e":3,"50623785e":3,"30921082e":3,"12565856e":3,"95470127e":3,"79551880e":3,"64734665e":3,"50947226e":3,"38123153e":3,"26200553e":3,"15121751e":3,"04832998e":3,"52842068e":3,"64286959e":3,"82229559e":3,"06264239e":3,"36012738e":3,"71122173e":3,"11263153e":3,"56128002e":3,"05429063e":3,"58897093e":3,"16279733e":3,"77340052e":3,"41855165e":3,"09614912e":3,"80420610e":3,"54083866e":3,"30425466e":3,"09274328e":3,"04665397e":3,"38444770e":3,"92560115e":3,"65538218e":3,"55948141e":3,"62396618e":3,"83524760e":3,"18006141e":3,"45463314e":3,"18839224e":3,"12069694e":3,"59127752e":3,"33752432e":3,"46850987e":3,"08748612e":3,"29111679e":3,"16870159e":3,"80143987e":3,"26178420e":3,"61293508e":3,"90852435e":3,"19252718e":3,"49943057e":3,"85467018e":3,"27532818e":3,"77106488e":3,"34523665e":3,"96136649e":3,"18283408e":3,"03678333e":3,"42957842e":3,"26378068e":3,"44589401e":3,"91814086e":3,"30026964e":3,"02814903e":3,"65881680e":3,"68880524e":3,"33878800e":3,"05888641e":3,"25247153e":3,"92320686e":3,"56337655e":3,"86150120e":3,"includ":[3,4,8,11,45,89,90],"ravel":[3,5,38],"reshap":3,"69378160e":3,"07100367e":3,"46948374e":3,"97891724e":3,"74969659e":3,"82069102e":3,"23483735e":3,"59511976e":3,"67032489e":3,"64083767e":3,"20390542e":3,"05662920e":3,"88452713e":3,"16639372e":3,"65877154e":3,"22801314e":3,"17572957e":3,"85635051e":3,"55226776e":3,"06505134e":3,"32632479e":3,"18906666e":3,"48062233e":3,"84366661e":3,"59893623e":3,"23624508e":3,"02982080e":3,"61156047e":3,"49710457e":3,"59978150e":3,"dimension":[3,4,5],"vector":[3,5,66],"success":3,"enforc":[3,33,62,79,80,92],"smolukowski":[4,91],"equat":[4,5,6,90,91,92],"amount":4,"get":[4,92],"ad":[4,11,90],"gener":[4,10,92],"neg":[4,89],"goe":4,"symmetr":4,"brauer":[4,30],"pre":[4,12],"initialz":4,"ti":4,"neither":4,"nor":4,"There":[4,5,88],"complic":4,"disadvantag":4,"lie":[4,91],"fall":4,"too":[4,5],"coars":4,"resulut":4,"order":[4,5,6,11,13,87,89,90,92],"magnitud":4,"m1":4,"m2":4,"m_tot":4,"halt":4,"primarili":4,"grow":[4,8,87,90],"sweep":[4,8],"mani":4,"techniqu":4,"arrang":4,"apendic":4,"pair":4,"border":4,"spars":[4,5,38],"mostli":4,"elemet":4,"each":[4,5,88,89],"err":4,"rel_err":4,"nrel":4,"5e":4,"2e":4,"good":[4,92],"collsion":4,"09215751":4,"0000000000000004":4,"distinguish":4,"roughli":4,"significantli":[4,91],"rafikov":4,"who":4,"develop":4,"mathcal":4,"o":4,"n_m":4,"kind":[4,5,6],"varphi":4,"04013542":4,"04239721":4,"04478647":4,"04731037":4,"0499765":4,"05279288":4,"05576798":4,"05891073":4,"06223059":4,"06573754":4,"06944212":4,"07335547":4,"07748936":4,"0818562":4,"08646913":4,"09134202":4,"9999999999999999":4,"mai":[4,5,8,11],"notic":[4,8,11],"tranform":4,"code":[4,9,10,11,90],"slope":[4,92],"enough":[4,5,92],"again":[4,91,92],"transpos":4,"indic":[4,8],"m_frag":4,"chi":[4,8],"lose":4,"account":4,"onto":[4,5,6,17,33,45,87,88],"lower":[4,5],"fraction":[4,89],"k_lf":4,"k_rm":4,"m_remnant":4,"7e":4,"accur":4,"quick":4,"decid":[4,92],"wether":4,"setup":[4,92],"p_tot":4,"occur":[4,11],"product":[4,90],"crosssect":4,"devid":4,"fly":4,"evalu":4,"23483044e":4,"59511337e":4,"67031877e":4,"88452102e":4,"16638811e":4,"65876621e":4,"part":[5,6,8,92],"vec":[5,6],"_":[5,6,88],"mathbb":[5,6],"imshow":[5,6],"toarrai":[5,6],"cmap":[5,6],"arang":[5,6],"get_xaxi":[5,6],"set_vis":[5,6],"get_yaxi":[5,6],"set_titl":[5,6,91],"act":5,"box":5,"diagon":[5,6],"due":[5,6,11,47,48,49,51,52,87,88,89,92],"choic":[5,91],"upper":[5,91],"last":[5,6,16],"column":5,"involv":5,"earli":[5,8],"henc":5,"repres":5,"transport":5,"row":[5,6],"especi":5,"y":[5,6,89],"hand":[5,6],"hidden":[5,6,42,71,88],"_rh":[5,6],"known":[5,6,88],"std":[5,6,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,90],"impl_1_direct":[5,6,12,37,65],"unset":[5,6,92],"updat":[5,6,11,13,87,88,89,90,91,92],"reach":[5,88,89],"probabili":5,"though":[5,21],"consum":5,"valuabl":5,"resourc":5,"interpol":[5,17,88],"aim":5,"loss":[5,6],"With":[5,91],"planetesim":[5,7,8,90],"pebbl":[5,8],"deactiv":5,"del":[5,6,91,92],"ressourc":5,"move":5,"invers":[5,88],"weakli":5,"violat":5,"explicit":[5,13,89],"setdustintegr":[5,13],"cash":[5,13],"karp":[5,13],"5th":5,"gmre":[5,13],"bicgstab":[5,13],"viscous":[6,92],"evolv":[6,88,92],"planet":[6,7,8,90],"tri":6,"neighbour":6,"notabl":6,"j_":6,"r_2":[6,88],"r_1":[6,88,92],"r_3":6,"r_n":6,"ve":[6,92],"multipl":[6,66],"22296714e":6,"34188528e":6,"18365261e":6,"83335703e":6,"98169223e":6,"94710783e":6,"07670081e":6,"21243606e":6,"70797667e":6,"77187596e":6,"51664716e":6,"82454236e":6,"76327403e":6,"word":[6,92],"seen":[6,88],"photoevapor":[6,8],"hte":6,"articl":[7,8],"2022apj":7,"author":7,"sebastian":[7,8],"tilman":[7,8],"titl":7,"python":[7,12,90],"protoplanetari":[7,8,12,87,89,90],"journal":[7,8],"apj":7,"keyword":[7,37,65],"astronomi":[7,8],"softwar":[7,9],"astronom":[7,8,12],"circumstellar":7,"astrophys":[7,8],"earth":[7,12,88],"planetari":[7,8,89,90],"instrument":7,"month":7,"aug":7,"volum":[7,8],"eid":7,"page":[7,90],"doi":[7,8],"ac7d58":7,"archiveprefix":7,"arxiv":[7,8],"eprint":[7,8],"00322":7,"primaryclass":7,"astro":7,"ph":7,"adsurl":7,"ui":7,"adsab":7,"harvard":7,"edu":7,"ab":[7,88],"adsnot":7,"sao":7,"nasa":7,"system":[7,92],"incomplet":8,"made":[8,11],"categori":8,"email":8,"surviv":8,"multi":8,"wavelength":8,"v883":8,"ori":8,"reveal":8,"mantl":8,"houg":8,"adrien":8,"macía":8,"enriqu":8,"krijt":8,"sebastiaan":8,"01856":8,"millimet":8,"emiss":8,"substructur":8,"matía":8,"til":8,"paola":8,"andrew":8,"sean":8,"franz":8,"raphael":8,"marku":8,"picogna":8,"giovanni":8,"ercolano":8,"barbara":8,"miotello":8,"anna":8,"kurtov":8,"nicolá":8,"id":8,"a15":8,"pp":8,"0004":8,"haworth":8,"thoma":8,"facchini":8,"stefano":8,"constraint":8,"hd":8,"appar":8,"ring":[8,89],"alma":8,"band":8,"kiyoaki":8,"kataoka":8,"akimasa":8,"issu":[8,9],"acf5df":8,"measur":8,"fragil":8,"jiang":8,"haochang":8,"guerra":8,"alvarado":8,"osmar":8,"carrasco":8,"gonzález":8,"carlo":8,"07775":8,"reconcil":8,"observ":[8,89],"shear":8,"vsi":8,"dead":8,"zone":8,"pfeil":8,"klahr":8,"hubert":8,"07332":8,"equilibrium":[8,11],"charg":8,"abund":8,"submicron":8,"dramat":8,"akimkin":8,"vitali":8,"ivlev":8,"alexei":8,"caselli":8,"gong":8,"munan":8,"silsbe":8,"kedron":8,"ace2c5":8,"edg":[8,88,89],"magnet":8,"delag":8,"timmi":8,"okuzumi":[8,87],"satoshi":8,"yang":8,"chao":8,"chin":8,"flock":8,"mario":8,"a190":8,"revisit":8,"protostellar":8,"oplu":[8,88,89],"kg":8,"myr":[8,89,92],"xu":8,"wenrui":8,"armitag":8,"philip":8,"acb7e5":8,"leaki":8,"trap":[8,89],"filter":8,"lichtenberg":8,"tim":8,"joanna":8,"l5":8,"bump":8,"properti":8,"stadler":8,"jochen":8,"lenz":8,"christian":8,"corn":8,"a104":8,"rapid":8,"lau":8,"tommi":8,"ho":8,"a170":8,"neural":8,"network":8,"subgrid":8,"cranmer":8,"mile":8,"shirlei":8,"learn":8,"scienc":8,"workshop":8,"neurip":8,"04160":8,"dwarf":8,"european":8,"plu":8,"epjp":8,"s13360":8,"022":8,"03384":8,"wide":8,"exokuip":8,"belt":8,"migrat":8,"miller":8,"marino":8,"hen":8,"th":8,"monthli":8,"royal":8,"societi":8,"mnra":8,"stab2935":8,"gap":[8,90],"a18":8,"bright":8,"cida":8,"benisti":8,"manara":8,"natta":8,"sanchi":8,"tazzari":8,"ricci":8,"testi":8,"a122":8,"a70":8,"constrain":8,"space":8,"nebula":8,"kretk":8,"katherin":8,"a61":8,"damp":8,"back":[8,45,87],"reaction":[8,45],"snow":8,"a149":8,"vicin":8,"jupit":[8,12,88],"li":8,"shengtai":8,"hui":8,"ab46b7":8,"dsharp":8,"evid":8,"ongo":8,"letter":8,"ab4423":8,"dim":8,"rw":8,"auriga":8,"preced":8,"outburst":8,"günther":8,"han":8,"moritz":8,"aaf4fc":8,"guidlin":9,"conduct":[9,10],"open":9,"introduc":[9,87],"must":9,"encount":9,"expect":[9,87],"reproduc":9,"miss":9,"improv":[9,91],"commun":[10,86],"releas":11,"date":11,"3rd":11,"decemb":11,"deprec":11,"distutil":11,"trigger":[11,89],"bug":[11,90],"fix":[11,92],"futur":11,"17th":11,"june":11,"correctli":11,"affect":[11,88],"7th":11,"februari":11,"close":[11,88,91,92],"convers":11,"denomin":11,"neglig":11,"potenti":11,"incomp":11,"docstr":11,"fortran":[11,12,90],"18th":11,"novemb":11,"luminosisti":11,"chiang":11,"goldreich":11,"compar":[11,89,91,92],"approx0":11,"comparison":[11,91],"radi":[11,86,90],"transfer":[11,86,90],"radmc":11,"3d":11,"dustpylib":[11,90],"21st":11,"juli":11,"paper":11,"n_i":11,"n_j":11,"intens":12,"f90":12,"gravit":12,"k_b":12,"m_p":12,"m_earth":[12,88,89],"m_jup":[12,88],"sun":12,"circl":12,"circumfer":12,"diamet":12,"sigma_h2":12,"h2":12,"molecul":[12,87],"sigma_sb":12,"stephan":12,"kwarg":[13,38,66],"child":13,"progressbar":13,"summari":[13,84],"alorithm":13,"filenam":[14,15],"extens":[14,15,86,90],"show_limit":[14,15],"show_st1":[14,15],"pattern":[14,15],"boolean":[14,15],"parent":[16,17,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,61,62,63,64,66,68,69,70,71,72,73,74,75,76,78,80,81,82,83],"linearli":[17,88],"cel":17,"vi":17,"ftot":19,"da":21,"chosen":21,"travel":21,"scoag":22,"shyd":23,"stot":24,"less":25,"sigma_floor":25,"sigma_dot":26,"appendic":30,"cstick":30,"cstick_ind":30,"klf":30,"krm":30,"tupl":30,"technic":[30,91],"entri":30,"elemt":30,"axi":[30,88],"adapt":[32,78],"dictionari":[37,65],"x":[38,66,89],"dx":38,"arg":[38,66],"stepsiz":38,"keyworda":[38,66],"jac":[38,66],"linear":[40,90,92],"pf":40,"propabl":40,"minu":41,"vrel":[47,48,49,50,51,52],"vparticl":50,"irridi":58,"jacobi":66,"avail":[66,85],"meaningless":66,"rc":[67,89,92],"cutoff":[67,92],"viscoc":70,"manag":[79,80,84],"prepar":[81,82],"luminostii":83,"appli":84,"applic":84,"setboundari":84,"timeout":85,"warn":85,"screen":85,"abort":85,"internet":85,"connect":85,"ping":85,"auxiliari":[86,90],"tool":[86,90],"everyon":86,"upload":86,"sever":87,"drop":87,"chemic":87,"freez":87,"out":87,"long":87,"specul":87,"composit":87,"forc":[87,88],"volatil":87,"evapor":87,"bare":87,"he":87,"dipolar":87,"natur":87,"sticki":87,"ammonia":87,"nh":87,"_3":87,"slightli":87,"weaker":87,"carbon":87,"dioxid":87,"co":87,"_2":87,"anywai":87,"sinter":87,"construct":87,"example_ice_lin":87,"enrich":87,"traffic":87,"jam":87,"outsid":87,"slowli":87,"accumul":[87,89,91],"insid":87,"carv":88,"princip":88,"torqu":88,"focu":88,"steadi":[88,92],"const":[88,92],"allow":[88,92],"fit":88,"kanagawa":88,"quad":88,"sigma_0":88,"semi":[88,91],"major":88,"unperturb":88,"alpha_0":[88,89],"kanagawa2017_gap_profil":88,"q":[88,92],"alpha0":[88,89],"majo":88,"aspect":88,"ret":[88,89],"ones_lik":88,"dist":88,"kp":88,"prime":88,"kp4":88,"fourth":88,"sigmin":88,"siggap":88,"dr1":88,"r1":88,"dr2":88,"r2":88,"mask1":88,"logical_and":88,"mask2":88,"induc":88,"rp":88,"axvlin":88,"c7":88,"saturn":88,"subgroup":88,"organ":88,"earlier":[88,89],"addgroup":[88,89],"funtion":88,"scipi":88,"interp1d":88,"__dict__":88,"item":88,"skip":88,"continu":88,"f_h":88,"e0":88,"mplan":[88,89],"tini":88,"tfin":88,"mini":88,"mfin":88,"phase":88,"elif":88,"mjup":88,"e5":[88,89],"msat":88,"oragn":88,"bring":88,"msg":88,"njupit":88,"nsaturn":88,"example_planetary_gap":88,"label":[88,89,91,92],"legend":[88,89,91,92],"optic":89,"depth":89,"schoonenberg":89,"soon":89,"typic":89,"exceed":89,"zeta":89,"sett":89,"plan":89,"r_0":89,"2w":89,"amplitud":89,"w":89,"achievend":89,"easier":89,"overal":89,"slower":89,"d2g_crit":89,"effici":89,"e8":89,"until":89,"zeros_lik":89,"firthermor":89,"m_plan":89,"s_ext":89,"d2g_mid":89,"mask":89,"similarli":89,"dsigmaplan":89,"inst_planetesim":89,"expl_1_eul":89,"append":89,"example_planetesimal_form":89,"data0023":89,"data0024":89,"data0025":89,"data0026":89,"data0027":89,"data0028":89,"data0029":89,"data0030":89,"data0031":89,"dai":89,"extract":89,"sigmadust":89,"mga":89,"mdust":89,"figsiz":89,"ax00":89,"loglog":[89,91,92],"ax10":89,"smoluchowski":[90,91],"publish":90,"instal":90,"pip":90,"python3":90,"compil":90,"usag":90,"collect":90,"dustpylinbdocument":90,"advanc":90,"systol":90,"diastol":90,"librari":90,"pertub":90,"citat":90,"public":90,"featur":90,"report":90,"request":90,"changelog":90,"search":90,"smoluchwoski":91,"special":91,"verifi":91,"simplifi":91,"benchmark":91,"against":[91,92],"silk":91,"takahashi":91,"wetheril":91,"n_0":91,"m_0":[91,92],"an_0t":91,"smallest":91,"zeroth":91,"bm":91,"nm2":91,"solution_constant_kernel":91,"s0":91,"m0":[91,92],"n0":91,"spiki":91,"set_constant_kernel":91,"exercis":91,"s_0":91,"test_constant_kernel":91,"necessari":91,"sigmaconst":91,"black":[91,92],"len":[91,92],"cstr":[91,92],"str":[91,92],"annot":91,"xy":91,"1e2":91,"xytext":91,"arrowprop":91,"dict":91,"facecolor":91,"red":91,"ncol":91,"mark":91,"arrow":91,"bit":[91,92],"combin":91,"acceler":91,"counteract":91,"test_constant_kernel_high_r":91,"83e":91,"63e":91,"33e":91,"21e":91,"66e":91,"47e":91,"16e":91,"sigmaconstanthighr":91,"mhighr":91,"thighr":91,"closer":[91,92],"transpar":91,"cours":91,"expens":[91,92],"an_0m_0t":91,"solution_linear_kernel":91,"set_linear_kernel":91,"test_linear_kernel":91,"sigmalinear":91,"wors":91,"test_linear_kernel_high_r":91,"sigmalinearhighr":91,"runawai":91,"scenario":91,"quickli":91,"bodi":91,"design":91,"properli":91,"hartmann":92,"nu_1r":92,"dimensionless":92,"nu_1":92,"2r_1":92,"lbp74_analyt":92,"log10":92,"nu1":92,"c0":92,"0e":92,"interest":92,"computation":92,"test_gas_evolut":92,"agreement":92,"ones":92,"match":92,"went":92,"rightarrow":92,"neq":92,"find":92,"stil":92,"perfect":92,"inflow":92,"cheat":92,"scene":92,"prefer":92,"get_xaxis":[5,6],"set_visible":[5,6],"get_yaxis":[5,6],"set_title":[5,6,91],"f_adv":[12,17],"f_diff":[12,18],"f_tot":[12,19],"mrn_distribution":[12,21],"s_coag":[12,22],"s_hyd":[12,23,56],"s_tot":[12,24,57],"sigma_deriv":[12,26],"st_epstein_stokesi":[12,27],"coagulation_parameters":[12,30],"dt_adaptive":[12,32,78],"enforce_floor_value":[12,33,62],"finalize_explicit":[12,35],"finalize_implicit":[12,36],"p_frag":[12,40],"p_stick":[12,41],"rho_midplane":[12,43,72],"set_implicit_boundaries":[12,44,73],"vrel_azimuthal_drift":[12,47],"vrel_brownian_motion":[12,48],"vrel_radial_drift":[12,49],"vrel_tot":[12,50],"vrel_turbulent_motion":[12,51],"vrel_vertical_settling":[12,52],"p_midplane":[12,55],"t_passive":[12,58],"cs_adiabatic":[12,60],"eta_midplane":[12,63],"mfp_midplane":[12,68],"n_midplane":[12,69],"finalize_explicit_dust":[12,79],"finalize_implicit_dust":[12,80],"prepare_explicit_dust":[12,81],"prepare_implicit_dust":[12,82],"print_version_warning":[12,85],"memory_usage":13,"print_output":13,"skip_hidden":13,"show_limits":[14,15],"__call__":[37,65],"example_ice_lines":87,"kanagawa2017_gap_profile":88,"ones_like":88,"example_planetary_gaps":88,"zeros_like":89,"inst_planetesimals":89,"expl_1_euler":89,"example_planetesimal_formation":89,"test_constant_kernel_high_res":91,"test_linear_kernel_high_res":91,"lbp74_analytical":92,"test_gas_evolution":92},"objects":{"":[[12,0,0,"-","dustpy"]],"dustpy":[[13,1,1,"","Simulation"],[12,0,0,"-","constants"],[12,0,0,"-","plot"],[12,0,0,"-","std"],[12,0,0,"-","utils"]],"dustpy.Simulation":[[13,2,1,"","checkmassconservation"],[13,3,1,"","ini"],[13,2,1,"","initialize"],[13,2,1,"","makegrids"],[13,2,1,"","run"],[13,2,1,"","setdustintegrator"]],"dustpy.plot":[[14,4,1,"","ipanel"],[15,4,1,"","panel"]],"dustpy.std":[[12,0,0,"-","dust"],[12,0,0,"-","gas"],[12,0,0,"-","grid"],[12,0,0,"-","sim"],[12,0,0,"-","star"]],"dustpy.std.dust":[[16,4,1,"","D"],[17,4,1,"","F_adv"],[18,4,1,"","F_diff"],[19,4,1,"","F_tot"],[20,4,1,"","H"],[21,4,1,"","MRN_distribution"],[22,4,1,"","S_coag"],[23,4,1,"","S_hyd"],[24,4,1,"","S_tot"],[25,4,1,"","SigmaFloor"],[26,4,1,"","Sigma_deriv"],[27,4,1,"","St_Epstein_StokesI"],[28,4,1,"","a"],[29,4,1,"","boundary"],[30,4,1,"","coagulation_parameters"],[31,4,1,"","dt"],[32,4,1,"","dt_adaptive"],[33,4,1,"","enforce_floor_value"],[34,4,1,"","eps"],[35,4,1,"","finalize_explicit"],[36,4,1,"","finalize_implicit"],[37,1,1,"","impl_1_direct"],[38,4,1,"","jacobian"],[39,4,1,"","kernel"],[40,4,1,"","p_frag"],[41,4,1,"","p_stick"],[42,4,1,"","prepare"],[43,4,1,"","rho_midplane"],[44,4,1,"","set_implicit_boundaries"],[45,4,1,"","vdriftmax"],[46,4,1,"","vrad"],[47,4,1,"","vrel_azimuthal_drift"],[48,4,1,"","vrel_brownian_motion"],[49,4,1,"","vrel_radial_drift"],[50,4,1,"","vrel_tot"],[51,4,1,"","vrel_turbulent_motion"],[52,4,1,"","vrel_vertical_settling"]],"dustpy.std.gas":[[53,4,1,"","Fi"],[54,4,1,"","Hp"],[55,4,1,"","P_midplane"],[56,4,1,"","S_hyd"],[57,4,1,"","S_tot"],[58,4,1,"","T_passive"],[59,4,1,"","boundary"],[60,4,1,"","cs_adiabatic"],[61,4,1,"","dt"],[62,4,1,"","enforce_floor_value"],[63,4,1,"","eta_midplane"],[64,4,1,"","finalize"],[65,1,1,"","impl_1_direct"],[66,4,1,"","jacobian"],[67,4,1,"","lyndenbellpringle1974"],[68,4,1,"","mfp_midplane"],[69,4,1,"","n_midplane"],[70,4,1,"","nu"],[71,4,1,"","prepare"],[72,4,1,"","rho_midplane"],[73,4,1,"","set_implicit_boundaries"],[74,4,1,"","vrad"],[75,4,1,"","vvisc"]],"dustpy.std.grid":[[76,4,1,"","OmegaK"]],"dustpy.std.sim":[[77,4,1,"","dt"],[78,4,1,"","dt_adaptive"],[79,4,1,"","finalize_explicit_dust"],[80,4,1,"","finalize_implicit_dust"],[81,4,1,"","prepare_explicit_dust"],[82,4,1,"","prepare_implicit_dust"]],"dustpy.std.star":[[83,4,1,"","luminosity"]],"dustpy.utils":[[84,1,1,"","Boundary"],[85,4,1,"","print_version_warning"]],"dustpy.utils.Boundary":[[84,3,1,"","condition"],[84,2,1,"","setboundary"],[84,2,1,"","setcondition"],[84,3,1,"","value"]]},"objtypes":{"0":"py:module","1":"py:class","2":"py:method","3":"py:attribute","4":"py:function"},"objnames":{"0":["py","module","Python module"],"1":["py","class","Python class"],"2":["py","method","Python method"],"3":["py","attribute","Python attribute"],"4":["py","function","Python function"]},"titleterms":{"0":11,"1":[0,11],"2":[1,11],"3":[2,11],"4":[3,11],"5":[4,11],"6":5,"7":6,"basic":0,"usag":0,"The":[0,2,3,91],"simul":[0,3,13],"frame":0,"initi":[0,1],"run":0,"plot":[0,11,12,92],"code":0,"unit":0,"read":[0,92],"data":[0,92],"file":0,"dump":0,"simpl":1,"custom":[1,2],"stellar":1,"paramet":1,"grid":[1,2,3,12,89],"ga":[1,3,6,11,12,92],"dust":[1,3,4,5,12,92],"chang":[1,5,11],"condit":[1,11],"snapshot":[1,2],"output":1,"directori":1,"advanc":2,"radial":[2,89],"mass":2,"physic":2,"field":2,"ad":[2,88,89],"modifi":[2,92],"updat":[2,3],"order":[2,3],"systol":2,"diastol":2,"standard":3,"model":3,"backreact":3,"boundari":[3,11,29,59,84],"coagul":[3,4,5,91],"delta":3,"rad":3,"turb":3,"vert":3,"fi":[3,53],"adv":3,"diff":3,"tot":3,"p":3,"frag":3,"stick":[3,4],"":3,"coag":3,"ext":3,"hyd":3,"v":3,"rel":3,"azi":3,"brown":3,"driftmax":3,"d":[3,10,16],"ep":[3,34],"fill":3,"h":[3,20],"kernel":[3,11,39,91],"rho":3,"sigma":3,"sigmafloor":[3,25],"st":3,"visc":3,"alpha":3,"c":[3,9],"eta":3,"gamma":3,"hp":[3,54],"mfp":3,"mu":3,"n":3,"nu":[3,70],"t":3,"A":[3,7],"m":3,"nm":3,"nr":3,"omegak":[3,76],"r":3,"ri":3,"star":[3,12],"l":3,"time":3,"integr":[3,5,92],"writer":[3,92],"fragment":[4,5],"eros":4,"probabl":4,"bounc":4,"collis":[4,11],"rate":4,"sourc":[4,5,6],"evolut":[5,6,92],"turn":[5,6,92],"off":[5,6,92],"hydrodynam":[5,6],"advect":5,"diffus":5,"extern":[5,6],"appendix":[7,8,9,10,11],"citat":7,"b":8,"list":8,"public":8,"contribut":9,"bug":9,"featur":9,"report":9,"request":9,"dustpi":[10,12,90,92],"discuss":10,"e":11,"changelog":11,"v1":11,"us":11,"meson":11,"build":11,"system":11,"bugfix":11,"veloc":11,"distribut":11,"script":11,"prepar":[11,42,71],"addit":11,"multipl":11,"speci":11,"correct":11,"init":11,"particl":11,"size":11,"remov":11,"non":11,"ascii":11,"charact":11,"default":11,"temperatur":11,"profil":[11,88],"modul":12,"refer":12,"packag":12,"class":12,"constant":[12,91],"function":12,"std":12,"sim":12,"util":12,"ipanel":14,"panel":15,"f_adv":17,"f_diff":18,"f_tot":19,"mrn_distribut":21,"s_coag":22,"s_hyd":[23,56],"s_tot":[24,57],"sigma_deriv":26,"st_epstein_stokesi":27,"coagulation_paramet":30,"dt":[31,61,77],"dt_adapt":[32,78],"enforce_floor_valu":[33,62],"finalize_explicit":35,"finalize_implicit":36,"impl_1_direct":[37,65],"jacobian":[38,66],"p_frag":40,"p_stick":41,"rho_midplan":[43,72],"set_implicit_boundari":[44,73],"vdriftmax":45,"vrad":[46,74],"vrel_azimuthal_drift":47,"vrel_brownian_mot":48,"vrel_radial_drift":49,"vrel_tot":50,"vrel_turbulent_mot":51,"vrel_vertical_settl":52,"p_midplan":55,"t_passiv":58,"cs_adiabat":60,"eta_midplan":63,"final":64,"lyndenbellpringle1974":67,"mfp_midplan":68,"n_midplan":69,"vvisc":75,"finalize_explicit_dust":79,"finalize_implicit_dust":80,"prepare_explicit_dust":81,"prepare_implicit_dust":82,"luminos":83,"print_version_warn":85,"librari":86,"dustpylib":86,"exampl":[87,88,89],"ic":87,"line":87,"planetari":88,"gap":[88,89],"planet":88,"viscos":88,"pertub":88,"grow":88,"planetesim":89,"format":89,"refin":89,"document":90,"content":90,"indic":90,"tabl":90,"test":[91,92],"analyt":[91,92],"linear":91,"product":91,"solut":92,"set":92,"up":92,"variabl":92,"option":92,"power":92,"law":92,"index":92,"mrn_distribution":21,"coagulation_parameters":30,"dt_adaptive":[32,78],"enforce_floor_value":[33,62],"rho_midplane":[43,72],"set_implicit_boundaries":[44,73],"vrel_brownian_motion":48,"vrel_turbulent_motion":51,"vrel_vertical_settling":52,"p_midplane":55,"t_passive":58,"cs_adiabatic":60,"eta_midplane":63,"mfp_midplane":68,"n_midplane":69,"print_version_warning":85},"envversion":{"sphinx.domains.c":3,"sphinx.domains.changeset":1,"sphinx.domains.citation":1,"sphinx.domains.cpp":9,"sphinx.domains.index":1,"sphinx.domains.javascript":3,"sphinx.domains.math":2,"sphinx.domains.python":4,"sphinx.domains.rst":2,"sphinx.domains.std":2,"sphinx.ext.viewcode":1,"nbsphinx":4,"sphinx":60},"alltitles":{"1. Basic usage":[[0,"1.-Basic-usage"]],"The Simulation Frame":[[0,"The-Simulation-Frame"]],"Initializing":[[0,"Initializing"]],"Running a Simulation":[[0,"Running-a-Simulation"]],"Plotting":[[0,"Plotting"]],"Code Units":[[0,"Code-Units"]],"Reading data files":[[0,"Reading-data-files"]],"Reading Dump Files":[[0,"Reading-Dump-Files"]],"2. Simple Customization":[[1,"2.-Simple-Customization"]],"Stellar parameters":[[1,"Stellar-parameters"]],"Grid parameters":[[1,"Grid-parameters"]],"Gas Parameters":[[1,"Gas-Parameters"]],"Dust Parameters":[[1,"Dust-Parameters"]],"Changing the Initial Conditions":[[1,"Changing-the-Initial-Conditions"]],"Changing the Snapshots":[[1,"Changing-the-Snapshots"]],"Changing the Output Directory":[[1,"Changing-the-Output-Directory"]],"3. Advanced Customization":[[2,"3.-Advanced-Customization"]],"Customizing the Grids":[[2,"Customizing-the-Grids"]],"The Radial Grid":[[2,"The-Radial-Grid"]],"The Mass Grid":[[2,"The-Mass-Grid"]],"Customizing the Physics of a Field":[[2,"Customizing-the-Physics-of-a-Field"]],"Adding Custom Fields":[[2,"Adding-Custom-Fields"]],"Modifying the Update Order":[[2,"Modifying-the-Update-Order"]],"Systoles and Diastoles":[[2,"Systoles-and-Diastoles"]],"Customizing the Snapshots":[[2,"Customizing-the-Snapshots"]],"4. The Standard Model":[[3,"4.-The-Standard-Model"]],"Dust":[[3,"Dust"]],"Simulation.dust.backreaction":[[3,"Simulation.dust.backreaction"]],"Simulation.dust.boundary":[[3,"Simulation.dust.boundary"]],"Simulation.dust.coagulation":[[3,"Simulation.dust.coagulation"]],"Simulation.dust.delta":[[3,"Simulation.dust.delta"]],"Simulation.dust.delta.rad":[[3,"Simulation.dust.delta.rad"]],"Simulation.dust.delta.turb":[[3,"Simulation.dust.delta.turb"]],"Simulation.dust.delta.vert":[[3,"Simulation.dust.delta.vert"]],"Simulation.dust.Fi":[[3,"Simulation.dust.Fi"]],"Simulation.dust.Fi.adv":[[3,"Simulation.dust.Fi.adv"]],"Simulation.dust.Fi.diff":[[3,"Simulation.dust.Fi.diff"]],"Simulation.dust.Fi.tot":[[3,"Simulation.dust.Fi.tot"]],"Simulation.dust.p":[[3,"Simulation.dust.p"]],"Simulation.dust.p.frag":[[3,"Simulation.dust.p.frag"]],"Simulation.dust.p.stick":[[3,"Simulation.dust.p.stick"]],"Simulation.dust.S":[[3,"Simulation.dust.S"]],"Simulation.dust.S.coag":[[3,"Simulation.dust.S.coag"]],"Simulation.dust.S.ext":[[3,"Simulation.dust.S.ext"]],"Simulation.dust.S.hyd":[[3,"Simulation.dust.S.hyd"]],"Simulation.dust.S.tot":[[3,"Simulation.dust.S.tot"]],"Simulation.dust.v":[[3,"Simulation.dust.v"]],"Simulation.dust.v.rel":[[3,"Simulation.dust.v.rel"]],"Simulation.dust.v.rel.azi":[[3,"Simulation.dust.v.rel.azi"]],"Simulation.dust.v.brown":[[3,"Simulation.dust.v.brown"]],"Simulation.dust.v.rel.rad":[[3,"Simulation.dust.v.rel.rad"]],"Simulation.dust.v.rel.tot":[[3,"Simulation.dust.v.rel.tot"]],"Simulation.dust.v.rel.turb":[[3,"Simulation.dust.v.rel.turb"]],"Simulation.dust.v.rel.vert":[[3,"Simulation.dust.v.rel.vert"]],"Simulation.dust.v.driftmax":[[3,"Simulation.dust.v.driftmax"]],"Simulation.dust.v.frag":[[3,"Simulation.dust.v.frag"]],"Simulation.dust.v.rad":[[3,"Simulation.dust.v.rad"]],"Simulation.dust.a":[[3,"Simulation.dust.a"]],"Simulation.dust.D":[[3,"Simulation.dust.D"]],"Simulation.dust.eps":[[3,"Simulation.dust.eps"]],"Simulation.dust.fill":[[3,"Simulation.dust.fill"]],"Simulation.dust.H":[[3,"Simulation.dust.H"]],"Simulation.dust.kernel":[[3,"Simulation.dust.kernel"]],"Simulation.dust.rho":[[3,"Simulation.dust.rho"]],"Simulation.dust.rhos":[[3,"Simulation.dust.rhos"]],"Simulation.dust.Sigma":[[3,"Simulation.dust.Sigma"]],"Simulation.dust.SigmaFloor":[[3,"Simulation.dust.SigmaFloor"]],"Simulation.dust.St":[[3,"Simulation.dust.St"]],"Update order":[[3,"Update-order"],[3,"id1"],[3,"id2"],[3,"id3"]],"Gas":[[3,"Gas"]],"Simulation.gas.boundary":[[3,"Simulation.gas.boundary"]],"Simulation.gas.S":[[3,"Simulation.gas.S"]],"Simulation.gas.S.ext":[[3,"Simulation.gas.S.ext"]],"Simulation.gas.S.hyd":[[3,"Simulation.gas.S.hyd"]],"Simulation.gas.S.tot":[[3,"Simulation.gas.S.tot"]],"Simulation.gas.v":[[3,"Simulation.gas.v"]],"Simulation.gas.v.rad":[[3,"Simulation.gas.v.rad"]],"Simulation.gas.v.visc":[[3,"Simulation.gas.v.visc"]],"Simulation.gas.alpha":[[3,"Simulation.gas.alpha"]],"Simulation.gas.cs":[[3,"Simulation.gas.cs"]],"Simulation.gas.eta":[[3,"Simulation.gas.eta"]],"Simulation.gas.Fi":[[3,"Simulation.gas.Fi"]],"Simulation.gas.gamma":[[3,"Simulation.gas.gamma"]],"Simulation.gas.Hp":[[3,"Simulation.gas.Hp"]],"Simulation.gas.mfp":[[3,"Simulation.gas.mfp"]],"Simulation.gas.mu":[[3,"Simulation.gas.mu"]],"Simulation.gas.n":[[3,"Simulation.gas.n"]],"Simulation.gas.nu":[[3,"Simulation.gas.nu"]],"Simulation.gas.P":[[3,"Simulation.gas.P"]],"Simulation.gas.rho":[[3,"Simulation.gas.rho"]],"Simulation.gas.Sigma":[[3,"Simulation.gas.Sigma"]],"Simulation.gas.SigmaFloor":[[3,"Simulation.gas.SigmaFloor"]],"Simulation.gas.T":[[3,"Simulation.gas.T"]],"Grid":[[3,"Grid"]],"Simulation.grid.A":[[3,"Simulation.grid.A"]],"Simulation.grid.m":[[3,"Simulation.grid.m"]],"Simulation.grid.Nm":[[3,"Simulation.grid.Nm"]],"Simulation.grid.Nr":[[3,"Simulation.grid.Nr"]],"Simulation.grid.OmegaK":[[3,"Simulation.grid.OmegaK"]],"Simulation.grid.r":[[3,"Simulation.grid.r"]],"Simulation.grid.ri":[[3,"Simulation.grid.ri"]],"Star":[[3,"Star"]],"Simulation.star.L":[[3,"Simulation.star.L"]],"Simulation.star.M":[[3,"Simulation.star.M"]],"Simulation.star.R":[[3,"Simulation.star.R"]],"Simulation.star.T":[[3,"Simulation.star.T"]],"Time":[[3,"Time"]],"Integrator":[[3,"Integrator"]],"Writer":[[3,"Writer"]],"5. Dust Coagulation":[[4,"5.-Dust-Coagulation"]],"Sticking":[[4,"Sticking"]],"Fragmentation & Erosion":[[4,"Fragmentation-&-Erosion"]],"Probabilities":[[4,"Probabilities"]],"Bouncing":[[4,"Bouncing"]],"Collision Rates":[[4,"Collision-Rates"]],"Coagulation Sources":[[4,"Coagulation-Sources"]],"6. Dust Evolution":[[5,"6.-Dust-Evolution"]],"Coagulation":[[5,"Coagulation"]],"Turning off Fragmentation":[[5,"Turning-off-Fragmentation"]],"Turning off Coagulation":[[5,"Turning-off-Coagulation"]],"Hydrodynamics":[[5,"Hydrodynamics"],[6,"Hydrodynamics"]],"Advection":[[5,"Advection"]],"Turning off Advection":[[5,"Turning-off-Advection"]],"Diffusion":[[5,"Diffusion"]],"Turning off Diffusion":[[5,"Turning-off-Diffusion"]],"Turning off Hydrodynamics":[[5,"Turning-off-Hydrodynamics"],[6,"Turning-off-Hydrodynamics"]],"External Sources":[[5,"External-Sources"],[6,"External-Sources"]],"Turning off Dust Evolution":[[5,"Turning-off-Dust-Evolution"],[92,"Turning-off-Dust-Evolution"]],"Changing the Dust Integrator":[[5,"Changing-the-Dust-Integrator"]],"7. Gas Evolution":[[6,"7.-Gas-Evolution"]],"Turning off External Sources":[[6,"Turning-off-External-Sources"]],"Turning off Gas Evolution":[[6,"Turning-off-Gas-Evolution"]],"Appendix A: Citation":[[7,"Appendix-A:-Citation"]],"Appendix B: List of Publications":[[8,"Appendix-B:-List-of-Publications"]],"Appendix C: Contributing/Bugs/Features":[[9,"Appendix-C:-Contributing/Bugs/Features"]],"Contributing":[[9,"Contributing"]],"Bug Reports":[[9,"Bug-Reports"]],"Feature Requests":[[9,"Feature-Requests"]],"Appendix D: DustPy Discussions":[[10,"Appendix-D:-DustPy-Discussions"]],"Appendix E: Changelog":[[11,"Appendix-E:-Changelog"]],"v1.0.5":[[11,"v1.0.5"]],"Using Meson as build system":[[11,"Using-Meson-as-build-system"]],"Bugfix to velocity distribution":[[11,"Bugfix-to-velocity-distribution"]],"Bugfix to plotting script":[[11,"Bugfix-to-plotting-script"]],"Preparation for the addition of multiple gas species":[[11,"Preparation-for-the-addition-of-multiple-gas-species"]],"v1.0.4":[[11,"v1.0.4"]],"Bugfix to boundary conditions":[[11,"Bugfix-to-boundary-conditions"]],"v1.0.3":[[11,"v1.0.3"]],"Correction to inital particle size distribution":[[11,"Correction-to-inital-particle-size-distribution"]],"Removal of non-ASCII characters":[[11,"Removal-of-non-ASCII-characters"]],"v1.0.2":[[11,"v1.0.2"]],"Change in default temperature profile":[[11,"Change-in-default-temperature-profile"]],"v1.0.1":[[11,"v1.0.1"]],"Change to Collision Kernel":[[11,"Change-to-Collision-Kernel"]],"v1.0.0":[[11,"v1.0.0"]],"Module Reference":[[12,"module-reference"]],"dustpy Package":[[12,"module-dustpy"]],"Classes":[[12,"classes"],[12,"id2"],[12,"id4"],[12,"id9"]],"dustpy.constants Package":[[12,"module-dustpy.constants"]],"Constants":[[12,"constants"]],"dustpy.plot Package":[[12,"module-dustpy.plot"]],"Functions":[[12,"functions"],[12,"id1"],[12,"id3"],[12,"id5"],[12,"id6"],[12,"id7"],[12,"id8"]],"dustpy.std Package":[[12,"module-dustpy.std"]],"dustpy.std.dust Module":[[12,"module-dustpy.std.dust"]],"dustpy.std.gas Module":[[12,"module-dustpy.std.gas"]],"dustpy.std.grid Module":[[12,"module-dustpy.std.grid"]],"dustpy.std.sim Module":[[12,"module-dustpy.std.sim"]],"dustpy.std.star Module":[[12,"module-dustpy.std.star"]],"dustpy.utils Package":[[12,"module-dustpy.utils"]],"Simulation":[[13,"simulation"]],"ipanel":[[14,"ipanel"]],"panel":[[15,"panel"]],"D":[[16,"d"]],"F_adv":[[17,"f-adv"]],"F_diff":[[18,"f-diff"]],"F_tot":[[19,"f-tot"]],"H":[[20,"h"]],"MRN_distribution":[[21,"mrn-distribution"]],"S_coag":[[22,"s-coag"]],"S_hyd":[[23,"s-hyd"],[56,"s-hyd"]],"S_tot":[[24,"s-tot"],[57,"s-tot"]],"SigmaFloor":[[25,"sigmafloor"]],"Sigma_deriv":[[26,"sigma-deriv"]],"St_Epstein_StokesI":[[27,"st-epstein-stokesi"]],"a":[[28,"a"]],"boundary":[[29,"boundary"],[59,"boundary"]],"coagulation_parameters":[[30,"coagulation-parameters"]],"dt":[[31,"dt"],[61,"dt"],[77,"dt"]],"dt_adaptive":[[32,"dt-adaptive"],[78,"dt-adaptive"]],"enforce_floor_value":[[33,"enforce-floor-value"],[62,"enforce-floor-value"]],"eps":[[34,"eps"]],"finalize_explicit":[[35,"finalize-explicit"]],"finalize_implicit":[[36,"finalize-implicit"]],"impl_1_direct":[[37,"impl-1-direct"],[65,"impl-1-direct"]],"jacobian":[[38,"jacobian"],[66,"jacobian"]],"kernel":[[39,"kernel"]],"p_frag":[[40,"p-frag"]],"p_stick":[[41,"p-stick"]],"prepare":[[42,"prepare"],[71,"prepare"]],"rho_midplane":[[43,"rho-midplane"],[72,"rho-midplane"]],"set_implicit_boundaries":[[44,"set-implicit-boundaries"],[73,"set-implicit-boundaries"]],"vdriftmax":[[45,"vdriftmax"]],"vrad":[[46,"vrad"],[74,"vrad"]],"vrel_azimuthal_drift":[[47,"vrel-azimuthal-drift"]],"vrel_brownian_motion":[[48,"vrel-brownian-motion"]],"vrel_radial_drift":[[49,"vrel-radial-drift"]],"vrel_tot":[[50,"vrel-tot"]],"vrel_turbulent_motion":[[51,"vrel-turbulent-motion"]],"vrel_vertical_settling":[[52,"vrel-vertical-settling"]],"Fi":[[53,"fi"]],"Hp":[[54,"hp"]],"P_midplane":[[55,"p-midplane"]],"T_passive":[[58,"t-passive"]],"cs_adiabatic":[[60,"cs-adiabatic"]],"eta_midplane":[[63,"eta-midplane"]],"finalize":[[64,"finalize"]],"lyndenbellpringle1974":[[67,"lyndenbellpringle1974"]],"mfp_midplane":[[68,"mfp-midplane"]],"n_midplane":[[69,"n-midplane"]],"nu":[[70,"nu"]],"vvisc":[[75,"vvisc"]],"OmegaK":[[76,"omegak"]],"finalize_explicit_dust":[[79,"finalize-explicit-dust"]],"finalize_implicit_dust":[[80,"finalize-implicit-dust"]],"prepare_explicit_dust":[[81,"prepare-explicit-dust"]],"prepare_implicit_dust":[[82,"prepare-implicit-dust"]],"luminosity":[[83,"luminosity"]],"Boundary":[[84,"boundary"]],"print_version_warning":[[85,"print-version-warning"]],"Library: dustpylib":[[86,"Library:-dustpylib"]],"Example: Ice Lines":[[87,"Example:-Ice-Lines"]],"Example: Planetary Gaps":[[88,"Example:-Planetary-Gaps"]],"Gap Profiles":[[88,"Gap-Profiles"]],"Adding planets":[[88,"Adding-planets"]],"Viscosity pertubation":[[88,"Viscosity-pertubation"]],"Growing planets":[[88,"Growing-planets"]],"Example: Planetesimal Formation":[[89,"Example:-Planetesimal-Formation"]],"Refining the radial grid":[[89,"Refining-the-radial-grid"]],"Adding gap":[[89,"Adding-gap"]],"Adding planetesimals":[[89,"Adding-planetesimals"]],"Adding planetesimal formation":[[89,"Adding-planetesimal-formation"]],"DustPy Documentation":[[90,"dustpy-documentation"]],"Contents:":[[90,null]],"Indices and tables":[[90,"indices-and-tables"]],"Test: Analytical Coagulation Kernels":[[91,"Test:-Analytical-Coagulation-Kernels"]],"The Constant Kernel":[[91,"The-Constant-Kernel"]],"The Linear Kernel":[[91,"The-Linear-Kernel"]],"The Product Kernel":[[91,"The-Product-Kernel"]],"Test: Gas Evolution":[[92,"Test:-Gas-Evolution"]],"Analytical Solution":[[92,"Analytical-Solution"]],"Setting up DustPy":[[92,"Setting-up-DustPy"]],"Modifying Integration Variable":[[92,"Modifying-Integration-Variable"]],"Setting Writer Options":[[92,"Setting-Writer-Options"]],"Reading and Plotting Data":[[92,"Reading-and-Plotting-Data"]],"Modifying the Power Law Index":[[92,"Modifying-the-Power-Law-Index"]]},"indexentries":{"dustpy":[[12,"module-dustpy"]],"dustpy.constants":[[12,"module-dustpy.constants"]],"dustpy.plot":[[12,"module-dustpy.plot"]],"dustpy.std":[[12,"module-dustpy.std"]],"dustpy.std.dust":[[12,"module-dustpy.std.dust"]],"dustpy.std.gas":[[12,"module-dustpy.std.gas"]],"dustpy.std.grid":[[12,"module-dustpy.std.grid"]],"dustpy.std.sim":[[12,"module-dustpy.std.sim"]],"dustpy.std.star":[[12,"module-dustpy.std.star"]],"dustpy.utils":[[12,"module-dustpy.utils"]],"module":[[12,"module-dustpy"],[12,"module-dustpy.constants"],[12,"module-dustpy.plot"],[12,"module-dustpy.std"],[12,"module-dustpy.std.dust"],[12,"module-dustpy.std.gas"],[12,"module-dustpy.std.grid"],[12,"module-dustpy.std.sim"],[12,"module-dustpy.std.star"],[12,"module-dustpy.utils"]],"simulation (class in dustpy)":[[13,"dustpy.Simulation"]],"checkmassconservation() (dustpy.simulation method)":[[13,"dustpy.Simulation.checkmassconservation"]],"ini (dustpy.simulation attribute)":[[13,"dustpy.Simulation.ini"]],"initialize() (dustpy.simulation method)":[[13,"dustpy.Simulation.initialize"]],"makegrids() (dustpy.simulation method)":[[13,"dustpy.Simulation.makegrids"]],"run() (dustpy.simulation method)":[[13,"dustpy.Simulation.run"]],"setdustintegrator() (dustpy.simulation method)":[[13,"dustpy.Simulation.setdustintegrator"]],"ipanel() (in module dustpy.plot)":[[14,"dustpy.plot.ipanel"]],"panel() (in module dustpy.plot)":[[15,"dustpy.plot.panel"]],"d() (in module dustpy.std.dust)":[[16,"dustpy.std.dust.D"]],"f_adv() (in module dustpy.std.dust)":[[17,"dustpy.std.dust.F_adv"]],"f_diff() (in module dustpy.std.dust)":[[18,"dustpy.std.dust.F_diff"]],"f_tot() (in module dustpy.std.dust)":[[19,"dustpy.std.dust.F_tot"]],"h() (in module dustpy.std.dust)":[[20,"dustpy.std.dust.H"]],"mrn_distribution() (in module dustpy.std.dust)":[[21,"dustpy.std.dust.MRN_distribution"]],"s_coag() (in module dustpy.std.dust)":[[22,"dustpy.std.dust.S_coag"]],"s_hyd() (in module dustpy.std.dust)":[[23,"dustpy.std.dust.S_hyd"]],"s_tot() (in module dustpy.std.dust)":[[24,"dustpy.std.dust.S_tot"]],"sigmafloor() (in module dustpy.std.dust)":[[25,"dustpy.std.dust.SigmaFloor"]],"sigma_deriv() (in module dustpy.std.dust)":[[26,"dustpy.std.dust.Sigma_deriv"]],"st_epstein_stokesi() (in module dustpy.std.dust)":[[27,"dustpy.std.dust.St_Epstein_StokesI"]],"a() (in module dustpy.std.dust)":[[28,"dustpy.std.dust.a"]],"boundary() (in module dustpy.std.dust)":[[29,"dustpy.std.dust.boundary"]],"coagulation_parameters() (in module dustpy.std.dust)":[[30,"dustpy.std.dust.coagulation_parameters"]],"dt() (in module dustpy.std.dust)":[[31,"dustpy.std.dust.dt"]],"dt_adaptive() (in module dustpy.std.dust)":[[32,"dustpy.std.dust.dt_adaptive"]],"enforce_floor_value() (in module dustpy.std.dust)":[[33,"dustpy.std.dust.enforce_floor_value"]],"eps() (in module dustpy.std.dust)":[[34,"dustpy.std.dust.eps"]],"finalize_explicit() (in module dustpy.std.dust)":[[35,"dustpy.std.dust.finalize_explicit"]],"finalize_implicit() (in module dustpy.std.dust)":[[36,"dustpy.std.dust.finalize_implicit"]],"impl_1_direct (class in dustpy.std.dust)":[[37,"dustpy.std.dust.impl_1_direct"]],"jacobian() (in module dustpy.std.dust)":[[38,"dustpy.std.dust.jacobian"]],"kernel() (in module dustpy.std.dust)":[[39,"dustpy.std.dust.kernel"]],"p_frag() (in module dustpy.std.dust)":[[40,"dustpy.std.dust.p_frag"]],"p_stick() (in module dustpy.std.dust)":[[41,"dustpy.std.dust.p_stick"]],"prepare() (in module dustpy.std.dust)":[[42,"dustpy.std.dust.prepare"]],"rho_midplane() (in module dustpy.std.dust)":[[43,"dustpy.std.dust.rho_midplane"]],"set_implicit_boundaries() (in module dustpy.std.dust)":[[44,"dustpy.std.dust.set_implicit_boundaries"]],"vdriftmax() (in module dustpy.std.dust)":[[45,"dustpy.std.dust.vdriftmax"]],"vrad() (in module dustpy.std.dust)":[[46,"dustpy.std.dust.vrad"]],"vrel_azimuthal_drift() (in module dustpy.std.dust)":[[47,"dustpy.std.dust.vrel_azimuthal_drift"]],"vrel_brownian_motion() (in module dustpy.std.dust)":[[48,"dustpy.std.dust.vrel_brownian_motion"]],"vrel_radial_drift() (in module dustpy.std.dust)":[[49,"dustpy.std.dust.vrel_radial_drift"]],"vrel_tot() (in module dustpy.std.dust)":[[50,"dustpy.std.dust.vrel_tot"]],"vrel_turbulent_motion() (in module dustpy.std.dust)":[[51,"dustpy.std.dust.vrel_turbulent_motion"]],"vrel_vertical_settling() (in module dustpy.std.dust)":[[52,"dustpy.std.dust.vrel_vertical_settling"]],"fi() (in module dustpy.std.gas)":[[53,"dustpy.std.gas.Fi"]],"hp() (in module dustpy.std.gas)":[[54,"dustpy.std.gas.Hp"]],"p_midplane() (in module dustpy.std.gas)":[[55,"dustpy.std.gas.P_midplane"]],"s_hyd() (in module dustpy.std.gas)":[[56,"dustpy.std.gas.S_hyd"]],"s_tot() (in module dustpy.std.gas)":[[57,"dustpy.std.gas.S_tot"]],"t_passive() (in module dustpy.std.gas)":[[58,"dustpy.std.gas.T_passive"]],"boundary() (in module dustpy.std.gas)":[[59,"dustpy.std.gas.boundary"]],"cs_adiabatic() (in module dustpy.std.gas)":[[60,"dustpy.std.gas.cs_adiabatic"]],"dt() (in module dustpy.std.gas)":[[61,"dustpy.std.gas.dt"]],"enforce_floor_value() (in module dustpy.std.gas)":[[62,"dustpy.std.gas.enforce_floor_value"]],"eta_midplane() (in module dustpy.std.gas)":[[63,"dustpy.std.gas.eta_midplane"]],"finalize() (in module dustpy.std.gas)":[[64,"dustpy.std.gas.finalize"]],"impl_1_direct (class in dustpy.std.gas)":[[65,"dustpy.std.gas.impl_1_direct"]],"jacobian() (in module dustpy.std.gas)":[[66,"dustpy.std.gas.jacobian"]],"lyndenbellpringle1974() (in module dustpy.std.gas)":[[67,"dustpy.std.gas.lyndenbellpringle1974"]],"mfp_midplane() (in module dustpy.std.gas)":[[68,"dustpy.std.gas.mfp_midplane"]],"n_midplane() (in module dustpy.std.gas)":[[69,"dustpy.std.gas.n_midplane"]],"nu() (in module dustpy.std.gas)":[[70,"dustpy.std.gas.nu"]],"prepare() (in module dustpy.std.gas)":[[71,"dustpy.std.gas.prepare"]],"rho_midplane() (in module dustpy.std.gas)":[[72,"dustpy.std.gas.rho_midplane"]],"set_implicit_boundaries() (in module dustpy.std.gas)":[[73,"dustpy.std.gas.set_implicit_boundaries"]],"vrad() (in module dustpy.std.gas)":[[74,"dustpy.std.gas.vrad"]],"vvisc() (in module dustpy.std.gas)":[[75,"dustpy.std.gas.vvisc"]],"omegak() (in module dustpy.std.grid)":[[76,"dustpy.std.grid.OmegaK"]],"dt() (in module dustpy.std.sim)":[[77,"dustpy.std.sim.dt"]],"dt_adaptive() (in module dustpy.std.sim)":[[78,"dustpy.std.sim.dt_adaptive"]],"finalize_explicit_dust() (in module dustpy.std.sim)":[[79,"dustpy.std.sim.finalize_explicit_dust"]],"finalize_implicit_dust() (in module dustpy.std.sim)":[[80,"dustpy.std.sim.finalize_implicit_dust"]],"prepare_explicit_dust() (in module dustpy.std.sim)":[[81,"dustpy.std.sim.prepare_explicit_dust"]],"prepare_implicit_dust() (in module dustpy.std.sim)":[[82,"dustpy.std.sim.prepare_implicit_dust"]],"luminosity() (in module dustpy.std.star)":[[83,"dustpy.std.star.luminosity"]],"boundary (class in dustpy.utils)":[[84,"dustpy.utils.Boundary"]],"condition (dustpy.utils.boundary attribute)":[[84,"dustpy.utils.Boundary.condition"]],"setboundary() (dustpy.utils.boundary method)":[[84,"dustpy.utils.Boundary.setboundary"]],"setcondition() (dustpy.utils.boundary method)":[[84,"dustpy.utils.Boundary.setcondition"]],"value (dustpy.utils.boundary attribute)":[[84,"dustpy.utils.Boundary.value"]],"print_version_warning() (in module dustpy.utils)":[[85,"dustpy.utils.print_version_warning"]]},"termpositions":{"basic":{"0":[1],"1":[637],"2":[2255,2292],"90":[144]},"usag":{"0":[2,20],"13":[201],"90":[112,145]},"dustpi":{"0":[3,40,80,84,115,215,375,931,940,946,952,1285,1295,1316,1484,2058,2574,2649,2663,2819,2859,2868,2874,2880],"1":[22,384,1074,1077,1187,1260,1269,1275,1281,1476,1487],"2":[7,35,746,2204,2224,2893,2902,2908,2914,3259],"3":[29,44,76,642,651,1826,3580,4001,4010,8168],"4":[3,135,148,1946],"5":[6,27,708,901,1193,1615,1625],"6":[3,83,406],"7":[6,24],"8":[16,37],"9":[11,66,103],"10":[2,8,26],"11":[11,45,219],"12":[2,4,24,27,35,46,55,68,81,113,136,204,214,251,264,712,984,1003,1097,1119,1146],"13":[2,17],"14":[1,32,39],"15":[1,31,38],"16":[1],"17":[1],"18":[1],"19":[1],"20":[1],"21":[1],"22":[1],"23":[1],"24":[1],"25":[1],"26":[1],"27":[1],"28":[1],"29":[1],"30":[1],"31":[1],"32":[1],"33":[1],"34":[1],"35":[1],"36":[1],"37":[2],"38":[1],"39":[1],"40":[1],"41":[1],"42":[1],"43":[1],"44":[1],"45":[1],"46":[1],"47":[1],"48":[1],"49":[1],"50":[1],"51":[1],"52":[1],"53":[1],"54":[1],"55":[1],"56":[1],"57":[1],"58":[1],"59":[1],"60":[1],"61":[1],"62":[1],"63":[1],"64":[1],"65":[2],"66":[1],"67":[1],"68":[1],"69":[1],"70":[1],"71":[1],"72":[1],"73":[1],"74":[1],"75":[1],"76":[1],"77":[1],"78":[1,16],"79":[1],"80":[1],"81":[1],"82":[1],"83":[1],"84":[2],"85":[1,19],"86":[12,33],"87":[15,232,236,536,545,551,557,897],"88":[411,649,1423,1432,1438,1444,1784],"89":[12,318,322,1101,1240,1249,1255,1261,1712],"90":[0,2,20,24,58,66,77,78,87,123,277,331,356,358,361,364,367,371,375,379,383,387],"91":[32,212,219,277,289,421,518,706,828,837,843,849,1355,1364,1370,1376,1936,2162,2171,2177,2183,2575,2584,2590,2596,2977],"92":[295,329,376,502,508,542,685,709,718,724,730,1184,1193,1199,1205,1799,1808,1814,1820,2324,2333,2339,2345,2724]},"us":{"0":[5,1306,1449,1485,2041,2051,2082],"1":[328,880,962,1069],"2":[482,542,1448,1851,1973,1982],"3":[108,1024,1244,1468,1533,1583,1653,1707,1961,1994,2113,2274,2281,2415,2449,2817,3177,6160,7043,7073,8169,8184],"4":[413,856,1549],"5":[870,1458],"6":[250,738],"7":[5],"8":[14,28,41],"11":[33,48,99,406],"12":[51,64,83,121,144,261,400,698,970,1128],"13":[30,38,43,49],"17":[57],"19":[34],"22":[30],"23":[30],"24":[30],"27":[12],"51":[18],"66":[72],"78":[17],"87":[110,140,164,204,218],"88":[131,567],"89":[181,466,1113],"91":[25,99,124,502],"92":[2793]},"simfram":{"0":[8,22,29,2048,2594],"2":[835,910,1515,1532],"3":[8175],"5":[607],"6":[305],"12":[85],"13":[23,60],"89":[1105,1109],"90":[92,106]},"framework":{"0":[9],"90":[93]},"run":{"0":[11,36,48,903,923,930,2813,2858],"1":[9,1058,1112,1139,1259,1451,1486,1560],"2":[2847,2892],"4":[1945],"12":[109],"13":[13,47,51,205,208,277,280,419,423],"87":[535],"88":[1422],"89":[647,1213,1239],"90":[150],"91":[827,1298,1354,2161,2574],"92":[703,708,1074,1183,1798,2323]},"scientif":{"0":[12],"12":[90],"90":[95]},"simul":{"0":[13,59,64,76,86,98,106,111,213,905,907,921,1313,1326,1339,2137,2590,2607,2676,2805,2852],"1":[12,24,27,29,39,63,330,367,377,399,459,752,873,1060,1096,1141,1159,1198,1224,1251,1448,1485,1549,1559],"2":[32,37,40,57,76,103,113,117,124,466,470,475,479,516,522,525,779,792,829,902,1035,1192,1196,1201,1352,1435,1687,1712,1715,1814,1847,2081,2226,2232,2271,2289,2294,2297,2300,2304,2463,2467,2483,2517,2521,2524,2529,2801,2807,2837,2849,2881],"3":[31,34,216,258,558,711,735,807,811,1031,1255,1476,1524,1528,1554,1561,1569,1604,1612,1620,1674,1682,1690,1728,1736,1744,1776,1779,1782,1822,1884,1888,1907,1955,1958,1970,2015,2023,2031,2092,2134,2142,2150,2163,2203,2207,2300,2323,2391,2405,2426,2450,2456,2463,2493,2511,2516,2524,2536,2646,2657,2665,2676,2679,2685,2699,2719,2777,2788,2791,2818,2828,2831,2843,2846,2849,2975,2985,3000,3183,3198,3201,3596,3668,3925,4107,4147,4276,4315,4323,4331,4370,4378,4386,4444,4451,4459,4475,4524,4532,4540,4577,4585,4593,4614,4823,4841,4844,4869,4909,4916,4924,4943,5154,5159,5182,5198,5216,5530,5542,5553,5562,5572,5592,5945,6133,6146,6161,6165,6170,6550,6563,6577,6585,6722,6731,6736,6795,6803,6815,6833,6845,6862,6876,6913,7136,7834],"4":[150,152,167,172,249,618,623,956,1072,1106,1159,1165,1477,1559,1658,1675,1747,1764,1786,1795,1942,1944,2023,2102,2214,2223,2237,2291],"5":[22,29,31,351,370,379,382,385,388,396,399,494,586,626,647,729,1176,1328,1616,1626,1627],"6":[42,85,87,324,345,705,732],"7":[42],"11":[24,208,217,255,273,277,335,428,535],"12":[9,22,25,54,67,91,102,106,112,124,215,234,249,263,1014,1131],"13":[0,3,10,16,18,31,36,39,44,48,50,83,187,210,268,282,322,344,366,387,392,417,425],"14":[28,33,40],"15":[27,32,39],"16":[16],"17":[46],"19":[23],"20":[22],"21":[20,27,111],"22":[19],"23":[19],"24":[19],"25":[33],"26":[22],"27":[25],"28":[24],"29":[23],"30":[46],"31":[20],"32":[17],"33":[19],"34":[20],"38":[24,58,64],"39":[18],"40":[25],"41":[26],"42":[30],"43":[17],"44":[23],"45":[36],"46":[19],"47":[21],"48":[30],"49":[21],"50":[28],"51":[29],"52":[21],"53":[29],"54":[17],"55":[17],"56":[17],"57":[17],"58":[29],"59":[22],"60":[22],"61":[20],"62":[19],"63":[18],"64":[16],"66":[21],"68":[18],"69":[20],"70":[19],"71":[29],"72":[20],"73":[23],"74":[18],"75":[18],"76":[16],"78":[37],"80":[35],"81":[24],"82":[24],"83":[16,18],"87":[16,234,242,395,527,894],"88":[137,651,654,857,1050,1282,1299,1352,1414,1781],"89":[320,389,398,419,646,891,1215,1220],"90":[8,25,96,147,152],"91":[298,422,439,491,498,519,533,693,702,708,711,721,819,1301,1316,1719,1738,1937,1953,2117,2123,2530,2983],"92":[54,139,297,299,313,509,705,1099,1698,2216]},"detail":{"0":[16],"1":[567,1566],"2":[1505],"3":[275,1984,2515,2865,3593,4106,4479],"4":[114,404,523,2196],"5":[719],"13":[63],"30":[137],"66":[86],"86":[37],"89":[42],"90":[109,134],"91":[139,1764]},"descript":{"0":[17],"2":[1888],"4":[524],"12":[689,961],"13":[65,66,146],"37":[28,29],"65":[28,29],"88":[707,720,733,746],"89":[762,771,785,1128]},"pleas":{"0":[23,953,2881],"1":[326,1282],"2":[1509,2915],"3":[2855,6158],"4":[389,507],"5":[713],"7":[7],"8":[26],"9":[12,29,46,67,112],"10":[21,28],"11":[98,383],"13":[52],"86":[38],"87":[558],"88":[1445],"89":[1262],"90":[100,135],"91":[850,1377,2184,2597],"92":[731,1206,1821,2346]},"have":{"0":[24,72,1389,1816,1904,2629,2640],"1":[369,446,731,860,954,989,1207,1467],"2":[505,588,1018,1207,1223,1254,1275,1337,1427,1510,1699,1790,1966,2100,2202,2214,3248,3288],"3":[300,537,545,798,2508,2856,7157,7855],"4":[297,378,508,744,1096,1388,1979,2104,2138,2227,2258],"5":[557,615,834,1043,1136,1378],"6":[493,768],"9":[13,92],"10":[22],"11":[68,136,294,384],"13":[53,372,378,396],"86":[39],"87":[63,319],"88":[119,788,1167,1222,1250,1277,1334,1357],"89":[147,404,813,860,880,1090],"90":[101,136],"91":[443],"92":[56,1571,1592]},"look":{"0":[26],"1":[1469],"2":[1512,2318,3250],"3":[547,780,2858],"4":[510,652],"5":[143],"9":[15],"10":[24],"11":[386],"13":[55],"14":[62],"15":[61],"86":[41],"89":[1731],"90":[103,138],"92":[1502]},"document":{"0":[30,935,2863],"1":[1264],"2":[1516,2897],"9":[57],"11":[393],"13":[58,292,302],"66":[84],"84":[99,121],"86":[45],"87":[540],"88":[1427],"89":[1244],"90":[1,17,107],"91":[832,1359,2166,2579],"92":[713,1188,1803,2328]},"thi":{"0":[31,94,100,913,1471,1812,2118,2672],"1":[444,744,755,775,829,927,998,1053,1133,1152],"2":[212,528,543,575,1249,1293,1494,1507,1616,1662,1798,1837,2024,2107,2125,2131,2175,2273,2283,2781,2841],"3":[5,277,717,1507,1573,1624,1694,1892,1980,2340,2367,2440,2479,2497,2529,2688,2705,2722,2733,2995,3171,3186,3204,3595,3599,4463,4544,4596,4826,4847,4927,5156,5207,5578,5595,5948],"4":[72,109,274,311,354,376,469,500,526,827,912,967,1078,1098,1177,1192,1431,1491,1493,1515,1535,1652,1667,1932,2018,2198,2265],"5":[344,361,455,459,490,680,799,814,1345,1429,1443,1466],"6":[378,620,635,714,918],"8":[5],"11":[3,147,189,270,388,402,528],"12":[1039,1054,1069,1084],"13":[97,206,278,421],"21":[103],"30":[97],"79":[7],"80":[7],"81":[7],"82":[7],"85":[52],"87":[64,247,377,915],"88":[4,26,52,127,211,505,528,565,823,933,1028,1053,1289,1775],"89":[3,71,202,451,832,1137],"90":[16],"91":[34,100,109,164,411,451,494,739,1277,1285,1739,1767,2959,2965,2986],"92":[4,62,534,550,1639,1659,1673,2114,2136,2144,2151,2639,2755,2800]},"notebook":{"0":[32],"4":[397],"91":[35]},"demonstr":{"0":[33],"2":[1653,2135],"87":[209],"88":[7,128,1054],"89":[5],"91":[48]},"how":{"0":[34,51,56],"1":[930],"2":[2206],"8":[419,764],"9":[83],"88":[8],"89":[6]},"most":{"0":[38,2600],"4":[1727],"5":[574],"11":[101],"91":[153],"92":[538,2764]},"simpl":{"0":[39,1300],"1":[1],"3":[2383],"12":[30,209,226,242,445],"13":[27],"14":[20],"15":[20],"30":[15],"90":[161],"91":[154]},"model":{"0":[41,45,70],"1":[786,879,966,985,1111,1526,1537],"3":[3,16,298,535,2390,3701,5983,6759,6899],"4":[133,1976],"5":[1057],"6":[271],"8":[538,917],"10":[20],"11":[134],"12":[450],"30":[20],"87":[501],"88":[824],"89":[13,300,306,452,698,751],"90":[210],"91":[1761],"92":[292,1058,1617,2182,2682,2792]},"i":{"0":[42],"2":[681,691,694,698,1859],"3":[307,1790,1808,1818,2045,3683,4485,7488],"4":[659,663,680,697,767,778,787,842,852,859,866,996,1487,1509,1510,1555,1574,1603,1613,1678,1693,1824,1839,1851,1863,1873,2135],"6":[644],"8":[249,374],"12":[406],"13":[228],"27":[18],"30":[78],"88":[615,625,628,632],"89":[562,572,575,579],"91":[1089,1098,1103,1106,1109,1120,1124,1127,1129,1601,1610,1615,1618,1621,1632,1636,1639,1642,1653,1656,1658,2408,2417,2422,2425,2428,2439,2443,2446,2448,2821,2830,2835,2838,2841,2852,2856,2859,2862,2873,2876,2878],"92":[412,421,446,458,947,959,963,966,980,990,992,1002,1402,1414,1418,1421,1435,1445,1447,1457,2017,2029,2033,2036,2050,2060,2062,2072,2542,2554,2558,2561,2575,2585,2587,2597]},"e":{"0":[43,154],"2":[1343,1860],"3":[308,2046,4160,4486,5616,5619,5622,5625,5628,5631,5634,5637,5640,5643,5646,5649,5652,5655,5658,5661,5664,5667,5670,5673,5676,5679,5682,5685,5688,5691,5694,5697,5700,5703,5706,5709,5712,5715,5718,5721,5724,5727,5730,5733,5736,5739,5742,5745,5748,5751,5754,5757,5760,5763,5766,5769,5772,5775,5778,5781,5784,5787,5790,5793,5796,5799,5802,5805,5808,5811,5814,5817,5820,5823,5826,5829,5832,5835,5838,5841,5844,5847,5850,5853,5856,5859,5862,5865,5868,5871,5874,5877,5880,5883,5886,5889,5892,5895,5898,5901,5904,5907,5910,5913,7489],"4":[454,2136],"6":[66,645],"8":[623,739],"11":[1,347],"88":[430,828,986,989,999],"89":[332,1866,1931],"90":[334],"91":[141,643,1142,1148,1173,1680,2470,2900],"92":[480,1024,1479,2094,2619]},"default":{"0":[50,223,920,1284,2598],"1":[208,222,234,253,266,432,464,471,480,489,499,560,572,580,589,599,614,685,698,781,845,853,909,942,977,1005,1186,1533,1556],"2":[45,121,218,634],"3":[22,39,101,574,697,703,795,2041,2389,2528,2732,3624,3677,3949,4056,4062,4164,5606,7075,7094,8171,8208],"4":[1077,1168,1665,2059,2090],"5":[57,990,1231,1421,1638,1647],"6":[15,270,751],"11":[314],"13":[442,451],"14":[52,57,73,88,103,114,125],"15":[51,56,72,87,102,113,124],"17":[51],"19":[28],"22":[24],"23":[24],"24":[24],"38":[33],"78":[15],"84":[175,181],"85":[26],"87":[256,500],"89":[299,515,697,1202],"91":[1311],"92":[53,291,1057,1581,1616,2143,2181,2791,2819]},"plot":{"0":[53,1294,1301,1318,1320,1345,1350,1397,1413,1452,1455,1464],"1":[1478,1480],"2":[954,3261,3263],"3":[3551,3576,3582],"11":[73,79],"12":[33,36,205,212,228,243],"14":[2,22,48,59,84,99,110,121,133],"15":[2,21,47,58,83,98,109,120,132],"87":[899,900],"88":[1786,1788,1824,1862,1872],"89":[1706,1714,1716],"90":[153,362],"91":[259,1022,1078,1590,2397,2810],"92":[876,1004,1459,2074,2599]},"data":{"0":[54,1033,1035,1038,1044,1049,1055,1060,1066,1071,1077,1082,1088,1093,1099,1104,1110,1115,1121,1126,1132,1137,1143,1148,1154,1159,1165,1170,1176,1181,1187,1192,1198,1203,1209,1214,1220,1225,1231,1236,1242,1247,1253,1258,1264,1269,1275,1292,1332,1383,1415,1457,2030,2037,2055,2068,2084,2086,2089,2109,2125,2451,2455,2460,2469,2476,2486,2504,2510,2538,2560,2567,2592,2669,2962,2968],"1":[1120,1192,1210,1233,1362],"2":[1693,2246,2871,2995,3292],"3":[1567,1618,1688,1742,2029,2148,4329,4384,4457,4538,4591,4922,8186,8188,8191,8218],"7":[109],"12":[34,217,221,231,237,246],"14":[4,6,25,31,44,53,67],"15":[4,6,24,30,43,52,66],"87":[638],"88":[1525],"89":[1228,1342],"90":[155],"91":[930,1020,1457,2264,2677],"92":[689,811,877,882]},"resum":{"0":[58]},"from":{"0":[60,78,83,1315,1374,2057,2502,2533,2591,2604,2633,2662,2818],"1":[21,740,900,923,969,1076,1216,1475],"2":[34,1413,1763,2114,2504,2541,2623,3258],"3":[28,1977,2483,3804,6037,7022,7131,7829],"4":[64,147,286,321,501,556,712,918,1173,1176,1402,1569,1640],"5":[26,125,1261],"6":[82,853],"8":[168,618],"10":[13],"11":[297],"12":[416,458,815],"13":[96],"21":[18],"28":[12],"30":[87],"31":[12],"53":[20],"61":[12],"67":[34],"87":[231,304,464,896],"88":[485,648,811,831,1011,1783],"89":[317,825,1104,1108,1711,1873],"91":[705,1223],"92":[294,487,1031,1093,1486,1565,1579,1649,2101,2626,2750]},"dump":{"0":[61,1042,1053,1064,1075,1086,1097,1108,1119,1130,1141,1152,1163,1174,1185,1196,1207,1218,1229,1240,1251,1262,1273,2094,2557,2602,2617,2625,2638,2966],"1":[1371,1382,1393,1404,1415,1426,1437],"2":[3004,3015,3026,3037,3048,3059,3070,3081,3092,3103,3114,3125,3136,3147,3158,3169,3180,3191,3202,3213,3224,3235],"3":[8196,8210],"87":[647,658,669,680,691,702,713,724,735,746,757,768,779,790,801,812,823,834,845,856,867,878],"88":[1534,1545,1556,1567,1578,1589,1600,1611,1622,1633,1644,1655,1666,1677,1688,1699,1710,1721,1732,1743,1754,1765],"89":[1351,1362,1373,1384,1395,1406,1417,1428,1439,1450,1461,1472,1483,1494,1505,1516,1527,1538,1549,1560,1571,1582,1593,1604,1615,1626,1637,1648,1659,1670,1681,1692],"90":[158],"91":[939,950,961,972,983,994,1005,1466,1477,1488,1499,1510,1521,1532,2273,2284,2295,2306,2317,2328,2339,2686,2697,2708,2719,2730,2741,2752],"92":[820,831,842,853,864,1291,1302,1313,1324,1335,1906,1917,1928,1939,1950,2431,2442,2453,2464,2475]},"file":{"0":[62,1037,1043,1048,1054,1059,1065,1070,1076,1081,1087,1092,1098,1103,1109,1114,1120,1125,1131,1136,1142,1147,1153,1158,1164,1169,1175,1180,1186,1191,1197,1202,1208,1213,1219,1224,1230,1235,1241,1246,1252,1257,1263,1268,1274,1289,2031,2038,2080,2087,2110,2477,2505,2539,2558,2561,2593,2603,2618,2626,2639,2961,2967,2977],"1":[1121,1128,1193,1211,1234,1366,1372,1377,1383,1388,1394,1399,1405,1410,1416,1421,1427,1432,1438],"2":[2247,2999,3005,3010,3016,3021,3027,3032,3038,3043,3049,3054,3060,3065,3071,3076,3082,3087,3093,3098,3104,3109,3115,3120,3126,3131,3137,3142,3148,3153,3159,3164,3170,3175,3181,3186,3192,3197,3203,3208,3214,3219,3225,3230,3236],"3":[106,8182,8189,8211,8219],"11":[303],"12":[101,218,232,247,1173],"13":[128,234],"14":[26,64],"15":[25,63],"87":[642,648,653,659,664,670,675,681,686,692,697,703,708,714,719,725,730,736,741,747,752,758,763,769,774,780,785,791,796,802,807,813,818,824,829,835,840,846,851,857,862,868,873,879],"88":[1529,1535,1540,1546,1551,1557,1562,1568,1573,1579,1584,1590,1595,1601,1606,1612,1617,1623,1628,1634,1639,1645,1650,1656,1661,1667,1672,1678,1683,1689,1694,1700,1705,1711,1716,1722,1727,1733,1738,1744,1749,1755,1760,1766],"89":[1346,1352,1357,1363,1368,1374,1379,1385,1390,1396,1401,1407,1412,1418,1423,1429,1434,1440,1445,1451,1456,1462,1467,1473,1478,1484,1489,1495,1500,1506,1511,1517,1522,1528,1533,1539,1544,1550,1555,1561,1566,1572,1577,1583,1588,1594,1599,1605,1610,1616,1621,1627,1632,1638,1643,1649,1654,1660,1665,1671,1676,1682,1687,1693],"90":[156,159],"91":[934,940,945,951,956,962,967,973,978,984,989,995,1000,1006,1461,1467,1472,1478,1483,1489,1494,1500,1505,1511,1516,1522,1527,1533,2268,2274,2279,2285,2290,2296,2301,2307,2312,2318,2323,2329,2334,2340,2681,2687,2692,2698,2703,2709,2714,2720,2725,2731,2736,2742,2747,2753],"92":[690,815,821,826,832,837,843,848,854,859,865,1286,1292,1297,1303,1308,1314,1319,1325,1330,1336,1901,1907,1912,1918,1923,1929,1934,1940,1945,1951,2426,2432,2437,2443,2448,2454,2459,2465,2470,2476]},"frame":{"0":[65,1045,1056,1067,1078,1089,1100,1111,1122,1133,1144,1155,1166,1177,1188,1199,1210,1221,1232,1243,1254,1265,1276,2670,2677,2969],"1":[1374,1385,1396,1407,1418,1429,1440],"2":[1713,1815,3007,3018,3029,3040,3051,3062,3073,3084,3095,3106,3117,3128,3139,3150,3161,3172,3183,3194,3205,3216,3227,3238],"3":[41],"13":[7,24,120,188,269,323],"16":[14,17],"17":[44,47],"19":[21,24],"20":[20,23],"21":[25,28],"22":[17,20],"23":[17,20],"24":[17,20],"25":[31,34],"26":[20,23],"27":[23,26],"28":[22,25],"29":[21,24],"30":[44,47],"31":[18,21],"32":[15,18],"33":[17,20],"34":[18,21],"35":[13,16],"36":[14,17],"38":[22,25],"39":[16,19],"40":[23,26],"41":[24,27],"42":[28,31],"43":[15,18],"44":[21,24],"45":[34,37],"46":[17,20],"47":[19,22],"48":[28,31],"49":[19,22],"50":[26,29],"51":[27,30],"52":[19,22],"53":[27,30],"54":[15,18],"55":[15,18],"56":[15,18],"57":[15,18],"58":[27,30],"59":[20,23],"61":[18,21],"62":[17,20],"63":[16,19],"64":[14,17],"66":[19,22],"68":[16,19],"69":[18,21],"70":[17,20],"71":[27,30],"72":[18,21],"73":[21,24],"74":[16,19],"75":[16,19],"76":[14,17],"78":[35,38],"80":[33,36],"81":[22,25],"82":[22,25],"83":[19],"87":[396,650,661,672,683,694,705,716,727,738,749,760,771,782,793,804,815,826,837,848,859,870,881],"88":[856,858,1283,1353,1537,1548,1559,1570,1581,1592,1603,1614,1625,1636,1647,1658,1669,1680,1691,1702,1713,1724,1735,1746,1757,1768],"89":[1354,1365,1376,1387,1398,1409,1420,1431,1442,1453,1464,1475,1486,1497,1508,1519,1530,1541,1552,1563,1574,1585,1596,1607,1618,1629,1640,1651,1662,1673,1684,1695],"90":[148],"91":[532,942,953,964,975,986,997,1008,1469,1480,1491,1502,1513,1524,1535,1952,2276,2287,2298,2309,2320,2331,2342,2689,2700,2711,2722,2733,2744,2755],"92":[823,834,845,856,867,1294,1305,1316,1327,1338,1909,1920,1931,1942,1953,2434,2445,2456,2467,2478]},"set":{"0":[67,2487,2511,2544],"1":[35,71,299,754,1156,1223],"2":[507,1172,1191,1646,2836],"3":[580,658,689,1645,2042,2531,2998,3703,3954,4017,4048,4167,4609,4842,4937,5155,5210,5933,5985,6175,6182,6761,6809,6839,6870,6901],"4":[1070,1103,1157,1656,1672,2106],"5":[535,543,563,746,784,836,1005,1044,1090,1103,1138,1206,1239,1264,1477,1486,1600,1630],"6":[252,263,277,291,562,611,625,700,754,784,800],"10":[17],"11":[168,213],"12":[88,427,595,790],"13":[26,72,74,105,215,243,245,287,295,297,325,340,359,380,411,434],"16":[39],"29":[8],"45":[31],"48":[21],"59":[8],"60":[21],"84":[48,57,86,95,125,136,167],"88":[27,753,1369],"89":[392,686,704,1013,1142],"90":[275],"91":[425,516,623,636,645,767,794,1934,2043,2065],"92":[500,505,657,671,2146,2154,2178,2667,2777]},"up":{"0":[68],"1":[866],"4":[100,491,759,1199,1935],"6":[258],"8":[378],"10":[18],"12":[89],"13":[360],"21":[83],"88":[754],"90":[276],"91":[427,521,1939],"92":[501,506]},"we":{"0":[71,87,205,1815,1877,1902,2794,2807,2847],"1":[73,1055,1067,1091,1135,1195,1206,1220,1236,1465],"2":[530,541,571,720,733,772,837,929,943,952,1251,1272,1349,1426,1446,1490,1656,1698,1706,1718,1822,1829,1839,1873,1965,1980,2022,2097,2108,2195,2201,2213,2571,2653,2673,2679,2719,2738,2758,2843,2866,3245,3287],"3":[7,299],"4":[119,278,610,707,743,853,914,1014,1095,1110,1127,1144,1178,2137],"5":[504,614],"6":[312],"87":[6,109,139,162,178,202,317,370,390,479,520],"88":[6,54,111,118,129,196,530,539,553,566,786,1024,1045,1055,1067,1145,1166,1248,1276,1309,1333,1356,1409,1822],"89":[14,146,180,229,269,290,303,391,403,453,465,642,673,684,699,730,752,811,830,859,871,879,912,938,947,1048,1057,1088,1112,1190,1212,1216,1704,1724,1730],"91":[36,204,255,321,412,495,697,712,741,766,793,1015,1296,1769,2518],"92":[6,36,55,118,284,308,503,524,543,548,656,662,674,700,878,1072,1080,1561,1570,1591,1661,1670,1686,2202,2810]},"import":{"0":[74,85,1317,1858,2059,2664,2820],"1":[23,1078,1163,1477],"2":[36,600,745,963,3260],"3":[30],"4":[149],"5":[28,147,152],"6":[84,138,143],"87":[233,235,261,334,421,898],"88":[220,410,442,650,834,1785],"89":[319,321,481,1106,1110,1713,1792],"91":[265,707,1046],"92":[203,296,303,328,333]},"class":{"0":[77,95],"8":[372],"12":[19,60,92,96,107,685,690,707,957,962,979,1125,1149,1156,1168],"13":[1,11],"37":[1,10],"65":[1,10],"84":[1,15]},"packag":{"0":[81],"7":[27],"12":[3,7,31,39,86,115,116,206,207,253,254,1121,1122],"90":[6,73,357,360,363,366,389]},"can":{"0":[88,149,206,230,360,1304,1398,1853,2040,2104,2126,2446,2478,2488,2608,2613,2795,2848],"1":[14,298,730,789,795,803,812,1068,1092,1153,1466,1539,1546],"2":[11,61,101,462,773,838,900,953,1309,1447,1491,1618,1644,1707,1823,1830,2554,2572,2621,2720,2831,2867,3246],"3":[624,779,1901,2368,2377,2507,2919,2928,2946,3983,4090,7051],"4":[74,377,705,832,1068,1179,1376,1654,1930],"5":[100,122,651,704,858,1004,1102,1178,1205,1210,1256,1303,1377,1444,1464],"6":[111,349,402,414,621,736,833,845],"8":[379],"11":[467,490],"12":[49,142,259,696,968],"86":[29],"87":[35,50,65,215,371],"88":[102,1025,1410,1792,1823],"89":[164,252,311,1049,1058,1705],"90":[67],"91":[23,78,104,122,205,413,477,698,1289,2519],"92":[119,701,1046,1671,2152,2648,2801]},"now":{"0":[89,207,236,909,2105,2462,2674,2796,2849,2985],"1":[1093,1199,1253,1450],"2":[721,774,839,1385,1492,1685,1734,1896,2074,2798,2868,3247],"11":[47],"87":[318,413,522],"88":[752,787,935,1026,1044,1332,1368,1411],"89":[1089,1155,1709],"91":[206,414,699,765,821,1016],"92":[120,504,702,879,1073]},"creat":{"0":[90,1032,2630],"1":[1361,1522],"2":[54,84,107,486,722,775,917,1209,1587,1832,2994],"5":[617],"6":[315],"12":[702,974],"13":[191,272,350],"87":[637],"88":[71,104,116,846,942,1524],"89":[862,1092,1341],"91":[700,929,1456,2263,2676],"92":[810]},"an":{"0":[91,104,1450,2463],"1":[32,1200],"2":[548,1611,2091,2875,3272],"3":[66,611,3642,5586,7055,7120,7818],"4":[1122,1454,1618,1698,1723],"5":[60,430,915,918,1363,1379,1459,1491],"6":[8,769],"8":[7,42,1013],"9":[93,110],"11":[235],"12":[692,964],"25":[27],"85":[56],"88":[576],"89":[218,652,705,816,863,1093,1114],"91":[1784,2951],"92":[44]},"instanc":{"0":[92],"3":[655,4014],"5":[1628],"13":[69],"14":[37],"15":[36]},"sim":{"0":[97,102,113,157,210,226,233,249,370,373,929,1352,1504,1865,1869,1916,2551,2687],"1":[26,89,190,402,531,645,1083,1104,1168,1246,1258,1457,1482],"2":[39,127,148,151,237,241,791,794,799,844,847,935,980,1038,1043,1047,1355,1376,1401,1406,1471,1480,1484,1518,1635,1671,1677,1725,1751,1756,1817,1883,1901,2009,2013,2018,2034,2045,2060,2145,2160,2184,2276,2322,2331,2337,2355,2363,2371,2390,2398,2407,2416,2424,2432,2441,2580,2602,2685,2774,2775,2792,2853,2886,2891,3265,3318,3326,3335],"3":[33,36,74,112,220,314,420,562,592,600,631,739,816,1036,1260,1480,1748,1812,1911,2051,2167,2212,2541,2737,3005,3092,3095,3241,3706,3725,3733,3742,3751,3759,3767,3776,3815,3929,3966,3974,3990,4111,4171,4390,4619,4948,5226,5611,5988,6006,6014,6047,6186,6558,6572,6608,6613,6617,6764,6771,6826,6856,6881,6904,6929,6950,7062,7090,7097,7175,7179,7501,7505,7508,7875,7879,7884,8026,8030,8035,8039,8177],"4":[151,153,176,675,692,764,768,773,779,782,862,886,900,991,1216,1364,1482,1504,1551,1600,1604,1608,1684,1688,1821,1825,1834,1846,1858,1868,1874,1886,1892,2036,2071,2075,2296],"5":[30,32,37,42,46,51,67,134,170,185,189,193,201,205,221,225,229,237,241,257,261,270,274,293,297,306,310,765,770,775,842,847,852,878,883,889,895,943,1017,1022,1113,1117,1150,1155,1161,1165,1266,1286,1291,1470,1524,1542,1548,1555,1562,1568,1576,1584,1607],"6":[86,88,93,161,176,184,200,208,430,434,661,665,671,675,810,815,858,878,883],"12":[277,284,296,308,321,334,343,352,361,370,381,394,410,425,436,452,463,471,481,492,498,505,517,526,533,540,548,556,570,597,607,619,631,643,662,674,725,736,744,752,760,768,788,798,809,820,830,839,846,878,887,898,908,915,926,940,949,997,1005,1018,1029,1038,1053,1068,1083,1111],"16":[5,13],"17":[5,43],"18":[5],"19":[5,20],"20":[5,19],"21":[5,24,39,47,56,70],"22":[5,16],"23":[5,16],"24":[5,16],"25":[5,30],"26":[5,19],"27":[5,22],"28":[5,21],"29":[5,20],"30":[5,43],"31":[5,17],"32":[5,14],"33":[5,16],"34":[5,17],"35":[5,12],"36":[5,13],"38":[5,21],"39":[5,15],"40":[5,22],"41":[5,23],"42":[5,27],"43":[5,14],"44":[5,20],"45":[5,33],"46":[5,16],"47":[5,18],"48":[5,27],"49":[5,18],"50":[5,25],"51":[5,26],"52":[5,18],"53":[5,26],"54":[5,14],"55":[5,14],"56":[5,14],"57":[5,14],"58":[5,26],"59":[5,19],"60":[5],"61":[5,17],"62":[5,16],"63":[5,15],"64":[5,13],"66":[5,18],"68":[5,15],"69":[5,17],"70":[5,16],"71":[5,26],"72":[5,17],"73":[5,20],"74":[5,15],"75":[5,15],"76":[5,13],"77":[3,5],"78":[3,5,34],"79":[3,5],"80":[3,5,32],"81":[3,5,21],"82":[3,5,21],"83":[5,15],"87":[241,244,277,282,289,295,340,344,353,362,384,389,408,437,442,449,455,529,534,902],"88":[653,678,683,686,689,693,698,712,724,738,756,838,855,870,877,892,898,901,909,922,962,968,971,977,993,1036,1040,1186,1189,1204,1207,1234,1241,1260,1265,1270,1317,1343,1362,1386,1392,1416,1421,1790,1830,1836,1844],"89":[418,420,425,430,435,440,631,640,658,716,723,759,766,776,782,792,843,845,848,853,894,898,961,968,973,1002,1005,1008,1027,1072,1076,1083,1125,1147,1165,1231,1233,1238,1718,1741,1748,1755,1762,1776,1783,1813,1818,1825,1830,1839,1844,1851,1857],"90":[381],"91":[512,531,554,568,573,583,588,601,606,612,617,627,631,640,652,668,671,674,681,687,695,710,733,757,763,790,804,814,826,1026,1033,1040,1315,1318,1323,1329,1335,1339,1343,1348,1353,1544,1551,1558,1930,1951,1974,1988,1993,2003,2008,2021,2026,2032,2037,2047,2051,2055,2060,2071,2074,2078,2094,2098,2105,2111,2119,2122,2125,2130,2136,2140,2150,2155,2160,2351,2358,2365,2529,2532,2537,2543,2549,2553,2563,2568,2573,2764,2771,2778],"92":[298,300,360,365,380,386,389,393,396,425,431,434,438,441,465,471,565,570,576,581,587,592,598,603,609,614,617,637,642,667,692,696,707,892,901,908,915,952,969,975,1098,1100,1107,1110,1115,1121,1126,1132,1137,1143,1148,1154,1159,1163,1168,1173,1177,1182,1347,1356,1363,1370,1407,1424,1430,1697,1699,1705,1708,1711,1715,1718,1725,1730,1736,1741,1747,1752,1758,1763,1769,1774,1778,1783,1788,1792,1797,1962,1971,1978,1985,2022,2039,2045,2215,2217,2223,2226,2229,2233,2236,2243,2248,2254,2259,2265,2270,2276,2281,2287,2292,2296,2301,2308,2313,2317,2322,2487,2496,2503,2510,2547,2564,2570]},"stage":{"0":[101],"8":[542],"66":[61]},"empti":{"0":[105],"2":[678,778,1589,1612],"5":[453,518,572,582],"88":[612],"89":[559],"91":[488]},"object":{"0":[107,211,234,371,1327,1340,2138,2622,2685],"1":[30,64],"2":[77,114,780,1353,1436,1534,1584,1688,2233,2272],"3":[42,68,72],"12":[213,235,250,1015],"13":[98,112,121,124,142,155,169,226],"14":[29],"15":[28],"21":[22],"84":[14],"89":[400,892,1221],"91":[423,520,534,694,703,1938,1954,2118]},"control":{"0":[109],"2":[464],"3":[764],"4":[158],"12":[688,960],"13":[81],"37":[16],"65":[16]},"our":{"0":[110,2683],"1":[1231],"2":[731,1351,1442,1736,1796,1833,2030,2094,2567,2716,2883,3255],"4":[1404],"5":[416,623,637,655],"6":[321,335,353],"87":[893],"88":[215,1336,1780],"89":[153,305,393,750,1044,1707],"92":[1588]},"dust":{"0":[116,118,376,378,481,1431,1461,1500,1505,1917,2552],"1":[49,93,378,622,625,633,642,647,700,841,875],"2":[1377,1407,1501,1519,1636,1672,1678,1726,1757,2282,2305,2372,2391,2399,2408,2417,2425,2433,2442,2518,2522,2525,2530,2535],"3":[50,77,79,110,113,116,158,217,221,242,269,315,421,559,563,577,593,601,632,712,723,733,736,740,768,812,817,1029,1032,1037,1253,1256,1261,1473,1477,1481,1535,1547,1555,1570,1585,1598,1605,1621,1655,1668,1675,1691,1709,1722,1729,1745,1749,1813,1823,1885,1889,1908,1912,1952,1969,1971,1978,1990,1996,2009,2016,2032,2052,2093,2115,2128,2135,2151,2164,2168,2199,2208,2213,2301,2324,2392,2406,2427,2451,2464,2494,2512,2517,2538,2542,2647,2654,2658,2666,2668,2686,2693,2720,2729,2738,2778,2783,2819,2832,2976,2983,2986,3002,3006,3088,3093,3096,3184,3189,3214,3236,3242,3553,3597,3606,3669,3696,3707,3726,3734,3743,3752,3760,3768,3777,3810,4476,6163,6167,6172,7024,7039,7088,7102,7814,7835,7876,7880,7885,8027,8031,8036,8040],"4":[1,9,20,173,177,619,624,676,693,774,783,863,887,901,957,992,1074,1161,1217,1365,1478,1483,1505,1552,1560,1609,1660,1689,1748,1765,1787,1796,1835,1847,1859,1869,1875,2024,2037,2072,2076,2215,2224,2292,2297],"5":[1,3,23,48,54,72,93,135,171,367,371,527,627,648,710,730,766,771,776,843,848,853,879,884,890,896,907,911,944,1008,1018,1023,1081,1099,1114,1118,1131,1141,1145,1151,1156,1162,1166,1214,1221,1243,1250,1271,1329,1369,1387,1405,1418,1423,1478,1488,1525,1543,1549,1556,1563,1569,1577,1585,1602,1632],"6":[39,43,654,863,888,923],"7":[29,44],"8":[56,160,174,237,250,279,321,369,385,417,422,620,765,880,913,921,1010],"11":[210,256,278,429],"12":[10,110,266,274,281,325,378,390,432,460,477,487,514,544,579,588,605,710,1164],"13":[14,217,289,436],"16":[3,10,20],"17":[3],"18":[3],"19":[3],"20":[3,10,26],"21":[3,32,41,49,52,58,72],"22":[3],"23":[3],"24":[3],"25":[3,14],"26":[3,15],"27":[3],"28":[3],"29":[3,13],"30":[3],"31":[3,14,24],"32":[3,21],"33":[3,12],"34":[3,12,26],"35":[3],"36":[3],"37":[4,13],"38":[3,18,46,59,65],"39":[3],"40":[3],"41":[3],"42":[3,10],"43":[3],"44":[3],"45":[3,15,24],"46":[3,14,24],"47":[3],"48":[3],"49":[3],"50":[3],"51":[3],"52":[3],"84":[23],"87":[48,283,385,443,911,923,951],"88":[1323,1812],"89":[32,57,81,111,134,171,376,437,615,903,935,940,956,963,969,993,1003,1006,1028,1077,1170,1208,1737,1752,1772,1831,1836,1907],"90":[12,32,47,51,169,211,219,231,239,243,369],"91":[55,374,542,581,584,589,602,607,613,618,628,632,648,669,672,675,688,759,1030,1331,1548,1845,1962,2001,2004,2009,2022,2027,2033,2038,2048,2061,2068,2072,2075,2099,2112,2132,2355,2545,2768],"92":[521,530,566,571,577,582,588,593,599,604,610,622,1111,1116,1122,1127,1133,1138,1144,1149,1155,1726,1731,1737,1742,1748,1753,1759,1764,1770,2244,2249,2255,2260,2266,2271,2277,2282,2288]},"group":{"0":[117,121,125,129,160,164,168,172,252,256,260,264,377,386,398,407,461,486,525,553,606,628,676,685,763,807,823,876],"2":[130,154,802,850,1528,1579,1894,1904,2252,2259,2315],"3":[48,78,82,86,90,115,119,123,127,131,135,138,141,144,224,566,718,743,1484,1510,1752,1915,2171,2174,2217,3818,3822,3826,3830,3933,4115,4394,6050,6774],"4":[180,2040],"5":[947],"13":[152,204],"88":[543,759,761,773,1288],"89":[734,795,868,885]},"quantiti":{"0":[119,123,127,131,162,243,254,379,409,678,825,878],"1":[83],"2":[132,156,804,852,1781,1785,1794,1906,2489,2713],"3":[80,84,88,92,117,129,3207,3565,3697,3790,3820,5581,5979,6023,6052,6105,6755,6776,6895],"4":[182],"5":[419,1509],"6":[588,924],"88":[1297],"89":[764,797],"92":[229]},"ga":{"0":[120,122,158,161,250,253,284,483,675,677,706,2141,2470,2517,2688,2691],"1":[50,121,502,505,513,533,577,588,718,843,1085],"2":[1453,1472,1485,2014,2281,2301,2338,2356,2364,2455,2464,2468,2475,2484,2510,2634,2641,2651,2664,2667,2747,2756,2788,2793,2802],"3":[51,81,83,160,246,273,290,792,809,2457,2695,2829,3813,3816,3819,3850,3926,3930,3947,3967,3975,3991,4072,4102,4108,4112,4146,4148,4158,4172,4277,4288,4293,4309,4316,4332,4342,4348,4364,4371,4387,4391,4417,4422,4436,4445,4460,4467,4502,4516,4525,4541,4549,4555,4569,4578,4594,4616,4620,4824,4845,4870,4878,4887,4901,4910,4925,4945,4949,5160,5167,5183,5190,5199,5206,5218,5227,5531,5538,5543,5549,5554,5557,5563,5566,5573,5575,5593,5602,5612,5917,5946,5952,5978,5989,6007,6015,7027,7041,7083,7109,7116,7137,7140,7154,7176,7180,7502,7506,7509,7838,7852],"5":[79,1278,1296,1383],"6":[1,5,28,77,104,162,325,346,408,426,431,435,514,529,541,548,559,601,659,662,666,672,676,706,730,733,746,772,811,816,823,830,852,870,902,928],"8":[876],"11":[110,117,126,141,333,336],"12":[489,585,714,722,749,796,807,817,826,842,856,896,906,911,924,946,955,982,1162],"21":[54],"34":[14,28],"45":[21],"53":[3],"54":[3],"55":[3,11],"56":[3],"57":[3],"58":[3,33],"59":[3,14],"60":[3,15,23],"61":[3,14,24],"62":[3,12],"63":[3],"64":[3,9],"65":[4,13],"66":[3,16,40],"67":[3],"68":[3],"69":[3,15],"70":[3,14],"71":[3,9],"72":[3,15],"73":[3],"74":[3,12,23],"75":[3,12,24],"84":[21],"87":[345,354,363],"88":[17,29,45,78,83,406,524,808,851,871,899,947,1037,1296,1300,1322,1344,1805],"89":[59,136,154,173,378,422,427,432,724,783,902,965,974,1177,1735,1745,1770,1819,1822,1897],"90":[30,41,167,212,246,253,271,373],"91":[547,560,569,574,1967,1980,1989,1994],"92":[1,10,19,196,287,366,391,394,398,436,439,443,513,629,647,905,912,971,977,1053,1089,1102,1360,1367,1426,1432,1636,1701,1709,1713,1720,1975,1982,2041,2047,2168,2219,2227,2231,2238,2302,2500,2507,2566,2572,2669]},"grid":{"0":[124,126,822,824,829,837,850,862,870,1480,1840,1850,1866,1870],"1":[52,143,282,285,295,305,317,332,338,341,361,391,395,404,478,487,497],"2":[43,51,70,109,128,131,152,155,160,168,181,187,195,216,221,226,232,238,242,454,460,468,472,477,489,500,513,517,536,550,557,563,585,615,620,627,646,726,738,783,789,795,800,803,830,842,848,851,856,864,877,883,891,903,922,932,936,947,960,981,997,1004,1016,1027,1039,1044,1048,1168,1175,1179,1189,1194,1198,1203,1215,1241,1374,1402,1752,1848,1884,1893,1902,1905,1910,1918,1931,1943,1951,1985,2004,2019,2035,2046,2061,2280,2298,2332,2557,2581,2603,2629,2658,2682,2686,2776,2808,3302,3330,3339],"3":[52,85,87,259,1516,1525,1529,1642,1702,1777,1780,1783,1798,1956,1959,2103,2525,2677,2680,2700,2789,2792,2844,2847,2850,3199,3202,3584,3647,3666,4881,6045,6048,6051,6056,6064,6077,6089,6097,6113,6134,6142,6147,6151,6178,6187,6551,6559,6564,6569,6573,6578,6586,6589,6594,6604,6609,6614,6618,6723,6728,6732,6737,6745,6754,6765],"4":[236,243,306,331,338,352,385,765,769,780,1601,1605,1685,1822,1826,1887,1893],"5":[34,39,44,186,190,194,202,206,222,226,230,238,242,258,262,271,275,294,298,307,311,355,380,383,386,389,397,400,447,514,932,976,986],"6":[90,128,135,177,185,201,209,580],"12":[317,986,994],"13":[37,195,276,337,354,357,376,384,388,400,409,414],"14":[93],"15":[92],"16":[35],"17":[26,68],"19":[16],"53":[36],"76":[3],"87":[278,290,296,438,450,456],"88":[245,558,679,902,910,923,963,972,978,994,1321,1894],"89":[442,449,474,496,501,508,527,632,717,846,901,1009,1777,1784,1814,1826,1840,1852,1858],"90":[165,187,213,303,377],"91":[235,242,252,294,366,653,716,728,735,1037,1237,1320,1325,1555,1837,2052,2056,2079,2127,2362,2534,2539,2775],"92":[81,174,361,381,387,426,432,466,472,896,1351,1716,1966,2132,2234,2491]},"star":{"0":[128,875],"1":[56,162,192],"2":[1414,1764,2185,2279,2295,2323],"3":[89,6769,6772,6796,6804,6817,6827,6834,6847,6857,6863,6878,6882,6905],"8":[584,723],"12":[1099,1108,1118],"67":[35],"83":[3,13,24],"87":[305,465],"88":[180,256,486,893,1012,1320],"89":[900,1874],"90":[214,385],"92":[488,1032,1487,2102,2627]},"stellar":{"0":[130,877],"1":[174,177,206,220],"2":[2084,2111,2181],"3":[54,91,6775,6798,6806,6836,6865,6894],"90":[163]},"t":{"0":[132,202,355,802,892,897,2825,2830,2841,2988],"1":[171,202,250,1160,1169,1458],"2":[1473,1486,2015,2161,2328,2343,2794,2803,2838,2854,3317,3322,3355,3372],"3":[93,693,3921,4052,5947,5994,6790,6864,6879,6883,6910,6914,6930,6951,7063],"5":[1188],"8":[114,634,730,814,852],"11":[337],"12":[382],"26":[6,24],"58":[32],"84":[171],"87":[346,355,364],"88":[1085,1096,1127,1132,1142,1190,1208,1829,1834,1863,1873,1885,1889],"89":[659,1761,1766,1890,1900,1910,1920,1924],"91":[333,360,397,407,641,682,805,1039,1044,1094,1115,1119,1126,1187,1344,1562,1627,1655,1694,1802,1831,1868,2095,2106,2151,2364,2369,2413,2434,2438,2445,2484,2564,2782,2847,2875,2914],"92":[148,190,202,248,249,272,283,406,452,668,914,919,941,953,979,996,1001,1169,1369,1374,1396,1408,1434,1451,1456,1784,1984,1989,2011,2023,2049,2066,2071,2309,2509,2514,2536,2548,2574,2591,2596]},"nonetyp":{"0":[133,175,177,179,181,183,185,187,189,191,193,195,197,199,201,203],"2":[134,136,138,140,142,144,146,201,806,808,810,812,814,816,897]},"integr":{"0":[134,901],"2":[2239,2499,2511,2544,2551],"3":[64,67,97,99,100,102,1536,1586,1656,1710,1963,1997,2116,2692,2838,3210,3220,3578,3803,5584,6036,6921,7059,7068,7070,7078,7091,7093,7095,7098,7118,7125,7816,7823,8158],"4":[35,60,95,1417],"5":[58,68,602,609,620,656,690,702,1259,1267,1287,1292,1419,1427,1461,1479,1489,1507,1515,1521,1603,1633,1654,1661],"6":[300,307,318,354,388,400,521,781,848,859,879,884,899],"12":[486,495,502,515,522,545,567,693,711,843,912,937,965,983,1050,1065,1080,1095],"13":[78,79,164,218,290,437,458,465],"34":[11,25],"35":[9,15],"36":[10,16],"37":[14,26,34,54],"38":[19,28],"39":[11],"42":[11],"44":[17],"53":[23],"64":[10],"65":[14,26,34,54],"66":[25,60],"71":[10],"73":[17],"78":[19],"79":[18],"80":[18],"81":[18],"82":[18],"89":[1068,1094,1102,1145,1148,1153,1166],"90":[216,244],"91":[285,551,555,1971,1975],"92":[554,618,638,643,654,1164,1779,2297,2768]},"specifi":{"0":[136,139,1402],"13":[238]},"writer":{"0":[137,2044,2074,2078],"1":[1225,1247],"2":[2887,3319,3327,3336],"3":[71,103,104,8167,8178,8180],"13":[122,123,236],"87":[530],"88":[1417,1831,1837,1845],"89":[1234,1742,1749,1756,1763],"90":[217],"91":[815,1027,1034,1041,1349,1545,1552,1559,2156,2352,2359,2366,2569,2765,2772,2779],"92":[672,693,697,893,902,909,916,1174,1178,1348,1357,1364,1371,1789,1793,1963,1972,1979,1986,2314,2318,2488,2497,2504,2511]},"all":{"0":[140,147,219,242,2458],"1":[77,82,986,1498],"3":[11,618,1851,2421,6104],"4":[38,760,2083,2271],"5":[1325,1508],"11":[95,132,290],"12":[125,658],"13":[326],"50":[21],"87":[96,201],"89":[110,1039],"91":[262],"92":[558]},"field":{"0":[142,221,241,267,272,278,283,291,295,301,308,314,321,327,334,341,347,356,381,390,394,411,417,423,430,435,442,447,456,465,470,475,480,489,496,503,510,514,519,528,532,536,546,556,563,570,577,584,593,602,609,616,622,632,639,647,654,661,668,680,694,700,705,713,717,723,730,736,743,749,756,767,774,781,788,794,803,810,816,827,835,841,847,854,860,868,880,885,889,893,2501,2532],"2":[86,158,166,172,178,185,193,836,854,862,868,874,881,889,911,915,1247,1529,1580,1821,1828,1835,1844,1876,1908,1916,1922,1928,1935,1941,1949,1957,2032,2043,2253,2260,2317],"3":[12,57,147,152,157,163,167,172,178,188,195,204,213,228,232,252,715,747,752,757,1487,1494,1501,1755,1759,1918,1925,1932,1939,2178,2185,2191,2221,2228,2236,2243,2250,2257,3562,3833,3838,3844,3849,3857,3861,3867,3874,3880,3887,3893,3900,3907,3913,3922,4119,4126,4133,4397,4403,6054,6062,6068,6074,6081,6087,6095,6778,6783,6787,6791],"4":[184,190,196,203,208,215,220,229,239,629,641,2043,2047],"5":[646,866,950,957,964,1184,1307,1326,1336,1413],"6":[344,719,802],"13":[139,327],"16":[24],"17":[49,73],"19":[26,47],"20":[31],"21":[37],"22":[22,41],"23":[22,41],"24":[22,44],"25":[44],"26":[29,41],"27":[33],"28":[32],"34":[32],"39":[26],"40":[33],"41":[34],"42":[25],"43":[26],"45":[45],"46":[28],"47":[29],"48":[38],"49":[29],"50":[36],"51":[37],"52":[29],"53":[41],"54":[26],"55":[25],"56":[26],"57":[28],"58":[37],"63":[28],"66":[44],"68":[27],"69":[29],"70":[27],"71":[24],"72":[29],"74":[27],"75":[28],"76":[24],"83":[27],"87":[400],"88":[763,769,775,781,883,1232],"89":[755,799,805,839],"90":[193,196],"91":[364,379,1835,1850],"92":[172,182,195]},"ar":{"0":[143,244,1364,1486,2562,2620],"1":[84,324],"2":[1031,1302,1633,2196,2488,2491,2502,2538,3296],"3":[279,726,1540,1591,1644,1661,1715,1763,1881,1946,2002,2039,2097,2107,2121,2155,2197,2265,2280,2781,2835,2898,3219,3612,3686,3792,3794,3941,4140,4152,4166,4281,4302,4336,4357,4410,4413,4429,4509,4562,4873,4894,6025,6027,6103,6116,6119,6597,6740,6935,7146,7171,7497,7844,7871,8022,8165],"4":[107,162,230,269,496,673,838,879,1021,2066,2149,2250],"5":[19,452,500,581,726,811,868,978,1062,1235,1309,1343,1426,1596],"6":[37,60,241,249,753],"11":[228,517],"12":[63,77,120,127,133,594],"13":[329,338,358],"14":[120],"15":[119],"21":[16,98],"30":[112,132],"45":[30],"53":[18],"66":[65],"87":[19,98,106,135,521],"88":[19,112,130,172,751,1367],"89":[139,929],"91":[37,136,256,750,1297],"92":[7,561,1508,1611,1687,2123,2694]},"initi":{"0":[144,204,208,214,227],"1":[18,37,46,61,509,629,684,691,728,840,859,890,1050,1094,1105],"2":[18,58,74,91,111,125,210,526,787,1350,1356,1878],"3":[37,2997,4608,4936,5209,6808,6838,6869,6927],"4":[154,250,1107,1166,1676],"5":[52],"6":[94],"11":[218,229],"12":[338],"13":[28,42,45,76,183,185,247,264,266,299,317,320],"21":[10,31,44,51,60,102,116],"87":[245],"88":[684,1118,1372],"89":[293,390,641,753],"90":[149,173],"91":[348,507,638,647,748,764,1076,1336,1588,1819,2067,2137,2395,2550,2808],"92":[111,177,187,301,377,1083,1108,1515,1532,1589,1651,1706,2224]},"none":{"0":[146,2100],"2":[1573,1658,1676,1682,2600],"3":[648,691,704,4007,4050,4063,8202],"5":[779,856,882,888,894,899,1027,1121,1160,1169],"6":[669,820],"13":[330],"17":[7,52,60],"18":[7],"19":[7,29,37],"22":[7,25,33],"23":[7,25,33],"24":[7,25,33],"38":[8,34],"84":[9,11,132,169,182],"89":[1000,1011],"91":[578,593,611,622,635,1998,2013,2031,2042,2054,2058,2059,2064],"92":[575,586,597,608,613,1120,1131,1142,1153,1158,1735,1746,1757,1768,1773,2253,2264,2275,2286,2291]},"attribut":{"0":[148,2547],"1":[33,42],"3":[7056],"13":[64,239,291],"37":[15],"65":[15],"84":[24,60,98]},"easilii":{"0":[151]},"address":{"0":[152,1400]},"via":{"0":[153],"2":[465],"3":[627,2717],"66":[78],"90":[70]},"g":{"0":[155,287,312,330,338,344,353,492,499,506,543,550,559,566,573,580,590,599,709,734,752,760,770,777,784,791,800,838,887,977,984,1001,1008,1024,1031,2905,2912,2929,2936,2952,2959],"1":[466,473,980,1306,1313,1330,1337,1353,1360],"2":[169,865,1344,1919,2939,2946,2963,2970,2986,2993],"3":[185,192,201,210,1490,1497,1504,1921,1928,1935,1942,3853,3878,3896,3904,3910,3919,4122,4129,4136,4161,6065,6785],"4":[797,810,1909,1922],"5":[953,960,967],"6":[67],"11":[348],"12":[153],"87":[582,589,606,613,629,636],"88":[493,722,748,771,783,1469,1476,1493,1500,1516,1523],"89":[775,789,803,809,1286,1293,1310,1317,1333,1340,1880],"91":[142,874,881,898,905,921,928,1401,1408,1425,1432,1448,1455,1863,1873,1882,1894,1899,1908,1920,2208,2215,2232,2239,2255,2262,2621,2628,2645,2652,2668,2675],"92":[494,755,762,779,786,802,809,1038,1230,1237,1254,1261,1277,1284,1493,1845,1852,1869,1876,1892,1899,2108,2370,2377,2394,2401,2417,2424,2633]},"boundari":{"0":[163,165,255,257,397,399,684,686],"1":[488,498],"2":[455],"3":[122,124,560,564,567,570,572,578,587,594,602,608,622,633,644,653,654,659,666,695,709,1643,3821,3823,3927,3931,3934,3937,3939,3943,3952,3961,3968,3976,3981,3992,4003,4012,4013,4018,4025,4054,4068,4083,4097,6746,7166,7496,7864,8021,8164],"4":[2065],"5":[537,541,561,670,991,1088],"6":[254,274,289,368,504,619,786],"11":[159,165,172,179],"12":[424,429,563,787,792,933,1150,1159],"16":[48],"29":[0,4,10],"44":[13],"59":[0,4,10],"66":[47,63],"73":[13],"79":[24],"80":[24],"84":[0,4,18,29,39,50,58,66,76,88,96,104,114,127,137,144,173,187],"89":[1017],"91":[731],"92":[2129,2140,2191,2208,2303,2655,2664,2731,2741,2770,2808]},"condit":{"0":[166,258,400,687],"1":[19,38,47,510,630,891,1051],"2":[19],"3":[125,568,623,646,660,662,696,710,3824,3935,3944,3982,4005,4019,4021,4055,4069,4084],"5":[538,671,992,1442],"6":[255,275,369],"11":[160,173,180],"12":[430,793,1154,1160],"13":[29,77,248,300],"29":[11],"59":[11],"79":[25],"80":[25],"84":[8,19,25,30,53,59,62,67,91,97,100,105,130,138,140,174,188],"90":[174],"91":[349,508,1820],"92":[1590,2141,2209,2665,2732,2742,2771,2809,2816]},"s":{"0":[167,259,276,289,325,459,494,501,508,523,552,561,568,575,582,614,620,626,637,645,652,659,666,674,698,711,747,762,772,779,786,814,821,858,883,900,1445,2583],"1":[1008],"2":[1282,1289,1387,1421,1771,1939,2353,2357,2388,2426,2485,2526,2531],"3":[96,140,155,176,1492,1499,1506,1909,1913,1923,1930,1937,1944,1972,2017,2033,2053,2094,2136,2152,2183,2189,2195,2226,2234,2241,2248,2255,2263,3723,3761,3825,3842,3855,3891,4109,4113,4124,4131,4138,4149,4173,4278,4317,4333,4372,4401,4408,5926,6004,6008,6085,6781,7510,8041],"4":[651,2293,2298],"5":[24,731,955,962,969,1541,1570],"6":[734,812,817],"8":[625,627,743],"12":[180,1153],"84":[7],"87":[312,472,509],"89":[337,1029,1078],"91":[272,283,319,570,575,1990,1995],"92":[567,572,578,583,589,594,600,605,611,1112,1117,1123,1128,1134,1139,1145,1150,1156,1727,1732,1738,1743,1749,1754,1760,1765,1771,2245,2250,2256,2261,2267,2272,2278,2283,2289]},"sourc":{"0":[169,261,554,558,565,572,579,764,769,776,783,2634],"2":[2476],"3":[142,1916,1920,1927,1934,1941,1948,1975,2000,2036,2049,2100,2119,2158,2268,2424,3827,4116,4121,4128,4135,4142,4155,4284,4300,4339,4355,7028,7144,7169,7486,7492,7842,7869,8016],"4":[2218,2243],"5":[15,17,724,1192,1200,1234],"6":[63,412,607,727,731,741,793,798],"12":[349,358,367,461,660,757,765,818,1026],"13":[5,304,318,348,420,432],"14":[19],"15":[19],"16":[6],"17":[8],"18":[8],"19":[8],"20":[6],"21":[6],"22":[8,13,37],"23":[8,13,37],"24":[8,13,37],"25":[6],"26":[8],"27":[6],"28":[6],"29":[6],"30":[6],"31":[6,15],"32":[6],"33":[6],"34":[6],"35":[6],"36":[6],"37":[6],"38":[11],"39":[6],"40":[6],"41":[6],"42":[6],"43":[6],"44":[6],"45":[6],"46":[6],"47":[6],"48":[6],"49":[6],"50":[6,23],"51":[6],"52":[6],"53":[6],"54":[6],"55":[6],"56":[6,11,22],"57":[6,11,24],"58":[6],"59":[6],"60":[6],"61":[6,15],"62":[6],"63":[6],"64":[6],"65":[6],"66":[9,76],"67":[9],"68":[6],"69":[6],"70":[6],"71":[6],"72":[6],"73":[6],"74":[6],"75":[6],"76":[6],"77":[6,14],"78":[6],"79":[6],"80":[6],"81":[6],"82":[6],"83":[6],"84":[12,123,133],"85":[7],"89":[932,957,1041,1053,1209],"90":[229,236,250],"91":[561,1981]},"term":{"0":[170,262,765],"3":[1949,1976,2001,2037,2101,2120,2159,3828,4117,4143,4156,4285,4301,4340,4356,7029,7145,7170,7487,7843,7870,8017],"4":[90,548,562],"5":[18,695,725,920,1202],"6":[65,393,413,744,799],"12":[350,359,368,758,766,1027],"22":[14,38],"23":[14,38],"24":[14,38],"56":[12,23],"57":[12,25],"66":[77],"77":[15],"89":[933,1042,1054,1210]},"v":{"0":[171,263,605,806],"2":[1378,1408,1520,1637,1673,1679,1727,1758,2365,2383,2434,2443,2465,2519],"3":[143,1886,2165,2169,2209,2214,2302,2325,2393,2407,2428,2465,2495,2518,2543,2648,3718,3769,3778,3829,4388,4392,4446,4461,4526,4542,4579,6016],"5":[885,891,1019,1024,1152,1157,1535,1578,1586],"8":[293],"87":[284,386,444],"91":[585,590,2005,2010]},"veloc":{"0":[173,265,607,612,618,624,630,635,643,650,657,664,672,808,812,819],"1":[1004,1014,1019,1044],"2":[1257,1278,1313,1359,1419,1445,1503,1697,1723,1732,1769,3270],"3":[145,291,1250,1832,1856,1868,1879,2172,2176,2181,2187,2193,2201,2219,2224,2232,2239,2246,2253,2261,2273,2307,2329,2351,2375,2398,2412,2423,2432,2462,2470,2502,2521,2651,3831,4395,4399,4406,4411,4428,4468,4492,4498,4508,4550,4561,7141,7839],"4":[1006,1010,1528,2017,2168,2249],"5":[499,787,995,1009,1036,1078,1142],"6":[29,49,515,542,565,903,929],"11":[55,61],"12":[576,602,613,625,637,650,668,680,947,956],"17":[23],"45":[12,42],"46":[11,25],"47":[12,26],"48":[12,35],"49":[12,26],"50":[13,33],"51":[12,34],"52":[12,26],"74":[13,24],"75":[13,25],"87":[75,113,143,167,182,251,310,328,382,406,412,470,491,504],"89":[233,335,416]},"alpha":{"0":[174,266,269,679,682],"1":[123,536,556,557],"2":[2344,3367,3381],"3":[810,2458,2830,3832,3835,4595,4617,4621,5995],"5":[213,249,282,318],"6":[192,216,707],"88":[194,269,837,842,860,862,867,872,918,920,932,967,1017,1038,1039,1301,1345,1348],"89":[328,423,725],"91":[1085,1597,1647,2404,2817,2867],"92":[372,1710,1714,2228,2232]},"cs":{"0":[176,271,693],"2":[2345],"3":[3837,4825,5996]},"eta":{"0":[178,277,699],"2":[2352],"3":[3843,4846,6003],"63":[21,22]},"fi":{"0":[180,282,485,704],"2":[2409,2469,2523],"3":[134,1478,1482,1556,1571,1606,1622,1676,1692,1730,3744,3848,4871,4911],"5":[945,1538,1557],"12":[724],"17":[62],"53":[0,4,32]},"gamma":{"0":[182,290,712],"1":[126,539,568],"2":[2341],"3":[3856,4926,4946,4950,5992],"60":[24],"92":[213,239,246,257,271,275,277,282]},"hp":{"0":[184,294,716],"2":[2346],"3":[3860,5161,5997],"12":[735],"54":[0,4,20],"88":[900,913,928]},"mfp":{"0":[186,300,722],"2":[2350],"3":[3866,5184,6001],"68":[21]},"mu":{"0":[188,307,729],"1":[133,546,582],"2":[2342],"3":[3873,5200,5219,5228,5993]},"n":{"0":[190,313,735],"2":[671,679,685,2349],"3":[3879,5532,6000],"8":[335,675,729],"21":[64],"69":[23],"88":[605,613,619],"89":[552,560,566],"91":[1184,1691,1869,1897,1924,2481,2911]},"nu":{"0":[192,320,742],"2":[2347],"3":[3886,5544,5998],"6":[663,667],"12":[897],"70":[0,4,22],"92":[146,181,220,234,395,440,907,913,973,1362,1368,1428,1977,1983,2043,2502,2508,2568]},"p":{"0":[194,326,524,748],"2":[2351,2387,2418],"3":[137,1746,1750,1814,1824,1890,3722,3753,3892,5555,6002],"4":[2025,2038,2073,2077],"5":[767,772,777,844,849,854,880,1540,1564],"8":[474,518,630,727,980],"12":[860],"55":[20],"67":[7,41],"88":[875,890,915,925],"91":[603,608,614,619,2023,2028,2034,2039]},"rho":{"0":[196,333,535,545,755],"2":[2348,2376,2381],"3":[177,187,2977,2987,3007,3097,3711,3716,3899,5564,5999],"5":[1528,1533],"11":[257,279],"43":[20],"72":[23],"89":[970,975]},"sigma":{"0":[198,340,583,787,1506,1918,2142,2471,2518,2689,2692],"3":[194,3185,3243,3906,5574,7177,7181,7503,7507,7877,7881,7886,8028,8032,8037],"5":[136,172,372,628],"6":[163,326,432,436,673,677],"12":[285,297,309,344,353,362,383],"17":[6,48],"18":[6],"19":[6,25],"21":[30],"22":[6,21],"23":[6,21],"24":[6,21],"26":[7,28],"38":[60,66],"67":[51],"88":[329,337],"89":[779,784,804,850,1004,1085,1127,1746,1753,1820,1832,1846],"91":[670,676,689,1031,1549,2073,2100,2356,2769],"92":[194,367,900,906,936,991,1355,1361,1391,1446,1970,1976,2006,2061,2495,2501,2531,2586]},"sigmafloor":{"0":[200,346,592,793],"3":[203,3598,3912,5594,5613],"12":[369],"25":[0,4],"91":[673,2076,2113]},"fill":{"0":[218,509,511],"1":[67,683,991],"2":[2377],"3":[162,164,2721,2725,2739,3094,3712],"5":[1529],"12":[422],"21":[82],"28":[18],"91":[203,358,449,1265,1829]},"valu":{"0":[224,237,349,405,595,692,796],"1":[961],"2":[1368,1997,2116],"3":[206,590,605,616,647,677,680,698,705,801,2357,2534,3603,3617,3627,3654,3807,3915,3964,3979,4006,4036,4039,4057,4064,4089,4612,4940,5213,5599,5928,5937,6040,6812,6842,6873,7033,7151,7163,7849,7861,8162],"4":[539,589,1099,1653,1668],"5":[566,792,1641,1651,1658],"6":[285,294,496,526],"12":[375,475,824,1155],"13":[132,158,334,445,455,462],"25":[11,17,38],"33":[10],"37":[48],"42":[17],"48":[19],"62":[10],"65":[48],"66":[64],"71":[16],"79":[30],"80":[30],"84":[10,34,36,51,54,71,73,89,92,109,111,128,131,155,158,176,183],"87":[30,257,375],"88":[284,1373],"89":[73,690,928],"92":[2673,2747,2762,2784]},"you":{"0":[229,359,1380,1387,2033,2039,2103,2445,2628,2636],"1":[4,13,58,297,308,319,323,357,368,1521,1538,1545],"2":[10,65,81,88,100,504,899,1169,1206,1222,1617,1778,1788,2287,2291,2553,2586,2620],"3":[532,536,778,3548,3556],"4":[704,1386,1929,1971,1977,2094,2103],"5":[737,781,825,833,857,1003,1028,1042,1048,1101,1126,1135,1177,1186,1204,1209,1246,1255,1302,1398,1454,1463],"6":[553,832,844,895],"7":[4],"8":[18],"9":[61,91,106],"13":[369,377,394],"91":[1752],"92":[1045,2697]},"see":{"0":[231],"1":[306,439,562,601,617,892,1561],"2":[901,941,1314,1342,2090,2555,2622],"3":[2510,3588,4098,4474],"4":[390,706,1931,2184],"5":[714,1604],"30":[138],"66":[82],"88":[1815],"89":[651],"92":[1047]},"ha":{"0":[235,1286,2461,2575],"1":[31,210,224,256,342,1449],"2":[207,1180,1360,1455,1464,1603,1895,2615,2645,2691,3271],"3":[243,6153],"4":[83,307,312,343,531,584,1100,1154,1460,1669,1708,1737],"5":[375,393,1194],"6":[609],"11":[81,129,237,258,404,530],"30":[65,99],"87":[39,154],"88":[1290],"89":[118,1154],"90":[59],"91":[7,111,169,1251,1783,2950],"92":[21,68,2183]},"assign":{"0":[238,2071],"2":[781,824,1493,1569,1620,1657,2023,2174,2587,2740,2780],"87":[372,482],"88":[1027,1225,1335],"89":[831]},"its":{"0":[240],"6":[632,712,807],"88":[1340],"90":[111],"92":[2671]},"cg":{"0":[246],"1":[86],"2":[1468],"12":[129]},"unit":{"0":[247,1459,1483],"1":[87,904],"2":[1469],"4":[1412,1646],"12":[130,152],"91":[223,278,290,302,384,1855]},"turbul":{"0":[268,471,663,681],"3":[753,776,787,1248,2252,2435,3834,4599],"8":[214],"12":[671],"51":[15],"88":[513]},"paramet":{"0":[270,281,463,468,473,478,683,703],"1":[70,175,178,283,286,375,503,506,559,623,626,756,830,928],"2":[484,616,1439,2085],"3":[55,133,661,745,750,755,760,763,789,2825,3836,3847,4020,4601,4853,7133,7138,7831,7836],"4":[156,2220],"5":[1634],"6":[704],"8":[836],"11":[207],"12":[441,837],"13":[71,242,294,363,415,438],"14":[30],"15":[29],"16":[12],"17":[42],"19":[19],"20":[18],"21":[15,23],"22":[15],"23":[15],"24":[15],"25":[29],"26":[18],"27":[21],"28":[20],"29":[19],"30":[11,42,57],"31":[16],"32":[13],"33":[15],"34":[16],"35":[11],"36":[12],"38":[20],"39":[14],"40":[21],"41":[22],"42":[26],"43":[13],"44":[19],"45":[32],"46":[15],"47":[17],"48":[26],"49":[17],"50":[24],"51":[25],"52":[17],"53":[25],"54":[13],"55":[13],"56":[13],"57":[13],"58":[25],"59":[18],"61":[16],"62":[15],"63":[13,14,25],"64":[12],"66":[17],"67":[25],"68":[14],"69":[16],"70":[15],"71":[25],"72":[16],"73":[19],"74":[14],"75":[14],"76":[12],"78":[33],"80":[31],"81":[20],"82":[20],"83":[14],"84":[139],"85":[22],"88":[195,241,271,398,515,798,818,854,1019,1034,1095],"89":[260,307,329,395,497,1728],"90":[164,166,168,170],"91":[282,359,1830],"92":[170,1610]},"sound":{"0":[273,695],"3":[2360,3839,4830,5175],"12":[803],"48":[24],"60":[11,19]},"speed":{"0":[274,696],"3":[2361,3840,4831,5176],"12":[804],"48":[25],"60":[12,20]},"cm":{"0":[275,288,299,306,331,384,493,500,507,517,613,619,625,636,644,651,658,665,673,697,710,721,728,753,813,820,865,873,891],"2":[190,198,886,894,1420,1770,1891,1946,1954,1960],"3":[150,170,1491,1498,1505,2182,2188,2194,2225,2233,2240,2247,2254,2262,3841,3854,3865,3872,3897,4400,4407,6092,6100,6789],"5":[954,961,968],"88":[711,737,767,779],"89":[336,345,359,366]},"pressur":{"0":[279,296,329,701,718,751],"3":[2812,3845,3862,3895,4851,5162,5558],"8":[455,503],"12":[740,750,835],"54":[10,21],"55":[12,22],"63":[11,23],"88":[183]},"gradient":{"0":[280,403,690,702],"3":[583,598,670,683,3846,3957,3972,4029,4042,4082,4852],"5":[546],"6":[265,280],"12":[836],"63":[12,24],"84":[148,161],"92":[2149,2187]},"flux":{"0":[285,487,491,498,505,707],"3":[136,1485,1489,1496,1503,1512,1539,1577,1590,1628,1639,1660,1698,1714,3851,4876,4893,7142,7840],"5":[928,948,952,959,966,973,1061,1067,1073,1085],"6":[511,538],"12":[290,302,315,560,730,930],"17":[13,65],"18":[13],"19":[14,42],"44":[10],"53":[11,17,34],"73":[10],"88":[66],"92":[1552]},"interfac":{"0":[286,708,872,1894,1899],"2":[197,515,785,893,1029,1953,2001,3304],"3":[1517,1538,1589,1659,1703,1713,3852,4883,6099,6606,6730],"5":[934,977,988],"6":[510],"12":[294,306,319,734],"13":[386],"17":[17,28,70],"18":[17],"19":[18,44],"53":[15,38],"86":[16],"90":[127]},"adiabat":{"0":[292,714],"3":[3858,4829],"12":[802],"60":[10]},"index":{"0":[293,424,437,715,1411],"3":[3859],"4":[197,210,941,1469,1498,1755,1829,1841],"14":[94,105],"15":[93,104],"90":[74,282,393,395],"92":[210,1071,1086]},"scale":{"0":[297,515,719],"1":[184],"3":[168,1474,2784,2813,3863,5163],"12":[326,741],"20":[11,27],"54":[11,22],"88":[184],"89":[86],"92":[78,85,93,106,253]},"height":{"0":[298,516,720],"3":[169,1475,2785,2814,3864,5164],"12":[327,742],"20":[12,28],"54":[12,23],"88":[185]},"midplan":{"0":[302,328,537,724,750],"3":[179,2978,3868,3894,4834,4850,5193,5533,5556,5565,5951],"11":[341,363],"12":[552,748,834,882,891,919],"43":[10,21],"55":[10,21],"63":[10],"68":[10],"69":[10,24],"72":[10,24],"89":[56,133,170,243,962]},"mean":{"0":[303,309,725,731,1490,1864],"1":[583],"2":[227,1364,2284],"3":[19,1867,1877,2418,3869,3875,5185,5201],"4":[253,355,944,968,1081,1374,1413,1780],"12":[655,883],"25":[18],"50":[18],"68":[11,22],"91":[86,307,657,1258,2083],"92":[215]},"free":{"0":[304,726],"3":[3870,5186],"12":[884],"68":[12,23]},"path":{"0":[305,727],"3":[3871,5187],"12":[885],"14":[42],"15":[41],"68":[13,24]},"molecular":{"0":[310,732],"1":[584],"3":[3876,5202]},"weight":{"0":[311,733],"1":[585],"3":[3877,5203]},"miplan":{"0":[315,335,737,757],"3":[3881,3901]},"number":{"0":[316,604,738],"1":[425,475,712,734],"2":[458,555,636,919],"3":[215,2319,2957,3672,3882,5534,6553,6566],"4":[300,975],"5":[437,442],"7":[71],"11":[65,245],"12":[399,892],"14":[75,90],"15":[74,89],"27":[11,30],"69":[11,25],"89":[517],"91":[187,280]},"densiti":{"0":[317,337,343,352,539,549,586,598,739,759,790,799,1432,1462,1502,1821],"1":[518,597,613,720,976,1001],"3":[181,191,197,209,1549,1600,1670,1724,2011,2130,2886,2980,2990,3085,3174,3191,3218,3238,3554,3586,3608,3630,3650,3812,3883,3903,3909,3918,4074,4311,4366,4438,4518,4571,4903,5535,5568,5577,5604,5919,6044,7037,7156,7854],"4":[359,1416,2246],"5":[128,369,1425],"6":[428,531],"11":[128,254],"12":[392,419,434,479,554,828,866,893,921],"14":[81,96],"15":[80,95],"17":[54],"19":[31],"21":[34],"22":[27],"23":[27],"24":[27,41],"25":[41],"26":[17,32,38],"28":[15],"29":[15],"33":[14],"42":[21],"43":[12,23],"57":[23],"62":[14],"67":[14,53],"69":[12,26],"71":[20],"72":[12,26],"88":[31,161,278,408,810,853,949],"89":[126,156,743,788,808,829,995,1066,1163,1879],"91":[188,281,287,376,544,650,780,1847,1964,2070],"92":[128,198,493,1037,1091,1492,1517,1534,1638,1646,2107,2172,2195,2632,2754,2788]},"cm³":{"0":[319,339,544,551,741,761],"1":[981],"3":[186,193,3885,3905]},"kinemat":{"0":[322,744],"3":[3888,5545],"6":[56],"12":[902],"70":[10,23],"92":[183]},"viscos":{"0":[323,745],"1":[558],"3":[3889,4600,5546],"6":[57,583,627,703,914],"70":[24],"88":[50,59,97,270,784,797,843,863,939,1018,1033,1327],"89":[210],"90":[293],"92":[46,90,165,184,212,1609,1666]},"cm²":{"0":[324,345,354,458,522,560,567,574,581,591,600,746,771,778,785,792,801,832],"2":[163,859,1913],"3":[154,175,202,211,1922,1929,1936,1943,3890,3911,3920,4123,4130,4137,6059],"89":[790,810,1881],"92":[495,1039,1494,2109,2634]},"s²":{"0":[332,754],"3":[3898]},"mass":{"0":[336,419,538,541,588,758,836,843,886,960,1409,1479,1496,1832,1839,1882,1892,2888],"1":[207,294,316,337,340,360,390,394,427,430,463,470,579,768,818,899,908,922,932,938,956,975,1000,1034,1066,1289,1492,1505],"2":[50,167,174,863,870,1167,1174,1178,1188,1214,1237,1917,1924,2922],"3":[180,183,199,620,1521,2348,2979,3084,3223,3231,3572,3609,3639,3902,4875,5567,6063,6070,6112,6150,6177,6555,6784,6807,6824],"4":[21,102,192,235,242,267,288,302,305,319,330,339,342,363,371,384,408,417,438,446,466,566,571,581,725,735,741,756,793,805,818,919,928,937,1051,1088,1135,1201,1385,1415,1420,1424,1430,1567,1587,1593,1623,1636,1706,1717,1734,1745,1754,1760,1772,1793,1809,1816,1844,1854,1864,1880,1905,1917,1953,1983,2130],"5":[359,446,469,479,484,1449],"8":[583,722,929],"12":[161,163,168,172,314,340,553,729,920],"13":[174,181,194,255,262,275,308,315,353,399,413],"14":[77],"15":[76],"17":[64],"19":[13,41],"21":[12],"30":[83],"43":[11,22],"53":[10,33],"67":[49],"72":[11,25],"87":[565],"88":[65,174,257,391,721,747,770,782,1066,1076,1094,1120,1125,1151,1155,1162,1177,1307,1366,1376,1400,1452,1819,1905],"89":[82,89,116,283,295,351,410,748,774,802,824,875,941,1269,1738,1773,1943],"91":[67,87,97,177,181,200,234,293,355,365,447,457,462,467,474,484,857,1217,1236,1243,1248,1261,1272,1287,1306,1309,1384,1826,1836,2191,2526,2604,2937,2968],"92":[112,189,738,1213,1551,1828,2353]},"surfac":{"0":[342,351,585,597,789,798,1501],"1":[517,596,612,719],"3":[196,208,1548,1599,1669,1723,2010,2129,3190,3217,3237,3607,3811,3908,3917,4073,4310,4365,4437,4517,4570,4902,5576,5603,5918,6043,6136,6867,7036,7155,7853],"5":[127,368,1424],"6":[427,530],"11":[127],"12":[391,433,478,827,865],"17":[53],"19":[30],"21":[33],"22":[26],"23":[26],"24":[26,40],"25":[40],"26":[16,31,37],"29":[14],"33":[13],"42":[20],"57":[22],"62":[13],"67":[13,52],"71":[19],"87":[59],"88":[30,160,277,407,809,852,948],"89":[125,155,742,787,807,828,994,1065,1162,1878],"91":[286,375,543,649,779,1846,1963,2069],"92":[127,197,492,1036,1090,1491,1516,1533,1637,1645,2106,2171,2194,2631,2753,2787]},"floor":{"0":[348,594,795],"3":[205,589,615,3602,3616,3626,3653,3914,3963,5598,5927,5936,8161],"5":[565],"6":[293],"12":[374,474,823],"25":[10,16,37],"33":[9],"62":[9],"79":[29],"80":[29],"92":[2672]},"temperatur":{"0":[357,804,895],"1":[187,228,235,252,260,267],"2":[1262,1268,1454,1989,2076,2103,2130,2642,2748,2757,2789],"3":[3923,5953,6793,6868],"11":[315,334,343,364],"12":[772],"58":[10,34],"87":[26,79,494],"92":[1604,1678]},"k":{"0":[358,805,896],"1":[255],"2":[1271],"3":[3924,6794],"30":[76,85,95],"39":[21],"88":[299,305,312,321,328],"91":[1196,1703,2493,2923]},"also":{"0":[361,1388,2447,2494,2527],"2":[27,493,572,1789,1831,2539,2654],"3":[2707],"4":[91,1978],"5":[783,1030,1304,1498],"9":[52],"85":[53],"87":[216,391],"88":[1249],"91":[322],"92":[675]},"displai":{"0":[362],"13":[87]},"full":{"0":[364,985,2450,2913],"1":[835,1027,1314],"2":[2947],"4":[144,1140,1440,1523,1582],"87":[590],"88":[1477],"89":[1294],"91":[882,1409,2216,2629],"92":[763,1238,1853,2378]},"tabl":{"0":[365],"13":[92],"90":[392]},"content":{"0":[367],"13":[94],"90":[142]},"toc":{"0":[374],"13":[90],"88":[758]},"particl":{"0":[382,970,994,1017,2898,2922,2945],"1":[462,469,643,678,693,701,729,748,761,772,778,792,801,852,857,870,902,907,918,926,947,987,1009,1299,1323,1346],"2":[1297,1307,1330,2932,2956,2979,3277],"3":[148,619,769,1254,1520,1634,1771,1789,1793,2271,2315,2331,2347,2366,2439,2477,2504,2655,2660,2672,2896,2915,2918,2924,2927,2933,2941,2945,2951,2993,3181,3194,3636,3662,3675],"4":[40,53,63,71,256,263,287,318,375,422,450,485,494,544,552,575,578,658,710,723,733,876,917,926,935,977,983,989,1011,1020,1027,1032,1043,1055,1083,1502,1573,1704,1721,1883,1963,2205],"5":[477],"8":[806],"11":[202,222,247,252,448,463,471,478,489,495,498,501],"12":[339,414,612,624,636,667,679],"21":[11,45,61,77,90,101,106],"25":[25],"28":[10,28],"30":[92,105],"47":[11],"48":[11],"49":[11],"51":[11],"52":[11],"87":[49,575,599,622,924,949],"88":[1462,1486,1509],"89":[167,238,409,916,1279,1303,1326],"91":[66,95,476,747,867,891,914,1281,1394,1418,1441,2201,2225,2248,2614,2638,2661],"92":[748,772,795,1223,1247,1270,1838,1862,1885,2363,2387,2410]},"size":{"0":[383],"1":[679,849,862,871],"2":[71,3278],"3":[149,3182],"4":[1024,1191,1445,1462],"8":[161,204],"11":[203,248,438],"12":[415],"21":[46,62,78,91],"28":[11,29],"78":[23,32],"87":[933],"91":[229]},"backreact":{"0":[385,387],"2":[2382,2392],"3":[118,120,218,222,225,236,286,309,316,422,530,2513,3717,3727,4477,4481],"5":[1046,1370,1534,1544],"6":[40,44,587,643]},"coeffici":{"0":[388],"3":[121,226],"5":[1371],"6":[41],"12":[593],"45":[29]},"pull":{"0":[391],"3":[229,264],"9":[33,43]},"factor":{"0":[392,396,414,512],"1":[992],"3":[165,230,234,2726,2876,2902,7046],"4":[187,2173],"11":[318,370,419,442],"12":[423],"28":[19],"89":[214],"92":[86]},"b":{"0":[393,1909,1919],"2":[2396],"3":[231,255,304,423,544,3731],"4":[515],"5":[1547],"8":[1],"90":[315],"91":[312,320,662,686,2088,2110]},"push":{"0":[395],"3":[233,267]},"inner":{"0":[401,688],"1":[485],"2":[2000],"3":[569,576,595,3936,3951,3969,3993,4096,6742],"5":[540],"6":[273],"8":[710],"87":[906],"92":[2128,2139,2190,2207,2304]},"constant":{"0":[402,415,421,428,433,440,445,454,689,833,839,845,852,866,874,1851,2821],"1":[244,276,1071,1079],"2":[164,170,176,183,191,199,235,747,860,866,872,879,887,895,1388,1914,1920,1926,1933,1947,1955,2078],"3":[582,597,669,672,676,3956,3971,4028,4031,4035,4081,5965,6060,6066,6072,6079,6093,6101,6120],"4":[188,194,201,206,213,218,227],"5":[545,812,994],"6":[279],"12":[114,118,126,132,137,138,149,155,158,199,781],"58":[19],"84":[147,150,154],"87":[237,253,497],"88":[68,412,821,1331],"89":[323,694],"90":[262,359],"91":[15,42,150,158,243,341,370,430,524,538,625,769,774,1194,1701,1841,1958,2045],"92":[107,254,330,1554,2148,2186,2211,2705]},"outer":{"0":[404,691],"1":[495,715],"3":[571,586,603,607,634,3938,3960,3977,6744],"5":[560],"6":[288],"8":[327],"11":[225],"89":[159,287,462,608],"92":[2654,2663]},"coagul":{"0":[406,408,557],"1":[349,374,379,1568],"2":[1229],"3":[126,128,713,734,1919,1979,1991,1999,2277,2384,3622,7868],"4":[2,174,178,181,401,620,625,677,694,775,784,864,888,902,958,993,1218,1366,1479,1484,1506,1553,1561,1610,1690,1749,1766,1788,1797,1836,1848,1860,1870,1876,2217,2225,2242],"5":[11,409,425,427,508,712,721,723,823,830,872],"8":[238,251,274,914],"12":[11,111,348,440],"13":[15,403],"22":[12,36],"30":[10,56],"90":[220,228,233,259],"91":[2,29,53,128]},"fragment":{"0":[412,427,431,529,617,986,1369,2914],"1":[780,806,814,836,941,950,952,1003,1018,1024,1028,1043,1315,1536],"2":[1256,1277,1358,1418,1444,1502,1696,1722,1731,1768,1803,2948,3269],"3":[1756,1765,1786,1843,1855,1858,2186,2374,2380,2520],"4":[145,185,200,204,1001,1009,1012,1029,1044,1085,1109,1126,1141,1149,1185,1190,1197,1384,1395,1441,1444,1459,1473,1524,1566,1583,1586,1625,1832,1866,2000,2002,2013,2016,2044,2127],"5":[486,735,742,753,786],"8":[275,420,766],"12":[448,530],"30":[18],"40":[10,20,29],"41":[20],"87":[74,112,142,166,181,250,309,327,381,405,411,469,490,503,591,944],"88":[1478],"89":[232,334,415,1295],"90":[222],"91":[190,596,883,1410,2016,2217,2630],"92":[764,1239,1854,2379]},"normal":{"0":[413],"4":[186,1182,1360,2172],"88":[292]},"ep":{"0":[416,479],"2":[2385],"3":[156,2687,3720],"4":[189,1767,1789,1857,1861,1885,1891],"5":[1537],"7":[91],"12":[480],"30":[52],"34":[0,4,23]},"remnant":{"0":[418,439],"4":[191,212,1759,1843,1882]},"distribut":{"0":[420,432,1433,1463,1474,1822],"1":[850,863,885,939,957],"3":[1837,1873,3555,3587,3640],"4":[22,66,193,205,347,558,1147,1183,1198,1396,1740,1762,1775,2131],"8":[162],"11":[56,204],"12":[341,379],"14":[82,97],"15":[81,96],"21":[13,63,79],"25":[15],"90":[82],"91":[68,458,1218,1254]},"lf_ind":{"0":[422],"4":[195,1480,1485,1507,1554,1837]},"largest":{"0":[426],"4":[199,1443,1458,1472],"5":[468,483]},"phi":{"0":[429],"4":[202,1219,1367,1877],"30":[55]},"rm_ind":{"0":[434],"4":[207,1750,1798,1849]},"smaller":{"0":[436],"1":[809,906,917,1514],"2":[1991],"4":[209,493,1042,1091,1465,1649,1840,2120],"5":[480]},"stick":{"0":[441,443,452,531,533,962,2890],"1":[796,1047,1291,1534],"2":[1802,2422,2924],"3":[1758,1760,1767,1891,1895,3757],"4":[141,214,216,225,251,252,533,602,621,678,776,865,889,959,994,1998,2011,2028,2046,2048,2074,2125],"5":[463,745,748,768,845,1567],"12":[446,537],"30":[16,22,63,89],"40":[18],"41":[10,13,30],"87":[567],"88":[1454],"89":[1271],"90":[221],"91":[73,598,615,620,859,1386,2018,2035,2040,2193,2606],"92":[740,1215,1830,2355]},"matrix":{"0":[444,453],"4":[81,217,226,529,605],"5":[87,113,433,593,1432,1439],"6":[98,125,419],"30":[23,64,98],"38":[51,73],"66":[38,79],"91":[76]},"stick_ind":{"0":[446],"4":[219,626,695,785,903]},"non":{"0":[448],"1":[302],"2":[1212],"4":[221,537,587,614,633,668,748,882],"5":[597],"6":[916],"11":[283,291],"30":[109,125]},"zero":{"0":[449],"2":[1881],"3":[1647,2044,4169,6926],"4":[222,538,588,609,615,634,669,749,883],"5":[598,840,1092],"6":[567,615,629,709,756,804,917],"11":[58],"16":[41],"30":[110,126],"89":[757,1015]},"element":{"0":[450],"4":[223,616,635,647,750,761,884],"5":[577,599],"6":[261,490,762],"30":[127]},"d":{"0":[455],"2":[2384],"3":[151,2667,3719],"5":[1115,1119,1163,1167,1536],"10":[1],"12":[276],"16":[0,4,19],"90":[330]},"diffus":{"0":[457,497],"3":[153,1030,1495,1627,1638,1658,2669],"5":[919,927,958,1058,1060,1072,1076,1084,1095,1100,1105,1146],"12":[282,301],"16":[11,21,27],"18":[12],"90":[44],"91":[50,2512]},"delta":{"0":[460],"2":[2375,2400],"3":[130,737,741,813,818,1033,1038,1257,1262,2452,2820,3710,3735],"5":[1527,1550],"88":[348,356]},"mix":{"0":[462,467,472,477],"3":[132,744,749,754,759,766,777,2824]},"rad":{"0":[464,621,646,809],"2":[2369,2403,2449,2520],"3":[746,814,819,2190,2235,2395,2649,3738,3784,4396,4462,4527,6020],"5":[1020,1025,1153,1158,1552,1582,1591],"91":[586,591,2006,2011]},"radial":{"0":[466,623,649,811,828,849,861,869,1406],"1":[292,304,477,486,496],"2":[47,159,180,186,194,215,220,488,499,512,614,619,623,645,855,876,882,890,921,959,996,1003,1015,1909,1930,1942,1950,3301],"3":[289,748,773,1028,1515,1701,1797,2192,2238,2402,2650,3646,3665,4398,4466,4491,4547,6055,6076,6088,6096,6109,6568,6588,6593],"5":[354,1007,1140],"6":[27],"12":[601,640,944,945,954],"13":[192,273,351,375],"14":[92],"15":[91],"16":[34],"46":[10,23],"49":[15],"67":[32],"74":[10,11,22],"75":[11,23],"88":[64,244],"89":[448,458,473,495,500,504,526],"90":[27,302],"91":[715],"92":[84,173]},"turb":{"0":[469,660],"2":[2404,2450],"3":[751,1034,1039,2249,2430,2453,3739,3785],"5":[1553,1592]},"vert":{"0":[474,667],"2":[2405,2451],"3":[756,1258,1263,2256,2467,2821,3740,3786],"5":[1554,1593]},"vertic":{"0":[476,670],"3":[758,771,1472,2259,2474,2691,2823,2837],"8":[245],"12":[485,521,683],"34":[10,24],"39":[10],"52":[15]},"ratio":{"0":[484],"1":[571,769,776,844,1035],"2":[229],"3":[161,2696,4930,5171],"4":[1089],"12":[177,490],"21":[55],"34":[15,29],"88":[258,262,896,906],"89":[60,137,174,379,966]},"adv":{"0":[488],"2":[2412],"3":[1486,1572,1607,3747],"5":[949,1559]},"advect":{"0":[490],"3":[1488,1576,1588,7168],"5":[916,925,951,970,972,998,1002],"12":[289],"17":[12,63],"90":[42],"91":[582,2002]},"diff":{"0":[495],"2":[2413],"3":[1493,1623,1677,3748],"5":[956,1560],"92":[217,222]},"tot":{"0":[502,576,578,653,780],"2":[2361,2414,2430,2452],"3":[1500,1693,1731,1938,1940,2153,2242,2409,3749,3765,3787,4132,4334,4373,6012],"5":[963,1561,1575,1594],"91":[571,576,1991,1996],"92":[601,606,1146,1151,1761,1766,2279,2284]},"total":{"0":[504,655,782],"3":[1502,1697,1712,2157,2244,2410,2956,3235,4134,4338,4354,7485,8015],"4":[266,974,1383,1565,1585,1592,1622,1815],"5":[832,965,1134],"12":[313,366,647,764],"19":[12,40],"24":[12,36],"50":[10],"57":[10,21],"89":[746,772,800,822,874,1734,1769],"91":[186,373,541,1844,1961]},"h":{"0":[513],"2":[2380],"3":[166,2779,3715],"5":[1532],"12":[320],"20":[0,4,25],"88":[229,259,302,309,419,466,897,912]},"kernel":{"0":[518,521,2553],"2":[2386],"3":[171,174,1841,2833,2840,2867,2883,3721],"4":[402,2216],"5":[897,1539],"11":[417,430],"12":[516,524],"39":[0,4,13,23],"90":[260,263,266,269],"91":[3,21,46,119,151,155,159,343,369,431,526,537,626,629,633,770,773,1195,1702,1778,1781,1790,1812,1840,1944,1957,2046,2049,2062,2492,2510,2922,2945,2948,2957,2960]},"collis":{"0":[520,971,995,1018,2899,2923,2946],"1":[810,822,914,948,1010,1013,1025,1038,1040,1300,1324,1347,1500,1525],"2":[1312,2933,2957,2980],"3":[173,1249,1772,1831,1840,1852,2272,2290,2299,2306,2328,2397,2469,2839,2889,2892,2897,2937,2960],"4":[25,31,41,106,139,323,476,545,655,840,848,857,963,972,1005,1437,1451,1456,1466,1518,1527,1571,1579,1596,1620,1643,1650,1700,1725,1818,1964,1968,1975,1994,2099,2140,2143,2206,2273,2276,2284],"5":[464,498],"8":[804],"11":[60,416,434,439,446,476,510,515,546,553],"12":[449,523],"30":[19,90,106],"39":[12,22],"87":[576,600,623],"88":[1463,1487,1510],"89":[1280,1304,1327],"90":[226],"91":[74,342,470,525,868,892,915,1275,1395,1419,1442,1760,1811,1943,2202,2226,2249,2615,2639,2662],"92":[749,773,796,1224,1248,1271,1839,1863,1886,2364,2388,2411]},"probabl":{"0":[526,530,534],"3":[139,1753,1757,1761,1768,1787,1859,1896],"4":[1989,2003,2019,2029,2041,2045,2049,2062],"5":[749,754,763,838],"12":[531,538],"40":[11],"41":[11,14,21,31],"90":[224]},"frag":{"0":[527,615],"2":[1379,1409,1521,1728,1759,2421,2437],"3":[1754,1815,1825,2184,2519,2544,3756,3772],"4":[2026,2042,2078],"5":[773,850,892,1566,1580],"87":[285,387,445],"91":[604,609,2024,2029]},"per":{"0":[540,587],"1":[429,1129,1150],"2":[2235],"3":[182,198,6946],"30":[104],"89":[83],"91":[1308]},"bin":{"0":[542,589,844,1833,1883,1893],"1":[428],"2":[175,871,1925],"3":[184,200,3224,3573,3610,6071,6556],"4":[303,364,567,713,726,736,920,929,938,1202,1421,1425,1735,1746,1778,1794],"5":[360,470,485],"14":[78],"15":[77],"30":[84],"89":[90],"91":[182,201,228,356,448,475,485,1249,1262,1307,1827]},"solid":{"0":[547],"3":[189,2988],"12":[418],"28":[14],"91":[1732]},"state":{"0":[548,1348],"1":[1473],"3":[190,2989,8012],"5":[119],"88":[62],"92":[1539,1549,1601,1628]},"coag":{"0":[555],"2":[2527],"3":[1917,1973,2018],"4":[2294,2299],"5":[732,1572],"92":[568,573,1113,1118,1728,1733,2246,2251]},"ext":{"0":[562,766],"2":[2360,2429],"3":[1924,2034,2054,3764,4118,4150,4174,6011,7511,8042],"5":[1574],"6":[735,813,818],"89":[1030,1079],"92":[579,584,1124,1129,1739,1744,2257,2262]},"extern":{"0":[564,768],"3":[1926,2035,2048,4120,4154,7491],"5":[14,1191,1199,1233],"6":[62,606,726,729,792,797],"8":[131],"89":[931,955,1040,1207],"90":[235,249]},"hyd":{"0":[569,773],"2":[2486,2532],"3":[1931,2095,2137,4125,4279,4318],"5":[1573],"92":[590,595,1135,1140,1750,1755,2268,2273]},"hydrodynam":{"0":[571,775],"3":[239,1933,2099,2118,4127,4283,4299,7866],"5":[12,900,912,1124,1132],"6":[95,411,558,570,602],"8":[916],"12":[357,756],"23":[12,36],"56":[10,21],"88":[136],"90":[234,248]},"st":{"0":[601],"2":[2379],"3":[212,3670,3714],"5":[1531],"14":[129],"15":[128],"27":[28],"89":[1007]},"stoke":{"0":[603],"1":[711,733],"3":[214,2318,3671,3682],"11":[244],"12":[398,405],"27":[10,17,29]},"driftmax":{"0":[608],"2":[2438],"3":[2177,2496,3773],"5":[1581]},"maximum":{"0":[610],"1":[468,677,869],"2":[2167],"3":[2179,2356,2500,2809],"4":[535,1189],"5":[1071],"12":[574],"13":[179,260,313],"21":[43,89],"30":[101],"45":[10,40],"48":[18],"89":[408],"91":[679,2103]},"drift":{"0":[611,1371],"1":[692,705,738,760],"3":[2180,2313,2403,2501],"5":[1040],"11":[233],"12":[575,617,641],"21":[100,115],"45":[11,41],"47":[16],"49":[16],"87":[935,948],"91":[754]},"rel":{"0":[627,629,633,640,648,656,662,669,964,988,1011,2892,2916,2939],"1":[1293,1317,1340,1504],"2":[2439,2444,2926,2950,2973],"3":[1830,1887,2173,2175,2210,2215,2218,2222,2229,2237,2245,2251,2258,2270,2303,2305,2327,2350,2394,2396,2408,2411,2429,2431,2466,2468,3774,3779],"4":[811,817,1923,1958,2167,2248],"5":[497,886,1035,1583,1587],"11":[59],"12":[611,623,635,648,666,678],"13":[180,261,314],"47":[10,25],"48":[10,34],"49":[10,25],"50":[11,32],"51":[10,33],"52":[10,25],"87":[569,593,616],"88":[1456,1480,1503],"89":[1273,1297,1320],"91":[861,885,908,1388,1412,1435,2195,2219,2242,2608,2632,2655],"92":[742,766,789,1217,1241,1264,1832,1856,1879,2357,2381,2404]},"azi":{"0":[631],"2":[2447],"3":[2220,2304,3782],"5":[1589]},"azimuth":{"0":[634],"3":[2223,2312],"5":[1039],"12":[616],"47":[15]},"brown":{"0":[638],"2":[2448],"3":[2227,2326,3783],"5":[1590],"8":[586]},"brownian":{"0":[641],"3":[2230,2334],"12":[628],"48":[15]},"motion":{"0":[642],"3":[2231,2335,2436],"12":[629,672],"48":[16],"51":[16]},"settl":{"0":[671],"3":[2260,2475],"12":[684],"52":[16],"89":[84,239]},"visc":{"0":[815],"2":[2368],"3":[4402,4543,4580,6019]},"viscou":{"0":[817],"3":[4404,4497,4548],"6":[47,564],"12":[953],"75":[10,22],"89":[258,327],"90":[37],"92":[18,66]},"accret":{"0":[818],"3":[4405],"5":[1229],"6":[48,75,593],"8":[661,775,877,1011],"88":[84],"92":[20,67]},"annulu":{"0":[830],"2":[161,857,1911],"3":[3643,6057,6140],"25":[28]},"area":{"0":[831],"2":[162,858,1912],"3":[6058,6137]},"m":{"0":[834,884,972,979,996,1003,1019,1026,1867,1871,2900,2907,2924,2931,2947,2954],"1":[164,195,205,1007,1301,1308,1325,1332,1348,1355],"2":[135,165,807,861,1281,1288,1915,2155,2159,2326,2934,2941,2958,2965,2981,2988],"3":[6061,6148,6188,6782,6805,6818,6828,6908],"4":[766,770,781,1602,1606,1686,1823,1827,1888,1894],"7":[19],"8":[100,222,479,513,628,684,732,741,744,780,817,939,971,983],"87":[311,471,577,584,601,608,624,631],"88":[716,742,768,780,891,894,1237,1244,1264,1269,1389,1395,1464,1471,1488,1495,1511,1518,1842,1850],"89":[769,798,855,897,1281,1288,1305,1312,1328,1335,1760],"91":[273,291,308,310,334,345,346,363,386,402,408,528,529,651,654,658,660,683,869,876,893,900,916,923,1032,1038,1063,1069,1102,1108,1123,1128,1164,1167,1180,1186,1189,1198,1199,1396,1403,1420,1427,1443,1450,1556,1635,1641,1687,1693,1696,1705,1706,1803,1814,1815,1817,1818,1834,1857,1876,1889,1902,1915,1925,1946,1947,1949,1950,2053,2057,2077,2080,2084,2086,2107,2203,2210,2227,2234,2250,2257,2357,2363,2382,2388,2421,2427,2442,2447,2461,2464,2477,2483,2486,2495,2496,2498,2499,2616,2623,2640,2647,2663,2670,2776,2855,2861,2907,2913,2916,2925,2926,2928,2929],"92":[750,757,774,781,797,804,1225,1232,1249,1256,1272,1279,1840,1847,1864,1871,1887,1894,2365,2372,2389,2396,2412,2419]},"nm":{"0":[840],"2":[137,171,809,867,1921],"3":[1530,1781,1784,1960,2681,2793,2848,2851,3203,6067,6552,6560],"5":[191,195,207,227,231,243,263,276,299,312,384,390,398,401],"30":[70,71,72,119,120]},"nr":{"0":[846],"1":[153,415,474],"2":[139,177,478,811,873,937,1363,1927],"3":[260,1526,1778,1957,2526,2678,2701,2790,2845,3200,6073,6565,6574],"5":[35,187,203,223,239,259,272,295,308,381,387],"6":[91,178,186,202,210],"17":[38,40],"91":[736,1321,2128,2535]},"cell":{"0":[851,863,871],"1":[479],"2":[182,188,196,233,461,514,558,564,784,878,884,892,923,933,961,998,1005,1017,1028,1932,1944,1952,1986,2005,3303],"3":[1799,2104,3667,4882,6078,6090,6098,6143,6570,6590,6595,6605,6729],"4":[353],"5":[356,515,933,987],"6":[129,136],"12":[293,305,318,733],"13":[385],"16":[36],"17":[16,69],"18":[16],"19":[17],"53":[14,37],"91":[717,729]},"omegak":{"0":[853],"2":[141,200,813,896,1934,2335,2583,2606,2688],"3":[6080,6579,6768],"12":[996],"76":[0,4,19],"89":[1010]},"keplerian":{"0":[855],"2":[205,1936,2563,2671],"3":[5179,6082,6128,6580],"12":[1001],"76":[10,20]},"frequenc":{"0":[856],"2":[206,1937,2564,2672],"3":[5180,6083,6129,6581],"12":[1002],"76":[11,21]},"r":{"0":[859,888],"1":[168,199,219],"2":[143,184,239,243,815,880,982,1040,1403,1753,1940,2158,2165,2168,2172,2186,2327],"3":[6086,6587,6610,6786,6835,6848,6858,6909],"5":[334],"6":[229],"12":[858,1151],"67":[5,26],"84":[5],"87":[279,291,297,439,451,457],"88":[226,242,288,296,433,459,463,490,495,903,911,924,964,973,979,995,1016,1899,1904],"89":[718,1815,1827,1841,1853,1859,1937,1942],"91":[344,527,1179,1183,1193,1686,1690,1700,1813,1945,2476,2480,2490,2906,2910,2920],"92":[144,171,225,230,231,237,270,280,362,382,388,427,433,467,473,891,897,934,962,965,989,1015,1018,1346,1352,1389,1417,1420,1444,1470,1473,1717,1961,1967,2004,2032,2035,2059,2085,2088,2235,2486,2492,2529,2557,2560,2584,2610,2613]},"center":{"0":[864,1834,1884],"2":[189,885,1024,1945],"3":[6091,6591,6596],"88":[374],"89":[605,621]},"ri":{"0":[867],"2":[145,192,518,551,606,617,641,651,656,666,669,695,702,704,707,715,751,763,765,796,797,817,831,888,904,1045,1049,1948,2020,3325,3331,3359],"3":[6094,6615,6619,6724,6733,6738],"12":[1152],"13":[389],"84":[6],"88":[582,590,600,603,629,636,638,656,664,666,671,673,680,681],"89":[487,498,522,532,537,547,550,576,583,585,588,596,623,633,635]},"l":{"0":[879],"2":[2329],"3":[6777,6797,6911],"8":[746,748],"83":[21]},"luminos":{"0":[881],"3":[6779,6799],"12":[1110,1115],"83":[0,4,10]},"erg":{"0":[882],"3":[6780]},"radiu":{"0":[890],"1":[221,610],"2":[2112,2182],"3":[6788,6837],"12":[185],"67":[40],"89":[276,344,920],"92":[180]},"effect":{"0":[894],"1":[251],"2":[2092,3274],"3":[6792,6866],"4":[381,479],"5":[1380],"6":[770],"8":[843],"11":[268,533],"87":[222,922],"89":[251,653]},"intvar":{"0":[898],"3":[94],"13":[166],"26":[25],"38":[27],"66":[24]},"time":{"0":[899,1279,1393,1404,2467,2491,2837,2972,2983],"1":[183,1130,1443],"2":[2800,3241,3282,3398],"3":[60,95,1965,5943,6912,6918,6947],"4":[2256],"5":[676,698],"6":[374,396,507,910],"12":[456,468,813],"26":[27],"31":[10,25],"32":[11,22],"61":[10,25],"66":[52],"78":[42],"87":[518,884],"88":[1081,1099,1102,1110,1182,1771,1827,1900],"89":[85,1197,1698,1938],"90":[215],"91":[362,566,639,1011,1538,1833,1986,2345,2758],"92":[100,133,192,201,870,1049,1341,1595,1956,2481]},"variabl":{"0":[902],"3":[65,98,6922,7060],"13":[165],"37":[51],"38":[29],"65":[51],"66":[26],"92":[655]},"readi":{"0":[910],"1":[1254],"87":[523],"91":[822]},"go":{"0":[912],"1":[75,1256,1496],"3":[9],"87":[184],"91":[38,257,824]},"take":{"0":[915,1324,2489],"2":[547,1433],"12":[652],"50":[15]},"few":{"0":[917],"8":[382],"91":[2973]},"minut":{"0":[918]},"year":{"0":[927,2816,2834,2843,2855,2990],"1":[1116,1125,1145,1180,1455,1460],"2":[2154,2865,3324],"3":[6939,6942],"7":[65],"12":[200,201],"88":[1165,1195,1213,1865,1875,1888,1892,1901],"89":[667,1892,1902,1912,1923,1927],"92":[326,347,460,921,982,1376,1437,1991,2052,2516,2577]},"v1":{"0":[932,2860],"1":[1261],"2":[2894],"11":[14,25,149,191,304,394,554],"87":[537],"88":[1424],"89":[1241],"90":[21,336,339,342,345,348,351],"91":[829,1356,2163,2576],"92":[710,1185,1800,2325]},"http":{"0":[936,942,948,2864,2870,2876],"1":[1265,1271,1277],"2":[2898,2904,2910],"7":[93],"87":[541,547,553],"88":[1428,1434,1440],"89":[1245,1251,1257],"91":[833,839,845,1360,1366,1372,2167,2173,2179,2580,2586,2592],"92":[714,720,726,1189,1195,1201,1804,1810,1816,2329,2335,2341]},"stammler":{"0":[937,951,955,2865,2879,2883],"1":[1266,1280,1284],"2":[2899,2913,2917],"7":[9,17],"8":[103,347,426,477,511,626,682,742,778,815,859,893,937,969,1019],"11":[411],"87":[542,556,560],"88":[1429,1443,1447],"89":[16,1246,1260,1264],"90":[63,97],"91":[834,848,852,1361,1375,1379,2168,2182,2186,2581,2595,2599],"92":[715,729,733,1190,1204,1208,1805,1819,1823,2330,2344,2348]},"github":{"0":[938,947,949,2866,2875,2877],"1":[1267,1276,1278],"2":[2900,2909,2911],"87":[543,552,554],"88":[1430,1439,1441],"89":[1247,1256,1258],"91":[835,844,846,1362,1371,1373,2169,2178,2180,2582,2591,2593],"92":[716,725,727,1191,1200,1202,1806,1815,1817,2331,2340,2342]},"io":{"0":[939,2867],"1":[1268],"2":[2901],"87":[544],"88":[1431],"89":[1248],"91":[836,1363,2170,2583],"92":[717,1192,1807,2332]},"pypi":{"0":[941,943,2869,2871],"1":[1270,1272],"2":[2903,2905],"87":[546,548],"88":[1433,1435],"89":[1250,1252],"91":[838,840,1365,1367,2172,2174,2585,2587],"92":[719,721,1194,1196,1809,1811,2334,2336]},"org":{"0":[944,2872],"1":[1273],"2":[2906],"87":[549],"88":[1436],"89":[1253],"91":[841,1368,2175,2588],"92":[722,1197,1812,2337]},"project":{"0":[945,2873],"1":[1274],"2":[2907],"86":[25],"87":[550],"88":[1437],"89":[1254],"91":[842,1369,2176,2589],"92":[723,1198,1813,2338]},"com":{"0":[950,2097,2878],"1":[1279],"2":[2912],"3":[8199],"87":[555],"88":[1442],"89":[1259],"91":[847,1374,2181,2594],"92":[728,1203,1818,2343]},"cite":{"0":[954,2882],"1":[1283],"2":[2916],"7":[8],"87":[559],"88":[1446],"89":[1263],"91":[851,1378,2185,2598],"92":[732,1207,1822,2347]},"birnstiel":{"0":[956,1375,2884],"1":[1285],"2":[2918],"3":[2484,2860],"4":[127,2191],"7":[10,21],"8":[94,259,350,433,475,514,555,633,680,781,855,889,935,974,1017],"11":[412],"87":[561],"88":[1448],"89":[1265],"90":[64,98],"91":[853,1380,2187,2600],"92":[734,1209,1824,2349]},"check":{"0":[958,1308,2886],"1":[1287,1494],"2":[2920,3280],"4":[739,1807,1951,1985],"13":[172,253,306],"87":[563],"88":[1450],"89":[1267,1720],"91":[855,1382,2189,2602],"92":[736,1211,1826,2351]},"conserv":{"0":[961,2889],"1":[1290,1493],"2":[1236,2923],"4":[264,742,1136,1810,1954,1984],"5":[1450],"13":[175,256,309],"87":[566],"88":[1453],"89":[1270],"91":[858,1385,2192,2605],"92":[739,1214,1829,2354]},"max":{"0":[963,987,1010,2891,2915,2938],"1":[1292,1316,1339],"2":[2925,2949,2972],"87":[568,592,615],"88":[1455,1479,1502],"89":[1272,1296,1319],"91":[860,884,907,1387,1411,1434,2194,2218,2241,2607,2631,2654],"92":[741,765,788,1216,1240,1263,1831,1855,1878,2356,2380,2403]},"error":{"0":[965,989,1012,2893,2917,2940],"1":[1201,1294,1318,1341,1506],"2":[2877,2927,2951,2974],"4":[467,794,799,806,812,819,1906,1911,1918,1924,1959],"11":[66,236],"13":[182,263,316],"87":[570,594,617],"88":[1457,1481,1504],"89":[1274,1298,1321],"91":[862,886,909,1389,1413,1436,2196,2220,2243,2609,2633,2656],"92":[743,767,790,1218,1242,1265,1833,1857,1880,2358,2382,2405,2693]},"75e":{"0":[967,2895],"1":[1296],"2":[2929],"87":[572],"88":[1459],"91":[864,2198],"92":[745,1220,1835,2360]},"93e":{"0":[975,2903],"1":[1304],"2":[2937],"87":[580],"88":[1467],"89":[1284],"91":[872,2206],"92":[753,1228,1843,2368]},"73e":{"0":[982,2910],"1":[1311],"2":[2944],"87":[587],"88":[1474],"89":[1291],"91":[879,2213],"92":[760,1235,1850,2375]},"55e":{"0":[991,2919],"1":[1320],"2":[2953],"87":[596],"88":[1483],"89":[1300],"91":[888,2222],"92":[769,1244,1859,2384]},"20e":{"0":[999,1006,1029,2927,2934,2957],"1":[1328,1335,1358],"2":[2961,2968,2991],"87":[604,611,634],"88":[1491,1498,1521],"89":[1308,1315,1338],"91":[896,903,926,1406,2230,2237,2260,2626],"92":[777,784,807,1252,1259,1282,1867,1874,1897,2392,2399,2422]},"eros":{"0":[1009,2937],"1":[828,838,913,1030,1338,1535],"2":[2971],"4":[142,1002,1061,1097,1143,1455,1619,1699,1724,1812],"12":[447],"30":[17],"87":[614],"88":[1501],"89":[1318],"90":[223],"91":[906,1433,2240,2653],"92":[787,1262,1877,2402]},"78e":{"0":[1014,2942],"1":[1343],"2":[2976],"87":[619],"88":[1506],"89":[1276,1323],"91":[911,2245],"92":[792,1267,1882,2407]},"18e":{"0":[1022,2950],"1":[1351],"2":[2984],"87":[627],"88":[1514],"89":[1331],"91":[919,1423,2253,2643],"92":[800,1275,1890,2415]},"directori":{"0":[1034,1293,1333,1384,2069,2085,2452],"1":[1184,1215,1244,1363],"2":[2872,2996],"3":[8187],"14":[45],"15":[44],"87":[639],"88":[1526],"89":[1229,1343],"90":[181],"91":[812,931,1458,2265,2678],"92":[682,812]},"write":{"0":[1036,1041,1047,1052,1058,1063,1069,1074,1080,1085,1091,1096,1102,1107,1113,1118,1124,1129,1135,1140,1146,1151,1157,1162,1168,1173,1179,1184,1190,1195,1201,1206,1212,1217,1223,1228,1234,1239,1245,1250,1256,1261,1267,1272,2053,2960,2965],"1":[1119,1365,1370,1376,1381,1387,1392,1398,1403,1409,1414,1420,1425,1431,1436],"2":[1226,1429,1968,2244,2760,2998,3003,3009,3014,3020,3025,3031,3036,3042,3047,3053,3058,3064,3069,3075,3080,3086,3091,3097,3102,3108,3113,3119,3124,3130,3135,3141,3146,3152,3157,3163,3168,3174,3179,3185,3190,3196,3201,3207,3212,3218,3223,3229,3234],"3":[8209],"8":[40],"12":[98,1170],"13":[126,231],"87":[321,641,646,652,657,663,668,674,679,685,690,696,701,707,712,718,723,729,734,740,745,751,756,762,767,773,778,784,789,795,800,806,811,817,822,828,833,839,844,850,855,861,866,872,877],"88":[200,790,1069,1169,1528,1533,1539,1544,1550,1555,1561,1566,1572,1577,1583,1588,1594,1599,1605,1610,1616,1621,1627,1632,1638,1643,1649,1654,1660,1665,1671,1676,1682,1687,1693,1698,1704,1709,1715,1720,1726,1731,1737,1742,1748,1753,1759,1764],"89":[815,1051,1345,1350,1356,1361,1367,1372,1378,1383,1389,1394,1400,1405,1411,1416,1422,1427,1433,1438,1444,1449,1455,1460,1466,1471,1477,1482,1488,1493,1499,1504,1510,1515,1521,1526,1532,1537,1543,1548,1554,1559,1565,1570,1576,1581,1587,1592,1598,1603,1609,1614,1620,1625,1631,1636,1642,1647,1653,1658,1664,1669,1675,1680,1686,1691],"91":[207,415,933,938,944,949,955,960,966,971,977,982,988,993,999,1004,1460,1465,1471,1476,1482,1487,1493,1498,1504,1509,1515,1520,1526,1531,2267,2272,2278,2283,2289,2294,2300,2305,2311,2316,2322,2327,2333,2338,2680,2685,2691,2696,2702,2707,2713,2718,2724,2729,2735,2740,2746,2751],"92":[121,814,819,825,830,836,841,847,852,858,863,1285,1290,1296,1301,1307,1312,1318,1323,1329,1334,1900,1905,1911,1916,1922,1927,1933,1938,1944,1949,2425,2430,2436,2441,2447,2452,2458,2463,2469,2474]},"data0000":{"0":[1039,2090],"1":[1368],"2":[3001],"3":[8192],"87":[644],"88":[1531],"89":[1348],"91":[936,1463,2270,2683],"92":[817,1288,1903,2428]},"hdf5":{"0":[1040,1051,1062,1073,1084,1095,1106,1117,1128,1139,1150,1161,1172,1183,1194,1205,1216,1227,1238,1249,1260,1271,2079,2091,2964],"1":[1369,1380,1391,1402,1413,1424,1435],"2":[3002,3013,3024,3035,3046,3057,3068,3079,3090,3101,3112,3123,3134,3145,3156,3167,3178,3189,3200,3211,3222,3233],"3":[105,8181,8193],"12":[99,1171],"14":[8,58],"15":[8,57],"87":[645,656,667,678,689,700,711,722,733,744,755,766,777,788,799,810,821,832,843,854,865,876],"88":[1532,1543,1554,1565,1576,1587,1598,1609,1620,1631,1642,1653,1664,1675,1686,1697,1708,1719,1730,1741,1752,1763],"89":[1349,1360,1371,1382,1393,1404,1415,1426,1437,1448,1459,1470,1481,1492,1503,1514,1525,1536,1547,1558,1569,1580,1591,1602,1613,1624,1635,1646,1657,1668,1679,1690],"91":[937,948,959,970,981,992,1003,1464,1475,1486,1497,1508,1519,1530,2271,2282,2293,2304,2315,2326,2337,2684,2695,2706,2717,2728,2739,2750],"92":[818,829,840,851,862,1289,1300,1311,1322,1333,1904,1915,1926,1937,1948,2429,2440,2451,2462,2473]},"dmp":{"0":[1046,1057,1068,1079,1090,1101,1112,1123,1134,1145,1156,1167,1178,1189,1200,1211,1222,1233,1244,1255,1266,1277,2671,2970],"1":[1375,1386,1397,1408,1419,1430,1441],"2":[3008,3019,3030,3041,3052,3063,3074,3085,3096,3107,3118,3129,3140,3151,3162,3173,3184,3195,3206,3217,3228,3239],"87":[651,662,673,684,695,706,717,728,739,750,761,772,783,794,805,816,827,838,849,860,871,882],"88":[1538,1549,1560,1571,1582,1593,1604,1615,1626,1637,1648,1659,1670,1681,1692,1703,1714,1725,1736,1747,1758,1769],"89":[1355,1366,1377,1388,1399,1410,1421,1432,1443,1454,1465,1476,1487,1498,1509,1520,1531,1542,1553,1564,1575,1586,1597,1608,1619,1630,1641,1652,1663,1674,1685,1696],"91":[943,954,965,976,987,998,1009,1470,1481,1492,1503,1514,1525,1536,2277,2288,2299,2310,2321,2332,2343,2690,2701,2712,2723,2734,2745,2756],"92":[824,835,846,857,868,1295,1306,1317,1328,1339,1910,1921,1932,1943,1954,2435,2446,2457,2468,2479]},"data0001":{"0":[1050],"1":[1379],"2":[3012],"87":[655],"88":[1542],"89":[1359],"91":[947,1474,2281,2694],"92":[828,1299,1914,2439]},"data0002":{"0":[1061],"1":[1390],"2":[3023],"87":[666],"88":[1553],"89":[1370],"91":[958,1485,2292,2705],"92":[839,1310,1925,2450]},"data0003":{"0":[1072,2113,2140],"1":[1401],"2":[3034],"87":[677],"88":[1564],"89":[1381],"91":[969,1496,2303,2716],"92":[850,1321,1936,2461]},"data0004":{"0":[1083],"1":[1412],"2":[3045],"87":[688],"88":[1575],"89":[1392],"91":[980,1507,2314,2727],"92":[861,1332,1947,2472]},"data0005":{"0":[1094],"1":[1423],"2":[3056],"87":[699],"88":[1586],"89":[1403],"91":[991,1518,2325,2738]},"data0006":{"0":[1105],"1":[1434],"2":[3067],"87":[710],"88":[1597],"89":[1414],"91":[1002,1529,2336,2749]},"data0007":{"0":[1116],"2":[3078],"87":[721],"88":[1608],"89":[1425]},"data0008":{"0":[1127],"2":[3089],"87":[732],"88":[1619],"89":[1436]},"data0009":{"0":[1138],"2":[3100],"87":[743],"88":[1630],"89":[1447]},"data0010":{"0":[1149],"2":[3111],"87":[754],"88":[1641],"89":[1458]},"data0011":{"0":[1160],"2":[3122],"87":[765],"88":[1652],"89":[1469]},"data0012":{"0":[1171],"2":[3133],"87":[776],"88":[1663],"89":[1480]},"data0013":{"0":[1182],"2":[3144],"87":[787],"88":[1674],"89":[1491]},"data0014":{"0":[1193],"2":[3155],"87":[798],"88":[1685],"89":[1502]},"data0015":{"0":[1204],"2":[3166],"87":[809],"88":[1696],"89":[1513]},"data0016":{"0":[1215],"2":[3177],"87":[820],"88":[1707],"89":[1524]},"data0017":{"0":[1226],"2":[3188],"87":[831],"88":[1718],"89":[1535]},"data0018":{"0":[1237],"2":[3199],"87":[842],"88":[1729],"89":[1546]},"data0019":{"0":[1248],"2":[3210],"87":[853],"88":[1740],"89":[1557]},"data0020":{"0":[1259],"2":[3221],"87":[864],"88":[1751],"89":[1568]},"data0021":{"0":[1270],"2":[3232],"87":[875],"88":[1762],"89":[1579]},"execut":{"0":[1278,2971],"1":[1442],"2":[1544,1559,1594,3240],"3":[2206],"87":[883],"88":[1770],"89":[1697],"91":[1010,1537,2344,2757],"92":[869,1340,1955,2480]},"written":{"0":[1287,2535,2653,2979],"3":[6936],"5":[102],"6":[113],"12":[71,78]},"output":{"0":[1288,2116],"1":[1183,1214,1243,1543],"12":[100,1172],"13":[127,232],"90":[180],"91":[811],"92":[681]},"come":{"0":[1297],"5":[605],"6":[303],"91":[1740]},"script":{"0":[1302,1321,1342,1453],"3":[3577],"11":[74,80],"12":[148,210,229,244],"14":[23,60],"15":[22,59]},"statu":{"0":[1310],"13":[89]},"doe":{"0":[1322],"2":[2457,2477],"3":[1557,1608,1678,1732,2019,2138,3567,4319,4374,4447,4528,4581,4912],"4":[2132],"92":[1518,2199]},"either":{"0":[1323],"1":[1026,1222,1540],"2":[521,1708],"4":[1018,1138],"6":[834],"14":[36],"15":[35],"92":[1675]},"argument":{"0":[1329,1336,1386],"37":[20],"38":[39,43],"65":[20],"66":[30,34]},"onli":{"0":[1344,2497,2563,2623],"1":[1136,1147],"2":[16,106,1185,1235,1593,1623,1651,1825,2133,2560,2752,2844],"3":[1564,1615,1685,1739,2026,2145,4326,4381,4454,4535,4588,4919,6159],"4":[98,585,611,880,1040,2226],"5":[594,608,869],"6":[130,306,599,637],"11":[543],"30":[107],"66":[56],"87":[101],"91":[71,197,352,444,597,1823,2017],"92":[1619]},"current":{"0":[1347,2836,2982],"1":[1472],"3":[6917,7032],"4":[2245],"13":[88],"26":[26,30],"42":[16],"71":[15],"88":[1098],"92":[2752]},"panel":{"0":[1351,1363,1414,1428,1443],"1":[1481],"2":[3264],"12":[236],"15":[0,3],"87":[901],"88":[1789],"89":[1717]},"blue":{"0":[1354],"5":[179],"6":[170]},"green":{"0":[1357]},"line":{"0":[1358,1438],"2":[3295],"8":[886],"11":[85],"14":[131],"15":[130],"87":[2,12,18,419,929,942,957],"90":[285],"91":[1733]},"top":{"0":[1361,1423,1441]},"left":{"0":[1362,1427,1442],"87":[107],"88":[494],"91":[1185,1197,1692,1704,2482,2494,2912,2924]},"analyt":{"0":[1365],"4":[400],"90":[258,273],"91":[1,8,112,215,328,337,380,504,724,1084,1225,1596,1725,1785,1794,1806,1851,2403,2816,2952],"92":[14,16,22,316,517,888,1010,1065,1465,1522,2080,2119,2605,2684]},"estim":{"0":[1366]},"barrier":{"0":[1372],"11":[234],"91":[755]},"taken":{"0":[1373],"1":[968],"3":[2482],"4":[1172,1711],"21":[17]},"et":{"0":[1376],"1":[441,894],"2":[1318],"3":[283,553,2485,2800,2861],"4":[123,128,392,518,1117,1212,2192],"11":[354],"12":[330],"20":[15],"30":[39,140],"87":[91,227],"88":[141,238],"89":[17,45,177],"91":[1773],"92":[33]},"al":{"0":[1377],"1":[442,895],"2":[1319],"3":[284,554,2486,2801,2862],"4":[124,129,393,519,1118,1213,2193],"11":[355],"12":[331],"20":[16],"30":[40,141],"87":[92,228],"88":[142,239],"89":[18,46,178],"91":[1774],"92":[34]},"pass":{"0":[1381],"37":[23],"65":[23]},"access":{"0":[1390,2129],"3":[7053],"5":[653],"6":[351,534]},"evolut":{"0":[1394],"2":[3283],"3":[1966,3215,4103,4159,4289,4294,4343,4349,4418,4423,4503,4556,4888],"4":[7],"5":[2,4,94,528,1244,1251,1406],"6":[2,6,105,549,560,773,824,831],"7":[30],"8":[322,922],"12":[14],"66":[41],"88":[46,1813],"89":[265,936],"90":[10,28,38,232,240,247,254,272],"91":[548,1968],"92":[2,11,288,514,522,531,1050,2169]},"furthermor":{"0":[1395,1446],"5":[859,935],"12":[26],"89":[270,643,1729]},"some":{"0":[1396,2490],"1":[817],"2":[1217],"3":[2198],"4":[111,1050],"5":[1435],"12":[58],"91":[115]},"ir":{"0":[1407,1418],"3":[1800,1806,1816],"12":[225,241],"14":[11,85],"15":[11,84]},"im":{"0":[1410,1420],"12":[224,240],"14":[9,70],"15":[9,69]},"middl":{"0":[1424,1889],"3":[6601]},"bottom":{"0":[1426]},"show":{"0":[1429],"2":[1010,1425,1735,1775,3408],"5":[343],"6":[238],"8":[33],"87":[316,476],"88":[501,1023,1911],"89":[21,1949],"91":[1205,1712,2503,2933],"92":[499,1043,1498,2113,2638]},"along":{"0":[1434],"3":[770],"14":[79,95],"15":[78,94],"30":[128]},"grai":{"0":[1436],"2":[990,3294,3366,3380],"5":[212,248,281,317],"6":[191,215]},"dash":{"0":[1437]},"possibl":{"0":[1447,2495,2528,2585],"1":[1499],"2":[494],"3":[2959],"4":[39,962,1805,1962,1967,2204,2272],"5":[462,1196,1640,1650,1657],"13":[444,454,461],"91":[435],"92":[2687,2711]},"interact":{"0":[1451],"6":[131,651],"12":[227],"14":[21]},"ipanel":{"0":[1456],"12":[220],"14":[0,3]},"code":{"0":[1458,1482,1820],"4":[1411],"9":[22,28],"10":[31],"11":[409],"90":[131]},"here":{"0":[1465,2806],"1":[72,1509],"2":[1654,1979],"3":[6132],"4":[1013,1406],"8":[25],"87":[85,206,214,888],"89":[601],"91":[2992],"92":[1643,1690,2201,2727]},"given":{"0":[1467],"2":[539,2203],"3":[805,1565,1616,1686,1740,1803,1846,1862,1897,2027,2146,2160,2963,4327,4382,4455,4471,4536,4589,4855,4920,4941,5168,5214,5539,5550,5559,5569,6582,6800,6813,6843,6874,7134,7172,7498,7832,7872,8023],"4":[1188,1627,2032,2150,2156],"5":[96,1063],"6":[31,51,107],"13":[364],"89":[185],"91":[160,237],"92":[25,48,72,132]},"wai":{"0":[1472,2133],"4":[1802],"5":[1365],"88":[23],"91":[1721],"92":[1620]},"independ":{"0":[1476],"3":[3585],"91":[249]},"numer":{"0":[1492],"3":[247,3227],"4":[117,275],"11":[262],"88":[133]},"sum":{"0":[1493,1507],"3":[3244],"4":[36,506,758,788,954,997,1369,1879,2051,2116,2269],"5":[937],"89":[105,851,971,1037,1080,1780,1787,1789,1833],"91":[1239]},"over":{"0":[1494],"3":[3221,3229,3641],"4":[37,96,955,1418,2255,2270],"88":[1826],"89":[109,1038],"92":[1594,2813]},"dimens":{"0":[1497,2465],"3":[3232]},"10558450e":{"0":[1511]},"02993178e":{"0":[1514]},"59195549e":{"0":[1517]},"93896250e":{"0":[1520]},"32864174e":{"0":[1523]},"75848590e":{"0":[1526]},"22598369e":{"0":[1529]},"72858592e":{"0":[1532]},"26421498e":{"0":[1535]},"83081686e":{"0":[1538]},"42620155e":{"0":[1541]},"04864366e":{"0":[1544]},"69645621e":{"0":[1547]},"36777353e":{"0":[1550]},"06118666e":{"0":[1553]},"77532356e":{"0":[1556]},"50860884e":{"0":[1559]},"25989679e":{"0":[1562]},"02807142e":{"0":[1565]},"81181881e":{"0":[1568]},"61021238e":{"0":[1571]},"42234104e":{"0":[1574]},"24712484e":{"0":[1577]},"08381550e":{"0":[1580]},"93166208e":{"0":[1583]},"78979299e":{"0":[1586]},"65760302e":{"0":[1589]},"53446451e":{"0":[1592]},"41968942e":{"0":[1595]},"31278633e":{"0":[1598]},"21322188e":{"0":[1601]},"12046727e":{"0":[1604]},"03412179e":{"0":[1607]},"53725668e":{"0":[1610]},"78889287e":{"0":[1613]},"09295487e":{"0":[1616]},"44492670e":{"0":[1619]},"84225840e":{"0":[1622]},"28197359e":{"0":[1625]},"76099776e":{"0":[1628]},"27718147e":{"0":[1631]},"82764881e":{"0":[1634]},"41043793e":{"0":[1637]},"02342272e":{"0":[1640]},"66453458e":{"0":[1643]},"33227994e":{"0":[1646]},"02446805e":{"0":[1649]},"73990240e":{"0":[1652]},"47688216e":{"0":[1655]},"23422420e":{"0":[1658]},"01049388e":{"0":[1661]},"80460725e":{"0":[1664]},"61534454e":{"0":[1667]},"44173668e":{"0":[1670]},"28272126e":{"0":[1673]},"13746515e":{"0":[1676]},"00500117e":{"0":[1679]},"84600676e":{"0":[1682]},"75352688e":{"0":[1685]},"76579619e":{"0":[1688]},"87666240e":{"0":[1691]},"07930091e":{"0":[1694]},"36881105e":{"0":[1697]},"74080407e":{"0":[1700]},"18793025e":{"0":[1703]},"70181020e":{"0":[1706]},"27460221e":{"0":[1709]},"90019344e":{"0":[1712]},"57365503e":{"0":[1715]},"29008272e":{"0":[1718]},"04285647e":{"0":[1721]},"21052034e":{"0":[1724]},"08307277e":{"0":[1727]},"92338320e":{"0":[1730]},"93621450e":{"0":[1733]},"99128440e":{"0":[1736]},"85480259e":{"0":[1739]},"65581248e":{"0":[1742]},"35346523e":{"0":[1745]},"68845727e":{"0":[1748]},"38908175e":{"0":[1751]},"70624483e":{"0":[1754]},"34691188e":{"0":[1757]},"43173421e":{"0":[1760]},"76930567e":{"0":[1763]},"59995512e":{"0":[1766]},"32088975e":{"0":[1769]},"41486135e":{"0":[1772]},"51708088e":{"0":[1775]},"06317740e":{"0":[1778]},"45397680e":{"0":[1781]},"14219956e":{"0":[1784]},"04642867e":{"0":[1787]},"00834622e":{"0":[1790]},"84588136e":{"0":[1793]},"83347698e":{"0":[1796],"3":[3533]},"95170965e":{"0":[1799],"3":[3536]},"18372240e":{"0":[1802],"3":[3539]},"51483347e":{"0":[1805],"3":[3542]},"93225557e":{"0":[1808],"3":[3545]},"convert":{"0":[1811],"2":[907],"3":[3560],"8":[380],"89":[93,943],"91":[271,275,1065,1104,1577,1616,1637,2384,2423,2797,2836,2857],"92":[226]},"divid":{"0":[1818]},"where":{"0":[1825],"2":[64,1483,1866,1987],"4":[16,79,1630,2153],"5":[169],"6":[25,160],"87":[24,31,343,352,361],"88":[145,369,380],"89":[613,986,998],"91":[173,226],"92":[2745]},"width":{"0":[1829],"3":[3574],"4":[1426],"8":[176],"89":[200,365],"91":[1156]},"sinc":{"0":[1837],"2":[1233,1655,2500,2710,2750],"3":[2339,4291,4346,4420,4500,4553,4885,8004],"4":[104,277,595,835,1422,1714,2252],"5":[573,679,1504],"6":[126,377,497,774,912],"11":[12,276,461,540],"30":[96],"87":[492],"88":[99,110,1298,1324],"89":[128,236,691,937,1200],"91":[464,2976],"92":[523,533,1602,2789,2799]},"strictli":{"0":[1842],"2":[1183],"3":[6156],"4":[231,1134],"13":[405],"92":[2774]},"logarithm":{"0":[1843],"1":[346],"2":[225,725,1184,1213,1240],"3":[6157],"4":[310],"13":[408],"91":[233,1235]},"follow":{"0":[1845],"2":[1649,2320],"3":[293,1833,2441,2489,4075],"4":[1111],"5":[145,904],"6":[17,284],"88":[397,402],"89":[15,175],"91":[1294],"92":[166]},"relat":{"0":[1846],"3":[2200]},"hold":{"0":[1847],"2":[1690]},"easili":{"0":[1855],"1":[15,1154],"2":[14],"3":[1903],"89":[315]},"calcul":{"0":[1856],"1":[372,1502],"2":[1033,2492,2540],"3":[25,1026,1246,1470,1541,1578,1592,1629,1662,1716,2003,2108,2122,2288,2320,2336,2413,2460,2662,2682,2716,2794,2852,3082,3179,3795,4296,4303,4351,4358,4425,4430,4505,4510,4558,4563,4890,4895,5956,6028,7021,7130,7147,7828,7845],"4":[4,164,1180,1956,2005,2109,2230,2240,2261],"5":[507,640,686,802,923,941,979,1375],"6":[338,384,416,518,907],"11":[339,379],"12":[76,279,287,299,311,323,336,346,355,364,372,385,396,412,438,454,509,519,528,535,550,558,572,599,609,621,633,645,664,676,727,738,746,754,762,770,800,811,832,851,863,880,889,900,917,928,942,951,999,1113],"16":[8],"17":[10],"18":[10],"19":[10],"20":[8],"21":[8],"22":[10],"23":[10],"24":[10],"25":[8],"26":[10],"27":[8],"28":[8],"30":[8,25],"31":[8],"38":[13],"39":[8],"40":[8],"41":[8],"43":[8],"44":[8],"45":[8],"46":[8],"47":[8],"48":[8],"49":[8],"50":[8],"51":[8],"52":[8],"53":[8,19],"54":[8],"55":[8],"56":[8],"57":[8],"58":[8],"60":[8],"61":[8],"63":[8],"66":[11,74],"67":[11],"68":[8],"69":[8],"70":[8],"72":[8],"73":[8],"74":[8],"75":[8],"76":[8],"83":[8],"88":[204,232],"89":[820,913,1767],"91":[221],"92":[150,252,2749]},"numpi":{"0":[1859],"1":[1164],"2":[601,826],"5":[153],"6":[144],"11":[43],"87":[335],"88":[221],"89":[482],"91":[266],"92":[204,334]},"np":{"0":[1861,1863,2827],"1":[1166,1171],"2":[603,653,677,708,752,1482,2011,2166,2856],"5":[155,168,182,218,254,290],"6":[146,159,173,197],"87":[337,342,351,360],"88":[223,286,294,361,368,379,434,587,611,642,657,868],"89":[484,534,558,589,624,661,709,712,780,985,997],"91":[268,306,399,656,678,799,1864,1874,1879,1885,1887,1900,1905,1911,1913,2082,2102,2145,2558],"92":[206,214,216,218,221,223,267,278,336,338]},"further":{"0":[1878],"2":[582],"13":[62]},"assum":{"0":[1879],"3":[1827,5958],"5":[993],"17":[31],"40":[13],"89":[98],"92":[37,162]},"exactli":{"0":[1886],"1":[321],"2":[1021],"3":[6598],"92":[2155,2804]},"between":{"0":[1890],"1":[834],"2":[592,1025],"3":[6602,6937],"4":[336,348,1741,2010],"8":[177],"11":[447],"30":[91],"40":[17],"91":[471,1246,1255],"92":[322]},"solv":{"0":[1896],"3":[3212],"4":[11],"5":[91,902],"6":[4,13,102],"90":[54],"91":[60],"92":[2166]},"yield":{"0":[1900]},"therefor":{"0":[1903,2581],"1":[724,997],"2":[2644,2759],"3":[609,2962,3655],"4":[346],"5":[547,567,616],"6":[314,544,920],"11":[366],"66":[66],"78":[26],"87":[163,510,950],"88":[197,540,1068],"89":[948,1050],"92":[60,1541,1586]},"35750251e":{"0":[1922]},"11450049e":{"0":[1925]},"16073436e":{"0":[1928]},"52526930e":{"0":[1931]},"11935481e":{"0":[1934]},"94483396e":{"0":[1937]},"29655487e":{"0":[1940]},"06116482e":{"0":[1943]},"10245276e":{"0":[1946]},"32845402e":{"0":[1949]},"84588088e":{"0":[1952]},"56484316e":{"0":[1955]},"24179647e":{"0":[1958]},"01289473e":{"0":[1961]},"04943384e":{"0":[1964]},"15703508e":{"0":[1967]},"60769503e":{"0":[1970]},"23388501e":{"0":[1973]},"45718657e":{"0":[1976,1991]},"19324066e":{"0":[1979]},"60547999e":{"0":[1982]},"30858850e":{"0":[1985]},"20777332e":{"0":[1988]},"88204722e":{"0":[1994,2009]},"39408712e":{"0":[1997]},"49505975e":{"0":[2000]},"01069653e":{"0":[2003]},"79385376e":{"0":[2006]},"38112178e":{"0":[2012,2027]},"69805348e":{"0":[2015]},"52792414e":{"0":[2018]},"75124347e":{"0":[2021]},"43334490e":{"0":[2024]},"read":{"0":[2029,2036,2043,2106,2115,2448,2457,2483,2498,2515,2556,2624,2643],"2":[1659,3290,3320,3328,3337],"88":[1832,1838,1846],"89":[1743,1750,1757,1764],"90":[154,157],"91":[1017,1028,1035,1042,1546,1553,1560,2353,2360,2367,2766,2773,2780],"92":[874,880,894,903,910,917,1349,1358,1365,1372,1964,1973,1980,1987,2489,2498,2505,2512]},"want":{"0":[2034,2809],"1":[7,1056,1137],"2":[82,532,734,1252,1273,1840,2845],"3":[533,3549,3558],"4":[2095],"5":[738,826,1031,1127,1247,1399,1456],"8":[19],"9":[107],"13":[370],"87":[7],"88":[531,554,1056,1146],"89":[454,674],"91":[744],"92":[309]},"modul":{"0":[2045],"1":[1072],"3":[641,4000],"5":[1614],"12":[0,267,268,715,716,987,988,1006,1007,1100,1101],"90":[354,370,374,378,382,386,394]},"provid":{"0":[2046],"3":[539],"7":[103]},"hdf5writer":{"0":[2060,2062],"3":[8173],"12":[93,1165]},"wrtr":{"0":[2061,2076,2114,2456,2514]},"make":{"0":[2063],"2":[840],"4":[1132],"13":[34],"91":[246]},"sure":{"0":[2064]},"correct":{"0":[2067],"2":[95,950],"6":[495],"11":[199,239,271],"92":[2779]},"format":{"0":[2081],"2":[2059],"3":[107,8183],"4":[435,802,1914],"5":[1226],"7":[46],"8":[496,545,579,613,849,968],"88":[1385],"89":[2,10,24,49,130,249,383,907,911,926,981,1046,1723],"90":[299,310],"91":[1118,1630,2437,2850],"92":[456,1000,1455,2070,2595]},"h5py":{"0":[2083],"3":[109,8185]},"name":{"0":[2088],"1":[1240],"3":[8190],"13":[131,144,157],"88":[874,885],"89":[1225],"92":[678]},"overwrit":{"0":[2092],"1":[1226,1230,1547],"2":[2876],"3":[8194,8214],"92":[687,698,1179,1794,2319]},"fals":{"0":[2093,2549,2555],"1":[99,654,699,758],"3":[8195],"5":[327,331],"6":[222,226],"11":[215],"21":[87],"89":[990],"91":[761,1333]},"true":{"0":[2095,2694,2695,2696,2697,2698,2699,2700,2701,2702,2703,2704,2705,2706,2707,2708,2709,2710,2711,2712,2713,2714,2715,2716,2717,2718,2719,2720,2721,2722,2723,2724,2725,2726,2727,2728,2729,2730,2731,2732,2733,2734,2735,2736,2737,2738,2739,2740,2741,2742,2743,2744,2745,2746,2747,2748,2749,2750,2751,2752,2753,2754,2755,2756,2757,2758,2759,2760,2761,2762,2763,2764,2765,2766,2767,2768,2769,2770,2771,2772,2773,2774,2775,2776,2777,2778,2779,2780,2781,2782,2783,2784,2785,2786,2787,2788,2789,2790,2791,2792,2793],"1":[690,1228],"2":[1052,1053,1054,1055,1056,1057,1058,1059,1060,1061,1062,1063,1064,1065,1066,1067,1068,1069,1070,1071,1072,1073,1074,1075,1076,1077,1078,1079,1080,1081,1082,1083,1084,1085,1086,1087,1088,1089,1090,1091,1092,1093,1094,1095,1096,1097,1098,1099,1100,1101,1102,1103,1104,1105,1106,1107,1108,1109,1110,1111,1112,1113,1114,1115,1116,1117,1118,1119,1120,1121,1122,1123,1124,1125,1126,1127,1128,1129,1130,1131,1132,1133,1134,1135,1136,1137,1138,1139,1140,1141,1142,1143,1144,1145,1146,1147,1148,1149,1150,1151,1152,1153,1154,1155,1156,1157,1158,1159,1160,1161,1162,1163,1164,1165,2515],"3":[6622,6623,6624,6625,6626,6627,6628,6629,6630,6631,6632,6633,6634,6635,6636,6637,6638,6639,6640,6641,6642,6643,6644,6645,6646,6647,6648,6649,6650,6651,6652,6653,6654,6655,6656,6657,6658,6659,6660,6661,6662,6663,6664,6665,6666,6667,6668,6669,6670,6671,6672,6673,6674,6675,6676,6677,6678,6679,6680,6681,6682,6683,6684,6685,6686,6687,6688,6689,6690,6691,6692,6693,6694,6695,6696,6697,6698,6699,6700,6701,6702,6703,6704,6705,6706,6707,6708,6709,6710,6711,6712,6713,6714,6715,6716,6717,6718,6719,6720,6721,8197],"4":[464,1512,1616,1696,2085],"5":[50],"6":[638],"14":[16,18,115,117,126,128],"15":[16,18,114,116,125,127],"21":[75],"88":[1896],"89":[989],"91":[2134,2547],"92":[699,1180,1795,2320]},"option":{"0":[2096],"1":[78],"2":[633],"3":[702,4061,8198],"5":[1598,1637,1646],"6":[696],"13":[441,450],"14":[51,56,72,87,102,113,124],"15":[50,55,71,86,101,112,123],"17":[50],"19":[27],"22":[23],"23":[23],"24":[23],"38":[32],"84":[180],"85":[25],"89":[514],"92":[673]},"lzf":{"0":[2098],"3":[8200]},"comopt":{"0":[2099],"3":[8201]},"verbos":{"0":[2101],"3":[8203],"13":[116,117]},"singl":{"0":[2108,2500],"4":[475],"11":[550]},"function":{"0":[2119,2580],"1":[1551],"2":[545,576,610,732,1431,1495,1539,1564,1571,1597,1613,1622,1970,2025,2700,2763,2782],"3":[23,540,656,4015],"4":[2107],"5":[1497,1629],"11":[330,426],"12":[45,61,219,257,271,275,278,286,298,310,322,335,345,354,363,371,384,395,411,426,437,453,464,472,482,493,499,508,518,527,534,541,549,557,571,598,608,620,632,644,663,675,719,723,726,737,745,753,761,769,789,799,810,821,831,840,850,862,879,888,899,909,916,927,941,950,991,995,998,1010,1016,1019,1030,1040,1044,1055,1059,1070,1074,1085,1089,1104,1109,1112,1127,1132,1135],"13":[134,147,159,171,184,190,207,214,222,252,265,271,279,286,305,319,324,349,422,433],"16":[7],"17":[9],"18":[9],"19":[9],"20":[7],"21":[7],"22":[9],"23":[9],"24":[9],"25":[7],"26":[9],"27":[7],"28":[7],"29":[7],"30":[7],"31":[7],"32":[7],"33":[7],"34":[7],"35":[7],"36":[7],"38":[12,53],"39":[7],"40":[7],"41":[7],"42":[7],"43":[7],"44":[7],"45":[7],"46":[7],"47":[7],"48":[7],"49":[7],"50":[7],"51":[7],"52":[7],"53":[7],"54":[7],"55":[7],"56":[7],"57":[7],"58":[7],"59":[7],"60":[7],"61":[7],"62":[7],"63":[7],"64":[7],"66":[10],"67":[10],"68":[7],"69":[7],"70":[7],"71":[7],"72":[7],"73":[7],"74":[7],"75":[7],"76":[7],"77":[7],"78":[7,24],"79":[8,12],"80":[8,12],"81":[8,12],"82":[8,12],"83":[7],"84":[47,55,85,93,124,134],"85":[8],"87":[323,378,484],"88":[202,231,569,839,934,1071,1079,1090,1170,1180,1221,1338],"89":[491,833,1055,1199,1203],"91":[84,209,274,325,417,515,1933],"92":[123,149]},"return":{"0":[2120],"2":[640,650,713,1441,1481,1972,1995,2017,2171],"3":[2887,3233],"4":[1542],"12":[465,483,1020,1032],"16":[18,22],"17":[61,71],"19":[38,45],"20":[24,29],"21":[29,35],"22":[34,39],"23":[34,39],"24":[34,42],"25":[35,42],"26":[33,39],"27":[27,31],"28":[26,30],"30":[48,58],"31":[22,27],"32":[8,19,24],"34":[8,22,30],"37":[45],"38":[44,48,54],"39":[20,24],"40":[27,31],"41":[28,32],"43":[19,24],"45":[38,43],"46":[21,26],"47":[23,27],"48":[32,36],"49":[23,27],"50":[30,34],"51":[31,35],"52":[23,27],"53":[31,39],"54":[19,24],"55":[19,23],"56":[19,24],"57":[19,26],"58":[31,35],"61":[22,27],"63":[20,26],"65":[45],"66":[35,42],"67":[50,55],"68":[20,25],"69":[22,27],"70":[21,25],"72":[22,27],"74":[20,25],"75":[20,26],"76":[18,22],"77":[8],"78":[9,28,39],"83":[20,25],"87":[368,374],"88":[272,283,384,641,794,840,859,930,1073,1091,1129,1134,1137,1175,1187,1205],"89":[521,531,594,844,1024,1075],"91":[295,318,377,391,1848,1923],"92":[125,193,264]},"namespac":{"0":[2122],"1":[92,94,122,144,163,194,333,406,535,649]},"simpli":{"0":[2127],"2":[531,1981,2573,2721,2835],"4":[1378,2031],"6":[896],"41":[16],"78":[27],"88":[89,1310],"89":[685],"92":[544]},"same":{"0":[2132,2646],"2":[1457,2513],"3":[800],"11":[481],"89":[213,468],"91":[1300],"92":[1076]},"arrai":{"0":[2144],"2":[618,642],"3":[612,701,4060,6954,7183,7889],"6":[438,679,765],"13":[382],"67":[29,59],"84":[179],"88":[243,274,861],"89":[499,523],"91":[284,292,297]},"11442758e":{"0":[2146]},"03950016e":{"0":[2149]},"69534899e":{"0":[2152]},"03996575e":{"0":[2155]},"42652573e":{"0":[2158]},"85281679e":{"0":[2161]},"31666653e":{"0":[2164]},"81591015e":{"0":[2167]},"34839857e":{"0":[2170]},"91202935e":{"0":[2173]},"50478001e":{"0":[2176]},"12473131e":{"0":[2179]},"77007790e":{"0":[2182]},"43912953e":{"0":[2185]},"13030706e":{"0":[2188]},"84213637e":{"0":[2191]},"57324174e":{"0":[2194]},"32233942e":{"0":[2197]},"08823154e":{"0":[2200]},"86980035e":{"0":[2203]},"66600291e":{"0":[2206]},"47586611e":{"0":[2209]},"29848199e":{"0":[2212]},"13300346e":{"0":[2215]},"97864019e":{"0":[2218]},"83465484e":{"0":[2221]},"70035958e":{"0":[2224]},"57511273e":{"0":[2227]},"45831575e":{"0":[2230]},"34941033e":{"0":[2233]},"24787571e":{"0":[2236]},"15322622e":{"0":[2239]},"06500891e":{"0":[2242]},"82801375e":{"0":[2245]},"06209726e":{"0":[2248]},"34866689e":{"0":[2251]},"68429821e":{"0":[2254]},"06579849e":{"0":[2257]},"49019115e":{"0":[2260]},"95470123e":{"0":[2263]},"45674173e":{"0":[2266]},"99390088e":{"0":[2269]},"56393015e":{"0":[2272]},"16473303e":{"0":[2275]},"79435448e":{"0":[2278]},"45097100e":{"0":[2281]},"13288134e":{"0":[2284]},"83849764e":{"0":[2287]},"56633720e":{"0":[2290]},"31501460e":{"0":[2293]},"08323432e":{"0":[2296]},"86978378e":{"0":[2299]},"67352666e":{"0":[2302]},"49339667e":{"0":[2305]},"32839164e":{"0":[2308]},"17756796e":{"0":[2311]},"04003528e":{"0":[2314]},"14951632e":{"0":[2317]},"01518836e":{"0":[2320]},"98978248e":{"0":[2323]},"06606887e":{"0":[2326]},"23713926e":{"0":[2329]},"49637584e":{"0":[2332]},"83742439e":{"0":[2335]},"25417178e":{"0":[2338]},"74072812e":{"0":[2341]},"29141364e":{"0":[2344]},"90075039e":{"0":[2347]},"56345878e":{"0":[2350]},"27445866e":{"0":[2353]},"02887484e":{"0":[2356]},"22046251e":{"0":[2359]},"49538378e":{"0":[2362]},"07157848e":{"0":[2365]},"90968245e":{"0":[2368]},"97305957e":{"0":[2371]},"22794764e":{"0":[2374]},"64357939e":{"0":[2377]},"19226636e":{"0":[2380]},"49435663e":{"0":[2383]},"93611962e":{"0":[2386]},"06340475e":{"0":[2389]},"72050959e":{"0":[2392]},"77866714e":{"0":[2395]},"13366732e":{"0":[2398]},"03125139e":{"0":[2401]},"23534403e":{"0":[2404]},"47255688e":{"0":[2407]},"39583152e":{"0":[2410]},"60163304e":{"0":[2413]},"98337858e":{"0":[2416]},"00295348e":{"0":[2419]},"63569541e":{"0":[2422]},"42094325e":{"0":[2425]},"92794721e":{"0":[2428]},"96245913e":{"0":[2431]},"10228830e":{"0":[2434]},"13550420e":{"0":[2437]},"87735143e":{"0":[2440]},"00000000e":{"0":[2443],"3":[6191,6212,6233,6254,6275,6296,6317,6338,6359,6380,6401,6422,6443,6464,6485,6506,6527,6548,7185,7482,7514,7811,7981,7984,7987,7990,7993,7996,8135,8138,8141,8144,8147,8150],"4":[2302,2305,2308,2311,2314,2317,2329,2332,2335,2347,2350,2353,2356,2359,2362,2365,2368,2371,2374,2377,2380,2383,2386,2389,2392,2395,2398,2401,2404,2407],"6":[440,482]},"addit":{"0":[2464],"6":[740],"9":[49],"11":[107],"38":[37,41],"66":[28,32],"88":[550],"89":[226]},"shape":{"0":[2472,2521],"1":[289],"2":[96,1362,1380,1458,1474],"3":[257,1523,1774,1954,2523,2675,2698,2787,2842,3197,7887,8038],"5":[138,377,395],"30":[68,117]},"quit":{"0":[2480],"92":[1509]},"larg":{"0":[2481],"1":[448,732],"3":[2973],"4":[1831],"5":[502,791],"8":[657],"11":[526]},"entir":{"0":[2485,2509],"2":[1228],"5":[569],"6":[829],"89":[1219]},"instead":{"0":[2506],"3":[2454,2826],"5":[1462],"11":[263],"38":[62],"89":[617]},"sigmaga":{"0":[2513,2520],"89":[1740,1779]},"sequenc":{"0":[2516],"2":[3321,3329,3338],"88":[1833,1839,1847],"89":[1744,1751,1758,1765],"91":[1029,1036,1043,1547,1554,1561,2354,2361,2368,2767,2774,2781],"92":[895,904,911,918,1350,1359,1366,1373,1965,1974,1981,1988,2490,2499,2506,2513]},"exclud":{"0":[2530],"3":[3793,6026,7494]},"certain":{"0":[2531],"3":[1770],"5":[1412]},"being":{"0":[2534]},"save":{"0":[2541,2546,2554,2596],"4":[110],"5":[595,874]},"memori":{"0":[2542],"13":[200]},"contain":{"0":[2564],"2":[2459,2479],"4":[607],"5":[407,668,674,696],"6":[366,372,394,499,576],"12":[28,41,57,117,208,255,269,717,989,1008,1102,1123],"86":[13],"89":[739],"90":[124]},"pure":{"0":[2566],"2":[1305]},"inform":{"0":[2570],"6":[577],"66":[49]},"about":{"0":[2571],"2":[1661,1666],"3":[732,1989,4101],"4":[719,729],"5":[424],"6":[578],"10":[7],"66":[50],"87":[147],"89":[221]},"oper":{"0":[2573],"3":[8003]},"perform":{"0":[2577],"1":[382,1489],"4":[1948],"11":[536],"12":[21]},"like":{"0":[2578],"3":[7139,7837],"4":[1728]},"custom":{"0":[2579],"1":[2,335],"2":[2,41,85,497,1186,1242,1779,1820,2819,2833],"3":[679,682,685,4038,4041,4044],"4":[1974],"5":[619,701],"6":[317,399],"11":[139],"12":[703,975],"13":[374,398],"84":[157,160,163],"86":[34],"88":[73],"90":[162,184,185,188,195,204],"91":[795]},"directli":{"0":[2587],"2":[1619],"4":[326,1730]},"restart":{"0":[2588,2610,2803,2850]},"recent":{"0":[2601],"11":[102]},"which":{"0":[2605,2619],"2":[546,626,1545,1783,2537,3307],"3":[61,2966,6819,6849,7050],"4":[1707,1757,2159],"5":[99,667],"6":[110,248,281,295,365],"11":[250,519],"14":[80],"15":[79],"66":[54],"85":[33],"86":[27],"87":[153,934],"88":[1807],"89":[138,507,738,870,1056],"92":[1575,1692]},"attent":{"0":[2611],"3":[1531,1581,1651,1705,1992,2111,4290,4345,4419,4499,4552,4884]},"malwar":{"0":[2612]},"inject":{"0":[2615]},"pickl":{"0":[2621]},"yourself":{"0":[2631]},"trust":{"0":[2637]},"version":{"0":[2647],"11":[13,97,121,148,361,403,539],"12":[1144],"85":[17]},"thei":{"0":[2651],"1":[794,802],"2":[1632,2501],"3":[796,2106,2279,6115,6118],"4":[2257],"5":[810],"6":[256,498,752,775],"12":[141],"88":[1157],"89":[310]},"were":{"0":[2652],"2":[916],"11":[185]},"otherwis":{"0":[2654],"1":[347],"2":[1283],"4":[1094],"6":[649]},"guarante":{"0":[2658]},"work":{"0":[2660],"3":[4086,8007]},"readdump":{"0":[2665,2668]},"sim_restart":{"0":[2667,2690,2824,2829,2840,2857,2987]},"should":{"0":[2679],"1":[309,434],"2":[628,1170,1733],"3":[4085,6122],"4":[244,411,947,964],"11":[143],"66":[69],"88":[1158],"89":[509]},"ident":{"0":[2681],"3":[4494],"4":[443,580,846,875,1399,1589]},"previou":{"0":[2684],"1":[1101,1218],"2":[24,448,2613,2827],"5":[716],"11":[133,360,538],"92":[1505]},"exampl":{"0":[2798],"1":[1054,1134],"2":[79,529,1250,1316,1838,2842],"3":[557],"4":[1194,1492],"5":[1212,1367],"11":[389],"30":[74],"86":[15],"87":[0,5,84],"88":[0,5,53,529],"89":[0,4,220,479],"90":[126,283,286,297],"91":[1295],"92":[2721]},"add":{"0":[2799],"2":[1842,1874],"4":[718,922],"5":[693,1198,1213],"6":[391],"11":[115],"13":[136,149,161],"88":[10,533,541],"89":[8,149,676,731,882,909,949,1059,1097]},"more":{"0":[2800],"1":[707,1063],"2":[931,1660],"4":[292,425],"86":[36],"87":[136],"89":[246],"90":[133],"91":[1748]},"snapshot":{"0":[2801,2826,2831],"1":[1108,1149,1161,1170],"2":[2821,2830,2839,2855,3306],"3":[6934,6945,6952],"14":[107],"15":[106],"89":[660],"90":[177,206],"91":[798,806,807,1345,1346,2144,2152,2153,2557,2565,2566],"92":[321,337,417,445,457,660,669,670,954,1170,1171,1409,1501,1785,1786,2024,2310,2311,2549]},"just":{"0":[2808],"2":[1719,2242]},"extend":{"0":[2811]},"one":{"0":[2815],"1":[79,81],"2":[1367],"3":[3634,3660,6822,7080,7085,8010],"4":[590,709,987,1031],"5":[117,1348],"6":[608],"11":[103,465],"25":[24],"88":[573],"91":[714],"92":[2163]},"c":{"0":[2823,2833,2842,2989],"1":[1081,1089,1179,1459],"2":[749,760,768,983,989,1404,1754,2063,2148,2153,2163,2169,2864,3323,3332,3341],"8":[632,734],"9":[1],"87":[239,280,293,299,440,453,459],"88":[414,417,424,426,439,460,471,474,662,669,676,705,718,731,744,965,975,981,996,1194,1197,1200,1212,1215,1218,1390,1396,1864,1867,1874,1877,1887,1891],"89":[325,348,355,362,369,629,666,1816,1828,1842,1855,1861,1891,1894,1901,1904,1911,1914,1922,1926],"90":[320],"91":[1073,1081,1096,1112,1134,1585,1593,1608,1624,1645,1663,2392,2400,2415,2431,2453,2805,2813,2828,2844,2865,2883],"92":[255,265,332,346,363,368,383,403,419,428,449,459,469,475,898,920,938,957,967,981,985,993,1007,1353,1375,1393,1412,1422,1436,1440,1448,1462,1968,1990,2008,2027,2037,2051,2055,2063,2077,2493,2515,2533,2552,2562,2576,2580,2588,2602]},"concaten":{"0":[2828],"2":[709],"88":[643],"89":[590]},"anoth":{"0":[2854,2976],"2":[1843,2675],"6":[695]},"data0022":{"0":[2963],"89":[1590]},"wa":{"0":[2978],"2":[905],"3":[1550,1601,1671,1725,2012,2131,4312,4367,4439,4519,4572,4904],"11":[321,420],"13":[104]},"do":{"1":[5,325],"2":[502,1335,2086],"3":[3090,6180],"4":[854],"5":[505,672,1465],"6":[370],"87":[480],"89":[700,1191],"91":[742],"92":[549,1672]},"standard":{"1":[11,303,516,785,878,965,984,1110],"3":[2,15,297,3700,5982,6758,6898],"4":[132],"11":[328,424],"12":[44,256,270,718,990,1009,1103],"13":[333],"90":[209]},"modifi":{"1":[16,1158],"2":[1826,2190],"3":[287,3985],"4":[1128,1981],"11":[131],"12":[706,978],"37":[9],"65":[9],"88":[106],"90":[197,278],"91":[419],"92":[653,1067]},"ini":{"1":[40,90,191,331,403,532,646,874,1084],"2":[467,471,476,1193,1197,1202],"3":[808,2537,3001,4615,4944,5217,6162,6166,6171,6816,6846,6877],"4":[1073,1160,1659],"5":[33,38,43,47],"6":[89],"11":[209],"13":[32,70,241,293,367,418],"21":[21,40,48,57,71],"89":[399,421,426,431,436,441],"91":[734,758,1319,1324,1330,2126,2131,2533,2538,2544],"92":[390,397,435,442,970,976,1101,1425,1431,1700,1712,1719,2040,2046,2218,2230,2237,2565,2571]},"structur":{"1":[44],"4":[2180],"5":[335],"6":[230],"8":[134,713],"88":[1255]},"central":{"1":[55],"12":[1107]},"call":{"1":[59,827,883,1484,1554,1558],"2":[56,102,122,520,574,1536,1857,2225,2264,2288,2293,2703,2806,2813],"4":[166,248,1060,1105,1164,1674],"5":[631,1333,1468],"6":[329],"12":[1047,1062,1077,1092],"13":[343,391],"79":[15],"80":[15],"81":[15],"82":[15],"87":[919]},"simulatio":{"1":[60]},"accord":{"1":[68],"3":[4602],"11":[345],"12":[328,867],"20":[13],"67":[15],"87":[329],"88":[236]},"ll":{"1":[74],"3":[8],"87":[203]},"through":{"1":[76,1497],"3":[10,1513,1699,4879],"5":[1086],"12":[316,731],"17":[66],"19":[15,43],"53":[12,35]},"ainimax":{"1":[95,650,676,876],"21":[42,85]},"allowdriftingparticl":{"1":[98,653,688],"5":[49],"11":[211],"21":[73],"91":[760,1332,2133,2546]},"erosionmassratio":{"1":[100,655,765],"4":[1075]},"d2gratio":{"1":[103,658,839],"21":[50]},"distexp":{"1":[106,661,847],"21":[59,68]},"excavatedmass":{"1":[109,664,897],"4":[1661]},"fragmentdistribut":{"1":[112,667,937],"4":[1162]},"rhomonom":{"1":[115,670,972],"3":[3003]},"vfrag":{"1":[118,673,1002],"3":[2539],"87":[339,341,350,358,359,367,369,388],"89":[338,438,439]},"mdisk":{"1":[129,542,575,1086],"12":[861],"67":[8,46],"89":[352,433,434],"92":[399,444,978,1433,2048,2573]},"942049353490256e":{"1":[131,544]},"847030424486999e":{"1":[135,548]},"sigmaexp":{"1":[137,550,591],"92":[1103,1702,2220]},"sigmarc":{"1":[140,553,606],"89":[428],"92":[392,437,972,1427,1721,2042,2239,2567]},"nmbpd":{"1":[145,407,424],"2":[1204],"3":[6173],"91":[1326,2540]},"mmin":{"1":[147,409,460],"2":[1195],"3":[6164],"5":[45]},"1e":{"1":[148,410],"4":[796,801,1908,1913],"91":[1117,1629,2436,2849],"92":[454,998,1453,2068,2593]},"mmax":{"1":[150,412,467],"2":[1199],"3":[6168],"5":[40],"89":[443]},"rmin":{"1":[155,417,482],"2":[469]},"rmax":{"1":[158,420,492],"2":[473]},"495978707e":{"1":[160,422]},"988409870698051e":{"1":[166,197],"3":[6831]},"mainli":{"1":[179],"12":[70]},"influenc":{"1":[180,211,225,257],"3":[240,1559,1610,1680,1734,2021,2140,4321,4376,4449,4530,4583,4914],"5":[1359],"6":[546,657,717,922],"11":[21],"87":[51],"91":[564,1984]},"dynam":{"1":[182,214],"4":[284],"8":[454]},"profil":{"1":[188,229,236,261,268,519,598],"2":[2104],"11":[316],"12":[773],"58":[11],"67":[54],"87":[495],"88":[36,75,94,109,125,235,521,799,805,844,864,866,919,940,1029,1328],"89":[157,184,204,683],"90":[290],"92":[129,199,1092,1605,1647,1679,1685,2173,2196]},"timescal":{"1":[215]},"disk":{"1":[218,232,241,264,273,514,578,634,704,716,1065],"2":[1265,1865,2129],"3":[4837,4867,5196,5962],"4":[2183,2212],"6":[23,73],"7":[33,38],"8":[86,136,167,208,241,288,332,376,463,666,711,717,809,845,920],"11":[226],"12":[13,17,778],"58":[16],"67":[48],"87":[23,82,907],"88":[1806],"89":[36,145,279,288,294,341,350],"90":[15,35],"92":[41,115,188,1054]},"passiv":{"1":[239,271],"3":[5960],"12":[776],"58":[14]},"irradi":{"1":[240,272],"3":[5961,5966],"12":[782],"58":[20]},"irradt":{"1":[245,277]},"angl":{"1":[246,278],"3":[5967],"12":[783],"58":[21]},"determin":{"1":[287,929],"3":[2294],"8":[88],"13":[199]},"while":{"1":[296],"3":[7042],"4":[295,638,1763],"88":[79]},"your":{"1":[300,336,1523],"2":[1210],"4":[2101],"5":[1056,1175],"8":[20],"9":[42],"13":[412],"91":[1759],"92":[2681]},"own":{"1":[301,1524],"2":[1211,1834],"86":[32]},"later":{"1":[307,1563],"89":[314]},"under":{"1":[310]},"circumst":{"1":[312]},"meddl":{"1":[313]},"unless":{"1":[318],"5":[1340]},"know":{"1":[320],"2":[68],"4":[136],"88":[1304]},"what":{"1":[322],"5":[1397],"92":[1524,1641]},"alwai":{"1":[327],"2":[1808,2596],"4":[2055,2067],"5":[1393],"13":[410],"92":[2679]},"strickli":{"1":[345]},"algorithm":{"1":[350],"2":[1230],"3":[2278,2385],"4":[1124],"5":[922],"91":[30,54,129]},"produc":{"1":[352,949],"4":[1145],"5":[124],"88":[517,936]},"wrong":{"1":[353],"92":[1526]},"result":{"1":[354,1021],"2":[2126,2506,3253],"4":[320,341,374,437,574,1438,1521,1568,1580,1988,1996,2287],"5":[474],"30":[86],"87":[891],"88":[1778],"89":[1708],"91":[299,466],"92":[140]},"attentian":{"1":[355]},"chang":{"1":[358,1048,1106,1181,1238],"2":[12,2088,2102,2869,3267],"3":[626,1552,1603,1673,1727,2014,2133,4314,4369,4441,4521,4574,4906,6125],"4":[246,1432,2134,2254],"5":[1416,1499],"6":[535],"9":[38],"11":[8,312,414,529],"30":[81],"87":[72,414,507],"88":[48,57,1821],"89":[313,680,991,1195,1223],"90":[171,175,178,241],"92":[676,1081,1563,1573,1631,1664,1676,1682,1688,2205]},"ani":{"1":[363],"3":[1553,5922],"4":[541,951,961,1381,2208],"92":[131]},"reason":{"1":[364],"2":[1218],"3":[2285],"4":[299],"87":[913],"91":[1228],"92":[2134,2699]},"dure":{"1":[365]},"re":{"1":[371],"2":[1225],"4":[504],"92":[525]},"note":{"1":[380],"2":[202,819,1776,2453],"3":[3788,6021,7998],"4":[92,834,1533],"5":[780],"6":[634],"8":[30],"9":[47],"13":[355],"16":[25],"21":[38],"30":[61],"38":[52],"66":[45],"85":[38],"87":[189,477,903],"89":[401],"91":[217]},"veri":{"1":[386],"3":[2345,2364],"5":[790],"8":[581,720]},"sensit":{"1":[387]},"finer":{"1":[393]},"slow":{"1":[396]},"down":{"1":[397],"87":[945]},"drastic":{"1":[400]},"decad":{"1":[431,1131,1151],"3":[6948],"91":[1310]},"least":{"1":[437]},"drążkowska":{"1":[440],"4":[391],"8":[431,509,776,891,931,972],"91":[1772]},"impact":{"1":[449],"8":[319,421,452]},"accuraci":{"1":[452]},"comput":{"1":[455],"4":[112,442],"5":[819,875,1351],"12":[74],"91":[1750]},"cost":{"1":[456],"5":[1350],"91":[1745]},"minimum":{"1":[461],"4":[407],"88":[330]},"locat":{"1":[483,493],"2":[451,509,540,569,624,741,951,956,1001,1371,1853,1862,1890,1959,1975,2054,2068,2096,2211,2569,2637,2718,2769,3315,3403],"3":[3648,6131,6725],"4":[2209],"87":[20],"88":[189,265,563],"89":[195,358,505],"92":[94]},"au":{"1":[491,501,616],"2":[761,769,984,1006,1405,1415,1755,1765,2058,2064,2072,3333,3342,3404],"12":[150],"87":[281,294,300,306,441,454,460,466],"88":[394,418,440,461,472,487,663,670,677,706,732,966,976,982,997,1013],"89":[349,363,370,630,1817,1829,1843,1856,1862,1875],"92":[364,384,429,470,476,489,899,968,1033,1354,1423,1488,1969,2038,2103,2494,2563,2628]},"defin":{"1":[507,627,831],"3":[719,6107,6117],"4":[29,44,2147],"12":[43,134],"89":[304,978],"91":[809],"92":[109,664]},"self":{"1":[522],"12":[869],"67":[17],"88":[114],"92":[69,152,1544]},"similar":{"1":[523],"3":[784],"4":[1206],"12":[870],"67":[18],"87":[88],"88":[570],"89":[250],"92":[70,153,1545]},"solut":{"1":[524],"2":[2614,2676],"12":[871],"67":[19],"90":[274],"91":[9,113,132,171,216,248,329,338,381,505,725,1226,1726,1786,1795,1807,1852,2953,2987],"92":[15,17,23,71,154,317,518,889,1066,1523,1546,2120,2685]},"lynden":{"1":[526,602,618],"12":[873],"67":[21],"92":[27,156]},"bell":{"1":[527,603,619],"12":[874],"67":[22],"92":[28,157]},"pringl":{"1":[528,604,620],"12":[875],"67":[23],"92":[29,158]},"shakura":{"1":[563],"3":[4603]},"sunyaev":{"1":[564],"3":[4604]},"heat":{"1":[569],"3":[4933],"8":[47]},"capac":{"1":[570]},"init":{"1":[576,848],"11":[201]},"power":{"1":[592],"3":[673,686,4032,4045,4077],"67":[43],"84":[151,164],"90":[280],"92":[168,208,1069,1084,2212,2706,2717,2780,2795]},"law":{"1":[593],"3":[674,687,4033,4046,4078],"67":[44],"84":[152,165],"90":[281],"92":[169,209,1070,1085,2213,2707]},"expon":{"1":[594],"3":[690,4049],"4":[1392],"67":[45],"84":[168]},"critic":{"1":[607],"67":[38],"89":[63,273,340,375],"92":[178]},"cut":{"1":[608],"89":[274,342]},"off":{"1":[609,816,921,936],"3":[4484],"4":[1049],"5":[734,741,822,829,997,1001,1094,1098,1123,1130,1242,1404],"6":[556,569,598,791,796,822,827,836],"89":[275,343],"90":[238,252],"91":[546,559,580,595,1222,1966,1979,2000,2015],"92":[520,547,1512]},"collision":{"1":[638],"2":[1340],"4":[6,160],"8":[368],"87":[53]},"behavior":{"1":[639],"2":[1341,1738,3311],"3":[721],"4":[161],"9":[80],"16":[45],"87":[54]},"µm":{"1":[687]},"remov":{"1":[697,764],"4":[61,555,708,915],"5":[1220,1257],"6":[846,897],"11":[221,281,296],"89":[939],"91":[550,746,1970],"92":[552]},"inward":{"1":[706]},"rapidli":{"1":[708],"87":[936]},"increas":{"1":[710],"4":[1427,1429],"8":[284],"89":[168,208,230,271,281,291,406,456],"91":[1291,2524]},"low":{"1":[722],"2":[596],"8":[213,582,721],"91":[461,1736]},"even":{"1":[725],"2":[581],"5":[808,1384],"91":[2515],"92":[1513]},"small":{"1":[727,1491],"3":[2346,2365],"4":[472]},"caus":{"1":[735,745],"3":[2308,2332,2378,2399,2433,2471],"5":[1037,1445],"11":[84]},"them":{"1":[736],"2":[92],"3":[26,782],"5":[1190],"87":[205],"88":[548,1825],"89":[944,950],"91":[1256]},"alreadi":{"1":[739,1190,1208],"2":[1602,2823],"3":[8216],"4":[1408],"21":[114],"88":[1047],"89":[1204],"92":[663]},"begin":{"1":[742],"4":[2234],"88":[1315],"91":[193]},"visibl":{"1":[747],"88":[1895]},"wave":{"1":[749],"21":[107]},"collid":{"1":[771,793],"3":[2920,2929,2947],"4":[57,68,257,421,551,582,877,984],"11":[468,491],"91":[91,1242]},"below":{"1":[774,1041],"2":[1269],"3":[3613,3651,5924],"87":[28,116]},"both":{"1":[777,804],"2":[566],"4":[84,1026,1082,1595,2053,2118],"5":[837,939],"91":[1274],"92":[1612]},"fulli":{"1":[779,805,813],"4":[1028,1084]},"three":{"1":[787],"4":[137,586,881],"5":[9],"6":[260],"88":[22],"91":[11]},"thing":{"1":[788]},"happen":{"1":[790],"4":[470,502],"5":[489],"85":[54],"92":[1642]},"when":{"1":[791,1483,1557],"2":[55,1535,1568],"3":[1532,1582,1652,1706,1993,2112],"4":[165,272,1939],"5":[685],"6":[383,523],"11":[338],"91":[70]},"togeth":{"1":[797]},"form":{"1":[798],"4":[259,986],"91":[93]},"larger":{"1":[800,821,901,925],"3":[2371],"4":[262,367,449,484,1035,1054,1450,1501,1642,1703,1720],"5":[585],"87":[932],"89":[237],"91":[480,1268]},"partner":{"1":[811,823,1039],"4":[1452,1467,1597,1644,1651,1819],"91":[1276]},"chip":{"1":[815,920,935],"4":[1048]},"latter":{"1":[825],"4":[640,1057]},"threshold":{"1":[833],"4":[1063],"89":[64,72]},"so":{"1":[882],"2":[503,1805,1856,2570],"3":[2953,3225],"11":[503],"12":[140],"87":[918,946],"88":[1308]},"mrn":{"1":[884]},"interstellar":{"1":[887]},"grain":{"1":[888],"8":[203,283],"87":[105,123,134]},"mathi":{"1":[893]},"excav":{"1":[898],"4":[1639]},"event":{"1":[915],"4":[1701,1813,1995]},"much":{"1":[931]},"whenev":{"1":[945],"5":[625],"6":[323]},"dohnanyi":{"1":[970],"4":[1174]},"monom":{"1":[973]},"bulk":{"1":[974,999],"11":[253]},"uniti":{"1":[994],"89":[69]},"share":{"1":[996]},"exce":{"1":[1016],"4":[1007],"89":[61]},"depend":{"1":[1031],"2":[1259,1786,2714],"3":[525,3569],"5":[443,1170],"6":[721],"12":[1023],"77":[11],"87":[55,76,402],"91":[1757]},"lead":{"1":[1045],"3":[4091],"91":[453,1278],"92":[1693]},"massiv":{"1":[1064],"8":[498],"91":[2974]},"m_sun":{"1":[1090],"12":[171],"88":[427],"89":[356]},"describ":{"1":[1098],"3":[237,262,280,1982,2723,2877,4859],"4":[1114],"5":[1316],"6":[788,841],"9":[36,54,75],"30":[29,79],"87":[213,224],"89":[40,216,476,671],"91":[2961],"92":[1584]},"section":{"1":[1102],"2":[1665],"3":[2872],"12":[192]},"start":{"1":[1118],"2":[1869,2879],"3":[6924],"4":[1940],"13":[95],"87":[525],"88":[1048,1104,1148,1412],"91":[437,496]},"logspac":{"1":[1172],"2":[753,2857],"88":[435,658],"89":[625,662],"91":[800,2146,2559],"92":[339]},"num":{"1":[1175],"2":[562,579,608,631,648,660,663,673,689,717,718,756,770,2860],"88":[584,594,597,607,623],"89":[489,512,529,541,544,554,570,598,599],"92":[342]},"base":{"1":[1177],"2":[758,2862],"13":[6],"37":[7],"65":[7],"84":[13],"90":[89],"92":[344]},"protect":{"1":[1189]},"exist":{"1":[1191,1209,1232],"2":[549,1600,1827],"3":[8217],"5":[471],"87":[199],"92":[688]},"ran":{"1":[1196]},"would":{"1":[1202],"2":[1607,1799],"4":[1520,1541],"5":[473],"6":[655,697,715],"87":[505],"88":[399],"89":[266]},"rais":{"1":[1204]},"becaus":{"1":[1205],"2":[2082,2665],"5":[457,495],"13":[401]},"chapter":{"1":[1219,1564],"2":[25,449,2828],"3":[6,731,1988,3591,4100],"5":[423,717],"88":[578],"92":[5]},"could":{"1":[1221,1237],"2":[2739],"5":[782,1358],"11":[67],"88":[1046],"89":[25]},"datadir":{"1":[1248],"2":[2888],"87":[531],"88":[1418],"89":[1235],"91":[816,1350,2157,2570],"92":[694,1175,1790,2315]},"2_data":{"1":[1249,1364,1367,1373,1378,1384,1389,1395,1400,1406,1411,1417,1422,1428,1433,1439]},"limit":{"1":[1508],"3":[2806,2971],"5":[436,1068,1069],"11":[524],"14":[119],"15":[118]},"machin":{"1":[1511],"4":[825,1937],"8":[560]},"precis":{"1":[1512],"4":[432,826,1938]},"everyth":{"1":[1513],"2":[1463]},"than":{"1":[1515],"2":[926,1296,1992],"3":[2372],"4":[293,368,426,1036,1092,2121],"5":[481],"25":[23],"85":[66],"87":[159],"91":[481,1269]},"still":{"1":[1518],"2":[1689,2197],"3":[2369],"4":[296],"5":[801,1331,1373],"6":[656,905,921],"88":[80],"92":[1577]},"accept":{"1":[1519],"92":[2695]},"compat":{"1":[1530],"11":[145]},"ignor":{"1":[1541],"4":[949]},"checkmassconserv":{"1":[1550],"13":[170,251,303]},"advanc":{"2":[1],"90":[183]},"core":{"2":[4],"8":[500],"88":[1796]},"principl":{"2":[5],"5":[1390]},"anyth":{"2":[13],"3":[4442,4522,4575,4907]},"shown":{"2":[21],"5":[420]},"physic":{"2":[29,1244,2141],"3":[3635,3661],"5":[1361],"8":[564,593],"90":[190]},"behind":{"2":[30,1292],"92":[2736]},"situat":{"2":[63],"91":[2522,2940]},"need":{"2":[66,89,2098,2639,2669,2674],"3":[707,2204,4066],"4":[279,2251],"5":[624,1050,1189,1311,1510],"6":[267,322],"10":[11],"12":[442],"13":[406],"30":[12],"66":[48],"84":[185],"88":[198,507,1302],"89":[702,1193],"91":[323,713,1753],"92":[563,1662,2203]},"befor":{"2":[72,519,1560,2243,2632,2704],"4":[1104,1163,1673],"5":[1514],"9":[5],"11":[216],"12":[1078,1093],"13":[390],"81":[16],"82":[16],"88":[1294],"89":[388,1211]},"complet":{"2":[73,496],"13":[91]},"case":{"2":[99,1797],"4":[600,913,952,1017,1058,1067,1139],"5":[456,460,815,1216,1223,1314,1436,1453],"11":[513],"91":[13,165,263,1717,2506],"92":[2765]},"makegrid":{"2":[104,118,149,480,523,845,1036],"13":[40,189,270,345,347,393]},"without":{"2":[110],"3":[2934],"5":[1237],"6":[505]},"fact":{"2":[116,1450],"92":[2660]},"within":{"2":[123,2121],"4":[648],"5":[1327],"12":[65],"92":[2156,2712]},"been":{"2":[209],"3":[7158,7856],"11":[69,82,130,238,259,295,405],"87":[41],"90":[60]},"point":{"2":[213],"3":[5923],"4":[434],"87":[248]},"regular":{"2":[224,724]},"adjac":{"2":[231],"4":[351,1744]},"explain":{"2":[445,2824,3308],"3":[17],"89":[26]},"refin":{"2":[534,583,612,630,638,644,736,945],"88":[556],"89":[446,471,493,511,519,525,603],"90":[300]},"helper":{"2":[544],"12":[59]},"doubl":{"2":[553],"4":[431],"11":[507]},"region":{"2":[561,598]},"side":{"2":[567],"4":[380],"5":[635],"6":[333]},"around":{"2":[568,625,742],"4":[289,2014],"8":[580,718],"89":[460,506]},"r0":{"2":[570,607,621,655,716],"88":[583,589],"89":[360,488,502,536,597,636,719]},"recurs":{"2":[573]},"reduc":{"2":[578],"3":[2899],"4":[979],"11":[367,432,485,544],"89":[256]},"smooth":{"2":[590],"4":[2008],"89":[144]},"transit":{"2":[591],"4":[2009],"8":[665,716],"40":[16]},"high":{"2":[594],"4":[283,1530],"8":[660],"89":[132,414],"91":[1715]},"resolut":{"2":[597],"89":[459],"91":[253,1288,1716,1737,1756,2527,2938]},"def":{"2":[604,1478,2007,2143,2772],"87":[338],"88":[224,580,836,1083,1184,1202],"89":[485,841,959,1070],"91":[270,331,510,1800,1928],"92":[142]},"refinegrid":{"2":[605,714,764],"88":[581,665,672],"89":[486,595,634]},"float":{"2":[622],"3":[699,4058],"4":[433],"31":[29],"32":[26],"38":[31],"61":[29],"67":[27,31,37,42,47,57,61],"78":[41],"84":[177],"85":[24],"88":[247,254,260,267,1097,1101,1109,1117,1122],"89":[503],"91":[361,368,372,536,540,1832,1839,1843,1956,1960],"92":[176,186,191]},"int":{"2":[632,690],"14":[71,86,101],"15":[70,85,100],"88":[624],"89":[513,571]},"iter":{"2":[639],"89":[520]},"new":{"2":[643,777,1582,1898],"3":[1546,1597,1667,1721,2008,2127,3806,4308,4363,4435,4515,4568,4900,6039,7150,7848],"4":[261,317,988,1716],"6":[525],"9":[32,70,97,115],"13":[138,151,163],"37":[47],"65":[47],"88":[542],"89":[524,688,733,1157],"92":[2783]},"ind":{"2":[652,659,662,688],"88":[586,593,596,622],"89":[533,540,543,569]},"argmin":{"2":[654],"88":[588],"89":[535]},"indl":{"2":[658,667],"88":[592,601],"89":[539,548]},"indr":{"2":[661,670],"88":[595,604],"89":[542,551]},"ril":{"2":[665,710],"88":[599,644],"89":[546,591]},"rir":{"2":[668,712],"88":[602,646],"89":[549,593]},"rim":{"2":[676,693,697,711],"88":[610,627,631,645],"89":[557,574,578,592]},"rang":{"2":[683],"4":[285],"88":[617],"89":[564],"91":[1091,1603,2410,2823],"92":[414,949,1404,2019,2544]},"j":{"2":[687,696,703,705],"3":[1794,1810,1817],"4":[661,665,679,696,771,777,786,844,850,860,867,890,891,904,905,995,1486,1508,1556,1576,1607,1612,1680,1687,1692,1828,1838,1850,1862,1872],"5":[339],"6":[234],"8":[143,397,554],"30":[77,93],"88":[621,630,637,639],"89":[568,577,584,586]},"feed":{"2":[728]},"ndarrai":{"2":[818,827]},"suffici":{"2":[822],"88":[87]},"automat":{"2":[906,1032],"3":[5932],"5":[1503],"92":[2184]},"other":{"2":[914,1784,2712],"3":[2923,2932,2950,4088],"4":[70,1038],"5":[865,1183,1306,1356,1597],"6":[551,718],"11":[474,494],"92":[1558]},"greater":{"2":[925],"85":[65]},"ad":{"2":[930,1819,2574],"4":[49,360,1791],"11":[322,421],"88":[41,525],"89":[121,668,728,905],"90":[194,291,304,306,308]},"actual":{"2":[944,1551,1562,2220,2708],"4":[370],"88":[1820],"92":[2739,2761]},"matplotlib":{"2":[964],"5":[148],"6":[139],"11":[96],"87":[262,422],"88":[443],"89":[1793],"91":[1047],"92":[304]},"pyplot":{"2":[965],"5":[149],"6":[140],"87":[263,423],"88":[444],"89":[1794],"91":[1048],"92":[305]},"plt":{"2":[967,970,1009,1391,1424,1741,1774,3345,3407],"5":[151,158,342],"6":[142,149,237],"87":[265,267,315,425,427,475],"88":[446,449,500,952,1022,1853,1910],"89":[1796,1798,1948],"91":[1050,1053,1204,1565,1711,2372,2502,2785,2932],"92":[307,350,498,924,1042,1379,1497,1994,2112,2519,2637]},"fig":{"2":[969,975,1007,1390,1396,1422,1740,1746,1772,3344,3350,3405],"5":[157,163,340],"6":[148,154,235],"87":[266,272,313,426,432,473],"88":[448,454,498,951,957,1020,1852,1858,1908],"89":[1797,1808,1885,1946],"91":[1052,1058,1202,1564,1570,1709,2371,2377,2500,2784,2790,2930],"92":[349,355,496,923,929,1040,1378,1384,1495,1993,1999,2110,2518,2524,2635]},"figur":{"2":[971,1392,1742,3346],"5":[159],"6":[150],"87":[268,428],"88":[450,953,1854],"89":[1799],"91":[1054,1566,2373,2786],"92":[351,925,1380,1995,2520]},"dpi":{"2":[972,1393,1743,3347],"5":[160],"6":[151],"87":[269,429],"88":[451,954,1855],"89":[1805],"91":[1055,1567,2374,2787],"92":[352,926,1381,1996,2521]},"ax":{"2":[974,978,985,993,999,1395,1399,1410,1416,1745,1749,1760,1766,3349,3353,3357,3370,3384,3390,3396,3400],"5":[162,166,180,216,252,288,324,328,332],"6":[153,157,171,195,219,223,227],"87":[271,275,287,301,307,431,435,447,461,467],"88":[453,457,468,478,482,488,956,960,969,983,991,1008,1014,1857,1861,1871,1881,1883,1893,1897,1902],"91":[1057,1061,1077,1100,1121,1136,1158,1162,1170,1177,1181,1191,1569,1573,1589,1612,1633,1650,1665,1669,1677,1684,1688,1698,2376,2380,2396,2419,2440,2455,2459,2467,2474,2478,2488,2789,2793,2809,2832,2853,2870,2885,2889,2897,2904,2908,2918],"92":[354,358,378,423,461,463,477,484,490,928,932,960,987,1003,1011,1013,1021,1028,1034,1383,1387,1415,1442,1458,1466,1468,1476,1483,1489,1998,2002,2030,2057,2073,2081,2083,2091,2098,2104,2523,2527,2555,2582,2598,2606,2608,2616,2623,2629]},"add_subplot":{"2":[976,1397,1747,3351],"5":[164],"6":[155],"87":[273,433],"88":[455,958,1859],"89":[1809,1886],"91":[1059,1571,2378,2791],"92":[356,930,1385,2000,2525]},"semilog":{"2":[979]},"axhlin":{"2":[986]},"lw":{"2":[991,3363,3377],"5":[285,321],"88":[476,1003],"91":[1071,1110,1132,1154,1583,1622,1643,1661,2390,2429,2451,2803,2842,2863,2881],"92":[370,401,447,983,1438,2053,2578]},"set_xlabel":{"2":[994,1411,1761,3397],"87":[302,462],"88":[483,1009,1898],"89":[1871,1936],"91":[1178,1685,2475,2905],"92":[485,1029,1484,2099,2624]},"set_ylabel":{"2":[1000,1417,1767,3401],"87":[308,468],"88":[489,1015,1903],"89":[1877,1941],"91":[1182,1689,2479,2909],"92":[491,1035,1490,2105,2630]},"tight_layout":{"2":[1008,1423,1773,3406],"5":[341],"6":[236],"87":[314,474],"88":[499,1021,1909],"89":[1947],"91":[1203,1710,2501,2931],"92":[497,1041,1496,2111,2636]},"posit":{"2":[1012,3298],"4":[86,561,594,644,690],"30":[122],"38":[38],"66":[29]},"never":{"2":[1171],"5":[795]},"manual":{"2":[1176],"3":[6184]},"awar":{"2":[1220]},"well":{"2":[1232],"6":[725],"90":[49]},"shall":{"2":[1285],"88":[819]},"idea":{"2":[1291],"9":[94]},"approach":{"2":[1294]},"coat":{"2":[1298]},"water":{"2":[1300,1333,1867],"87":[118,131,160,927,940,955]},"ic":{"2":[1301,1334,1868],"8":[63],"87":[1,11,17,418,928,941,956],"90":[284]},"stickier":{"2":[1303]},"silic":{"2":[1306],"87":[104]},"widthstand":{"2":[1310]},"higher":{"2":[1311],"91":[1755,2936]},"pinilla":{"2":[1317],"8":[96,139,343,468,588,629,678,726,810],"87":[90]},"howev":{"2":[1321,2611,2638],"4":[1130],"5":[798],"6":[484,716],"87":[188],"91":[450],"92":[1507,2121]},"keep":{"2":[1322,1459],"5":[1318,1394]},"mind":{"2":[1324,1461],"5":[1320,1396]},"newer":{"2":[1326],"12":[1143],"85":[16]},"experi":{"2":[1327]},"suggest":{"2":[1328],"4":[1513],"9":[109],"12":[1034],"78":[11,30]},"cover":{"2":[1331],"4":[281]},"benefici":{"2":[1339],"8":[769]},"musiolik":{"2":[1345],"87":[191]},"wurm":{"2":[1346],"87":[192]},"first":{"2":[1348,1872,1984,2123,2678],"3":[2917,2940,3590,5589,7122,7820],"4":[34,276,628],"5":[511,530,555,659],"6":[243,357,486,758],"8":[575],"11":[488],"13":[346],"16":[30],"30":[130],"87":[67],"89":[302],"91":[483]},"everi":{"2":[1370,2689,2799],"3":[1519,1633,2671,3193],"4":[971,1961,1966,2203],"5":[806],"6":[909],"11":[462,470],"12":[1049,1064,1079,1094],"79":[17],"80":[17],"81":[17],"82":[17],"87":[517]},"right":{"2":[1384,2073],"5":[633],"6":[331],"88":[496,1043],"91":[1188,1200,1695,1707,2485,2497,2915,2927]},"semilogx":{"2":[1400,1750,3354],"87":[276,436],"88":[458,961]},"distanc":{"2":[1412,1762],"67":[33],"87":[303,463],"88":[289,484,1010],"89":[1872],"92":[486,1030,1485,2100,2625]},"input":{"2":[1438],"10":[12]},"desir":{"2":[1443,1737],"4":[1382],"88":[34,519,803],"89":[394],"91":[301,383,1854],"92":[659]},"v_frag":{"2":[1479,1523,1640]},"updat":{"2":[1498,1522,1525,1538,1552,1563,1576,1596,1601,1626,1638,1639,1674,1680,1704,1709,1716,1720,1729,1792,1811,1818,2028,2037,2038,2041,2048,2178,2187,2188,2192,2208,2221,2227,2229,2249,2262,2290,2296,2299,2302,2306,2311,2456,2461,2472,2481,2536,2558,2561,2582,2590,2625,2631,2648,2656,2668,2683,2687,2690,2709,2722,2736,2749,2755,2766,2778,2790,2795,2804,2810],"3":[3689,3692,5971,5974,6747,6750,6887,6890],"5":[760,778,855,862,881,887,893,898,1015,1026,1111,1120,1159,1168,1181,1240,1323,1339,1342,1410,1501,1513,1517,1526,1545,1551,1558,1565,1571,1579,1588],"6":[633,668,713,808,819],"11":[89,329,425],"13":[100,103,110,114,133,145,219,224],"87":[392,398,409,487,514],"88":[1228,1238,1239,1245,1246,1254,1263,1268,1272,1285,1311,1318,1341,1346,1347,1359,1363],"89":[706,817,836,856,857,864,872,888,896,899,952,1031,1032,1217,1232],"90":[199],"91":[577,592,610,621,634,691,696,1997,2012,2030,2041,2063,2115,2120],"92":[559,574,585,596,607,612,615,1119,1130,1141,1152,1157,1160,1734,1745,1756,1767,1772,1775,2252,2263,2274,2285,2290,2293]},"process":{"2":[1508]},"store":{"2":[1530],"3":[610,1882],"4":[170,612,642,1475,1563,2021,2201,2221,2289],"5":[20,590,642,727],"6":[340],"30":[113,133],"38":[70],"42":[14],"71":[13]},"heatbeat":{"2":[1533]},"heartbeat":{"2":[1541,1583],"13":[111]},"consist":{"2":[1546],"3":[45,249],"5":[7,913],"88":[115,1355]},"systol":{"2":[1549,1557,1590,1604,1629,1642,1667,1675,2592,2608,2693],"90":[201]},"diastol":{"2":[1555,1566,1592,1605,1630,1643,1669,1681,2594,2610,2696,2732,2744,2762,2773,2785,2796,2797],"90":[203]},"afterward":{"2":[1567]},"those":{"2":[1606],"4":[238,646],"5":[1208],"88":[812]},"overwritten":{"2":[1609,2598],"6":[778]},"prevent":{"2":[1615],"3":[8213],"4":[499],"11":[163],"21":[104],"92":[2675]},"leav":{"2":[1627],"91":[486]},"command":{"2":[1650]},"old":{"2":[1692]},"tell":{"2":[1701],"8":[34],"88":[1279]},"itself":{"2":[1705]},"whole":{"2":[1711,1813,2661],"5":[1254],"87":[394]},"probabilit":{"2":[1804]},"better":{"2":[1809]},"rsnow":{"2":[1845,1886,1956,2008,2036,2039,2047,2062,2584,2607,2777,2809,3334,3340,3356]},"give":{"2":[1850],"8":[27]},"snowlin":{"2":[1858,1889,1958,1978,2031,2052,2066,2095,2210,2568,2636,2717,2768,3286,3314,3402]},"sublim":{"2":[1871],"8":[60]},"addfield":{"2":[1885],"13":[130],"88":[701,715,727,741],"89":[768,778]},"member":{"2":[1899]},"next":{"2":[1963]},"step":{"2":[1964,2240,2496,2548],"3":[3799,5944,6032,8159],"5":[677,699],"6":[375,397,508,522,911],"8":[576],"9":[82],"12":[457,469,496,503,546,568,814,844,913,938,1051,1066,1081,1096],"31":[11,26],"32":[12,23],"35":[10],"36":[11],"42":[12],"44":[18],"61":[11,26],"64":[11],"66":[53],"71":[11],"73":[18],"78":[22,31,43],"79":[19],"80":[19],"81":[19],"82":[19],"87":[519],"89":[1198],"91":[567,1987]},"isnow":{"2":[2010,2021]},"argmax":{"2":[2012]},"print":{"2":[2050],"4":[792,1904],"12":[1136],"13":[177,258,311],"85":[9],"88":[1398]},"2f":{"2":[2057],"88":[1379,1383]},"throughout":{"2":[2079],"91":[489]},"achiev":{"2":[2106],"5":[1401],"6":[623],"88":[25],"89":[254]},"let":{"2":[2109],"4":[650],"88":[1058],"89":[644]},"decreas":{"2":[2113,2128]},"purpos":{"2":[2136],"87":[210]},"necessarili":{"2":[2140],"5":[683],"6":[381],"92":[2710]},"rstar":{"2":[2144,2189]},"dr":{"2":[2146,2156]},"r_sun":{"2":[2149,2164,2170],"12":[184]},"dt":{"2":[2150,2157],"12":[451,808,1017],"31":[0,4,23],"32":[20],"61":[0,4,23],"77":[0,4],"78":[40]},"e4":{"2":[2152,3389],"89":[1869],"92":[483,1027,1482,2097,2622]},"order":{"2":[2193,2267,2309,2626],"3":[3690,3693,5590,5972,5975,6748,6751,6888,6891,7105,7112,7123,7821],"4":[428,823],"5":[63,75,82,1274,1281,1299,1494,1502,1518],"6":[866,873,891],"11":[113],"13":[101],"87":[68],"89":[68,1117,1132,1173,1180,1187],"90":[200],"92":[625,632,650]},"done":{"2":[2199],"4":[2267],"88":[1293],"92":[2803]},"yet":{"2":[2200,2216],"29":[18],"59":[17]},"instruct":{"2":[2205],"3":[7079,7099,7101,7108],"5":[69,71,78,1260,1263,1268,1270,1277,1288,1293,1295],"6":[501,849,855,860,862,869,880,885,887,900],"13":[115],"89":[1095,1107,1122,1138,1141,1149,1158,1167,1169,1176,1183],"91":[552,556,1972,1976],"92":[555,619,621,628,639,644,646,1165,1780,2298]},"told":{"2":[2217]},"regularili":{"2":[2223]},"onc":{"2":[2234],"3":[6114,7148,7846],"4":[2231]},"timestep":{"2":[2236],"3":[7019],"5":[807],"12":[1022,1036],"77":[10],"78":[13],"91":[796]},"after":{"2":[2237,2649,2662,2706],"3":[1544,1595,1665,1719,2006,2125,4306,4361,4433,4513,4566,4898],"4":[247,1722],"6":[519],"12":[564,934,1048,1063],"44":[14],"73":[14],"79":[16],"80":[16],"85":[32,50],"87":[937],"88":[1163],"92":[1654,2766]},"list":{"2":[2257,2578,2588],"6":[856],"8":[2,9,24],"11":[6],"13":[107],"90":[316]},"whose":{"2":[2261]},"main":{"2":[2270,2735],"12":[105,1013],"13":[9],"88":[1281]},"updateord":{"2":[2277,2324,2333,2339,2358,2366,2373,2393,2401,2410,2419,2427,2435,2445,2604],"3":[3708,3728,3736,3745,3754,3762,3770,3780,5990,6009,6017,6766,6906],"13":[99]},"sub":{"2":[2314],"3":[4863]},"final":{"2":[2495,2547],"3":[3798,6031],"12":[494,500,838,841,1043,1058],"35":[8],"36":[8],"64":[0,4,8],"79":[11],"80":[11],"88":[1065,1123,1161],"92":[1500]},"deriv":{"2":[2503],"12":[387],"26":[12,35],"89":[1061],"91":[135]},"implicit":{"2":[2509,2543],"3":[1534,1584,1654,1708,1995,2114,3802,5587,6035,7103,7110,7121,7819],"5":[61,73,80,86,601,1272,1279,1297,1643,1660],"6":[9,97,299,864,871,889],"12":[501,513,543,566,709,936,981],"13":[447,464],"36":[9],"37":[12],"38":[17],"42":[9],"44":[16],"53":[22],"65":[12],"73":[16],"89":[1171,1178],"92":[623,630,648]},"concept":{"2":[2617]},"problem":{"2":[2618],"91":[1768,2513],"92":[1528,1660]},"previous":{"2":[2627]},"cannot":{"2":[2655],"6":[554],"13":[395]},"revert":{"2":[2680]},"respect":{"2":[2705],"3":[265,3615],"4":[755,2283],"10":[29],"88":[1231]},"end":{"2":[2726,2816],"3":[5940,8154],"88":[1112],"91":[463,1214]},"put":{"2":[2728]},"requir":{"2":[2753],"5":[1415],"6":[257,282,296,926],"87":[512],"89":[131],"90":[79]},"separ":{"2":[2770],"3":[730,1636,1987],"5":[929],"11":[451]},"avoid":{"2":[2874],"3":[1649],"11":[506],"16":[43],"91":[493]},"modif":{"2":[2884,3256],"88":[216]},"3_data":{"2":[2889,2997,3000,3006,3011,3017,3022,3028,3033,3039,3044,3050,3055,3061,3066,3072,3077,3083,3088,3094,3099,3105,3110,3116,3121,3127,3132,3138,3143,3149,3154,3160,3165,3171,3176,3182,3187,3193,3198,3204,3209,3215,3220,3226,3231,3237]},"obviou":{"2":[3273]},"discret":{"2":[3310],"92":[320]},"hline":{"2":[3358],"5":[181,253],"6":[172]},"e3":{"2":[3361,3387],"91":[1146,1176,1683,2473,2903]},"1e4":{"2":[3362]},"color":{"2":[3365,3379],"5":[211,247,280,316],"6":[190,214],"88":[1006]},"vline":{"2":[3371],"5":[217,289],"6":[196],"88":[992]},"set_xlim":{"2":[3385],"87":[288,448],"88":[479,970,1884],"89":[1850,1919],"91":[1163,1670,2460,2890],"92":[464,1014,1469,2084,2609]},"set_ylim":{"2":[3391],"88":[984],"89":[1864,1929],"91":[1171,1678,2468,2898],"92":[478,1022,1477,2092,2617]},"yr":{"2":[3399],"89":[1939],"92":[410,455,945,999,1400,1454,2015,2069,2540,2594]},"four":{"3":[47],"4":[536,632],"30":[102],"92":[319]},"two":{"3":[251,2283,7077],"4":[255,270,337,350,420,546,560,565,577,593,657,874,916,982,1016,1066,1743,2178],"5":[450,467],"8":[178],"11":[450],"16":[33],"88":[534,813],"91":[472,727,1241,1247]},"excert":{"3":[270]},"mechan":{"3":[278],"4":[527],"5":[1047]},"gárate":{"3":[282,552],"8":[92,137,336,466,671,887,1015]},"everywher":{"3":[306]},"activ":{"3":[312]},"type":{"3":[528,664,4023],"11":[551],"16":[23],"17":[72],"19":[46],"20":[30],"21":[36],"22":[40],"23":[40],"24":[43],"25":[43],"26":[40],"27":[32],"28":[31],"30":[59],"31":[28],"32":[25],"34":[31],"38":[49],"39":[25],"40":[32],"41":[33],"43":[25],"45":[44],"46":[27],"47":[28],"48":[37],"49":[28],"50":[35],"51":[36],"52":[28],"53":[40],"54":[25],"55":[24],"56":[25],"57":[27],"58":[36],"61":[28],"63":[27],"66":[43],"67":[56],"68":[26],"69":[28],"70":[26],"72":[28],"74":[26],"75":[27],"76":[23],"83":[26],"84":[27,64,102,142]},"appendix":{"3":[549],"4":[2188],"7":[0],"8":[0],"9":[0],"10":[0],"11":[0],"90":[311,314,319,329,333]},"setcondit":{"3":[628,635,639,645,3987,3994,3998,4004],"84":[52,90,129],"92":[2305]},"help":{"3":[630,636,3989,3995],"5":[1606,1609]},"method":{"3":[638,649,3997,4008],"4":[1113],"5":[65,132,1474,1482,1611,1620,1623,1644],"7":[62],"13":[129,213,249,285,301,429,448],"30":[28],"37":[36,43],"65":[36,43],"84":[45,82,120],"87":[212],"89":[38,469,1134,1189]},"util":{"3":[643,652,4002,4011],"12":[56,1120,1124],"84":[3],"85":[2],"90":[388]},"string":{"3":[663,4022],"5":[1636,1645],"13":[109,440,449],"14":[35,50,55],"15":[34,49,54],"84":[141]},"conditon":{"3":[667,4026],"84":[145]},"const_grad":{"3":[668,4027],"11":[182],"84":[146],"92":[2807]},"const_pow":{"3":[671,4030],"11":[184],"84":[149],"92":[2306,2734,2815]},"const_val":{"3":[675,4034],"11":[181],"84":[153]},"val":{"3":[678,4037],"11":[174],"84":[156],"92":[2744]},"grad":{"3":[681,4040],"11":[175],"84":[159]},"pow":{"3":[684,4043],"11":[177],"84":[162]},"don":{"3":[692,4051],"5":[1187],"84":[170]},"impos":{"3":[694,4053],"84":[172],"88":[121,510,801]},"growth":{"3":[724],"4":[482],"8":[370,772],"14":[118],"15":[117],"88":[1106,1114],"90":[52],"91":[56,1282,2963]},"discuss":{"3":[727],"8":[38],"10":[3,6,27],"11":[18],"88":[574],"90":[332],"91":[137,1765,2991]},"direct":{"3":[774,7106,7113],"5":[76,83,1275,1282,1300,1662],"6":[867,874,892],"13":[466],"89":[1174,1181],"92":[626,633,651]},"retrospect":{"3":[1543,1594,1664,1718,2005,2124,4305,4360,4432,4512,4565,4897]},"found":{"3":[1551,1602,1672,1726,2013,2132,4313,4368,4440,4520,4573,4905,7159,7857],"5":[706],"6":[404],"88":[138]},"analysi":{"3":[1568,1619,1689,1743,2030,2149,4330,4385,4458,4539,4592,4923],"8":[50]},"speci":{"3":[1635,2673,3195],"5":[1082],"11":[111,118],"87":[34,62],"89":[112,917]},"instabl":{"3":[1650],"8":[247]},"maxwel":{"3":[1835,1871]},"boltzmann":{"3":[1836,1872],"12":[157,198]},"count":{"3":[1850,2935],"11":[508]},"abov":{"3":[1853],"4":[1403,2148],"5":[1317],"6":[595,789,842],"87":[94,332],"92":[665,1585]},"root":{"3":[1876,2417],"12":[654],"50":[17],"88":[319]},"squar":{"3":[1878,2419],"12":[656],"50":[19]},"bounc":{"3":[1900],"4":[2086,2087,2098,2139],"90":[225]},"implement":{"3":[1904,2386],"4":[118,273,1972,2092],"29":[17],"59":[16],"87":[9,70,220],"91":[40,58]},"differ":{"3":[2267,2284,2317],"4":[138,423],"8":[170],"87":[44,58,196]},"rate":{"3":[2291,2890,2893],"4":[26,2141,2144,2285],"8":[662],"11":[435,459,486,516,547],"89":[108,1047],"90":[227]},"outcom":{"3":[2296],"4":[32,140,1969,2277],"53":[24]},"differenti":{"3":[2311,2401,2473],"89":[1086],"92":[63]},"express":{"3":[2341],"91":[80]},"diverg":{"3":[2343]},"cap":{"3":[2353]},"unwant":{"3":[2379],"4":[379],"5":[1364],"16":[44]},"individu":{"3":[2422],"6":[838],"12":[659],"50":[22],"91":[2984]},"prescript":{"3":[2443,2480,2797],"51":[20],"87":[331],"92":[47]},"ormel":{"3":[2445],"51":[22]},"cuzzi":{"3":[2446],"51":[23]},"dullemond":{"3":[2490],"8":[472,516,978],"11":[353],"89":[176]},"dominik":{"3":[2491]},"radii":{"3":[2661,6854]},"literatur":{"3":[2704]},"often":{"3":[2708]},"refer":{"3":[2709],"4":[120],"12":[1],"90":[355],"91":[1770]},"metal":{"3":[2712]},"aggreg":{"3":[2730,3089],"8":[57]},"dubrul":{"3":[2799],"12":[329],"20":[14]},"geometr":{"3":[2870],"4":[2164],"12":[190]},"cross":{"3":[2871],"12":[191],"87":[938]},"multipli":{"3":[2873,2881],"4":[746,1379,2280]},"equal":{"3":[2895,2914,5222],"4":[1023,1447,1495],"11":[437]},"kroneck":{"3":[2907]},"reservoir":{"3":[2911],"11":[452,466,475,482],"89":[284]},"second":{"3":[2926],"4":[59,414],"5":[549],"11":[497],"12":[203],"85":[31],"91":[1780]},"twice":{"3":[2942]},"third":{"3":[2944],"5":[551],"91":[2947]},"materi":{"3":[2994]},"summat":{"3":[3228]},"11815368e":{"3":[3248]},"04232155e":{"3":[3251]},"71465059e":{"3":[3254]},"05339692e":{"3":[3257]},"43629793e":{"3":[3260]},"86040780e":{"3":[3263]},"32297742e":{"3":[3266]},"82144128e":{"3":[3269]},"35340519e":{"3":[3272]},"91663488e":{"3":[3275]},"50904531e":{"3":[3278]},"12869076e":{"3":[3281]},"77375546e":{"3":[3284]},"44254502e":{"3":[3287]},"13347826e":{"3":[3290]},"84507969e":{"3":[3293]},"57597248e":{"3":[3296]},"32487186e":{"3":[3299]},"09057900e":{"3":[3302]},"87197527e":{"3":[3305]},"66801690e":{"3":[3308]},"47773001e":{"3":[3311]},"30020595e":{"3":[3314]},"13459693e":{"3":[3317]},"98011200e":{"3":[3320]},"83601326e":{"3":[3323]},"70161231e":{"3":[3326]},"57626698e":{"3":[3329]},"45937826e":{"3":[3332]},"35038739e":{"3":[3335]},"24877321e":{"3":[3338]},"15404966e":{"3":[3341]},"06576343e":{"3":[3344]},"83491798e":{"3":[3347]},"06840556e":{"3":[3350]},"35442144e":{"3":[3353]},"68953850e":{"3":[3356]},"07056150e":{"3":[3359]},"49451154e":{"3":[3362]},"95861146e":{"3":[3365]},"46027226e":{"3":[3368]},"99708026e":{"3":[3371]},"56678518e":{"3":[3374]},"16728886e":{"3":[3377]},"79663471e":{"3":[3380]},"45299782e":{"3":[3383]},"13467557e":{"3":[3386]},"84007884e":{"3":[3389]},"56772375e":{"3":[3392]},"31622377e":{"3":[3395]},"08428234e":{"3":[3398]},"87068586e":{"3":[3401]},"67429708e":{"3":[3404]},"49404882e":{"3":[3407]},"32893806e":{"3":[3410]},"17802035e":{"3":[3413]},"04040457e":{"3":[3416]},"15247991e":{"3":[3419]},"01751688e":{"3":[3422]},"99156307e":{"3":[3425]},"06738170e":{"3":[3428]},"23805770e":{"3":[3431]},"49696665e":{"3":[3434]},"83774784e":{"3":[3437]},"25428186e":{"3":[3440]},"74067268e":{"3":[3443]},"29123459e":{"3":[3446]},"90048396e":{"3":[3449]},"56313572e":{"3":[3452]},"27410459e":{"3":[3455]},"02851052e":{"3":[3458]},"21687989e":{"3":[3461]},"49198428e":{"3":[3464]},"06844837e":{"3":[3467]},"24348839e":{"3":[3470]},"08303312e":{"3":[3473]},"43282410e":{"3":[3476]},"21564634e":{"3":[3479]},"15552883e":{"3":[3482]},"23220508e":{"3":[3485]},"42802371e":{"3":[3488]},"72761102e":{"3":[3491]},"11757706e":{"3":[3494]},"58625970e":{"3":[3497]},"12350162e":{"3":[3500]},"72045619e":{"3":[3503]},"36941829e":{"3":[3506]},"06367706e":{"3":[3509]},"79738758e":{"3":[3512]},"56545914e":{"3":[3515]},"36345791e":{"3":[3518]},"18752220e":{"3":[3521]},"03428860e":{"3":[3524]},"00827708e":{"3":[3527]},"84588135e":{"3":[3530]},"might":{"3":[3557],"5":[1029,1455],"87":[197]},"contribut":{"3":[3620],"9":[2,6,18,25,27],"89":[245,923],"90":[321,324]},"correspond":{"3":[3632,3656,6820,6850]},"fewer":{"3":[3658]},"epstein":{"3":[3679],"12":[402],"27":[14]},"drag":{"3":[3684],"12":[407],"27":[19]},"regim":{"3":[3685],"12":[408],"27":[20]},"consid":{"3":[3687],"91":[72,600,2020]},"fine":{"3":[4087],"92":[1503]},"deviat":{"3":[4093],"92":[2125,2651]},"test":{"3":[4104],"85":[34,46],"90":[257,270],"91":[0],"92":[0,285,1077,2680]},"infal":{"3":[4162],"5":[1218],"6":[70,747]},"implicitli":{"3":[4297,4352,4426,4506,4559,4891],"5":[1428]},"relev":{"3":[4414]},"turn":{"3":[4483],"5":[733,740,821,828,996,1000,1093,1097,1122,1129,1241,1403],"6":[555,568,597,790,795,821,826,835],"88":[1809],"90":[237,251],"91":[545,558,579,594,1965,1978,1999,2014],"92":[519,545]},"isotherm":{"3":[4840,5153,5174],"60":[18]},"degre":{"3":[4861]},"kepler":{"3":[4864]},"specif":{"3":[4932],"11":[138]},"84703042e":{"3":[5231,5234,5237,5240,5243,5246,5249,5252,5255,5258,5261,5264,5267,5270,5273,5276,5279,5282,5285,5288,5291,5294,5297,5300,5303,5306,5309,5312,5315,5318,5321,5324,5327,5330,5333,5336,5339,5342,5345,5348,5351,5354,5357,5360,5363,5366,5369,5372,5375,5378,5381,5384,5387,5390,5393,5396,5399,5402,5405,5408,5411,5414,5417,5420,5423,5426,5429,5432,5435,5438,5441,5444,5447,5450,5453,5456,5459,5462,5465,5468,5471,5474,5477,5480,5483,5486,5489,5492,5495,5498,5501,5504,5507,5510,5513,5516,5519,5522,5525,5528]},"euler":{"3":[5588,7124,7822],"5":[64],"89":[1118,1133,1188]},"scheme":{"3":[5591,7126,7824],"5":[603,621,657,691,703,1472,1480,1495,1618,1635],"6":[10,301,319,355,389,401,782],"12":[686,687,694,704,958,959,966,976],"13":[212,284,427,439],"37":[8,27,32,33,35],"65":[8,27,32,33,35],"78":[20],"89":[1111,1119,1123]},"addition":{"3":[6126]},"span":{"3":[6144]},"38949549e":{"3":[6194,6215,6236,6257,6278,6299,6320,6341,6362,6383,6404,6425,6446,6467,6488,6509,6530]},"93069773e":{"3":[6197,6218,6239,6260,6281,6302,6323,6344,6365,6386,6407,6428,6449,6470,6491,6512,6533]},"68269580e":{"3":[6200,6221,6242,6263,6284,6305,6326,6347,6368,6389,6410,6431,6452,6473,6494,6515,6536]},"72759372e":{"3":[6203,6224,6245,6266,6287,6308,6329,6350,6371,6392,6413,6434,6455,6476,6497,6518,6539]},"17947468e":{"3":[6206,6227,6248,6269,6290,6311,6332,6353,6374,6395,6416,6437,6458,6479,6500,6521,6542]},"19685673e":{"3":[6209,6230,6251,6272,6293,6314,6335,6356,6377,6398,6419,6440,6461,6482,6503,6524,6545]},"solar":{"3":[6823,6853],"8":[840]},"15576000e":{"3":[6956,6986,7016]},"97286646e":{"3":[6959,6989]},"00154254e":{"3":[6962,6992]},"29656900e":{"3":[6965,6995]},"92691073e":{"3":[6968,6998]},"97938935e":{"3":[6971,7001]},"25633068e":{"3":[6974,7004]},"58162662e":{"3":[6977,7007]},"99114995e":{"3":[6980,7010]},"50670927e":{"3":[6983,7013]},"safeti":{"3":[7045]},"cfl":{"3":[7064]},"1st":{"3":[7104,7111],"5":[62,74,81,1273,1280,1298],"6":[865,872,890],"89":[1116,1131,1172,1179,1186],"92":[624,631,649]},"solver":{"3":[7107,7114],"5":[77,84,1276,1283,1301],"6":[868,875,893],"89":[1175,1182],"92":[627,634,652]},"jacobian":{"3":[7128,7178,7504,7826,7878,8006,8029],"5":[108,142,173,337,348,362,413,428,580,588,629,666,688],"6":[119,164,232,327,364,386,423,433,575,613,674],"11":[123,142],"12":[504,511,845,853],"38":[0,4,15,47,56,68],"66":[0,4,13]},"except":{"3":[7160,7858,8018],"6":[240,616]},"65695963e":{"3":[7188,7517]},"51742395e":{"3":[7191,7520]},"41277753e":{"3":[7194,7523]},"31512275e":{"3":[7197,7526]},"22399343e":{"3":[7200,7529]},"13895454e":{"3":[7203,7532]},"05960011e":{"3":[7206,7535]},"85551322e":{"3":[7209,7538]},"16454666e":{"3":[7212,7541]},"51980274e":{"3":[7215,7544]},"91820337e":{"3":[7218,7547]},"35687637e":{"3":[7221,7550]},"83314177e":{"3":[7224,7553]},"34449895e":{"3":[7227,7556]},"88861478e":{"3":[7230,7559]},"46331238e":{"3":[7233,7562]},"06656081e":{"3":[7236,7565]},"69646526e":{"3":[7239,7568]},"35125809e":{"3":[7242,7571]},"02929031e":{"3":[7245,7574]},"72902371e":{"3":[7248,7577]},"44902350e":{"3":[7251,7580]},"18795143e":{"3":[7254,7583]},"94455937e":{"3":[7257,7586]},"71768333e":{"3":[7260,7589]},"50623785e":{"3":[7263,7592]},"30921082e":{"3":[7266,7595]},"12565856e":{"3":[7269,7598]},"95470127e":{"3":[7272,7601]},"79551880e":{"3":[7275,7604]},"64734665e":{"3":[7278,7607]},"50947226e":{"3":[7281,7610]},"38123153e":{"3":[7284,7613]},"26200553e":{"3":[7287,7616]},"15121751e":{"3":[7290,7619]},"04832998e":{"3":[7293,7622]},"52842068e":{"3":[7296,7625]},"64286959e":{"3":[7299,7628]},"82229559e":{"3":[7302,7631]},"06264239e":{"3":[7305,7634]},"36012738e":{"3":[7308,7637]},"71122173e":{"3":[7311,7640]},"11263153e":{"3":[7314,7643]},"56128002e":{"3":[7317,7646]},"05429063e":{"3":[7320,7649]},"58897093e":{"3":[7323,7652]},"16279733e":{"3":[7326,7655]},"77340052e":{"3":[7329,7658]},"41855165e":{"3":[7332,7661]},"09614912e":{"3":[7335,7664]},"80420610e":{"3":[7338,7667]},"54083866e":{"3":[7341,7670]},"30425466e":{"3":[7344,7673]},"09274328e":{"3":[7347,7676]},"04665397e":{"3":[7350,7679]},"38444770e":{"3":[7353,7682]},"92560115e":{"3":[7356,7685]},"65538218e":{"3":[7359,7688]},"55948141e":{"3":[7362,7691]},"62396618e":{"3":[7365,7694]},"83524760e":{"3":[7368,7697]},"18006141e":{"3":[7371,7700]},"45463314e":{"3":[7374,7703]},"18839224e":{"3":[7377,7706]},"12069694e":{"3":[7380,7709]},"59127752e":{"3":[7383,7712]},"33752432e":{"3":[7386,7715]},"46850987e":{"3":[7389,7718]},"08748612e":{"3":[7392,7721]},"29111679e":{"3":[7395,7724]},"16870159e":{"3":[7398,7727]},"80143987e":{"3":[7401,7730]},"26178420e":{"3":[7404,7733]},"61293508e":{"3":[7407,7736]},"90852435e":{"3":[7410,7739]},"19252718e":{"3":[7413,7742]},"49943057e":{"3":[7416,7745]},"85467018e":{"3":[7419,7748]},"27532818e":{"3":[7422,7751]},"77106488e":{"3":[7425,7754]},"34523665e":{"3":[7428,7757]},"96136649e":{"3":[7431,7760]},"18283408e":{"3":[7434,7763]},"03678333e":{"3":[7437,7766]},"42957842e":{"3":[7440,7769]},"26378068e":{"3":[7443,7772]},"44589401e":{"3":[7446,7775]},"91814086e":{"3":[7449,7778]},"30026964e":{"3":[7452,7781]},"02814903e":{"3":[7455,7784]},"65881680e":{"3":[7458,7787]},"68880524e":{"3":[7461,7790]},"33878800e":{"3":[7464,7793]},"05888641e":{"3":[7467,7796]},"25247153e":{"3":[7470,7799]},"92320686e":{"3":[7473,7802]},"56337655e":{"3":[7476,7805]},"86150120e":{"3":[7479,7808]},"includ":{"3":[7490],"4":[2097],"8":[912],"11":[17],"12":[580],"45":[16],"89":[1205],"90":[36]},"ravel":{"3":[7882,8000,8033],"5":[131,137,366,373],"38":[61]},"reshap":{"3":[7883,8002,8034]},"69378160e":{"3":[7891,8045]},"07100367e":{"3":[7894,8048]},"46948374e":{"3":[7897,8051]},"97891724e":{"3":[7900,8054]},"74969659e":{"3":[7903,8057]},"82069102e":{"3":[7906,8060]},"23483735e":{"3":[7909,8063]},"59511976e":{"3":[7912,8066]},"67032489e":{"3":[7915,8069]},"64083767e":{"3":[7918,8072]},"20390542e":{"3":[7921,8075]},"05662920e":{"3":[7924,8078]},"88452713e":{"3":[7927,8081]},"16639372e":{"3":[7930,8084]},"65877154e":{"3":[7933,8087]},"22801314e":{"3":[7936,8090]},"17572957e":{"3":[7939,8093]},"85635051e":{"3":[7942,8096]},"55226776e":{"3":[7945,8099]},"06505134e":{"3":[7948,8102]},"32632479e":{"3":[7951,8105]},"18906666e":{"3":[7954,8108]},"48062233e":{"3":[7957,8111]},"84366661e":{"3":[7960,8114]},"59893623e":{"3":[7963,8117]},"23624508e":{"3":[7966,8120]},"02982080e":{"3":[7969,8123]},"61156047e":{"3":[7972,8126]},"49710457e":{"3":[7975,8129]},"59978150e":{"3":[7978,8132]},"dimension":{"3":[8011],"4":[2179],"5":[118]},"vector":{"3":[8013],"5":[120],"66":[80]},"success":{"3":[8157]},"enforc":{"3":[8166],"12":[473,822],"33":[8],"62":[8],"79":[28],"80":[28],"92":[2775]},"smolukowski":{"4":[13],"91":[62]},"equat":{"4":[14,73],"5":[88,610,638,905],"6":[18,99,308,336,594],"90":[57],"91":[6,63,103,110,168],"92":[64]},"amount":{"4":[46,1634]},"get":{"4":[48,554,833,1638],"92":[207,1625,2649]},"gener":{"4":[76],"10":[5],"92":[2678]},"neg":{"4":[89,547,591],"89":[104,930,1036]},"goe":{"4":[99]},"symmetr":{"4":[108,839,1537]},"brauer":{"4":[122,517],"30":[38,139]},"pre":{"4":[163],"12":[42]},"initialz":{"4":[168]},"ti":{"4":[232]},"neither":{"4":[237,2124]},"nor":{"4":[240,2126]},"complic":{"4":[271]},"disadvantag":{"4":[314]},"lie":{"4":[327],"91":[1245]},"fall":{"4":[334,1731]},"too":{"4":[387],"5":[1054]},"coars":{"4":[388]},"resulut":{"4":[409]},"magnitud":{"4":[430]},"m1":{"4":[452,459]},"m2":{"4":[456,460,462]},"m_tot":{"4":[458,461,763,791,1820,1900,1903]},"halt":{"4":[480]},"primarili":{"4":[487]},"grow":{"4":[488],"8":[798],"87":[930],"88":[1041,1061],"90":[295]},"sweep":{"4":[490],"8":[377]},"mani":{"4":[492]},"techniqu":{"4":[497]},"arrang":{"4":[505]},"apendic":{"4":[512]},"pair":{"4":[542]},"border":{"4":[569]},"spars":{"4":[604],"5":[112,592],"38":[50,72]},"mostli":{"4":[608]},"elemet":{"4":[670]},"each":{"4":[711],"5":[391],"88":[1172],"89":[88,915,919]},"err":{"4":[772,790,803,1897,1902,1915]},"rel_err":{"4":[789,804,1901,1916]},"nrel":{"4":[798,1910]},"5e":{"4":[808]},"2e":{"4":[814,1926]},"good":{"4":[829],"92":[1061,2645]},"collsion":{"4":[837]},"distinguish":{"4":[1015]},"roughli":{"4":[1022]},"significantli":{"4":[1034],"91":[479,2942]},"rafikov":{"4":[1116,1211]},"who":{"4":[1120]},"develop":{"4":[1121]},"kind":{"4":[1151],"5":[612],"6":[310]},"mai":{"4":[1387],"5":[1049],"8":[767],"11":[90]},"notic":{"4":[1389],"8":[639],"11":[532]},"tranform":{"4":[1409]},"slope":{"4":[1434],"92":[1633]},"enough":{"4":[1531],"5":[503],"92":[2758]},"again":{"4":[1532],"91":[1302,2517],"92":[1078]},"transpos":{"4":[1540]},"indic":{"4":[1544],"8":[209],"90":[390]},"m_frag":{"4":[1599,1614,1682,1694,1867,1898]},"lose":{"4":[1705]},"account":{"4":[1713,2175]},"onto":{"4":[1732],"5":[984],"6":[71,78],"12":[476,586],"17":[24],"33":[11],"45":[22],"87":[121],"88":[95,404,806]},"lower":{"4":[1753],"5":[439]},"fraction":{"4":[1770,1783,1852],"89":[77]},"k_lf":{"4":[1833,1878]},"k_rm":{"4":[1845,1856,1889,1895]},"m_remnant":{"4":[1884,1899]},"7e":{"4":[1920]},"accur":{"4":[1934,1987]},"quick":{"4":[1950]},"decid":{"4":[1991],"92":[2689]},"wether":{"4":[1992]},"setup":{"4":[2060],"92":[1582,1669,2820]},"p_tot":{"4":[2070,2079]},"occur":{"4":[2128],"11":[456,483]},"product":{"4":[2162],"90":[268],"91":[20,2944,2956]},"crosssect":{"4":[2165]},"devid":{"4":[2169]},"fly":{"4":[2264]},"evalu":{"4":[2274]},"23483044e":{"4":[2320]},"59511337e":{"4":[2323]},"67031877e":{"4":[2326]},"88452102e":{"4":[2338]},"16638811e":{"4":[2341]},"65876621e":{"4":[2344]},"part":{"5":[10,410,525],"6":[839],"8":[248],"92":[540]},"imshow":{"5":[167],"6":[158]},"toarrai":{"5":[174],"6":[165]},"cmap":{"5":[178],"6":[169]},"arang":{"5":[183,219,255,291],"6":[174,198]},"get_xaxis":{"5":[325],"6":[220]},"set_visible":{"5":[326,330],"6":[221,225]},"get_yaxis":{"5":[329],"6":[224]},"set_title":{"5":[333],"6":[228],"91":[1192,1699,2489,2919]},"mathbb":{"5":[338],"6":[233]},"act":{"5":[363]},"box":{"5":[392,403,519,552]},"diagon":{"5":[406,432,440,521,558],"6":[124,572]},"due":{"5":[414],"6":[68],"11":[38,286],"12":[614,626,638,669,681],"47":[13],"48":[13],"49":[13],"51":[13],"52":[13],"87":[124],"88":[279],"89":[411],"92":[2657]},"choic":{"5":[417],"91":[116]},"upper":{"5":[431],"91":[1213]},"last":{"5":[449,513,533,662],"6":[246,360,489,761],"16":[32]},"column":{"5":[451]},"involv":{"5":[465,1430]},"earli":{"5":[491],"8":[90,541]},"henc":{"5":[516]},"repres":{"5":[522]},"transport":{"5":[524,908]},"row":{"5":[534,556,570,663],"6":[247,361]},"especi":{"5":[583]},"hand":{"5":[634,1349,1357],"6":[332]},"hidden":{"5":[645],"6":[343],"42":[24],"71":[23],"88":[882]},"_rh":{"5":[649],"6":[347]},"known":{"5":[684],"6":[382],"88":[123]},"std":{"5":[709],"6":[407],"12":[47,252,265,713,985,1004,1098],"16":[2],"17":[2],"18":[2],"19":[2],"20":[2],"21":[2],"22":[2],"23":[2],"24":[2],"25":[2],"26":[2],"27":[2],"28":[2],"29":[2],"30":[2],"31":[2],"32":[2],"33":[2],"34":[2],"35":[2],"36":[2],"37":[3],"38":[2],"39":[2],"40":[2],"41":[2],"42":[2],"43":[2],"44":[2],"45":[2],"46":[2],"47":[2],"48":[2],"49":[2],"50":[2],"51":[2],"52":[2],"53":[2],"54":[2],"55":[2],"56":[2],"57":[2],"58":[2],"59":[2],"60":[2],"61":[2],"62":[2],"63":[2],"64":[2],"65":[3],"66":[2],"67":[2],"68":[2],"69":[2],"70":[2],"71":[2],"72":[2],"73":[2],"74":[2],"75":[2],"76":[2],"77":[2],"78":[2],"79":[2],"80":[2],"81":[2],"82":[2],"83":[2],"90":[365,368,372,376,380,384]},"impl_1_direct":{"5":[711],"6":[409],"12":[705,977],"37":[0,5],"65":[0,5]},"unset":{"5":[758,860,1013,1033,1052,1109,1179,1344,1408],"6":[631,711,806],"92":[557]},"reach":{"5":[797],"88":[1159],"89":[142]},"probabili":{"5":[804]},"though":{"5":[809,1385],"21":[109]},"consum":{"5":[817]},"valuabl":{"5":[818]},"resourc":{"5":[820,876]},"interpol":{"5":[983],"17":[21],"88":[833,904]},"rm":{"5":[1077]},"aim":{"5":[1173]},"loss":{"5":[1201],"6":[64,743]},"planetesim":{"5":[1225],"7":[47],"8":[848,967],"89":[1,9,23,48,95,124,129,248,382,656,729,737,741,747,761,763,767,773,777,786,793,796,801,806,823,827,849,854,867,877,884,895,904,906,910,925,946,980,1045,1064,1084,1126,1129,1161,1184,1722,1727,1759,1845,1848,1917],"90":[298,307,309]},"pebbl":{"5":[1228],"8":[211,388,774,801]},"deactiv":{"5":[1249,1305]},"del":{"5":[1285],"6":[877],"91":[553,1973],"92":[636,1162,1777,2295]},"ressourc":{"5":[1352]},"move":{"5":[1392]},"invers":{"5":[1433],"88":[92,209,503,917]},"weakli":{"5":[1441]},"violat":{"5":[1447]},"explicit":{"5":[1460,1473,1481,1492,1506,1520,1619,1639,1642,1653],"13":[428,443,446,457],"89":[1115,1130,1185]},"setdustintegr":{"5":[1471,1608,1612,1617],"13":[211,283,426]},"cash":{"5":[1475,1483,1621,1648,1655],"13":[430,452,459]},"karp":{"5":[1476,1484,1622,1649,1656],"13":[431,453,460]},"5th":{"5":[1493]},"gmre":{"5":[1663],"13":[467]},"bicgstab":{"5":[1664],"13":[468]},"viscous":{"6":[21],"92":[39]},"evolv":{"6":[22],"88":[39],"92":[40]},"planet":{"6":[80],"7":[45],"8":[425,544,578,930],"88":[14,154,177,188,252,255,264,281,291,387,526,535,562,688,690,694,699,713,725,739,750,757,814,878,1042,1060,1150,1173,1235,1242,1258,1261,1266,1271,1287,1319,1387,1393,1840,1848],"90":[292,296]},"tri":{"6":[123]},"neighbour":{"6":[134]},"notabl":{"6":[239]},"ve":{"6":[313],"92":[1562]},"multipl":{"6":[420],"11":[109,116],"66":[81]},"22296714e":{"6":[443]},"34188528e":{"6":[446]},"18365261e":{"6":[449]},"83335703e":{"6":[452]},"98169223e":{"6":[455]},"94710783e":{"6":[458]},"07670081e":{"6":[461]},"21243606e":{"6":[464]},"70797667e":{"6":[467]},"77187596e":{"6":[470]},"51664716e":{"6":[473]},"82454236e":{"6":[476]},"76327403e":{"6":[479]},"word":{"6":[552],"92":[1559]},"seen":{"6":[590],"88":[1794]},"photoevapor":{"6":[749],"8":[85,132,664]},"hte":{"6":[837]},"citat":{"7":[2],"90":[313]},"articl":{"7":[12],"8":[600,950,993,1033]},"2022apj":{"7":[13,99]},"35s":{"7":[15,101]},"author":{"7":[16]},"sebastian":{"7":[18],"8":[104,348,427,478,512,683,779,816,860,894,938,970,1020]},"tilman":{"7":[22],"8":[351,434,515,556,856]},"titl":{"7":[23]},"python":{"7":[26],"12":[73],"90":[5,72]},"protoplanetari":{"7":[32,37],"8":[135,207,240,287,331,462,808,919],"12":[16],"87":[22],"89":[35],"90":[14,34]},"journal":{"7":[34],"8":[188,303,401,594,945,987,1028]},"apj":{"7":[35]},"keyword":{"7":[36],"37":[19],"65":[19]},"astronomi":{"7":[39],"8":[116,353,436,481,520,694,750,784,819,862,897]},"softwar":{"7":[40],"9":[9,41]},"astronom":{"7":[41],"8":[643],"12":[151]},"circumstellar":{"7":[43]},"astrophys":{"7":[54,58,59,64,108],"8":[117,187,302,354,400,437,482,521,695,751,785,820,863,898,944,986,1027]},"earth":{"7":[55],"12":[166],"88":[390,1154]},"planetari":{"7":[57],"8":[499,771],"88":[1,847,943,1075,1093,1119,1124,1306,1365,1818],"89":[222],"90":[287]},"instrument":{"7":[60]},"month":{"7":[67]},"aug":{"7":[68]},"volum":{"7":[69],"8":[118,189,304,355,402,438,483,522,596,645,696,752,786,821,864,899,946,989,1029]},"eid":{"7":[73]},"page":{"7":[75],"90":[397]},"doi":{"7":[77],"8":[76,124,151,181,197,231,268,312,361,410,444,489,528,569,603,652,702,758,792,827,870,905,955,998,1038]},"ac7d58":{"7":[82]},"archiveprefix":{"7":[83]},"arxiv":{"7":[84],"8":[73,79,148,154,228,234,265,271,572]},"eprint":{"7":[85],"8":[72,147,227,264]},"primaryclass":{"7":[88]},"astro":{"7":[89]},"ph":{"7":[90]},"adsurl":{"7":[92]},"ui":{"7":[94]},"adsab":{"7":[95]},"harvard":{"7":[96]},"edu":{"7":[97]},"ab":{"7":[98],"88":[295]},"adsnot":{"7":[102]},"sao":{"7":[106]},"nasa":{"7":[107]},"system":{"7":[110],"11":[37,52],"92":[1597,1623,2159,2715]},"public":{"8":[4,11,21],"90":[318]},"incomplet":{"8":[8]},"made":{"8":[13],"11":[9]},"categori":{"8":[35]},"email":{"8":[43]},"surviv":{"8":[45,58]},"multi":{"8":[48]},"wavelength":{"8":[49]},"v883":{"8":[52]},"ori":{"8":[53]},"reveal":{"8":[54]},"mantl":{"8":[64]},"houg":{"8":[65]},"adrien":{"8":[66]},"macía":{"8":[67,217]},"enriqu":{"8":[68,218]},"krijt":{"8":[69]},"sebastiaan":{"8":[70]},"millimet":{"8":[82]},"emiss":{"8":[83]},"substructur":{"8":[91]},"matía":{"8":[93,138,337,467,672,888,1016]},"til":{"8":[95,260,476,681,782,890,936,975,1018]},"paola":{"8":[97,140,295,344,469,589,679,811]},"andrew":{"8":[98,981]},"sean":{"8":[99,982]},"franz":{"8":[101,689]},"raphael":{"8":[102,690]},"marku":{"8":[105,349,428,895,1021]},"picogna":{"8":[106,685]},"giovanni":{"8":[107,686]},"ercolano":{"8":[108,687]},"barbara":{"8":[109,688]},"miotello":{"8":[110]},"anna":{"8":[111]},"kurtov":{"8":[112,728]},"nicolá":{"8":[113]},"id":{"8":[120,193,308,357,406,440,485,524,601,698,754,788,823,866,901,951,994,1034]},"a15":{"8":[121,789]},"pp":{"8":[123,196,311,360,409,443,488,527,649,701,757,791,826,869,904,954,997,1037]},"haworth":{"8":[141]},"thoma":{"8":[142,258,547]},"facchini":{"8":[144]},"stefano":{"8":[145]},"constraint":{"8":[157]},"hd":{"8":[165]},"appar":{"8":[173]},"ring":{"8":[175,963],"89":[33]},"alma":{"8":[179]},"band":{"8":[180]},"kiyoaki":{"8":[182]},"kataoka":{"8":[183]},"akimasa":{"8":[184]},"issu":{"8":[191,306,404,598,647,948,991,1031],"9":[73,118]},"acf5df":{"8":[202]},"measur":{"8":[205]},"fragil":{"8":[210,803]},"jiang":{"8":[215]},"haochang":{"8":[216]},"guerra":{"8":[219]},"alvarado":{"8":[220]},"osmar":{"8":[221]},"carrasco":{"8":[223]},"gonzález":{"8":[224]},"carlo":{"8":[225]},"reconcil":{"8":[239]},"observ":{"8":[242,459],"89":[30]},"shear":{"8":[246]},"vsi":{"8":[254]},"dead":{"8":[255,325,669]},"zone":{"8":[256,326,670]},"pfeil":{"8":[257,546]},"klahr":{"8":[261,557,853,976]},"hubert":{"8":[262,558,854,977]},"equilibrium":{"8":[276],"11":[342]},"charg":{"8":[278]},"abund":{"8":[280]},"submicron":{"8":[282]},"dramat":{"8":[285]},"akimkin":{"8":[289]},"vitali":{"8":[290]},"ivlev":{"8":[291]},"alexei":{"8":[292]},"caselli":{"8":[294]},"gong":{"8":[296]},"munan":{"8":[297]},"silsbe":{"8":[298]},"kedron":{"8":[299]},"ace2c5":{"8":[317]},"edg":{"8":[328],"88":[359],"89":[160,464,609]},"magnet":{"8":[330]},"delag":{"8":[333,673]},"timmi":{"8":[334,674]},"okuzumi":{"8":[338],"87":[226]},"satoshi":{"8":[339]},"yang":{"8":[340]},"chao":{"8":[341]},"chin":{"8":[342]},"flock":{"8":[345]},"mario":{"8":[346]},"a190":{"8":[358]},"revisit":{"8":[367]},"protostellar":{"8":[375]},"kg":{"8":[387]},"myr":{"8":[392],"92":[1656]},"xu":{"8":[393]},"wenrui":{"8":[394]},"armitag":{"8":[395,552]},"philip":{"8":[396,553]},"acb7e5":{"8":[415]},"leaki":{"8":[416]},"trap":{"8":[418,621,800],"89":[166]},"filter":{"8":[423]},"lichtenberg":{"8":[429]},"tim":{"8":[430]},"joanna":{"8":[432,510,777,892,932,973]},"l5":{"8":[441,995]},"bump":{"8":[456,504]},"properti":{"8":[460,846]},"stadler":{"8":[464,676]},"jochen":{"8":[465,677]},"lenz":{"8":[470,631,691,812,850]},"christian":{"8":[471,692,813,851]},"corn":{"8":[473,517,979]},"a104":{"8":[486]},"rapid":{"8":[495]},"lau":{"8":[505]},"tommi":{"8":[506]},"chi":{"8":[507]},"ho":{"8":[508,550]},"a170":{"8":[525]},"neural":{"8":[535]},"network":{"8":[536]},"subgrid":{"8":[537]},"cranmer":{"8":[548]},"mile":{"8":[549]},"shirlei":{"8":[551]},"learn":{"8":[561]},"scienc":{"8":[565]},"workshop":{"8":[566]},"neurip":{"8":[567]},"dwarf":{"8":[587]},"european":{"8":[592]},"plu":{"8":[595]},"epjp":{"8":[606]},"s13360":{"8":[607]},"wide":{"8":[615]},"exokuip":{"8":[616]},"belt":{"8":[617]},"migrat":{"8":[619]},"miller":{"8":[622]},"marino":{"8":[624]},"hen":{"8":[635]},"th":{"8":[636]},"monthli":{"8":[638]},"royal":{"8":[642]},"societi":{"8":[644]},"mnra":{"8":[655]},"stab2935":{"8":[656]},"gap":{"8":[658],"88":[2,11,35,74,93,101,108,117,124,234,338,358,373,520,804,848,944,1802],"89":[151,163,183,190,194,199,203,223,357,364,371,463,612,620,669,678],"90":[288,289,305]},"a18":{"8":[699]},"bright":{"8":[709]},"cida":{"8":[724]},"benisti":{"8":[731]},"manara":{"8":[733]},"f":{"8":[735],"88":[273],"89":[708,727]},"natta":{"8":[736]},"sanchi":{"8":[738]},"tazzari":{"8":[740]},"ricci":{"8":[745]},"testi":{"8":[747]},"a122":{"8":[755]},"a70":{"8":[824]},"constrain":{"8":[834]},"space":{"8":[837]},"nebula":{"8":[841]},"kretk":{"8":[857]},"katherin":{"8":[858]},"a61":{"8":[867]},"damp":{"8":[878]},"back":{"8":[881],"12":[581,591],"45":[17,27],"87":[185]},"reaction":{"8":[882],"12":[582,592],"45":[18,28]},"snow":{"8":[885]},"a149":{"8":[902]},"vicin":{"8":[925]},"jupit":{"8":[928],"12":[170],"88":[536,692,700,714,760,1236,1262,1273,1388,1401,1798,1841,1870]},"li":{"8":[933,940]},"shengtai":{"8":[934]},"hui":{"8":[941]},"ab46b7":{"8":[960]},"dsharp":{"8":[962]},"evid":{"8":[964]},"ongo":{"8":[966]},"letter":{"8":[988]},"ab4423":{"8":[1003]},"dim":{"8":[1005]},"rw":{"8":[1007]},"auriga":{"8":[1008]},"preced":{"8":[1012]},"outburst":{"8":[1014]},"günther":{"8":[1022]},"han":{"8":[1023]},"moritz":{"8":[1024]},"aaf4fc":{"8":[1043]},"bug":{"9":[3,58,64,71,77,87],"11":[76,162,190],"90":[322,325]},"featur":{"9":[4,50,88,98,116],"90":[323,327]},"guidlin":{"9":[19]},"conduct":{"9":[24],"10":[33]},"open":{"9":[30,68,113]},"request":{"9":[34,44,89,117],"90":[328]},"introduc":{"9":[45],"87":[417]},"must":{"9":[51]},"report":{"9":[59,72],"90":[326]},"encount":{"9":[62]},"expect":{"9":[79],"87":[179]},"reproduc":{"9":[85]},"miss":{"9":[101]},"improv":{"9":[111],"91":[2520,2941]},"commun":{"10":[15],"86":[24]},"changelog":{"11":[2],"90":[335]},"releas":{"11":[28,152,194,307,397,557]},"date":{"11":[29,153,195,308,398,558]},"3rd":{"11":[30,559]},"decemb":{"11":[31]},"meson":{"11":[34,49]},"build":{"11":[36,51]},"deprec":{"11":[41]},"distutil":{"11":[44]},"bugfix":{"11":[53,71,157]},"trigger":{"11":[70],"89":[51,983]},"fix":{"11":[83,93],"92":[1613,1658]},"prepar":{"11":[104],"12":[539,542,907,910,1073,1088],"42":[0,4,8],"71":[0,4,8],"81":[11],"82":[11]},"futur":{"11":[120]},"17th":{"11":[154]},"june":{"11":[155]},"correctli":{"11":[169]},"affect":{"11":[187],"88":[1810]},"7th":{"11":[196]},"februari":{"11":[197]},"close":{"11":[230],"88":[559],"91":[751],"92":[2757]},"convers":{"11":[242]},"denomin":{"11":[266]},"neglig":{"11":[275]},"ascii":{"11":[284,292]},"charact":{"11":[285,293]},"potenti":{"11":[288]},"incomp":{"11":[289]},"docstr":{"11":[299]},"fortran":{"11":[302],"12":[80,147],"90":[85]},"18th":{"11":[309]},"novemb":{"11":[310]},"luminosisti":{"11":[325]},"chiang":{"11":[349]},"goldreich":{"11":[350]},"compar":{"11":[358],"89":[296],"91":[211,719,1727],"92":[8,135,311,511,884]},"comparison":{"11":[375],"91":[304]},"radi":{"11":[377],"86":[18],"90":[129]},"transfer":{"11":[378],"86":[19],"90":[130]},"radmc":{"11":[381]},"3d":{"11":[382]},"dustpylib":{"11":[392],"86":[1,2,44],"90":[113,256]},"21st":{"11":[399]},"juli":{"11":[400,560]},"paper":{"11":[410]},"intens":{"12":[75]},"arg":{"12":[94,848,1166],"13":[220],"37":[41],"38":[9,36],"65":[41],"66":[7,27]},"kwarg":{"12":[95,103,849,1167],"13":[4,221],"37":[42],"38":[10,40],"65":[42],"66":[8,31]},"f90":{"12":[139]},"gravit":{"12":[154]},"k_b":{"12":[156]},"m_p":{"12":[159]},"proton":{"12":[160]},"m_earth":{"12":[162],"88":[425,745,1198,1216,1219,1380,1384,1391,1397,1404,1408,1868,1878],"89":[1895,1905,1915]},"m_jup":{"12":[167],"88":[719,1201]},"sun":{"12":[175,188]},"pi":{"12":[176],"91":[1888,1914],"92":[268]},"circl":{"12":[179]},"circumfer":{"12":[181]},"diamet":{"12":[183]},"sigma_h2":{"12":[189]},"h2":{"12":[194]},"molecul":{"12":[195],"87":[132]},"sigma_sb":{"12":[196]},"stephan":{"12":[197]},"filenam":{"12":[222,238],"13":[230],"14":[5,49,68],"15":[5,48,67]},"extens":{"12":[223,239],"14":[7,54,69],"15":[7,53,68],"86":[10],"90":[121]},"f_adv":{"12":[283],"17":[0,4]},"f_diff":{"12":[295],"18":[0,4]},"f_tot":{"12":[307],"19":[0,4]},"mrn_distribution":{"12":[333],"21":[0,4]},"s_coag":{"12":[342],"22":[0,4]},"s_hyd":{"12":[351,751],"23":[0,4],"56":[0,4,20]},"s_tot":{"12":[360,759],"24":[0,4],"57":[0,4,20]},"sigma_deriv":{"12":[380],"26":[0,4]},"st_epstein_stokesi":{"12":[393],"27":[0,4]},"coagulation_parameters":{"12":[435],"30":[0,4]},"dt_adaptive":{"12":[462,1028],"32":[0,4],"78":[0,4]},"adapt":{"12":[467,1035],"32":[10],"78":[12,18]},"enforce_floor_value":{"12":[470,819],"33":[0,4],"62":[0,4]},"finalize_explicit":{"12":[491],"35":[0,4]},"finalize_implicit":{"12":[497],"36":[0,4]},"x":{"12":[506,847],"38":[6,26],"66":[6,23],"89":[1073]},"dx":{"12":[507],"37":[40],"38":[7,30],"65":[40]},"p_frag":{"12":[525],"40":[0,4]},"p_stick":{"12":[532],"41":[0,4]},"rho_midplane":{"12":[547,914],"43":[0,4],"72":[0,4]},"set_implicit_boundaries":{"12":[555,925],"44":[0,4],"73":[0,4]},"vdriftmax":{"12":[569],"45":[0,4,39]},"vrad":{"12":[596,939],"46":[0,4,22],"74":[0,4,21]},"vrel_azimuthal_drift":{"12":[606],"47":[0,4]},"vrel_brownian_motion":{"12":[618],"48":[0,4]},"vrel_radial_drift":{"12":[630],"49":[0,4]},"vrel_tot":{"12":[642],"50":[0,4]},"vparticl":{"12":[649],"50":[12]},"vrel_turbulent_motion":{"12":[661],"51":[0,4]},"vrel_vertical_settling":{"12":[673],"52":[0,4]},"templat":{"12":[700,972]},"p_midplane":{"12":[743],"55":[0,4]},"t_passive":{"12":[767],"58":[0,4]},"irridi":{"12":[777],"58":[15]},"cs_adiabatic":{"12":[797],"60":[0,4]},"eta_midplane":{"12":[829],"63":[0,4]},"lyndenbellpringle1974":{"12":[857],"67":[0,4]},"rc":{"12":[859],"67":[6,36],"89":[346,429],"92":[145,175,232,236,241,262]},"mfp_midplane":{"12":[877],"68":[0,4]},"n_midplane":{"12":[886],"69":[0,4]},"viscoc":{"12":[903],"70":[11]},"vvisc":{"12":[948],"75":[0,4,21]},"finalize_explicit_dust":{"12":[1037],"79":[0,4]},"finalize_implicit_dust":{"12":[1052],"80":[0,4]},"prepare_explicit_dust":{"12":[1067],"81":[0,4]},"prepare_implicit_dust":{"12":[1082],"82":[0,4]},"print_version_warning":{"12":[1133],"85":[0,3]},"timeout":{"12":[1134],"85":[4,23,29,51,67]},"warn":{"12":[1138],"85":[11]},"screen":{"12":[1140],"85":[13]},"avail":{"12":[1148],"66":[57],"85":[21,44,60]},"manag":{"12":[1158],"79":[22],"80":[22],"84":[17]},"child":{"13":[21]},"progressbar":{"13":[84,85]},"addgroup":{"13":[143],"88":[687,691,695],"89":[760]},"addintegrationvari":{"13":[156]},"memory_usage":{"13":[196]},"print_output":{"13":[197]},"skip_hidden":{"13":[198]},"writeoutput":{"13":[227]},"forceoverwrit":{"13":[229]},"summari":{"13":[240,250],"84":[61,83]},"alorithm":{"13":[404]},"show_limits":{"14":[15,111],"15":[15,110]},"show_st1":{"14":[17,122],"15":[17,121]},"pattern":{"14":[66],"15":[65]},"boolean":{"14":[112,123],"15":[111,122]},"parent":{"16":[15],"17":[45],"19":[22],"20":[21],"21":[26],"22":[18],"23":[18],"24":[18],"25":[32],"26":[21],"27":[24],"28":[23],"29":[22],"30":[45],"31":[19],"32":[16],"33":[18],"34":[19],"35":[14],"36":[15],"38":[23],"39":[17],"40":[24],"41":[25],"42":[29],"43":[16],"44":[22],"45":[35],"46":[18],"47":[20],"48":[29],"49":[20],"50":[27],"51":[28],"52":[20],"53":[28],"54":[16],"55":[16],"56":[16],"57":[16],"58":[28],"59":[21],"61":[19],"62":[18],"63":[17],"64":[15],"66":[20],"68":[17],"69":[19],"70":[18],"71":[28],"72":[19],"73":[22],"74":[17],"75":[17],"76":[15],"78":[36],"80":[34],"81":[23],"82":[23],"83":[17]},"linearli":{"17":[20],"88":[1062]},"cel":{"17":[27]},"vi":{"17":[32,34,37,39]},"ftot":{"19":[39]},"da":{"21":[66,69]},"chosen":{"21":[94]},"travel":{"21":[108]},"scoag":{"22":[35]},"shyd":{"23":[35]},"stot":{"24":[35]},"less":{"25":[22]},"sigma_floor":{"25":[36]},"sigma_dot":{"26":[34]},"appendic":{"30":[31]},"cstick":{"30":[49,75,115]},"cstick_ind":{"30":[50,135]},"klf":{"30":[53]},"krm":{"30":[54]},"tupl":{"30":[60]},"technic":{"30":[66],"91":[432]},"entri":{"30":[103]},"elemt":{"30":[111]},"axi":{"30":[131],"88":[151,250,710,736,766,778]},"dictionari":{"37":[17],"65":[17]},"__call__":{"37":[37],"65":[37]},"x0":{"37":[38],"65":[38]},"y0":{"37":[39],"65":[39]},"stepsiz":{"38":[35]},"keyworda":{"38":[42],"66":[33]},"jac":{"38":[45],"66":[36]},"linear":{"40":[15],"90":[265],"91":[17,45,1777,1789,1810,1942,2491,2509,2921],"92":[2158,2714]},"pf":{"40":[28]},"propabl":{"40":[30]},"minu":{"41":[18]},"ps":{"41":[29]},"vrel":{"47":[24],"48":[33],"49":[24],"50":[31],"51":[32],"52":[24]},"jacobi":{"66":[37]},"meaningless":{"66":[67]},"cutoff":{"67":[39],"92":[179]},"luminostii":{"83":[22]},"appli":{"84":[33,42,70,79,108,117]},"applic":{"84":[44,81,119]},"setboundari":{"84":[46,84,122]},"abort":{"85":[37,49]},"internet":{"85":[41,57]},"connect":{"85":[42,58]},"ping":{"85":[63]},"librari":{"86":[0,5],"90":[255]},"auxiliari":{"86":[7],"90":[118]},"tool":{"86":[8,20],"90":[119]},"everyon":{"86":[28]},"upload":{"86":[30]},"sever":{"87":[10]},"drop":{"87":[27]},"chemic":{"87":[33,45]},"freez":{"87":[36,119,151,175]},"out":{"87":[37,120,152,176,483]},"long":{"87":[40]},"specul":{"87":[42]},"composit":{"87":[46]},"forc":{"87":[60,158],"88":[90]},"volatil":{"87":[97]},"evapor":{"87":[99]},"bare":{"87":[103]},"he":{"87":[108]},"dipolar":{"87":[127,157]},"natur":{"87":[128]},"sticki":{"87":[137]},"ammonia":{"87":[149]},"slightli":{"87":[155]},"weaker":{"87":[156]},"carbon":{"87":[172]},"dioxid":{"87":[173]},"anywai":{"87":[207]},"sinter":{"87":[221]},"construct":{"87":[325]},"example_ice_lines":{"87":[532,640,643,649,654,660,665,671,676,682,687,693,698,704,709,715,720,726,731,737,742,748,753,759,764,770,775,781,786,792,797,803,808,814,819,825,830,836,841,847,852,858,863,869,874,880]},"enrich":{"87":[909]},"traffic":{"87":[920]},"jam":{"87":[921]},"outsid":{"87":[925]},"slowli":{"87":[947]},"accumul":{"87":[952],"89":[616],"91":[2970]},"insid":{"87":[953]},"carv":{"88":[12,1801]},"princip":{"88":[21]},"torqu":{"88":[42]},"focu":{"88":[55]},"steadi":{"88":[61],"92":[1538,1548,1600,1627]},"allow":{"88":[81],"92":[684]},"fit":{"88":[134]},"kanagawa":{"88":[140,237]},"semi":{"88":[149,248,708,734,764,776],"91":[1730]},"major":{"88":[150,709,735,765,777]},"unperturb":{"88":[159,193,268,282,816,865]},"pertub":{"88":[206,212,275,403,506,785],"90":[294]},"kanagawa2017_gap_profile":{"88":[225,462,921]},"q":{"88":[228,253,300,307,422,465,889,927]},"alpha0":{"88":[230,266,304,311,428,467,826,929,931],"89":[330,424,726]},"majo":{"88":[249]},"aspect":{"88":[261,895,905]},"ret":{"88":[285,367,372,378,383,385],"89":[996,1018,1021,1025]},"ones_like":{"88":[287,869]},"dist":{"88":[293,334,364,365,376]},"kp":{"88":[306,315,345,353]},"prime":{"88":[313,322]},"kp4":{"88":[314,333]},"fourth":{"88":[318]},"sigmin":{"88":[323,342,382]},"siggap":{"88":[331,371]},"dr1":{"88":[339,363,377]},"r1":{"88":[349]},"dr2":{"88":[350,366]},"r2":{"88":[357]},"mask1":{"88":[360,370]},"logical_and":{"88":[362]},"mask2":{"88":[375,381]},"induc":{"88":[400]},"rp":{"88":[415,464,470]},"axvlin":{"88":[469]},"ls":{"88":[473]},"c7":{"88":[475,1007]},"sigma_":{"88":[491]},"mathrm":{"88":[492]},"sigma_0":{"88":[497]},"saturn":{"88":[538,696,726,740,772,1243,1267,1274,1394,1405,1800,1849,1880]},"subgroup":{"88":[545]},"organ":{"88":[547]},"earlier":{"88":[577],"89":[219,478,672]},"funtion":{"88":[792]},"scipi":{"88":[832]},"interp1d":{"88":[835,908]},"__dict__":{"88":[879]},"item":{"88":[880]},"skip":{"88":[881]},"_":{"88":[887]},"continu":{"88":[888]},"f_h":{"88":[907,914]},"e0":{"88":[1002]},"mplan":{"88":[1084,1188,1206],"89":[1754,1913]},"tini":{"88":[1086,1100,1128,1141,1143]},"tfin":{"88":[1087,1108,1133,1140]},"mini":{"88":[1088,1116,1130,1139,1144]},"mfin":{"88":[1089,1121,1135,1138]},"phase":{"88":[1107,1115]},"elif":{"88":[1131]},"els":{"88":[1136]},"mjup":{"88":[1185,1240,1835,1866]},"e5":{"88":[1193,1211],"89":[1934]},"msat":{"88":[1203,1247,1843,1876]},"oragn":{"88":[1252]},"bring":{"88":[1350]},"msg":{"88":[1375,1399]},"njupit":{"88":[1377]},"nsaturn":{"88":[1381]},"example_planetary_gaps":{"88":[1419,1527,1530,1536,1541,1547,1552,1558,1563,1569,1574,1580,1585,1591,1596,1602,1607,1613,1618,1624,1629,1635,1640,1646,1651,1657,1662,1668,1673,1679,1684,1690,1695,1701,1706,1712,1717,1723,1728,1734,1739,1745,1750,1756,1761,1767]},"label":{"88":[1869,1879],"89":[1821,1835,1847,1896,1906,1916],"91":[1075,1083,1114,1587,1595,1626,2394,2402,2433,2807,2815,2846],"92":[375,405,451,940,995,1009,1395,1450,1464,2010,2065,2079,2535,2590,2604]},"legend":{"88":[1882],"89":[1883],"91":[1159,1666,2456,2886],"92":[462,1012,1467,2082,2607]},"m_":{"88":[1906],"89":[1944]},"oplu":{"88":[1907],"89":[1945]},"optic":{"89":[28]},"depth":{"89":[29]},"schoonenberg":{"89":[44]},"soon":{"89":[53]},"typic":{"89":[65,140]},"exceed":{"89":[75]},"amplitud":{"89":[191,372]},"achievend":{"89":[206]},"easier":{"89":[240]},"overal":{"89":[264]},"slower":{"89":[268]},"w":{"89":[367,638,721]},"d2g_crit":{"89":[380,988]},"effici":{"89":[384]},"zeta":{"89":[385,1001]},"e8":{"89":[445]},"until":{"89":[648]},"exp":{"89":[710,713],"91":[400,1865,1875,1901],"92":[279]},"zeros_like":{"89":[781]},"firthermor":{"89":[812]},"m_plan":{"89":[842,858]},"s_ext":{"89":[960,1033]},"d2g_mid":{"89":[967,987]},"mask":{"89":[976,984,999]},"similarli":{"89":[1034]},"dsigmaplan":{"89":[1071,1087]},"y":{"89":[1074]},"inst_planetesimals":{"89":[1121,1151]},"expl_1_euler":{"89":[1124]},"append":{"89":[1136,1150]},"example_planetesimal_formation":{"89":[1236,1344,1347,1353,1358,1364,1369,1375,1380,1386,1391,1397,1402,1408,1413,1419,1424,1430,1435,1441,1446,1452,1457,1463,1468,1474,1479,1485,1490,1496,1501,1507,1512,1518,1523,1529,1534,1540,1545,1551,1556,1562,1567,1573,1578,1584,1589,1595,1600,1606,1611,1617,1622,1628,1633,1639,1644,1650,1655,1661,1666,1672,1677,1683,1688,1694]},"data0023":{"89":[1601]},"data0024":{"89":[1612]},"data0025":{"89":[1623]},"data0026":{"89":[1634]},"data0027":{"89":[1645]},"data0028":{"89":[1656]},"data0029":{"89":[1667]},"data0030":{"89":[1678]},"data0031":{"89":[1689]},"dai":{"89":[1700]},"extract":{"89":[1725]},"sigmadust":{"89":[1747,1786]},"mga":{"89":[1775,1893]},"mdust":{"89":[1782,1903]},"figsiz":{"89":[1800]},"ax00":{"89":[1807,1811,1823,1837,1849,1863,1870,1876,1882]},"loglog":{"89":[1812,1824,1838,1889,1899,1909],"91":[1062,1101,1122,1574,1613,1634,1651,2381,2420,2441,2794,2833,2854,2871],"92":[359,379,424,933,961,988,1388,1416,1443,2003,2031,2058,2528,2556,2583]},"ax10":{"89":[1884,1888,1898,1908,1918,1928,1935,1940]},"smoluchowski":{"90":[56],"91":[102,167]},"publish":{"90":[61]},"instal":{"90":[69,76]},"pip":{"90":[75]},"python3":{"90":[81]},"compil":{"90":[86]},"collect":{"90":[116]},"dustpylinbdocument":{"90":[141]},"search":{"90":[396]},"smoluchwoski":{"91":[5]},"special":{"91":[12]},"verifi":{"91":[27]},"simplifi":{"91":[106]},"benchmark":{"91":[126]},"against":{"91":[130,213],"92":[137,2683]},"silk":{"91":[143]},"takahashi":{"91":[144]},"wetheril":{"91":[147]},"smallest":{"91":[180]},"zeroth":{"91":[199,354,446,473,1825]},"nm2":{"91":[296,378,1849]},"solution_constant_kernel":{"91":[332,680,1125,1654]},"s0":{"91":[336,371,389,514,539,685,786,792,1131,1341,1660,1805,1842,1860,1867,1932,1959,2109,2142,2450,2555,2880]},"m0":{"91":[385,390,393,403,1856,1861,1871,1877,1890,1903,1916],"92":[147,185,258]},"n0":{"91":[388,392,396,406,1859,1898]},"spiki":{"91":[456]},"set_constant_kernel":{"91":[511,789,1338]},"exercis":{"91":[740]},"test_constant_kernel":{"91":[817,932,935,941,946,952,957,963,968,974,979,985,990,996,1001,1007]},"necessari":{"91":[1019]},"sigmaconst":{"91":[1025,1066,1105,1638]},"black":{"91":[1074,1082,1586,1594,2393,2401,2806,2814],"92":[369,1008,1463,2078,2603]},"len":{"91":[1093,1605,2412,2825],"92":[416,951,1406,2021,2546]},"cstr":{"91":[1095,1113,1135,1607,1625,1646,1664,2414,2432,2454,2827,2845,2866,2884],"92":[418,450,956,986,994,1411,1441,1449,2026,2056,2064,2551,2581,2589]},"str":{"91":[1097,1609,2416,2829],"92":[420,958,1413,2028,2553]},"annot":{"91":[1137]},"xy":{"91":[1138]},"1e2":{"91":[1140]},"xytext":{"91":[1144]},"arrowprop":{"91":[1150]},"dict":{"91":[1151]},"facecolor":{"91":[1152]},"red":{"91":[1153,1210]},"ncol":{"91":[1160,1667,2457,2887]},"mark":{"91":[1207]},"arrow":{"91":[1211]},"bit":{"91":[1221],"92":[1511,2729]},"combin":{"91":[1271]},"acceler":{"91":[1280]},"counteract":{"91":[1284]},"test_constant_kernel_high_res":{"91":[1351,1459,1462,1468,1473,1479,1484,1490,1495,1501,1506,1512,1517,1523,1528,1534]},"83e":{"91":[1391,2611]},"63e":{"91":[1399,2619]},"33e":{"91":[1415,2635]},"21e":{"91":[1430,2650]},"66e":{"91":[1438,2658]},"47e":{"91":[1446,2666]},"16e":{"91":[1453,2673]},"sigmaconstanthighr":{"91":[1543,1578,1617]},"mhighr":{"91":[1550,1575,1581,1614,1620,1652,1657,1671,1674,2770,2795,2801,2834,2840,2872,2877,2891,2894]},"thighr":{"91":[1557,1606,1631,2777,2826,2851]},"closer":{"91":[1722],"92":[2116]},"transpar":{"91":[1731]},"cours":{"91":[1742]},"expens":{"91":[1749],"92":[539]},"solution_linear_kernel":{"91":[1801,2104,2444,2874]},"sqrt":{"91":[1880,1886,1906,1912]},"set_linear_kernel":{"91":[1929,2139,2552]},"test_linear_kernel":{"91":[2158,2266,2269,2275,2280,2286,2291,2297,2302,2308,2313,2319,2324,2330,2335,2341]},"sigmalinear":{"91":[2350,2385,2424,2858]},"wors":{"91":[2516]},"test_linear_kernel_high_res":{"91":[2571,2679,2682,2688,2693,2699,2704,2710,2715,2721,2726,2732,2737,2743,2748,2754]},"sigmalinearhighr":{"91":[2763,2798,2837]},"runawai":{"91":[2962]},"scenario":{"91":[2966]},"quickli":{"91":[2969]},"bodi":{"91":[2975,2985]},"design":{"91":[2980]},"properli":{"91":[2982]},"hartmann":{"92":[32]},"dimensionless":{"92":[77,99,228]},"lbp74_analytical":{"92":[143,385,430,964,1419,2034,2559]},"log10":{"92":[219,224]},"nu1":{"92":[233,244,260,269]},"ts":{"92":[240,250]},"c0":{"92":[404,939,1394,2009,2534]},"0e":{"92":[408,943,1398,2013,2538]},"interest":{"92":[527]},"computation":{"92":[537]},"test_gas_evolution":{"92":[695,813,816,822,827,833,838,844,849,855,860,866,1176,1287,1293,1298,1304,1309,1315,1320,1326,1331,1337,1791,1902,1908,1913,1919,1924,1930,1935,1941,1946,1952,2316,2427,2433,2438,2444,2449,2455,2460,2466,2471,2477]},"agreement":{"92":[1062]},"ones":{"92":[1506]},"match":{"92":[1520]},"went":{"92":[1525,1648]},"find":{"92":[1598]},"stil":{"92":[2124]},"perfect":{"92":[2642]},"inflow":{"92":[2676]},"cheat":{"92":[2726]},"scene":{"92":[2738]},"prefer":{"92":[2811]}},"termwords":{"usag":"usage","dustpi":"dustpy","us":"used","simfram":"simframe","scientif":"scientific","simul":"simulation","detail":"details","descript":"description","pleas":"please","document":"documentation","thi":"this","demonstr":"demonstration","simpl":"simple","resum":"resume","packag":"package","creat":"creating","instanc":"instance","empti":"empty","control":"controller","quantiti":"quantities","ga":"gas","nonetyp":"nonetype","integr":"integration","specifi":"specified","ar":"are","initi":"initial","attribut":"attributes","easilii":"easiliy","address":"addressed","boundari":"boundary","condit":"condition","sourc":"source","term":"terms","veloc":"velocity","valu":"value","ha":"has","cg":"cgs","unit":"units","turbul":"turbulent","paramet":"parameters","pressur":"pressure","interfac":"interfaces","adiabat":"adiabatic","midplan":"midplane","miplan":"miplane","densiti":"density","kinemat":"kinematic","viscos":"viscosity","surfac":"surface","temperatur":"temperature","displai":"display","tabl":"table","content":"contents","particl":"particle","backreact":"backreaction","coeffici":"coefficients","coagul":"coagulation","fragment":"fragmentation","normal":"normalization","ep":"eps","distribut":"distribution","stick":"sticking","element":"elements","diffus":"diffusive","mix":"mixing","vertic":"vertical","advect":"advective","collis":"collision","probabl":"probability","extern":"external","hydrodynam":"hydrodynamic","stoke":"stokes","azimuth":"azimuthal","settl":"settling","viscou":"viscous","accret":"accretion","annulu":"annulus","frequenc":"frequency","center":"centers","luminos":"luminosity","radiu":"radius","variabl":"variable","readi":"ready","minut":"minutes","http":"https","check":"checking","conserv":"conservation","eros":"erosion","directori":"directory","write":"writing","execut":"execution","statu":"status","doe":"does","argument":"arguments","onli":"only","blue":"blues","line":"lines","analyt":"analytical","estim":"estimates","pass":"passed","access":"accessed","evolut":"evolution","furthermor":"furthermore","middl":"middle","grai":"gray","dash":"dashed","possibl":"possible","interact":"interactive","wai":"way","independ":"independent","numer":"numerical","dimens":"dimension","divid":"divide","sinc":"since","strictli":"strictly","logarithm":"logarithmic","follow":"following","relat":"relation","hold":"holds","easili":"easily","calcul":"calculates","numpi":"numpy","assum":"assumes","exactli":"exactly","solv":"solving","yield":"yields","therefor":"therefore","modul":"module","provid":"provided","format":"formation","overwrit":"overwrite","fals":"false","option":"optional","comopt":"comopts","verbos":"verbosity","singl":"single","return":"returns","namespac":"namespace","simpli":"simply","arrai":"array","addit":"additional","quit":"quite","larg":"large","entir":"entire","sigmaga":"sigmagas","sequenc":"sequence","exclud":"excluded","memori":"memory","contain":"containing","inform":"information","oper":"operations","directli":"directly","attent":"attention","malwar":"malware","inject":"injected","pickl":"pickled","thei":"they","otherwis":"otherwise","guarante":"guaranteed","ident":"identical","previou":"previous","exampl":"example","snapshot":"snapshots","concaten":"concatenate","anoth":"another","wa":"was","modifi":"modifying","structur":"structure","call":"called","accord":"according","allowdriftingparticl":"allowdriftingparticles","fragmentdistribut":"fragmentdistribution","rhomonom":"rhomonomer","mainli":"mainly","influenc":"influence","dynam":"dynamical","profil":"profile","timescal":"timescales","passiv":"passively","irradi":"irradiated","irradt":"irradtion","angl":"angle","determin":"determine","circumst":"circumstances","meddl":"meddle","alwai":"always","strickli":"strickly","produc":"produce","result":"resulting","chang":"changing","ani":"any","dure":"during","veri":"very","sensit":"sensitive","slow":"slows","drastic":"drastically","decad":"decade","accuraci":"accuracy","comput":"computational","locat":"location","defin":"define","solut":"solution","pringl":"pringle","capac":"capacity","init":"inital","expon":"exponent","critic":"critical","collision":"collisional","remov":"remove","inward":"inwards","rapidli":"rapidly","increas":"increase","caus":"caused","alreadi":"already","begin":"beginning","visibl":"visible","collid":"collide","fulli":"fully","thing":"things","happen":"happens","togeth":"together","chip":"chipping","grain":"grains","mathi":"mathis","excav":"excavated","whenev":"whenever","monom":"monomer","uniti":"unity","exce":"exceeds","depend":"depending","massiv":"massive","describ":"described","logspac":"logspace","exist":"existing","rais":"raised","becaus":"because","limit":"limits","machin":"machine","precis":"precision","everyth":"everything","accept":"acceptable","compat":"compatible","ignor":"ignore","checkmassconserv":"checkmassconservation","advanc":"advanced","principl":"principle","anyth":"anything","physic":"physical","situat":"situation","befor":"before","complet":"completely","makegrid":"makegrids","adjac":"adjacent","explain":"explained","refin":"refine","doubl":"double","recurs":"recursively","reduc":"reduced","transit":"transition","resolut":"resolution","iter":"iterations","rang":"range","ndarrai":"ndarray","suffici":"sufficient","automat":"automatically","ad":"adding","figur":"figure","semilog":"semilogy","axhlin":"axhline","posit":"positions","manual":"manually","awar":"aware","coat":"coated","ic":"ice","silic":"silicate","howev":"however","experi":"experiments","suggest":"suggested","cover":"covered","benefici":"beneficial","everi":"every","distanc":"distance","desir":"desired","updat":"updater","store":"stored","consist":"consists","systol":"systoles","diastol":"diastole","afterward":"afterwards","leav":"leaving","probabilit":"probabilites","give":"gives","snowlin":"snowline","sublim":"sublime","print":"prints","achiev":"achieve","decreas":"decrease","purpos":"purposes","necessarili":"necessarily","instruct":"instruction","regularili":"regularily","onc":"once","updateord":"updateorder","final":"finalization","deriv":"derivative","concept":"conceptional","previous":"previously","respect":"respective","requir":"requires","separ":"separately","modif":"modifications","obviou":"obvious","discret":"discrete","hline":"hlines","vline":"vlines","yr":"yrs","excert":"excerts","mechan":"mechanism","everywher":"everywhere","activ":"active","setcondit":"setcondition","util":"utils","impos":"impose","discuss":"discussions","analysi":"analysis","speci":"species","instabl":"instabilities","maxwel":"maxwell","count":"counting","abov":"above","squar":"square","bounc":"bouncing","implement":"implemented","differ":"different","rate":"rates","outcom":"outcome","differenti":"differential","express":"expression","diverg":"diverging","cap":"capped","unwant":"unwanted","individu":"individual","prescript":"prescription","literatur":"literature","metal":"metallicity","aggreg":"aggregates","dubrul":"dubrulle","geometr":"geometrical","multipli":"multiplied","kroneck":"kronecker","materi":"material","summat":"summation","contribut":"contributing","correspond":"corresponds","regim":"regimes","consid":"considered","deviat":"deviations","infal":"infall","implicitli":"implicitly","relev":"relevant","turn":"turning","isotherm":"isothermal","degre":"degree","kepler":"keplerity","specif":"specific","addition":"additionally","span":"spans","safeti":"safety","includ":"including","reshap":"reshape","dimension":"dimensional","success":"successful","enforc":"enforces","equat":"equation","gener":"general","neg":"negative","goe":"goes","symmetr":"symmetric","initialz":"initialze","ti":"tied","complic":"complications","disadvantag":"disadvantage","coars":"coarse","resulut":"resulution","magnitud":"magnitude","halt":"halts","primarili":"primarily","sweep":"sweeping","mani":"many","techniqu":"techniques","arrang":"arranging","apendic":"apendices","spars":"sparse","mostli":"mostly","elemet":"elemets","collsion":"collsions","roughli":"roughly","significantli":"significantly","develop":"developed","mai":"may","notic":"noticed","tranform":"tranformed","transpos":"transpose","indic":"indicating","lose":"loses","accur":"accurate","decid":"decide","crosssect":"crosssection","devid":"devided","evalu":"evaluating","toarrai":"toarray","arang":"arange","act":"acts","box":"boxes","diagon":"diagonals","choic":"choice","column":"columns","involv":"involving","earli":"early","henc":"hence","repres":"represent","especi":"especially","_rh":"_rhs","reach":"reached","probabili":"probabilies","consum":"consume","valuabl":"valuable","resourc":"resources","interpol":"interpolate","rm":"rms","planetesim":"planetesimal","pebbl":"pebbles","deactiv":"deactivate","ressourc":"ressources","move":"moving","invers":"inverse","weakli":"weakly","violat":"violation","setdustintegr":"setdustintegrator","gmre":"gmres","viscous":"viscously","evolv":"evolving","planet":"planets","neighbour":"neighbouring","notabl":"notable","multipl":"multiplication","word":"words","photoevapor":"photoevaporation","citat":"citation","articl":"article","titl":"title","protoplanetari":"protoplanetary","astronomi":"astronomy","softwar":"software","astronom":"astronomical","astrophys":"astrophysics","planetari":"planetary","instrument":"instrumentation","volum":"volume","page":"pages","adsab":"adsabs","ab":"abs","adsnot":"adsnote","public":"publications","incomplet":"incomplete","categori":"category","surviv":"surviving","reveal":"reveals","mantl":"mantles","houg":"houge","macía":"macías","enriqu":"enrique","millimet":"millimeter","emiss":"emission","substructur":"substructures","matía":"matías","andrew":"andrews","marku":"markus","kurtov":"kurtovic","nicolá":"nicolás","thoma":"thomas","constraint":"constraints","appar":"apparent","ring":"rings","band":"bands","issu":"issue","measur":"measurements","fragil":"fragile","carlo":"carlos","reconcil":"reconciles","observ":"observations","charg":"charged","abund":"abundance","dramat":"dramatically","vitali":"vitaly","silsbe":"silsbee","edg":"edge","magnet":"magnetized","delag":"delage","timmi":"timmy","revisit":"revisiting","armitag":"armitage","leaki":"leaky","trap":"traps","filter":"filtering","bump":"bumps","properti":"properties","corn":"cornelis","tommi":"tommy","mile":"miles","shirlei":"shirley","learn":"learning","scienc":"sciences","neurip":"neurips","dwarf":"dwarfs","plu":"plus","exokuip":"exokuiper","belt":"belts","migrat":"migrating","hen":"henning","monthli":"monthly","societi":"society","mnra":"mnras","benisti":"benisty","sanchi":"sanchis","constrain":"constraining","kretk":"kretke","katherin":"katherine","damp":"damped","vicin":"vicinity","jupit":"jupiter","evid":"evidence","ongo":"ongoing","letter":"letters","dim":"dimming","preced":"preceding","han":"hans","featur":"feature","guidlin":"guidlines","introduc":"introduces","report":"reports","encount":"encounter","expect":"expected","reproduc":"reproduce","miss":"missing","improv":"improvement","commun":"community","releas":"release","decemb":"december","deprec":"deprecation","distutil":"distutils","trigger":"triggered","fix":"fixed","prepar":"prepare","futur":"future","correctli":"correctly","affect":"affected","februari":"february","convers":"conversion","denomin":"denominator","neglig":"negligible","charact":"characters","potenti":"potential","incomp":"incompabilities","docstr":"docstrings","novemb":"november","luminosisti":"luminosisty","compar":"compare","radi":"radiative","juli":"july","intens":"intensive","arg":"args","kwarg":"kwargs","gravit":"gravitational","circl":"circle","circumfer":"circumference","diamet":"diameter","molecul":"molecule","filenam":"filename","extens":"extension","adapt":"adaptive","vparticl":"vparticle","templat":"template","irridi":"irridiated","viscoc":"viscocity","warn":"warning","avail":"available","manag":"managing","addintegrationvari":"addintegrationvariable","forceoverwrit":"forceoverwrite","summari":"summary","linearli":"linearly","travel":"traveling","appendic":"appendices","tupl":"tuple","technic":"technically","entri":"entries","elemt":"elemts","axi":"axis","dictionari":"dictionary","stepsiz":"stepsize","propabl":"propability","minu":"minus","luminostii":"luminostiy","appli":"applied","applic":"applicable","setboundari":"setboundary","abort":"aborted","connect":"connection","librari":"library","auxiliari":"auxiliary","tool":"tools","everyon":"everyone","sever":"several","chemic":"chemical","freez":"freezes","specul":"speculated","composit":"compositions","forc":"forces","volatil":"volatiles","evapor":"evaporated","natur":"nature","sticki":"sticky","slightli":"slightly","dioxid":"dioxide","anywai":"anyway","sinter":"sintering","construct":"constructs","enrich":"enriched","outsid":"outside","slowli":"slowly","accumul":"accumulates","insid":"inside","carv":"carved","princip":"principal","torqu":"torques","focu":"focus","steadi":"steady","allow":"allowing","fit":"fits","unperturb":"unperturbed","pertub":"pertubation","induc":"induce","axvlin":"axvline","subgroup":"subgroups","organ":"organize","scipi":"scipy","item":"items","continu":"continue","els":"else","oragn":"oragnize","njupit":"njupiter","oplu":"oplus","optic":"optical","depth":"depths","typic":"typically","exceed":"exceeded","amplitud":"amplitude","overal":"overall","effici":"efficiency","firthermor":"firthermore","similarli":"similarly","dai":"day","mga":"mgas","figsiz":"figsize","publish":"published","instal":"installed","compil":"compiler","collect":"collection","dustpylinbdocument":"dustpylinbdocumentation","verifi":"verify","simplifi":"simplified","wetheril":"wetherill","spiki":"spiky","exercis":"exercise","necessari":"necessary","sigmaconst":"sigmaconstant","annot":"annotate","arrowprop":"arrowprops","mark":"marked","combin":"combined","acceler":"accelerated","sigmaconstanthighr":"sigmaconstanthighres","mhighr":"mhighres","thighr":"thighres","transpar":"transparent","cours":"course","expens":"expensive","wors":"worse","sigmalinearhighr":"sigmalinearhighres","runawai":"runaway","quickli":"quickly","bodi":"bodies","design":"designed","properli":"properly","interest":"interested","computation":"computationally","find":"finds","cheat":"cheating","scene":"scenes"},"codeterms":{"from":{"0":[1,9,17,26,29],"1":[1,8,16],"2":[1,22,29,61],"3":[1],"4":[1],"5":[1],"6":[1],"87":[1,4,8,11],"88":[5,7,16,17,29],"89":[1,19,25,29],"91":[5],"92":[2,5,14,23,32,42]},"dustpy":{"0":[1,9,17,26,29],"1":[1,8,16],"2":[1,8,61],"3":[1],"4":[1],"5":[1],"6":[1],"87":[1,11],"88":[2,7,29],"89":[1,25],"91":[2,4,5,29],"92":[2,4,5]},"import":{"0":[1,9,14,17,26,29],"1":[1,8,11,16],"2":[1,7,8,17,61],"3":[1],"4":[1],"5":[1,4],"6":[1,2],"87":[1,4,5,8,11],"88":[1,2,4,7,16,29],"89":[1,4,19,25,29],"91":[1,5,16],"92":[1,2,3,4]},"simulation":{"0":[1,2],"1":[1,2],"2":[1,2,11],"3":[1,2],"4":[1],"5":[1],"6":[1],"87":[1,2],"88":[7,8,16],"89":[1,3],"91":[2,4,5,6,18,29,30,39],"92":[2,15,24,33]},"sim":{"0":[2,3,4,5,6,7,8,10,13,14,16,25,28],"1":[2,3,4,5,6,7,9,10,12,13,14,15,17],"2":[2,3,4,5,6,11,12,13,14,15,16,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,62,63],"3":[2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72],"4":[1,2,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22],"5":[1,2,3,5,6,7,8,9,10,11,12,13,14,15,16,17,18],"6":[1,3,4,5,6,7,8,9,10],"87":[2,3,4,5,6,7,8,9,10,11],"88":[8,9,10,11,12,13,14,16,17,18,20,21,22,23,24,25,26,27,28,30,31],"89":[3,5,6,7,8,9,10,11,12,13,14,15,16,17,18,20,21,22,23,24,26,27,28,29],"91":[4,6,7,8,9,11,12,13,14,15,18,19,20,21,22,23,24,25,26,29,30,31,32,33,34,35,36,37,39,40,41,42,43,44,45,46,47],"92":[2,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42]},"gas":{"0":[4,6,20,22,23,28],"1":[6,9],"2":[23,24,33,42,43,44,57],"3":[37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,68,69],"6":[3,4,5,6,7],"87":[5],"88":[16,18,23,24],"89":[2,3,8,10,14,15,27,29],"91":[4,29],"92":[1,5,13,14,15,22,23,24,25,31,32,33,34,37,41,42]},"initialize":{"0":[5],"1":[10],"2":[20],"3":[3],"4":[1],"5":[1],"6":[1],"87":[3],"88":[10],"89":[6],"91":[9,21,32,42],"92":[2,16,24,33]},"toc":{"0":[7],"88":[14]},"run":{"0":[8,31],"1":[14],"2":[60],"87":[10],"88":[28],"89":[24],"91":[14,25,36,46],"92":[12,21,30,40]},"plot":{"0":[9,10,11,12],"1":[16,17],"2":[61,62],"87":[11],"88":[29,30,32],"89":[25,26],"91":[17,27,38,48],"92":[14,23,32,42]},"panel":{"0":[10,11],"1":[17],"2":[62],"87":[11],"88":[30],"89":[26]},"data":{"0":[11,12,21,22,27]},"it":{"0":[11],"92":[1]},"ir":{"0":[11],"3":[19]},"im":{"0":[11]},"ipanel":{"0":[12]},"dust":{"0":[13,16,25],"1":[7],"2":[21,22,25,26,27,28,29,45,46,47,48,49,50,51,52],"3":[5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,70,71],"4":[2,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22],"5":[1,3,5,6,7,8,9,10,11,12,17],"87":[4,6,8],"88":[23],"89":[2,3,14,15,16,17,27,29],"91":[3,4,8,15,20,26,28,29,31,37,41,47],"92":[6,17,26,35]},"sigma":{"0":[13,16,20,22,23,28],"3":[28,68,69,70,71],"5":[3,5],"6":[3,4,6],"88":[1],"89":[10,12,15,18,20,27,29],"91":[4,15,26,29,37,47],"92":[1,5,13,14,22,23,31,32,41,42]},"sum":{"0":[13],"3":[28],"4":[7,11,13,19],"89":[12,15,17,28,29]},"numpy":{"0":[14],"1":[11],"2":[7],"5":[4],"6":[2],"87":[5],"88":[1],"89":[4],"91":[1],"92":[1,4]},"as":{"0":[14,29],"1":[8,11],"2":[7,8,17],"5":[4],"6":[2],"87":[1,4,5,8],"88":[1,2,4],"89":[1,4,29],"91":[1,16],"92":[1,3,4]},"np":{"0":[14,29],"1":[11,12],"2":[7,9,24,33,37,58],"5":[4,5],"6":[2,3],"87":[5],"88":[1,3,6,9,16],"89":[4,5,7,8,10,15],"91":[1,2,3,4,12,28,29,34,44],"92":[1,4]},"a":{"0":[14,15],"3":[7],"4":[17,18,19],"5":[17],"88":[1,12,13,16],"89":[2,8,12,28],"91":[2,3,4,10,11,17,22,27,28,29,33,38,43,48],"92":[1]},"mean":{"0":[14],"91":[2,4,29],"92":[1]},"grid":{"0":[14],"1":[5],"2":[3,5,6,7,12,13,15,16,18,19,22,29,31,32,33,34,35,36,41,53,54,55,56,63],"3":[52,53,54,55,56,57],"4":[7,17,18,19],"5":[1,5],"6":[1,3],"87":[4,8],"88":[1,9,16,17,23,32],"89":[3,4,5,8,12,14,15,28,29],"91":[2,3,4,7,15,19,26,28,29,31,37,40,47],"92":[1,5,13,22,25,31,34,41]},"m":{"0":[14],"2":[37],"3":[53,59],"4":[7,17,18,19],"87":[4,8],"88":[12,13,16,21,22,26,31],"89":[10,13,14,27],"91":[2,3,4,15,17,26,27,28,29,37,38,47,48]},"b":{"0":[15,16],"3":[8],"5":[17],"91":[2,4,29]},"hdf5writer":{"0":[17]},"wrtr":{"0":[17,18,19,21,23]},"data0003":{"0":[19,20]},"read":{"0":[19,21,23],"2":[63],"88":[31],"89":[27],"91":[15,26,37,47],"92":[13,22,31,41]},"output":{"0":[19]},"all":{"0":[21],"4":[21]},"shape":{"0":[22,24],"2":[21,23],"3":[70,71],"5":[3]},"sigmagas":{"0":[23,24],"89":[27,28]},"sequence":{"0":[23],"2":[63],"88":[31],"89":[27],"91":[15,26,37,47],"92":[13,22,31,41]},"kernel":{"0":[25],"5":[8,17],"91":[3,4,17,27,28,29,38,48]},"save":{"0":[25]},"false":{"0":[25],"5":[5],"6":[3],"89":[15],"91":[8,20]},"readdump":{"0":[26,27]},"sim_restart":{"0":[27,28,29,30,31,32]},"frame":{"0":[27],"88":[16],"91":[4,29]},"dmp":{"0":[27]},"constants":{"0":[29],"1":[8],"2":[8],"87":[1],"88":[2],"89":[1],"92":[4]},"c":{"0":[29,30,32],"1":[8,9,12,15],"2":[8,9,10,18,22,29,36,37,58,63],"87":[1,4,8],"88":[2,3,5,9,12,13,17,20,26,32],"89":[1,2,5,7,29],"91":[17,27,38,48],"92":[1,4,5,13,14,22,23,31,32,41,42]},"t":{"0":[29,30,32],"1":[12,15],"2":[23,24,33,37,57,58,63,64],"3":[61,63,64,65],"87":[5],"88":[19,20,31,32],"89":[7,27,29],"91":[3,4,12,15,17,23,26,27,28,29,34,37,38,44,47,48],"92":[1,5,10,13,14,19,22,23,28,31,32,38,41,42]},"snapshots":{"0":[29],"1":[12],"2":[58],"3":[64],"89":[7],"91":[12,23,34,44],"92":[4,5,10,14,19,23,28,32,38,42]},"concatenate":{"0":[29],"2":[7],"88":[6],"89":[4]},"year":{"0":[29,30,32],"1":[12,15],"2":[37,58,63],"88":[20,32],"89":[7,29],"92":[4,5,13,14,22,23,31,32,41,42]},"ini":{"1":[3,4,5,6,7,9],"5":[1],"6":[1],"89":[3],"91":[7,8,19,20,31,40,41],"92":[5,14,15,23,24,25,32,33,34,42]},"star":{"1":[4],"2":[22,29,38,40],"3":[58,59,60,61,62],"87":[4,8],"88":[1,5,16,17,23],"89":[14,29],"92":[5,14,23,32,42]},"mdisk":{"1":[9],"89":[2,3],"92":[5,14,23,32,42]},"m_sun":{"1":[9],"88":[2],"89":[2]},"logspace":{"1":[12],"2":[9,58],"88":[3,9],"89":[5,7],"91":[12,34,44],"92":[4]},"num":{"1":[12],"2":[7,9,10,58],"88":[6],"89":[4],"92":[4]},"base":{"1":[12],"2":[9,58],"92":[4]},"writer":{"1":[13],"2":[59,63],"3":[72],"87":[9],"88":[27,31],"89":[23,27],"91":[13,15,24,26,35,37,45,47],"92":[11,13,20,22,29,31,39,41]},"datadir":{"1":[13],"2":[59],"87":[9],"88":[27],"89":[23],"91":[13,24,35,45],"92":[11,20,29,39]},"2_data":{"1":[13]},"makegrids":{"2":[4,14]},"r":{"2":[6,18,19,22,29,37,38],"3":[56,60],"5":[5],"6":[3],"87":[4,8],"88":[1,3,5,16,17,32],"89":[8,29],"91":[3,4,17,27,28,29,38,48],"92":[1,5,13,14,22,23,25,31,32,34,41,42]},"def":{"2":[7,24,33,37,56],"87":[5],"88":[1,6,16,19,20],"89":[4,12,15,17],"91":[2,3,4,28,29],"92":[1]},"refinegrid":{"2":[7,10],"88":[6,9],"89":[4,5]},"ri":{"2":[7,9,10,12,19,33,63,64],"3":[56],"88":[6,9],"89":[4,5]},"r0":{"2":[7],"88":[6],"89":[2,4,5,8]},"function":{"2":[7],"88":[1,16,19],"89":[4],"91":[2,4,29],"92":[1]},"to":{"2":[7],"88":[1,16],"89":[2,4,15],"91":[4,29],"92":[1]},"refine":{"2":[7],"89":[4]},"the":{"2":[7,36],"88":[1,16,19],"89":[4],"91":[2,3,4,28,29],"92":[1]},"radial":{"2":[7,18],"88":[1],"89":[4],"92":[1]},"parameters":{"2":[7],"88":[1,16,19],"89":[4],"91":[2,3,28],"92":[1]},"array":{"2":[7],"88":[1,16],"89":[4],"91":[2]},"float":{"2":[7],"88":[1,19],"89":[4],"91":[3,4,28,29],"92":[1]},"location":{"2":[7,18,31,64],"88":[1],"89":[2,4]},"around":{"2":[7],"89":[4]},"which":{"2":[7],"89":[4]},"should":{"2":[7],"89":[4]},"be":{"2":[7],"89":[4]},"refined":{"2":[7],"89":[4]},"int":{"2":[7],"88":[6],"89":[4]},"option":{"2":[7],"89":[4]},"default":{"2":[7],"89":[4]},"number":{"2":[7],"89":[4],"91":[2]},"of":{"2":[7,18],"4":[19],"5":[5],"6":[3],"88":[1,19],"89":[4],"91":[3,28],"92":[1]},"refinement":{"2":[7],"89":[4]},"iterations":{"2":[7],"89":[4]},"returns":{"2":[7],"88":[1,16,19],"89":[4],"91":[2,3,28],"92":[1]},"new":{"2":[7],"89":[4]},"if":{"2":[7],"88":[16,19],"89":[4,15]},"return":{"2":[7,24,33,37],"87":[5],"88":[1,6,16,19,20],"89":[4,12,15,17],"91":[2,3,28],"92":[1]},"ind":{"2":[7],"88":[6],"89":[4]},"argmin":{"2":[7],"88":[6],"89":[4]},"indl":{"2":[7],"88":[6],"89":[4]},"indr":{"2":[7],"88":[6],"89":[4]},"ril":{"2":[7],"88":[6],"89":[4]},"rir":{"2":[7],"88":[6],"89":[4]},"n":{"2":[7],"88":[6],"89":[4],"91":[17,27,28,38,48]},"rim":{"2":[7],"88":[6],"89":[4]},"empty":{"2":[7],"88":[6],"89":[4]},"for":{"2":[7],"88":[6,16],"89":[4],"91":[2,4,17,27,29,38,48],"92":[5,14,23,32,42]},"i":{"2":[7],"3":[19],"4":[4,5,6,7,8,11,14,15,16,17,18,19],"88":[6],"89":[4],"91":[17,27,38,48],"92":[5,14,23,32,42]},"in":{"2":[7],"4":[19],"88":[6,16],"89":[4,15],"91":[2,3,17,27,28,38,48],"92":[5,14,23,32,42]},"range":{"2":[7],"88":[6],"89":[4],"91":[17,27,38,48],"92":[5,14,23,32,42]},"j":{"2":[7],"3":[19],"4":[4,5,6,7,8,9,10,11,14,15,16,17,18,19],"5":[5],"6":[3],"88":[6],"89":[4]},"au":{"2":[9,10,18,22,29,36,63,64],"87":[4,8],"88":[2,3,5,9,12,13,17],"89":[2,5,29],"92":[5,13,14,22,23,31,32,41,42]},"nr":{"2":[16],"3":[55],"5":[1,5],"6":[1,3],"91":[7,19,31,40]},"matplotlib":{"2":[17],"5":[4],"6":[2],"87":[4,8],"88":[4],"89":[29],"91":[16],"92":[3]},"pyplot":{"2":[17],"5":[4],"6":[2],"87":[4,8],"88":[4],"89":[29],"91":[16],"92":[3]},"plt":{"2":[17,18,22,29,64],"5":[4,5],"6":[2,3],"87":[4,8],"88":[4,5,17,32],"89":[29],"91":[16,17,27,38,48],"92":[3,5,14,23,32,42]},"fig":{"2":[18,22,29,64],"5":[5],"6":[3],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"figure":{"2":[18,22,29,64],"5":[5],"6":[3],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"dpi":{"2":[18,22,29,64],"5":[5],"6":[3],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"ax":{"2":[18,22,29,64],"5":[5],"6":[3],"87":[4,8],"88":[5,17,32],"91":[17,27,38,48],"92":[5,14,23,32,42]},"add_subplot":{"2":[18,22,29,64],"5":[5],"6":[3],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"semilogy":{"2":[18]},"axhline":{"2":[18]},"gray":{"2":[18,64],"5":[5],"6":[3]},"lw":{"2":[18,64],"5":[5],"88":[5,17],"91":[17,27,38,48],"92":[5,14,23,32,42]},"set_xlabel":{"2":[18,22,29,64],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"cell":{"2":[18]},"set_ylabel":{"2":[18,22,29,64],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"tight_layout":{"2":[18,22,29,64],"5":[5],"6":[3],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"show":{"2":[18,22,29,64],"5":[5],"6":[3],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"v":{"2":[21,22,25,26,27,28,29,44,51,52],"3":[22,23,24,35,36,44,51],"5":[8,10,12,17],"87":[4,6,8],"91":[4,29]},"frag":{"2":[21,22,25,28,29],"3":[19,24],"4":[21],"5":[6,7,8,17],"87":[4,6,8],"91":[4,29]},"semilogx":{"2":[22,29,64],"87":[4,8],"88":[5,17]},"distance":{"2":[22,29],"87":[4,8],"88":[1,5,17],"89":[29],"92":[5,14,23,32,42]},"fragmentation":{"2":[22,29],"87":[4,8],"89":[2],"91":[4,29]},"velocity":{"2":[22,29],"87":[4,8],"89":[2]},"cm":{"2":[22,29,31],"88":[12,13],"89":[2]},"s":{"2":[22,29,43,50],"3":[20,21,34,42,43,50,69,71],"4":[22],"5":[17],"6":[7],"87":[4,8],"89":[2,16,17],"91":[2,4,29],"92":[6,17,26,35]},"v_frag":{"2":[24,25,26]},"where":{"2":[24],"5":[5],"6":[3],"87":[5],"88":[1],"89":[15]},"updater":{"2":[25,26,27,34,38,53,55,57],"5":[6,7,8,10,11,12,17],"6":[5,7],"88":[21,22,23,24],"89":[13,14,16],"91":[4,29],"92":[6,17,26,35]},"systole":{"2":[27]},"none":{"2":[27],"5":[6,7,8,10,11,12],"6":[5,7],"89":[15],"91":[4,29],"92":[6,17,26,35]},"diastole":{"2":[27,56,57]},"update":{"2":[28,30,35,56],"87":[7],"88":[25],"89":[23],"91":[4,29],"92":[6,17,26,35]},"addfield":{"2":[31],"88":[12,13],"89":[10]},"rsnow":{"2":[31,33,34,35,36,53,56,63,64]},"description":{"2":[31],"88":[12,13],"89":[9,10,20]},"snowline":{"2":[31,36,64]},"isnow":{"2":[33]},"argmax":{"2":[33]},"print":{"2":[36],"4":[7,19],"88":[26]},"is":{"2":[36],"89":[15],"91":[3,4,28,29],"92":[1]},"located":{"2":[36]},"at":{"2":[36],"88":[1],"89":[15],"92":[1]},"2f":{"2":[36],"88":[26]},"format":{"2":[36],"4":[7,19],"88":[26],"91":[17,27,38,48],"92":[5,14,23,32,42]},"rstar":{"2":[37,38]},"dr":{"2":[37]},"r_sun":{"2":[37]},"dt":{"2":[37]},"e4":{"2":[37,64],"89":[29],"92":[5,14,23,32,42]},"maximum":{"2":[37],"91":[4,29]},"updateorder":{"2":[39,40,41,42,43,44,45,46,47,48,49,50,51,52,54],"3":[29,30,31,32,33,34,35,36,49,50,51,57,62]},"backreaction":{"2":[46],"3":[6,7,8,30],"5":[17]},"delta":{"2":[47],"3":[13,14,15,16,31],"5":[17],"88":[1]},"fi":{"2":[48],"3":[17,32],"5":[9,17]},"p":{"2":[49],"3":[18,19,33],"4":[20,21],"5":[6,7,8,17],"88":[16],"91":[4,29]},"rel":{"2":[52],"3":[23,36],"5":[8,17]},"omegak":{"2":[53,55],"89":[15]},"3_data":{"2":[59]},"hlines":{"2":[64],"5":[5],"6":[3]},"e3":{"2":[64],"91":[17,27,38,48]},"1e4":{"2":[64]},"color":{"2":[64],"5":[5],"6":[3],"88":[17]},"alpha":{"2":[64],"3":[45],"5":[5],"6":[3],"88":[1,16,17,18,24],"89":[2,3,8],"91":[17,27,38,48],"92":[5,25,34]},"vlines":{"2":[64],"5":[5],"6":[3],"88":[17]},"set_xlim":{"2":[64],"87":[4,8],"88":[5,17,32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"set_ylim":{"2":[64],"88":[17],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"time":{"2":[64],"88":[19,32],"89":[29],"91":[3,4,28,29],"92":[1]},"yr":{"2":[64]},"boundary":{"3":[9,10,11,12,38,39,40,41],"92":[37]},"inner":{"3":[10,39,41],"92":[37]},"outer":{"3":[11,12,40]},"help":{"3":[12,41],"5":[18]},"setcondition":{"3":[12,41],"92":[37]},"rad":{"3":[14],"5":[10,12,17],"91":[4,29]},"turb":{"3":[15],"5":[17]},"vert":{"3":[16],"5":[17]},"ext":{"3":[21,43,69,71],"5":[17],"6":[7],"89":[16,17],"92":[6,17,26,35]},"fill":{"3":[25,27],"5":[17]},"rhos":{"3":[26,27],"5":[17]},"gamma":{"3":[46],"92":[1]},"mu":{"3":[47]},"sigmafloor":{"3":[48],"91":[4,29]},"nm":{"3":[54],"5":[5]},"cfl":{"3":[65]},"integrator":{"3":[66,67],"5":[2,13,14,15],"6":[8,9,10],"89":[21,22],"91":[4,29],"92":[7,8,9,18,27,36]},"instructions":{"3":[67],"5":[2,13,14,15],"6":[8,9,10],"89":[21,22],"91":[4,29],"92":[7,8,9,18,27,36]},"jacobian":{"3":[68,69,70,71],"5":[5],"6":[3,4,6]},"ravel":{"3":[70,71],"5":[3]},"reshape":{"3":[70,71]},"coagulation":{"4":[2,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19]},"m1":{"4":[3]},"e":{"4":[3],"88":[2,15,17],"89":[2,29],"91":[4,17,27,38,48],"92":[5,14,23,32,42]},"m2":{"4":[3]},"m_tot":{"4":[3,7,19]},"stick":{"4":[5,7,8,9,11,21],"5":[6,7,17],"91":[4,29]},"stick_ind":{"4":[6,7,10]},"err":{"4":[7,19]},"rel_err":{"4":[7,19]},"mass":{"4":[7,19],"88":[1,12,13,19,32],"89":[2,10,29],"91":[2,3,28],"92":[1]},"error":{"4":[7,19]},"1e":{"4":[7,19],"91":[17,27,38,48],"92":[5,14,23,32,42]},"g":{"4":[7,19],"88":[5,12,13],"89":[10,29],"91":[28],"92":[5,14,23,32,42]},"nrel":{"4":[7,19]},"phi":{"4":[12,13,19]},"lf_ind":{"4":[14,15,16,19]},"m_frag":{"4":[17,18,19]},"total":{"4":[19],"89":[10],"91":[3,4,28,29]},"collision":{"4":[19],"91":[3,4,28,29]},"partners":{"4":[19]},"index":{"4":[19],"92":[1]},"larges":{"4":[19]},"fragment":{"4":[19]},"k_lf":{"4":[19]},"smaller":{"4":[19]},"remnant":{"4":[19]},"k_rm":{"4":[19]},"rm_ind":{"4":[19]},"fraction":{"4":[19]},"eps":{"4":[19],"5":[17]},"fragments":{"4":[19]},"particle":{"4":[19]},"m_remnant":{"4":[19]},"p_tot":{"4":[21]},"coag":{"4":[22],"5":[17],"92":[6,17,26,35]},"mmax":{"5":[1],"89":[3]},"mmin":{"5":[1]},"allowdriftingparticles":{"5":[1],"91":[8,20,31,41]},"true":{"5":[1],"88":[32],"89":[15],"91":[31,41],"92":[11,20,29,39]},"imshow":{"5":[5],"6":[3]},"toarray":{"5":[5],"6":[3]},"cmap":{"5":[5],"6":[3]},"blues":{"5":[5],"6":[3]},"arange":{"5":[5],"6":[3]},"get_xaxis":{"5":[5],"6":[3]},"set_visible":{"5":[5],"6":[3]},"get_yaxis":{"5":[5],"6":[3]},"set_title":{"5":[5],"6":[3],"91":[17,27,38,48]},"structure":{"5":[5],"6":[3]},"mathbb":{"5":[5],"6":[3]},"d":{"5":[11,12,17]},"del":{"5":[14],"6":[9],"91":[4,29],"92":[8,18,27,36]},"setdustintegrator":{"5":[16,18]},"scheme":{"5":[16]},"explicit":{"5":[16],"89":[20]},"method":{"5":[16],"89":[20]},"cash":{"5":[16]},"karp":{"5":[16]},"st":{"5":[17],"89":[15]},"h":{"5":[17],"88":[1,2,5,16]},"rho":{"5":[17],"89":[15]},"adv":{"5":[17]},"diff":{"5":[17],"92":[1]},"tot":{"5":[17],"91":[4,29],"92":[6,17,26,35]},"hyd":{"5":[17],"92":[6,17,26,35]},"driftmax":{"5":[17]},"azi":{"5":[17]},"brown":{"5":[17]},"nu":{"6":[5],"92":[1,5,13,14,22,23,31,32,41,42]},"vfrag":{"87":[5,6],"89":[2,3]},"example_ice_lines":{"87":[9]},"kanagawa2017_gap_profile":{"88":[1,5,16]},"q":{"88":[1,2,5,16]},"alpha0":{"88":[1,2,5,15,16],"89":[2,3,8]},"calculates":{"88":[1],"92":[1]},"gap":{"88":[1],"89":[2]},"profile":{"88":[1,16],"92":[1]},"according":{"88":[1]},"kanagawa":{"88":[1]},"et":{"88":[1]},"al":{"88":[1]},"semi":{"88":[1,12,13]},"majo":{"88":[1]},"axis":{"88":[1,12,13]},"planet":{"88":[1]},"ratio":{"88":[1,16],"89":[2,15]},"aspect":{"88":[1,16]},"unperturbed":{"88":[1,16]},"viscosity":{"88":[1,16,17],"92":[1]},"parameter":{"88":[1,17],"89":[2]},"f":{"88":[1],"89":[8]},"pertubation":{"88":[1]},"surface":{"88":[1,16],"89":[10,15,29],"91":[2,3,4,28,29],"92":[1,5,14,23,32,42]},"density":{"88":[1,16],"89":[10,29],"91":[2,3,4,28,29],"92":[1,5,14,23,32,42]},"due":{"88":[1]},"value":{"88":[1]},"ret":{"88":[1],"89":[15]},"ones_like":{"88":[1,16]},"normalized":{"88":[1]},"dist":{"88":[1]},"abs":{"88":[1]},"k":{"88":[1],"91":[17,27,38,48]},"kp":{"88":[1]},"prime":{"88":[1]},"kp4":{"88":[1]},"fourth":{"88":[1]},"root":{"88":[1]},"sigmin":{"88":[1]},"minimum":{"88":[1]},"siggap":{"88":[1]},"dr1":{"88":[1]},"r1":{"88":[1]},"dr2":{"88":[1]},"r2":{"88":[1]},"edges":{"88":[1]},"mask1":{"88":[1]},"logical_and":{"88":[1]},"center":{"88":[1]},"mask2":{"88":[1]},"rp":{"88":[2,5]},"m_earth":{"88":[2,13,20,26,32],"89":[29]},"axvline":{"88":[5]},"ls":{"88":[5]},"c7":{"88":[5,17]},"sigma_":{"88":[5]},"mathrm":{"88":[5]},"left":{"88":[5],"91":[17,27,38,48]},"right":{"88":[5],"91":[17,27,38,48]},"sigma_0":{"88":[5]},"addgroup":{"88":[11],"89":[9]},"planets":{"88":[11,12,13,14,16,21,22,23,26,31]},"jupiter":{"88":[11,12,21,22,26,31,32]},"saturn":{"88":[11,13,21,22,26,31,32]},"major":{"88":[12,13]},"m_jup":{"88":[12,20]},"scipy":{"88":[16]},"interpolate":{"88":[16]},"interp1d":{"88":[16]},"create":{"88":[16]},"planetary":{"88":[16,19]},"gaps":{"88":[16]},"name":{"88":[16]},"__dict__":{"88":[16]},"items":{"88":[16]},"skip":{"88":[16]},"hidden":{"88":[16]},"fields":{"88":[16]},"_":{"88":[16]},"continue":{"88":[16]},"hp":{"88":[16]},"f_h":{"88":[16]},"inverse":{"88":[16]},"e0":{"88":[17]},"mplan":{"88":[19,20],"89":[27,29]},"tini":{"88":[19]},"tfin":{"88":[19]},"mini":{"88":[19]},"mfin":{"88":[19]},"current":{"88":[19]},"start":{"88":[19]},"growth":{"88":[19]},"phase":{"88":[19]},"end":{"88":[19]},"initial":{"88":[19],"91":[3,4,17,27,28,29,38,48],"92":[1,5]},"final":{"88":[19]},"elif":{"88":[19]},"else":{"88":[19]},"mjup":{"88":[20,21,31,32]},"e5":{"88":[20],"89":[29]},"msat":{"88":[20,21,31,32]},"msg":{"88":[26]},"masses":{"88":[26]},"njupiter":{"88":[26]},"nsaturn":{"88":[26]},"example_planetary_gaps":{"88":[27]},"label":{"88":[32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"legend":{"88":[32],"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"visible":{"88":[32]},"years":{"88":[32]},"m_":{"88":[32],"89":[29]},"oplus":{"88":[32],"89":[29]},"viscous":{"89":[2]},"critical":{"89":[2],"92":[1]},"disk":{"89":[2],"92":[1]},"cut":{"89":[2]},"off":{"89":[2],"91":[4,29]},"radius":{"89":[2],"92":[1]},"rc":{"89":[2,3],"92":[1]},"width":{"89":[2],"91":[17]},"w":{"89":[2,5,8]},"amplitude":{"89":[2]},"d2g_crit":{"89":[2,15]},"planetesimal":{"89":[2,9,10,15]},"formation":{"89":[2,15]},"efficiency":{"89":[2]},"zeta":{"89":[2,15]},"sigmarc":{"89":[3],"92":[5,14,23,25,32,34,42]},"e8":{"89":[3]},"exp":{"89":[8],"91":[3,28],"92":[1]},"planetesimals":{"89":[9,10,11,12,13,14,18,20,27,29]},"quantities":{"89":[9],"92":[1]},"zeros_like":{"89":[10]},"cm²":{"89":[10,29],"92":[5,14,23,32,42]},"m_plan":{"89":[12,13]},"s_ext":{"89":[15,16]},"midplane":{"89":[15]},"d2g_mid":{"89":[15]},"mask":{"89":[15]},"that":{"89":[15],"91":[3,28],"92":[1]},"defines":{"89":[15]},"triggered":{"89":[15]},"change":{"89":[15]},"densities":{"89":[15],"91":[2]},"set":{"89":[15],"91":[4,29]},"zero":{"89":[15]},"boundaries":{"89":[15]},"dsigmaplan":{"89":[17,18]},"x":{"89":[17]},"y":{"89":[17]},"differentiator":{"89":[18]},"simframe":{"89":[19]},"instruction":{"89":[19,20],"91":[4,29]},"schemes":{"89":[19,20]},"inst_planetesimals":{"89":[20,21]},"expl_1_euler":{"89":[20]},"1st":{"89":[20]},"order":{"89":[20]},"euler":{"89":[20]},"append":{"89":[21]},"example_planetesimal_formation":{"89":[23]},"sigmadust":{"89":[27,28]},"mgas":{"89":[28,29]},"mdust":{"89":[28,29]},"figsize":{"89":[29]},"ax00":{"89":[29]},"loglog":{"89":[29],"91":[17,27,38,48],"92":[5,14,23,32,42]},"ax10":{"89":[29]},"yrs":{"89":[29],"92":[5,14,23,32,42]},"convert":{"91":[2,17,27,38,48],"92":[1]},"converts":{"91":[2]},"units":{"91":[2,3,28]},"into":{"91":[2]},"integrated":{"91":[2]},"nm2":{"91":[2,3,28]},"results":{"91":[2]},"desired":{"91":[2,3,28]},"comparison":{"91":[2]},"solution_constant_kernel":{"91":[3,4,17,27]},"s0":{"91":[3,4,10,11,17,22,27,28,29,33,38,43,48]},"analytical":{"91":[3,17,27,28,38,48],"92":[14,23,32,42]},"solution":{"91":[3,28],"92":[1]},"constant":{"91":[3,4,17,27,28,29],"92":[1]},"condition":{"91":[3,28]},"only":{"91":[3,4,28,29]},"zeroth":{"91":[3,28]},"bin":{"91":[3,28]},"filled":{"91":[3,28]},"field":{"91":[3,28],"92":[1]},"m0":{"91":[3,28],"92":[1]},"n0":{"91":[3,28]},"set_constant_kernel":{"91":[4,11,22]},"object":{"91":[4,29]},"up":{"91":[4,29]},"turning":{"91":[4,29]},"evolution":{"91":[4,29]},"by":{"91":[4,29]},"removing":{"91":[4,29]},"source":{"91":[4,29]},"not":{"91":[4,29]},"influence":{"91":[4,29]},"stepping":{"91":[4,29]},"advection":{"91":[4,29]},"sticking":{"91":[4,29]},"considered":{"91":[4,29]},"setting":{"91":[4,29]},"updating":{"91":[4,29]},"test_constant_kernel":{"91":[13]},"sigmaconstant":{"91":[15,17,27]},"black":{"91":[17,27,38,48],"92":[5,14,23,32,42]},"len":{"91":[17,27,38,48],"92":[5,14,23,32,42]},"cstr":{"91":[17,27,38,48],"92":[5,14,23,32,42]},"str":{"91":[17,27,38,48],"92":[5,14,23,32,42]},"annotate":{"91":[17]},"xy":{"91":[17]},"1e2":{"91":[17]},"xytext":{"91":[17]},"arrowprops":{"91":[17]},"dict":{"91":[17]},"facecolor":{"91":[17]},"red":{"91":[17]},"ncol":{"91":[17,27,38,48]},"nmbpd":{"91":[19,40]},"test_constant_kernel_high_res":{"91":[24]},"sigmaconstanthighres":{"91":[26,27]},"mhighres":{"91":[26,27,47,48]},"thighres":{"91":[26,27,47,48]},"solution_linear_kernel":{"91":[28,29,38,48]},"linear":{"91":[28,29,38,48]},"sqrt":{"91":[28]},"pi":{"91":[28],"92":[1]},"set_linear_kernel":{"91":[29,33,43]},"test_linear_kernel":{"91":[35]},"sigmalinear":{"91":[37,38,48]},"test_linear_kernel_high_res":{"91":[45]},"sigmalinearhighres":{"91":[47,48]},"lbp74_analytical":{"92":[1,5,14,23,32,42]},"self":{"92":[1]},"similar":{"92":[1]},"lynden":{"92":[1]},"bell":{"92":[1]},"pringle":{"92":[1]},"assuming":{"92":[1]},"follows":{"92":[1]},"power":{"92":[1]},"law":{"92":[1]},"cutoff":{"92":[1]},"kinematic":{"92":[1]},"get":{"92":[1]},"log10":{"92":[1]},"dimensionless":{"92":[1]},"nu1":{"92":[1]},"ts":{"92":[1]},"calculate":{"92":[1]},"scaling":{"92":[1]},"c0":{"92":[5,14,23,32,42]},"0e":{"92":[5,14,23,32,42]},"test_gas_evolution":{"92":[11,20,29,39]},"overwrite":{"92":[11,20,29,39]},"sigmaexp":{"92":[15,24,33]},"const_pow":{"92":[37]}},"equations":{"0":["\\Sigma_\\mathrm{d} \\left( r \\right) = \\int\\limits_0^\\infty \\sigma \\left(r, m \\right) \\mathrm{d} \\log m","\\Sigma_{\\mathrm{d},\\,i} \\left( r \\right) \\equiv \\Sigma_\\mathrm{d} \\left(r, m_i \\right)","\\Sigma_\\mathrm{d} \\left( r \\right) = \\sum\\limits_i \\Sigma_{\\mathrm{d},\\,i} \\left( r \\right)","\\sigma","B = \\frac{\\Delta m}{m}","\\Delta m","m","m_{i+1} = A \\cdot m_i","A","m_i = \\frac{1}{2} \\left( m_{i-\\frac{1}{2}} + m_{i+\\frac{1}{2}} \\right)","\\begin{split} m_{i-\\frac{1}{2}} &= \\frac{2}{A+1} m_i \\\\ m_{i+\\frac{1}{2}} &= \\frac{2}{A+1} A\\cdot m_i. \\end{split}","\\Delta m_i = m_{i+\\frac{1}{2}} - m_{i-\\frac{1}{2}} = 2\\frac{A-1}{A+1}m_i","B = \\frac{\\Delta m_i}{m_i} = 2\\frac{A-1}{A+1}"],"1":["1\\ M_\\odot","2\\ R_\\odot","10^{-12}","10^{5}","10^{-3}","0.05\\ M_\\odot","2.3\\ m_\\mathrm{proton}","10^{-2}","n\\left(a\\right) \\propto a^\\mathrm{distExp}","n \\left(m\\right) \\mathrm{d}m \\propto m^\\mathrm{fragmentDistribution} \\mathrm{d}m","10^{-13}"],"2":["4.5\\,\\mathrm{AU}","100","150\\,\\mathrm{K}","3\\,M_\\odot","2\\,M_\\odot","10,000\\,\\mathrm{yrs}","10,000\\,\\mathrm{yrs}"],"3":["v_\\mathrm{g} = Av_\\mathrm{visc} + 2B\\eta v_\\mathrm{K}","\\delta","\\alpha","\\alpha","\\delta_\\mathrm{rad}","\\delta_\\mathrm{turb}","\\delta_\\mathrm{vert}","F_\\mathrm{adv} = v_\\mathrm{d}\\Sigma_\\mathrm{d}","F_\\mathrm{diff} = -D\\Sigma_\\mathrm{g}\\nabla\\frac{\\Sigma_\\mathrm{d}}{\\Sigma_\\mathrm{gas}}","F_\\mathrm{tot} = F_\\mathrm{adv} + F_\\mathrm{diff}","f\\left(\\Delta v\\right) = \\sqrt{\\frac{54}{\\pi}}\\frac{\\Delta v^{2}}{v_\\mathrm{rms}^3} \\exp \\left[-\\frac{3}{2} \\frac{\\Delta v^2}{v_\\mathrm{rms}^2} \\right]","K_\\mathrm{f} = \\int\\limits_{v_\\mathrm{frag}}^\\infty \\sigma_\\mathrm{geo} \\Delta v f\\left(\\Delta v\\right) \\mathrm{d}\\Delta v","p_\\mathrm{f} = \\frac{K_\\mathrm{f}}{\\sigma_\\mathrm{geo} \\Delta \\bar{v}}","\\Delta \\bar{v} = \\sqrt{\\frac{8\\pi}{2}}v_\\mathrm{rms}","v_\\mathrm{rms}","p_\\mathrm{s} = 1 - p_\\mathrm{f}","0 \\leq p_\\mathrm{f} + p_\\mathrm{s} < 1","i","S_{\\mathrm{hyd},\\,i} = 2\\frac{\\left( r_{i-\\frac{1}{2}}F_{i-\\frac{1}{2}}-r_{i+\\frac{1}{2}}F_{i+\\frac{1}{2}} \\right)}{r_{i+\\frac{1}{2}}^2 - r_{i-\\frac{1}{2}}^2}","S_\\mathrm{tot} = S_\\mathrm{coag} + S_\\mathrm{ext} + S_\\mathrm{hyd}","v_{\\mathrm{rel},\\,\\mathrm{azi}} = \\left| v_{\\mathrm{drift},\\,\\mathrm{max}} \\cdot \\left( \\frac{1}{1+\\mathrm{St}_i^2} - \\frac{1}{1+\\mathrm{St}_j^2} \\right) \\right|","v_{\\mathrm{rel},\\,\\mathrm{brown}} = \\sqrt{ \\frac{8k_\\mathrm{B}T\\left(m_i + m_j \\right)}{\\pi m_i m_j} }","c_\\mathrm{s}","v_{\\mathrm{rel},\\,\\mathrm{rad}} = \\left| v_{\\mathrm{rad},\\,i} - v_{\\mathrm{rad},\\,j} \\right|","v_{\\mathrm{rel},\\,\\mathrm{tot}} = \\sqrt{v_{\\mathrm{rel},\\,\\mathrm{azi}}^2 + v_{\\mathrm{rel},\\,\\mathrm{brown}}^2 + v_{\\mathrm{rel},\\,\\mathrm{rad}}^2 + v_{\\mathrm{rel},\\,\\mathrm{turb}}^2 + v_{\\mathrm{rel},\\,\\mathrm{vert}}^2}","v_{\\mathrm{rel},\\,\\mathrm{vert}} = \\left| h_i \\min \\left( \\mathrm{St}_i,\\,\\frac{1}{2}\\right) - h_j \\min \\left( \\mathrm{St}_j,\\,\\frac{1}{2}\\right) \\right| \\cdot \\Omega_\\mathrm{K}","\\mathrm{St} = 1","v_{\\mathrm{drift},\\,\\mathrm{max}} = \\frac{1}{2} B v_\\mathrm{visc} - A \\eta v_\\mathrm{K}","v_\\mathrm{rad} = \\left( v_\\mathrm{g} + 2 v_{\\mathrm{drift},\\,\\mathrm{max}}\\mathrm{St} \\right) \\frac{1}{\\mathrm{St}^2+1}","a = \\sqrt[3]{\\frac{3m}{4\\pi\\rho_\\mathrm{s}}}","D = \\frac{\\delta_\\mathrm{rad}\\,c_\\mathrm{s}^2}{\\Omega_\\mathrm{K}\\left( 1 + \\mathrm{St}^2 \\right)}","z","\\epsilon = \\frac{\\sum\\limits_i \\Sigma_{\\mathrm{d},\\,i}}{\\Sigma_\\mathrm{g}}","H_i = H_\\mathrm{P} \\cdot \\sqrt{\\frac{\\delta_\\mathrm{vert}}{\\delta_\\mathrm{vert}+\\mathrm{St}_i}}","H_\\mathrm{P}","K_{ij} = \\frac{1}{1+\\delta_{ij}} \\frac{\\pi\\left( a_i + a_j \\right)^2}{\\sqrt{2\\pi\\left( H_i^2 + H_j^2 \\right)}} v_\\mathrm{rel}","\\frac{1}{2}","\\delta_{ij}","N","N-1","N-2","N-3","\\sum\\limits_{i=1}^{N-1} i = \\frac{1}{2}\\left(N\\right)\\left(N-1\\right)","\\frac{1}{2}N^2","N","\\rho = \\frac{\\Sigma}{\\sqrt{2\\pi}H}","\\Sigma_\\mathrm{d} = \\sum\\limits_i \\Sigma_{\\mathrm{d},\\,i}","\\Sigma_{\\mathrm{d},\\,\\mathrm{floor}} = \\frac{m}{A_\\mathrm{annulus}}","\\mathrm{St} = \\begin{cases} \\frac{\\pi}{2} \\frac{a\\rho}{\\Sigma_\\mathrm{g}}, & \\text{if } a < \\frac{9}{4} \\lambda_\\mathrm{mfp}\\\\ \\frac{2\\pi}{9} \\frac{a^2 \\rho}{\\lambda_\\mathrm{mfp} \\Sigma_\\mathrm{g}}, & \\text{else} \\end{cases}","\\propto R^{-1}","S_\\mathrm{tot} = S_\\mathrm{ext} + S_\\mathrm{hyd}","v_\\mathrm{g} = Av_\\mathrm{visc} + 2B\\eta v_\\mathrm{K}","A=1","B=0","v_\\mathrm{visc} = -\\frac{3}{\\Sigma_\\mathrm{g}\\sqrt{R}} \\frac{\\partial}{\\partial R} \\left( \\Sigma_\\mathrm{g} \\nu \\sqrt{R} \\right)","c_\\mathrm{s} = \\sqrt{\\frac{\\gamma k_\\mathrm{B} T}{\\mu}}","\\gamma=1","\\eta","\\eta = -\\frac{1}{2} \\left( \\frac{H_\\mathrm{P}}{r} \\right)^2 \\frac{\\partial \\log P}{\\partial \\log r}","v_\\phi^2 = \\left( 1-2\\eta \\right) v_\\mathrm{K}^2","1","H_\\mathrm{P} = \\frac{c_{\\mathrm{s},\\,\\mathrm{iso}}}{\\Omega_\\mathrm{K}}","\\lambda_\\mathrm{mfp} = \\frac{1}{\\sqrt{2}\\,n\\,\\sigma_\\mathrm{H_2}}","2.3\\,m_\\mathrm{P}","n = \\frac{\\rho}{\\mu}","\\nu = \\alpha c_\\mathrm{s} H_\\mathrm{P}","P = \\frac{\\rho\\,c_\\mathrm{s}^2}{\\gamma}","\\rho = \\frac{\\Sigma_\\mathrm{g}}{\\sqrt{2\\pi}H_\\mathrm{P}}","10^{-100}","0.05","T\\left( r \\right) = \\sqrt[4]{\\frac{1}{2}\\frac{0.05\\,L_*}{4\\,\\pi\\,r^2\\,\\sigma_\\mathrm{SB}}}","A_i = \\pi \\left( r_{i+\\frac{1}{2}}^2 - r_{i-\\frac{1}{2}}^2 \\right)","\\Omega_\\mathrm{K} = \\sqrt{\\frac{G\\,M_*}{r^3}}","L = 4\\pi\\,R_*^2\\,\\sigma_\\mathrm{SB}\\,T_*^4","10^3","10^5"],"4":["\\begin{split} \\frac{\\partial}{\\partial t} f\\left( m \\right) = &\\int\\limits_0^\\infty \\int\\limits_0^{m'} K\\left( m, m', m'' \\right) f\\left( m' \\right) f\\left( m'' \\right) R\\left( m', m'' \\right) \\mathrm{d}m'' \\mathrm{d}m'\\\\ &-f\\left( m \\right) \\int\\limits_0^\\infty f\\left( m' \\right) R\\left( m, m' \\right) \\mathrm{d}m'. \\end{split}","f\\left( m \\right)","R","K","K\\left( m, m', m'' \\right)","f\\left( m \\right)","m'","m''","\\frac{\\partial}{\\partial t} f\\left( m \\right) = \\int\\limits_0^\\infty \\int\\limits_0^{m'} M\\left( m, m', m'' \\right) f\\left( m' \\right) f\\left( m'' \\right) R\\left( m', m'' \\right) \\mathrm{d}m'' \\mathrm{d}m'","M","m''","m'","10^{-15}\\,\\mathrm{g}","10^{15}\\,\\mathrm{g}","15","M","M","M","M","M","M","75\\,\\%","25\\,\\%","M","3","90\\,\\%","5","10\\,\\%","-1","-1","1","10","10","\\mathcal{O} \\left( N_m^2 \\right)","n\\left( m \\right) \\mathrm{d}m \\propto m^\\gamma \\mathrm{d}m","\\gamma","-\\frac{11}{6}","15","\\varphi","1","\\gamma","\\varphi","-1","m_\\mathrm{fragments} = \\left( 1 + \\chi \\right)m_\\mathrm{small}","\\chi","1","1","1","p_\\mathrm{stick} = 1 - p_\\mathrm{frag}","1","0","p_\\mathrm{stick}","p_\\mathrm{frag}","1","R","\\begin{split} R_\\mathrm{stick} &= k \\cdot p_\\mathrm{stick}\\\\ R_\\mathrm{frag} &= k \\cdot p_\\mathrm{frag} \\end{split}","k","k = \\frac{1}{1+\\delta_{ij}}\\frac{\\pi\\left( a_i + a_j \\right)^2}{\\sqrt{2\\pi\\left( H_i^2 + H_j^2 \\right)}} v_\\mathrm{rel}","k"],"5":["\\frac{\\vec{\\Sigma}_\\mathrm{d}^{n+1}-\\vec{\\Sigma}_\\mathrm{d}^{n}}{\\Delta t} = \\mathbb{J} \\cdot \\vec{\\Sigma}_\\mathrm{d}^{n+1} + \\vec{S}_\\mathrm{ext},","\\begin{split} \\left( \\mathbb{1} - \\Delta t\\, \\mathbb{J} \\right) \\cdot \\vec{\\Sigma}_\\mathrm{d}^{n+1} &= \\vec{\\Sigma}_\\mathrm{d}^{n} + \\Delta t\\, \\vec{S}_\\mathrm{ext}\\\\ &\\equiv \\vec{R}^n, \\end{split}","\\vec{R}^n = \\vec{\\Sigma}_\\mathrm{d}^{n} + \\Delta t\\, \\vec{S}_\\mathrm{ext}","\\mathbb{J}","\\vec{\\Sigma}_\\mathrm{d}","\\left( \\mathbb{1} - \\Delta t\\, \\mathbb{J} \\right) \\cdot \\vec{Y}^{n+1} = \\vec{Y}^n","\\Delta t","1","0","\\frac{\\partial}{\\partial t} \\Sigma_\\mathrm{d} + \\frac{1}{r} \\frac{\\partial}{\\partial r} \\left( r\\Sigma_\\mathrm{d}v_\\mathrm{rad} \\right) - \\frac{1}{r} \\frac{\\partial}{\\partial r} \\left[ r D \\Sigma_\\mathrm{g} \\frac{\\partial}{\\partial r} \\left( \\frac{\\Sigma_\\mathrm{d}}{\\Sigma_\\mathrm{g}} \\right) \\right] = 0","F_\\mathrm{adv} = v_\\mathrm{rad} \\cdot \\Sigma_\\mathrm{d}","0","F_\\mathrm{diff} = -D\\Sigma_\\mathrm{g}\\nabla\\frac{\\Sigma_\\mathrm{d}}{\\Sigma_\\mathrm{gas}}","0","0","0"],"6":["\\frac{\\partial}{\\partial t} \\Sigma_\\mathrm{g} + \\frac{1}{r}\\frac{\\partial}{\\partial r} \\left( r\\Sigma_\\mathrm{g}v_\\mathrm{rad} \\right) = S_\\mathrm{ext}","v_\\mathrm{rad} = Av_\\mathrm{visc} + 2B\\eta v_\\mathrm{K}","A","B","v_\\mathrm{visc} = -\\frac{3}{\\Sigma_\\mathrm{g}\\sqrt{r}} \\frac{\\partial}{\\partial r} \\left( \\Sigma_\\mathrm{g} \\nu \\sqrt{r} \\right)","\\nu","S_\\mathrm{ext}","\\frac{\\vec{\\Sigma}_\\mathrm{g}^{n+1}-\\vec{\\Sigma}_\\mathrm{g}^{n}}{\\Delta t} = \\mathbb{J} \\cdot \\vec{\\Sigma}_\\mathrm{g}^{n+1} + \\vec{S}_\\mathrm{ext},","\\begin{split} \\left( \\mathbb{1} - \\Delta t\\, \\mathbb{J} \\right) \\cdot \\vec{\\Sigma}_\\mathrm{g}^{n+1} &= \\vec{\\Sigma}_\\mathrm{g}^{n} + \\Delta t\\, \\vec{S}_\\mathrm{ext}\\\\ &\\equiv \\vec{R}^n, \\end{split}","\\vec{R}^n = \\vec{\\Sigma}_\\mathrm{g}^{n} + \\Delta t\\, \\vec{S}_\\mathrm{ext}","\\mathbb{J}","\\begin{split} J_{1,\\,1} &= 0 \\\\ J_{1,\\,2} &= \\frac{1}{\\Delta t} \\frac{r_2}{r_1} \\left( 1 + \\frac{r_2}{r_3} \\cdot \\frac{r_2-r_1}{r_3-r_1} \\right) \\\\ J_{1,\\,3} &= -\\frac{1}{\\Delta t} \\frac{r_2}{r_1} \\cdot \\frac{r_2-r_1}{r_3-r_1} \\\\ R_1 &= 0. \\end{split}","\\begin{split} J_{N,\\,i} &= 0 \\\\ R_N &= \\Sigma_\\mathrm{floor}. \\end{split}","\\left( \\mathbb{1} - \\Delta t\\, \\mathbb{J} \\right) \\cdot \\vec{Y}^{n+1} = \\vec{Y}^n","\\Delta t","r","\\nu","A=1","B=0","\\alpha","\\alpha"],"8":["10\\,M_\\oplus"],"11":["\\frac{1}{2}","T\\left( r \\right) = \\sqrt[4]{\\frac{1}{2}\\frac{0.05\\,L_*}{4\\,\\pi\\,r^2\\,\\sigma_\\mathrm{SB}}}","\\sqrt[4]{\\frac{1}{2}}\\approx0.84","\\frac{1}{2}","K_{ij} = \\frac{1}{1+\\delta_{ij}} \\frac{\\pi\\left( a_i + a_j \\right)^2}{\\sqrt{2\\pi\\left( H_i^2 + H_j^2 \\right)}} v_\\mathrm{rel}","i","j","\\propto N_i N_j","N_i-1","N_i-2","\\propto \\frac{1}{2}N_i\\left(N_i-1\\right)","\\frac{1}{2}N_i^2","N_i"],"87":["150\\,\\mathrm{K}","1\\,\\mathrm{m/s}","150\\,\\mathrm{K}","10\\,\\mathrm{m/s}","80\\,\\mathrm{K}","\\left(\\mathrm{NH}_3\\right)","7\\,\\mathrm{m/s}","44\\,\\mathrm{K}","\\left(\\mathrm{CO}_2\\right)","1\\,\\mathrm{m/s}","1\\,\\mathrm{m/s}"],"88":["\\frac{\\partial}{\\partial t} \\left( 3\\pi\\Sigma_\\mathrm{g}\\nu\\right) = \\text{const.}","\\nu","\\nu = \\alpha c_\\mathrm{s} H_\\mathrm{P}","\\alpha","\\Sigma\\mathrm{g} \\left( r \\right) = \\begin{cases}  \\Sigma_\\mathrm{min} & \\text{for} \\quad \\left| r - a_\\mathrm{p} \\right| < \\Delta r_1, \\\\  \\Sigma_\\mathrm{gap}\\left( r \\right) & \\text{for} \\quad \\Delta r_1 < \\left| r - a_\\mathrm{p} \\right| < \\Delta r_2, \\\\  \\Sigma_0 & \\text{for} \\quad \\left| r - a_\\mathrm{p} \\right| > \\Delta r_2, \\end{cases}","a_\\mathrm{p}","\\Sigma_0","\\frac{\\Sigma_\\mathrm{gap}\\left(r\\right)}{\\Sigma_0} = \\frac{4}{\\sqrt[4]{K'}}\\ \\frac{\\left|r-a_\\mathrm{p}\\right|}{a_\\mathrm{p}}\\ -\\ 0.32","\\Sigma_\\mathrm{min} = \\frac{\\Sigma_0}{1\\ +\\ 0.04\\ K}","\\Delta r_1 = \\left( \\frac{\\Sigma_\\mathrm{min}}{4\\Sigma_0} + 0.08 \\right)\\ \\sqrt[4]{K'}\\ a_\\mathrm{p}","\\Delta r_2 = 0.33\\ \\sqrt[4]{K'}\\ a_\\mathrm{p}","K = \\left( \\frac{M_\\mathrm{p}}{M_*} \\right)^2 \\left( \\frac{H_\\mathrm{p}}{a_\\mathrm{p}} \\right)^{-5} \\alpha_0^{-1}","K' = \\left( \\frac{M_\\mathrm{p}}{M_*} \\right)^2 \\left( \\frac{H_\\mathrm{p}}{a_\\mathrm{p}} \\right)^{-3} \\alpha_0^{-1}","M_\\mathrm{p}","M_*","H_\\mathrm{p}","\\alpha_0","\\Sigma_\\mathrm{g}\\left(r\\right)/\\Sigma_0","\\alpha","30","10","\\alpha","\\alpha","\\alpha","\\alpha","\\alpha","1","100\\,000","\\alpha","\\alpha"],"89":["\\zeta","i","\\zeta","0.1","R^i = \\frac{\\partial}{\\partial t} \\Sigma_\\mathrm{d}^i = -\\frac{\\Sigma_\\mathrm{d}^i}{t_\\mathrm{sett}^i} = -\\zeta\\,\\Sigma_\\mathrm{dust}^i\\,\\mathrm{St}^i\\,\\Omega_\\mathrm{K}","\\frac{\\partial}{\\partial t} \\Sigma_\\mathrm{plan} = -\\sum\\limits_i R^i","F = \\exp \\left[ -A\\,\\exp\\left( -\\frac{\\left( r - r_0\\right)^2}{2w^2} \\right) \\right]","A","r_0","w","\\alpha = \\frac{\\alpha_0}{F}","10\\,\\mathrm{m/s}","\\alpha","1\\,\\mathrm{Myr}","\\alpha","\\alpha"],"91":["\\begin{split} \\frac{\\partial}{\\partial t} N\\left( m \\right) = &\\int\\limits_0^\\infty \\int\\limits_0^{m'} M\\left( m, m', m'' \\right) N\\left( m' \\right) N\\left( m'' \\right) K\\left( m', m'' \\right) \\mathrm{d}m'' \\mathrm{d}m'\\\\ &-N\\left( m \\right) \\int\\limits_0^\\infty N\\left( m' \\right) K\\left( m, m' \\right) \\mathrm{d}m'. \\end{split}","M","\\delta","M\\left(m,m',m''\\right) = \\delta\\left(m-m'-m''\\right)","m'","m''","m","\\begin{split} \\frac{\\partial}{\\partial t} N\\left( m \\right) = &\\int\\limits_0^\\infty N\\left( m-m' \\right) N\\left( m' \\right) K\\left( m-m', m' \\right) \\mathrm{d}m'\\\\ &-N\\left( m \\right) \\int\\limits_0^\\infty N\\left( m' \\right) K\\left( m, m' \\right) \\mathrm{d}m'. \\end{split}","K","K\\left(m, m'\\right) = a","N\\left(m, t\\right) = \\frac{N_0}{m_0} \\left( \\frac{2}{aN_0t} \\right)^2 \\exp \\left[\\frac{2}{aN_0t} \\left( 1 - \\frac{m}{m_0} \\right) \\right]","m_0","N_0","N_0 = \\int\\limits_0^\\infty N\\left(m,0\\right)\\mathrm{d}m","t=0","Nm\\Delta m","\\Delta m","Bm","B","B","N\\left(m, t\\right)m^2","t=0","t>0","a=1","S_0=1","R\\left(m, m'\\right) = a\\left(m + m'\\right)","N\\left(m , t\\right) = \\frac{N_0}{2\\sqrt{\\pi}m_0^2} \\frac{g}{\\left(1-g\\right)^\\frac{3}{4}} \\exp \\left[-\\frac{m}{m_0}\\left(1-\\sqrt{1-g}\\right)^2 \\right]","g = \\exp \\left[ -aN_0m_0t \\right]","K\\left(m, m'\\right) = a \\cdot m\\times m'"],"92":["\\frac{\\partial}{\\partial t} \\Sigma_\\mathrm{g} = \\frac{3}{r}\\frac{\\partial}{\\partial r} \\left[ \\sqrt{r} \\frac{\\partial}{\\partial r} \\left( \\sqrt{r} \\nu \\Sigma_\\mathrm{g} \\right) \\right]","\\alpha","\\begin{split} \\nu &= \\alpha \\frac{c_\\mathrm{s}^2}{\\Omega_\\mathrm{K}}\\\\ &\\propto r^{s} \\cdot r^{q} \\cdot r^{\\frac{3}{2}} = r^\\gamma. \\end{split}","s=0","q=-\\frac{1}{2}","\\gamma=1","\\Sigma_\\mathrm{g} = \\frac{C}{3\\pi\\nu_1R^\\gamma}T^{-\\frac{5/2-\\gamma}{2-\\gamma}} \\exp \\left[ -\\frac{R^{2-\\gamma}}{T} \\right]","R=\\frac{r}{r_1}","r_1","\\nu_1=\\nu\\left(r_1\\right)","T=\\frac{t}{t_\\mathrm{s}}+1","t_\\mathrm{s} = \\frac{1}{3 \\left( 2-\\gamma \\right)^2}\\frac{r_1^2}{\\nu_1}","C","M_0","C = M_0 \\frac{3\\nu_1}{2r_1^2\\left(2-\\gamma\\right)}","10,000","10,000,000","-1.0","-1.5","\\frac{\\partial}{\\partial r} \\left( 3\\pi\\Sigma_\\mathrm{g}\\nu \\right) = \\text{const.}","\\Sigma_\\mathrm{g}\\nu \\propto r^p r^\\gamma = r^0 \\\\ \\Rightarrow p+\\gamma = 0","p","-1","-1.5","\\gamma","1","p+\\gamma=-0.5 \\neq 0","\\alpha","-1.5","-1","10\\,","\\alpha","\\alpha","\\alpha \\left( r \\right) \\propto r^\\frac{1}{2}","\\gamma = 1.5","\\frac{1}{r}\\frac{\\partial}{\\partial r} \\left( r\\Sigma_\\mathrm{g} \\right) = \\text{const.}","-1","-1.5","-1.5","-1"]},"doclengths":[2099,1080,2407,3992,1471,1199,594,80,727,80,24,363,936,371,104,103,38,56,15,43,30,94,37,37,39,37,38,30,26,22,107,28,26,21,30,17,18,41,66,26,30,30,26,26,21,38,26,28,33,28,33,32,28,38,26,25,26,28,30,20,20,28,20,28,18,41,70,54,27,27,25,25,27,21,27,28,24,13,38,22,28,22,22,24,145,44,30,755,1480,1546,306,2222,2143],"buildid":"b204cdce0c13a764","sections":{"0":[["1.-Basic-usage","1. Basic usage",0,2994],["The-Simulation-Frame","The Simulation Frame",63,204],["Initializing","Initializing",204,903],["Running-a-Simulation","Running a Simulation",903,1294],["Plotting","Plotting",1294,2029],["Code-Units","Code Units",1458,2029],["Reading-data-files","Reading data files",2029,2556],["Reading-Dump-Files","Reading Dump Files",2556,2994]],"1":[["2.-Simple-Customization","2. Simple Customization",0,1569],["Stellar-parameters","Stellar parameters",174,282],["Grid-parameters","Grid parameters",282,502],["Gas-Parameters","Gas Parameters",502,622],["Dust-Parameters","Dust Parameters",622,1048],["Changing-the-Initial-Conditions","Changing the Initial Conditions",1048,1106],["Changing-the-Snapshots","Changing the Snapshots",1106,1181],["Changing-the-Output-Directory","Changing the Output Directory",1181,1569]],"2":[["3.-Advanced-Customization","3. Advanced Customization",0,3409],["Customizing-the-Grids","Customizing the Grids",41,1242],["The-Radial-Grid","The Radial Grid",214,1166],["The-Mass-Grid","The Mass Grid",1166,1242],["Customizing-the-Physics-of-a-Field","Customizing the Physics of a Field",1242,1819],["Adding-Custom-Fields","Adding Custom Fields",1819,2190],["Modifying-the-Update-Order","Modifying the Update Order",2190,2608],["Systoles-and-Diastoles","Systoles and Diastoles",2608,2819],["Customizing-the-Snapshots","Customizing the Snapshots",2819,3409]],"3":[["4.-The-Standard-Model","4. The Standard Model",0,8220],["Dust","Dust",110,3813],["Simulation.dust.backreaction","Simulation.dust.backreaction",216,558],["Simulation.dust.boundary","Simulation.dust.boundary",558,711],["Simulation.dust.coagulation","Simulation.dust.coagulation",711,735],["Simulation.dust.delta","Simulation.dust.delta",735,1476],["Simulation.dust.delta.rad","Simulation.dust.delta.rad",811,1031],["Simulation.dust.delta.turb","Simulation.dust.delta.turb",1031,1255],["Simulation.dust.delta.vert","Simulation.dust.delta.vert",1255,1476],["Simulation.dust.Fi","Simulation.dust.Fi",1476,1744],["Simulation.dust.Fi.adv","Simulation.dust.Fi.adv",1569,1620],["Simulation.dust.Fi.diff","Simulation.dust.Fi.diff",1620,1690],["Simulation.dust.Fi.tot","Simulation.dust.Fi.tot",1690,1744],["Simulation.dust.p","Simulation.dust.p",1744,1907],["Simulation.dust.p.frag","Simulation.dust.p.frag",1822,1888],["Simulation.dust.p.stick","Simulation.dust.p.stick",1888,1907],["Simulation.dust.S","Simulation.dust.S",1907,2163],["Simulation.dust.S.coag","Simulation.dust.S.coag",1970,2031],["Simulation.dust.S.ext","Simulation.dust.S.ext",2031,2092],["Simulation.dust.S.hyd","Simulation.dust.S.hyd",2092,2150],["Simulation.dust.S.tot","Simulation.dust.S.tot",2150,2163],["Simulation.dust.v","Simulation.dust.v",2163,2657],["Simulation.dust.v.rel","Simulation.dust.v.rel",2207,2493],["Simulation.dust.v.rel.azi","Simulation.dust.v.rel.azi",2300,2323],["Simulation.dust.v.brown","Simulation.dust.v.brown",2323,2391],["Simulation.dust.v.rel.rad","Simulation.dust.v.rel.rad",2391,2405],["Simulation.dust.v.rel.tot","Simulation.dust.v.rel.tot",2405,2426],["Simulation.dust.v.rel.turb","Simulation.dust.v.rel.turb",2426,2463],["Simulation.dust.v.rel.vert","Simulation.dust.v.rel.vert",2463,2493],["Simulation.dust.v.driftmax","Simulation.dust.v.driftmax",2493,2516],["Simulation.dust.v.frag","Simulation.dust.v.frag",2516,2646],["Simulation.dust.v.rad","Simulation.dust.v.rad",2646,2657],["Simulation.dust.a","Simulation.dust.a",2657,2665],["Simulation.dust.D","Simulation.dust.D",2665,2685],["Simulation.dust.eps","Simulation.dust.eps",2685,2719],["Simulation.dust.fill","Simulation.dust.fill",2719,2777],["Simulation.dust.H","Simulation.dust.H",2777,2831],["Simulation.dust.kernel","Simulation.dust.kernel",2831,2975],["Simulation.dust.rho","Simulation.dust.rho",2975,2985],["Simulation.dust.rhos","Simulation.dust.rhos",2985,3183],["Simulation.dust.Sigma","Simulation.dust.Sigma",3183,3596],["Simulation.dust.SigmaFloor","Simulation.dust.SigmaFloor",3596,3668],["Simulation.dust.St","Simulation.dust.St",3668,3689],["Update-order","Update order",3689,3813],["Gas","Gas",3813,6045],["Simulation.gas.boundary","Simulation.gas.boundary",3925,4107],["Simulation.gas.S","Simulation.gas.S",4107,4386],["Simulation.gas.S.ext","Simulation.gas.S.ext",4147,4276],["Simulation.gas.S.hyd","Simulation.gas.S.hyd",4276,4331],["Simulation.gas.S.tot","Simulation.gas.S.tot",4331,4386],["Simulation.gas.v","Simulation.gas.v",4386,4593],["Simulation.gas.v.rad","Simulation.gas.v.rad",4459,4540],["Simulation.gas.v.visc","Simulation.gas.v.visc",4540,4593],["Simulation.gas.alpha","Simulation.gas.alpha",4593,4823],["Simulation.gas.cs","Simulation.gas.cs",4823,4844],["Simulation.gas.eta","Simulation.gas.eta",4844,4869],["Simulation.gas.Fi","Simulation.gas.Fi",4869,4924],["Simulation.gas.gamma","Simulation.gas.gamma",4924,5159],["Simulation.gas.Hp","Simulation.gas.Hp",5159,5182],["Simulation.gas.mfp","Simulation.gas.mfp",5182,5198],["Simulation.gas.mu","Simulation.gas.mu",5198,5530],["Simulation.gas.n","Simulation.gas.n",5530,5542],["Simulation.gas.nu","Simulation.gas.nu",5542,5553],["Simulation.gas.P","Simulation.gas.P",5553,5562],["Simulation.gas.rho","Simulation.gas.rho",5562,5572],["Simulation.gas.Sigma","Simulation.gas.Sigma",5572,5592],["Simulation.gas.SigmaFloor","Simulation.gas.SigmaFloor",5592,5945],["Simulation.gas.T","Simulation.gas.T",5945,5971],["id1","Update order",5971,6045],["Grid","Grid",6045,6769],["Simulation.grid.A","Simulation.grid.A",6133,6146],["Simulation.grid.m","Simulation.grid.m",6146,6550],["Simulation.grid.Nm","Simulation.grid.Nm",6550,6563],["Simulation.grid.Nr","Simulation.grid.Nr",6563,6577],["Simulation.grid.OmegaK","Simulation.grid.OmegaK",6577,6585],["Simulation.grid.r","Simulation.grid.r",6585,6722],["Simulation.grid.ri","Simulation.grid.ri",6722,6747],["id2","Update order",6747,6769],["Star","Star",6769,6912],["Simulation.star.L","Simulation.star.L",6795,6803],["Simulation.star.M","Simulation.star.M",6803,6833],["Simulation.star.R","Simulation.star.R",6833,6862],["Simulation.star.T","Simulation.star.T",6862,6887],["id3","Update order",6887,6912],["Time","Time",6912,7068],["Integrator","Integrator",7068,8167],["Writer","Writer",8167,8220]],"4":[["5.-Dust-Coagulation","5. Dust Coagulation",0,2409],["Sticking","Sticking",251,1001],["Fragmentation-&-Erosion","Fragmentation & Erosion",1001,1989],["Probabilities","Probabilities",1989,2086],["Bouncing","Bouncing",2086,2140],["Collision-Rates","Collision Rates",2140,2217],["Coagulation-Sources","Coagulation Sources",2217,2409]],"5":[["6.-Dust-Evolution","6. Dust Evolution",0,1665],["Coagulation","Coagulation",712,900],["Turning-off-Fragmentation","Turning off Fragmentation",733,821],["Turning-off-Coagulation","Turning off Coagulation",821,900],["Hydrodynamics","Hydrodynamics",900,1191],["Advection","Advection",970,996],["Turning-off-Advection","Turning off Advection",996,1058],["Diffusion","Diffusion",1058,1093],["Turning-off-Diffusion","Turning off Diffusion",1093,1122],["Turning-off-Hydrodynamics","Turning off Hydrodynamics",1122,1191],["External-Sources","External Sources",1191,1241],["Turning-off-Dust-Evolution","Turning off Dust Evolution",1241,1416],["Changing-the-Dust-Integrator","Changing the Dust Integrator",1416,1665]],"6":[["7.-Gas-Evolution","7. Gas Evolution",0,930],["Hydrodynamics","Hydrodynamics",95,726],["Turning-off-Hydrodynamics","Turning off Hydrodynamics",568,726],["External-Sources","External Sources",726,821],["Turning-off-External-Sources","Turning off External Sources",790,821],["Turning-off-Gas-Evolution","Turning off Gas Evolution",821,930]],"7":[["Appendix-A:-Citation","Appendix A: Citation",0,111]],"8":[["Appendix-B:-List-of-Publications","Appendix B: List of Publications",0,1044]],"9":[["Appendix-C:-Contributing/Bugs/Features","Appendix C: Contributing/Bugs/Features",0,119],["Contributing","Contributing",25,58],["Bug-Reports","Bug Reports",58,88],["Feature-Requests","Feature Requests",88,119]],"10":[["Appendix-D:-DustPy-Discussions","Appendix D: DustPy Discussions",0,34]],"11":[["Appendix-E:-Changelog","Appendix E: Changelog",0,562],["v1.0.5","v1.0.5",25,149],["Using-Meson-as-build-system","Using Meson as build system",33,53],["Bugfix-to-velocity-distribution","Bugfix to velocity distribution",53,71],["Bugfix-to-plotting-script","Bugfix to plotting script",71,104],["Preparation-for-the-addition-of-multiple-gas-species","Preparation for the addition of multiple gas species",104,149],["v1.0.4","v1.0.4",149,191],["Bugfix-to-boundary-conditions","Bugfix to boundary conditions",157,191],["v1.0.3","v1.0.3",191,304],["Correction-to-inital-particle-size-distribution","Correction to inital particle size distribution",199,281],["Removal-of-non-ASCII-characters","Removal of non-ASCII characters",281,304],["v1.0.2","v1.0.2",304,394],["Change-in-default-temperature-profile","Change in default temperature profile",312,394],["v1.0.1","v1.0.1",394,554],["Change-to-Collision-Kernel","Change to Collision Kernel",414,554],["v1.0.0","v1.0.0",554,562]],"12":[["module-reference","Module Reference",0,1174],["module-dustpy","dustpy Package",2,113],["classes","Classes",92,113],["module-dustpy.constants","dustpy.constants Package",113,204],["constants","Constants",149,204],["module-dustpy.plot","dustpy.plot Package",204,251],["functions","Functions",219,251],["module-dustpy.std","dustpy.std Package",251,264],["module-dustpy.std.dust","dustpy.std.dust Module",264,712],["id1","Functions",275,685],["id2","Classes",685,712],["module-dustpy.std.gas","dustpy.std.gas Module",712,984],["id3","Functions",723,957],["id4","Classes",957,984],["module-dustpy.std.grid","dustpy.std.grid Module",984,1003],["id5","Functions",995,1003],["module-dustpy.std.sim","dustpy.std.sim Module",1003,1097],["id6","Functions",1016,1097],["module-dustpy.std.star","dustpy.std.star Module",1097,1119],["id7","Functions",1109,1119],["module-dustpy.utils","dustpy.utils Package",1119,1174],["id8","Functions",1132,1149],["id9","Classes",1149,1174]],"13":[["simulation","Simulation",0,469]],"14":[["ipanel","ipanel",0,134]],"15":[["panel","panel",0,133]],"16":[["d","D",0,49]],"17":[["f-adv","F_adv",0,74]],"18":[["f-diff","F_diff",0,18]],"19":[["f-tot","F_tot",0,48]],"20":[["h","H",0,32]],"21":[["mrn-distribution","MRN_distribution",0,117]],"22":[["s-coag","S_coag",0,42]],"23":[["s-hyd","S_hyd",0,42]],"24":[["s-tot","S_tot",0,45]],"25":[["sigmafloor","SigmaFloor",0,45]],"26":[["sigma-deriv","Sigma_deriv",0,42]],"27":[["st-epstein-stokesi","St_Epstein_StokesI",0,34]],"28":[["a","a",0,33]],"29":[["boundary","boundary",0,25]],"30":[["coagulation-parameters","coagulation_parameters",0,143]],"31":[["dt","dt",0,30]],"32":[["dt-adaptive","dt_adaptive",0,27]],"33":[["enforce-floor-value","enforce_floor_value",0,21]],"34":[["eps","eps",0,33]],"35":[["finalize-explicit","finalize_explicit",0,17]],"36":[["finalize-implicit","finalize_implicit",0,18]],"37":[["impl-1-direct","impl_1_direct",0,55]],"38":[["jacobian","jacobian",0,74]],"39":[["kernel","kernel",0,27]],"40":[["p-frag","p_frag",0,34]],"41":[["p-stick","p_stick",0,35]],"42":[["prepare","prepare",0,32]],"43":[["rho-midplane","rho_midplane",0,27]],"44":[["set-implicit-boundaries","set_implicit_boundaries",0,25]],"45":[["vdriftmax","vdriftmax",0,46]],"46":[["vrad","vrad",0,29]],"47":[["vrel-azimuthal-drift","vrel_azimuthal_drift",0,30]],"48":[["vrel-brownian-motion","vrel_brownian_motion",0,39]],"49":[["vrel-radial-drift","vrel_radial_drift",0,30]],"50":[["vrel-tot","vrel_tot",0,37]],"51":[["vrel-turbulent-motion","vrel_turbulent_motion",0,38]],"52":[["vrel-vertical-settling","vrel_vertical_settling",0,30]],"53":[["fi","Fi",0,42]],"54":[["hp","Hp",0,27]],"55":[["p-midplane","P_midplane",0,26]],"56":[["s-hyd","S_hyd",0,27]],"57":[["s-tot","S_tot",0,29]],"58":[["t-passive","T_passive",0,38]],"59":[["boundary","boundary",0,24]],"60":[["cs-adiabatic","cs_adiabatic",0,26]],"61":[["dt","dt",0,30]],"62":[["enforce-floor-value","enforce_floor_value",0,21]],"63":[["eta-midplane","eta_midplane",0,29]],"64":[["finalize","finalize",0,18]],"65":[["impl-1-direct","impl_1_direct",0,55]],"66":[["jacobian","jacobian",0,87]],"67":[["lyndenbellpringle1974","lyndenbellpringle1974",0,62]],"68":[["mfp-midplane","mfp_midplane",0,28]],"69":[["n-midplane","n_midplane",0,30]],"70":[["nu","nu",0,28]],"71":[["prepare","prepare",0,31]],"72":[["rho-midplane","rho_midplane",0,30]],"73":[["set-implicit-boundaries","set_implicit_boundaries",0,25]],"74":[["vrad","vrad",0,28]],"75":[["vvisc","vvisc",0,29]],"76":[["omegak","OmegaK",0,25]],"77":[["dt","dt",0,16]],"78":[["dt-adaptive","dt_adaptive",0,44]],"79":[["finalize-explicit-dust","finalize_explicit_dust",0,31]],"80":[["finalize-implicit-dust","finalize_implicit_dust",0,37]],"81":[["prepare-explicit-dust","prepare_explicit_dust",0,26]],"82":[["prepare-implicit-dust","prepare_implicit_dust",0,26]],"83":[["luminosity","luminosity",0,28]],"84":[["boundary","Boundary",0,189]],"85":[["print-version-warning","print_version_warning",0,68]],"86":[["Library:-dustpylib","Library: dustpylib",0,46]],"87":[["Example:-Ice-Lines","Example: Ice Lines",0,958]],"88":[["Example:-Planetary-Gaps","Example: Planetary Gaps",0,1912],["Gap-Profiles","Gap Profiles",108,525],["Adding-planets","Adding planets",525,784],["Viscosity-pertubation","Viscosity pertubation",784,1041],["Growing-planets","Growing planets",1041,1912]],"89":[["Example:-Planetesimal-Formation","Example: Planetesimal Formation",0,1950],["Refining-the-radial-grid","Refining the radial grid",446,668],["Adding-gap","Adding gap",668,728],["Adding-planetesimals","Adding planetesimals",728,905],["Adding-planetesimal-formation","Adding planetesimal formation",905,1950]],"90":[["dustpy-documentation","DustPy Documentation",0,390],["indices-and-tables","Indices and tables",390,398]],"91":[["Test:-Analytical-Coagulation-Kernels","Test: Analytical Coagulation Kernels",0,2993],["The-Constant-Kernel","The Constant Kernel",149,1776],["The-Linear-Kernel","The Linear Kernel",1776,2943],["The-Product-Kernel","The Product Kernel",2943,2993]],"92":[["Test:-Gas-Evolution","Test: Gas Evolution",0,2821],["Analytical-Solution","Analytical Solution",16,500],["Setting-up-DustPy","Setting up DustPy",500,1067],["Turning-off-Dust-Evolution","Turning off Dust Evolution",519,653],["Modifying-Integration-Variable","Modifying Integration Variable",653,671],["Setting-Writer-Options","Setting Writer Options",671,874],["Reading-and-Plotting-Data","Reading and Plotting Data",874,1067],["Modifying-the-Power-Law-Index","Modifying the Power Law Index",1067,2821]]},"fields":{"sim.t":["dustpy.std.sim.dt",[[91,"The-Constant-Kernel",["set"]],[91,"The-Linear-Kernel",["set"]]]],"sim.dust.a":["dustpy.std.dust.a",[[3,"Simulation.dust.a",["about"]]]],"sim.dust.D":["dustpy.std.dust.D",[[3,"Simulation.dust.D",["about"]],[5,"Turning-off-Diffusion",["set"]],[5,"Turning-off-Hydrodynamics",["set"]]]],"sim.dust.eps":["dustpy.std.dust.eps",[[3,"Simulation.dust.eps",["about"]]]],"sim.dust.Fi.adv":["dustpy.std.dust.F_adv",[[3,"Simulation.dust.Fi.adv",["about"]]]],"sim.dust.Fi.diff":["dustpy.std.dust.F_diff",[[3,"Simulation.dust.Fi.diff",["about"]]]],"sim.dust.Fi.tot":["dustpy.std.dust.F_tot",[[3,"Simulation.dust.Fi.tot",["about"]]]],"sim.dust.H":["dustpy.std.dust.H",[[3,"Simulation.dust.H",["about"]]]],"sim.dust.kernel":["dustpy.std.dust.kernel",[[3,"Simulation.dust.kernel",["about"]],[5,"Turning-off-Coagulation",["set"]],[91,"The-Constant-Kernel",["set"]],[91,"The-Linear-Kernel",["set"]]]],"sim.dust.rho":["dustpy.std.dust.rho_midplane",[[3,"Simulation.dust.rho",["about"]]]],"sim.dust.p.frag":["dustpy.std.dust.p_frag",[[3,"Simulation.dust.p.frag",["about"]],[5,"Turning-off-Fragmentation",["set"]],[5,"Turning-off-Coagulation",["set"]],[91,"The-Constant-Kernel",["set"]],[91,"The-Linear-Kernel",["set"]]]],"sim.dust.p.stick":["dustpy.std.dust.p_stick",[[3,"Simulation.dust.p.stick",["about"]],[5,"Turning-off-Fragmentation",["set"]],[5,"Turning-off-Coagulation",["set"]],[91,"The-Constant-Kernel",["set"]],[91,"The-Linear-Kernel",["set"]]]],"sim.dust.S.coag":["dustpy.std.dust.S_coag",[[3,"Simulation.dust.S.coag",["about"]],[92,"Turning-off-Dust-Evolution",["set"]],[92,"Modifying-the-Power-Law-Index",["set"]]]],"sim.dust.S.hyd":["dustpy.std.dust.S_hyd",[[3,"Simulation.dust.S.hyd",["about"]],[92,"Turning-off-Dust-Evolution",["set"]],[92,"Modifying-the-Power-Law-Index",["set"]]]],"sim.dust.S.tot":["dustpy.std.dust.S_tot",[[3,"Simulation.dust.S.tot",["about"]],[92,"Turning-off-Dust-Evolution",["set"]],[92,"Modifying-the-Power-Law-Index",["set"]]]],"sim.dust.St":["dustpy.std.dust.St_Epstein_StokesI",[[3,"Simulation.dust.St",["about"]]]],"sim.dust.v.rel.azi":["dustpy.std.dust.vrel_azimuthal_drift",[[3,"Simulation.dust.v.rel.azi",["about"]]]],"sim.dust.v.rel.brown":["dustpy.std.dust.vrel_brownian_motion",[]],"sim.dust.v.rel.rad":["dustpy.std.dust.vrel_radial_drift",[[3,"Simulation.dust.v.rel.rad",["about"]]]],"sim.dust.v.rel.turb":["dustpy.std.dust.vrel_turbulent_motion",[[3,"Simulation.dust.v.rel.turb",["about"]]]],"sim.dust.v.rel.vert":["dustpy.std.dust.vrel_vertical_settling",[[3,"Simulation.dust.v.rel.vert",["about"]]]],"sim.dust.v.rel.tot":["dustpy.std.dust.vrel_tot",[[3,"Simulation.dust.v.rel.tot",["about"]]]],"sim.dust.v.driftmax":["dustpy.std.dust.vdriftmax",[[3,"Simulation.dust.v.driftmax",["about"]]]],"sim.dust.v.rad":["dustpy.std.dust.vrad",[[3,"Simulation.dust.v.rad",["about"]],[5,"Turning-off-Advection",["set"]],[5,"Turning-off-Hydrodynamics",["set"]],[91,"The-Constant-Kernel",["set"]],[91,"The-Linear-Kernel",["set"]]]],"sim.dust.Sigma":["dustpy.std.dust.Sigma_deriv",[[3,"Simulation.dust.Sigma",["about"]],[5,"6.-Dust-Evolution",["plot"]],[89,"Adding-planetesimal-formation",["plot"]],[91,"The-Constant-Kernel",["set"]],[91,"The-Linear-Kernel",["set"]]]],"sim.gas.cs":["dustpy.std.gas.cs_adiabatic",[[3,"Simulation.gas.cs",["about"]]]],"sim.gas.eta":["dustpy.std.gas.eta_midplane",[[3,"Simulation.gas.eta",["about"]]]],"sim.gas.Fi":["dustpy.std.gas.Fi",[[3,"Simulation.gas.Fi",["about"]]]],"sim.gas.Hp":["dustpy.std.gas.Hp",[[3,"Simulation.gas.Hp",["about"]]]],"sim.gas.mfp":["dustpy.std.gas.mfp_midplane",[[3,"Simulation.gas.mfp",["about"]]]],"sim.gas.n":["dustpy.std.gas.n_midplane",[[3,"Simulation.gas.n",["about"]]]],"sim.gas.nu":["dustpy.std.gas.nu",[[3,"Simulation.gas.nu",["about"]],[6,"Turning-off-Hydrodynamics",["set"]],[92,"Analytical-Solution",["plot"]]]],"sim.gas.P":["dustpy.std.gas.P_midplane",[[3,"Simulation.gas.P",["about"]]]],"sim.gas.rho":["dustpy.std.gas.rho_midplane",[[3,"Simulation.gas.rho",["about"]]]],"sim.gas.S.hyd":["dustpy.std.gas.S_hyd",[[3,"Simulation.gas.S.hyd",["about"]]]],"sim.gas.S.tot":["dustpy.std.gas.S_tot",[[3,"Simulation.gas.S.tot",["about"]],[91,"The-Constant-Kernel",["set"]],[91,"The-Linear-Kernel",["set"]]]],"sim.gas.T":["dustpy.std.gas.T_passive",[[3,"Simulation.gas.T",["about"]]]],"sim.gas.v.visc":["dustpy.std.gas.vvisc",[[3,"Simulation.gas.v.visc",["about"]]]],"sim.gas.v.rad":["dustpy.std.gas.vrad",[[3,"Simulation.gas.v.rad",["about"]]]],"sim.grid.OmegaK":["dustpy.std.grid.OmegaK",[[3,"Simulation.grid.OmegaK",["about"]]]],"sim.star.L":["dustpy.std.star.luminosity",[[3,"Simulation.star.L",["about"]]]]},"language":"en"})
\ No newline at end of file
@@ -0,0 +1,112 @@
+/*
+ * service_worker.js
+ * ~~~~~~~~~~~~~~~~~
+ *
+ * Service worker for reading the documentation offline, registered by
+ * _static/offline.js once it is enabled. It stores the files listed in
+ * offline_manifest.js and serves them from the cache before asking the
+ * network. Every version of the manifest gets its own cache, the caches of
+ * older versions are deleted once the new one is complete.
+ *
+ * The files of the CDNs are cached when they are loaded, like the fonts
+ * MathJax loads from its CDN. Other files, like the pages of old versions in
+ * subdirectories, are not cached. versions.json is always loaded from the
+ * network first, so that new versions show up.
+ *
+ */
+"use strict";
+
+importScripts("offline_manifest.js");
+
+const CACHE_PREFIX = "dustpy-docs-";
+const CACHE_NAME = CACHE_PREFIX + offlineManifest.version;
+// hosts of the scripts loaded from CDNs, their other files are cached too
+const EXTERNAL_HOSTS = new Set(
+  offlineManifest.external.map((url) => new URL(url).host)
+);
+
+// the URLs of the files of the manifest, without query
+const FILES = new Set(
+  offlineManifest.files.map((file) => new URL(file, self.registration.scope).href)
+);
+const VERSIONS_URL = new URL("versions.json", self.registration.scope).href;
+
+const isCached = (url) =>
+  FILES.has(url.href.split(/[?#]/)[0]) || EXTERNAL_HOSTS.has(url.host);
+
+/**
+ * load versions.json from the network, offline from the cache
+ */
+const fetchVersions = (request) =>
+  caches.open(CACHE_NAME).then((cache) =>
+    fetch(request)
+      .then((response) => {
+        if (response.ok) cache.put(VERSIONS_URL, response.clone());
+        return response;
+      })
+      .catch(() => cache.match(VERSIONS_URL).then((cached) => cached || Response.error()))
+  );
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      Promise.all([
+        cache.addAll(offlineManifest.files),
+        // the CDNs allow CORS, the pages load some of the scripts with SRI
+        ...offlineManifest.external.map((url) =>
+          fetch(url, { mode: "cors" })
+            .then((response) => cache.put(url, response))
+            .catch(() => console.warn(`${url} could not be stored offline.`))
+        ),
+      ])
+    )
+  );
+  // replace the worker of the old version right away
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  if (event.request.method !== "GET") return;
+  const url = new URL(event.request.url);
+  const path = url.href.split(/[?#]/)[0];
+  if (path === VERSIONS_URL) {
+    event.respondWith(fetchVersions(event.request));
+    return;
+  }
+  // the directory of the docs is index.html
+  const request = url.pathname.endsWith("/")
+    ? new Request(path + "index.html")
+    : event.request;
+  if (!isCached(new URL(request.url))) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) =>
+      // the query strings are the ?v= hashes of _static and the ?q= of the
+      // search page, the cache is replaced with every version anyway
+      cache.match(request, { ignoreSearch: true }).then(
+        (cached) =>
+          cached ||
+          fetch(event.request).then((response) => {
+            if (response.ok || response.type === "opaque")
+              cache.put(request, response.clone());
+            return response;
+          })
+      )
+    )
+  );
+});
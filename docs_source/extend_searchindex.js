@@ -0,0 +1,454 @@
+/*
+ * extend_searchindex.js
+ * ~~~~~~~~~~~~~~~~~~~~~
+ *
+ * Adds the data used by the extended documentation search to the
+ * searchindex.js written by Sphinx. The HTML pages of the build are parsed
+ * again and the words are stemmed with the stemmer of language_data.js, so
+ * that the index uses exactly the same terms as the queries in the browser.
+ *
+ * The standard functions computing the fields of a simulation are read from
+ * field_updaters.json next to this script.
+ *
+ * Usage: node extend_searchindex.js <html build directory>
+ *
+ */
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const INDEX_PREFIX = "Search.setIndex(";
+const INDEX_SUFFIX = ")";
+
+// elements without closing tag
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta",
+  "param", "source", "track", "wbr",
+]);
+// elements that separate words, text in between is not joined
+const BLOCK_ELEMENTS = new Set([
+  "article", "blockquote", "dd", "div", "dl", "dt", "figcaption", "figure",
+  "h1", "h2", "h3", "h4", "h5", "h6", "hr", "li", "ol", "p", "pre", "section",
+  "table", "td", "th", "tr", "ul",
+]);
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+// calls of the notebooks plotting their arguments
+const PLOT_RE = /\b(?:plot|scatter|imshow|pcolormesh|contourf?|loglog|semilog[xy]|i?panel)\s*\(/;
+
+/**
+ * Same as the default ``splitQuery`` of searchtools.js.
+ */
+const splitQuery = (query) => query
+  .split(/[^\p{Letter}\p{Number}_\p{Emoji_Presentation}]+/gu)
+  .filter(term => term);
+
+/**
+ * Same as ``_isIdentifier`` of searchtools.js for a single word: snake_case
+ * names like "vrel_tot" are not stemmed.
+ */
+const isIdentifier = (word) => /[\p{Letter}\p{Number}]_[\p{Letter}\p{Number}_]/u.test(word);
+
+/**
+ * The language of the docs like the ``DOCUMENTATION_OPTIONS.LANGUAGE`` of
+ * documentation_options.js, or else the language of index.html.
+ */
+const readLanguage = (buildDir) => {
+  const options = fs.readFileSync(
+    path.join(buildDir, "_static", "documentation_options.js"),
+    "utf8"
+  );
+  const optionsMatch = options.match(/LANGUAGE:\s*['"]([^'"]+)['"]/);
+  if (optionsMatch) return optionsMatch[1];
+  const indexFile = path.join(buildDir, "index.html");
+  const pageMatch =
+    fs.existsSync(indexFile) &&
+    fs.readFileSync(indexFile, "utf8").match(/<html\b[^>]*\slang="([^"]+)"/);
+  return pageMatch ? pageMatch[1] : "en";
+};
+
+/**
+ * Returns the language of the docs with its stopwords, stemmer and splitter
+ * from the registry ``SearchLanguages`` of language_data.js, the same as
+ * searchtools.js uses for the queries.
+ */
+const loadLanguageData = (buildDir) => {
+  const context = {};
+  vm.createContext(context);
+  vm.runInContext(
+    fs.readFileSync(path.join(buildDir, "_static", "language_data.js"), "utf8"),
+    context
+  );
+  const language = readLanguage(buildDir);
+  // the language_data.js of Sphinx only has the language of the docs
+  const data = context.SearchLanguages
+    ? context.SearchLanguages.get(language)
+    : { stopwords: context.stopwords, Stemmer: context.Stemmer };
+  return {
+    language: language,
+    stopwords: new Set(data.stopwords),
+    stemmer: new data.Stemmer(),
+    splitQuery: data.splitQuery || splitQuery,
+  };
+};
+
+const decodeEntities = (text) => text.replace(
+  /&(#x[0-9a-fA-F]+|#\d+|\w+);/g,
+  (entity, name) => {
+    if (name[0] !== "#") return ENTITIES[name] ?? entity;
+    if (name[1] === "x") return String.fromCodePoint(parseInt(name.substr(2), 16));
+    return String.fromCodePoint(parseInt(name.substr(1), 10));
+  }
+);
+
+const parseAttributes = (string) => {
+  const attributes = {};
+  const attributeRe = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = attributeRe.exec(string)) !== null)
+    attributes[match[1].toLowerCase()] = decodeEntities(
+      match[2] ?? match[3] ?? match[4] ?? ""
+    );
+  return attributes;
+};
+
+/**
+ * Walks through an HTML document and calls the callbacks for every opened
+ * and closed element and every text. Every callback receives the stack of
+ * the currently opened elements. An element is ``{tag, id, classes, role}``.
+ */
+const walkHtml = (html, { onOpen, onClose, onText }) => {
+  const stack = [];
+  const tokenRe =
+    /<!--[\s\S]*?-->|<!\w[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  let match;
+  while ((match = tokenRe.exec(html)) !== null) {
+    const [token, closing, tagName, attributeString] = match;
+    if (tagName === undefined) {
+      if (!token.startsWith("<!")) onText(decodeEntities(token), stack);
+      continue;
+    }
+    const tag = tagName.toLowerCase();
+    if (closing) {
+      const position = stack.map((element) => element.tag).lastIndexOf(tag);
+      if (position < 0) continue;
+      while (stack.length > position) onClose(stack.pop(), stack);
+      continue;
+    }
+    // skip everything inside of scripts and styles
+    if (tag === "script" || tag === "style") {
+      const end = html.toLowerCase().indexOf(`</${tag}`, tokenRe.lastIndex);
+      tokenRe.lastIndex = end < 0 ? html.length : end;
+      continue;
+    }
+    const attributes = parseAttributes(attributeString);
+    const element = {
+      tag: tag,
+      id: attributes.id ?? null,
+      classes: new Set((attributes.class ?? "").split(/\s+/).filter((c) => c)),
+      role: attributes.role ?? null,
+    };
+    if (VOID_ELEMENTS.has(tag) || attributeString.trim().endsWith("/")) {
+      onOpen(element, stack);
+      onClose(element, stack);
+      continue;
+    }
+    stack.push(element);
+    onOpen(element, stack);
+  }
+};
+
+/**
+ * Removes the delimiters \( \), \[ \] or $ $ around the TeX source of math.
+ */
+const stripMathDelimiters = (tex) => {
+  const match = tex
+    .trim()
+    .match(/^(?:\\\(([\s\S]*)\\\)|\\\[([\s\S]*)\\\]|\$\$([\s\S]*)\$\$|\$([\s\S]*)\$)$/);
+  if (match === null) return tex.trim();
+  return match.slice(1).find((group) => group !== undefined).trim();
+};
+
+/**
+ * Collects the words of the main content of a page together with their
+ * position, ``split`` splits the text into words. Every word of the page
+ * counts for the position, also stopwords. Math is not part of the text, but
+ * separates the words around.
+ *
+ * Words in the input area of a notebook code cell have the number of the
+ * cell as ``cell``, counting the cells of the page from 1. Other words have
+ * ``cell === null``.
+ *
+ * The TeX sources of all math elements are returned as ``equations``.
+ *
+ * The ``<section>`` elements of the main content are returned as
+ * ``sections`` in the order of the page, each with its id and the range of
+ * word positions ``[start, end)`` inside of it.
+ *
+ * The code of the cells is returned as ``codeCells``, each with the number
+ * of the cell, its text and the word position at its start.
+ */
+const parsePage = (html, split = splitQuery) => {
+  const words = [];
+  const equations = [];
+  const sections = [];
+  const openSections = [];
+  const codeCells = [];
+  let position = 0;
+  let buffer = "";
+  let mathBuffer = "";
+  let cellCount = 0;
+  let cell = null;
+
+  const inMain = (stack) => stack.some((element) => element.role === "main");
+  const inMath = (stack) => stack.some((element) => element.classes.has("math"));
+  const inCode = (stack) =>
+    stack.some((element) => element.classes.has("nbinput")) &&
+    stack.some((element) => element.classes.has("input_area"));
+  const flush = () => {
+    split(buffer).forEach((word) =>
+      words.push({ word: word.toLowerCase(), position: position++, cell: cell })
+    );
+    buffer = "";
+  };
+
+  walkHtml(html, {
+    onOpen: (element, stack) => {
+      if (BLOCK_ELEMENTS.has(element.tag) || element.classes.has("math")) flush();
+      if (element.classes.has("nbinput") && inMain(stack)) cellCount++;
+      if (element.tag === "section" && element.id !== null && inMain(stack)) {
+        const section = { id: element.id, start: position, end: position };
+        sections.push(section);
+        openSections.push([element, section]);
+      }
+      cell = inCode(stack) ? cellCount : null;
+    },
+    onClose: (element, stack) => {
+      if (BLOCK_ELEMENTS.has(element.tag)) flush();
+      const last = openSections[openSections.length - 1];
+      if (last !== undefined && last[0] === element) openSections.pop()[1].end = position;
+      // numbered like the equations of the main content in doctools.js
+      if (element.classes.has("math") && !inMath(stack) && inMain(stack)) {
+        position++;
+        equations.push(stripMathDelimiters(mathBuffer));
+        mathBuffer = "";
+      }
+      cell = inCode(stack) ? cellCount : null;
+    },
+    onText: (text, stack) => {
+      if (!inMain(stack)) return;
+      if (inMath(stack)) mathBuffer += text;
+      else buffer += text;
+      if (!inCode(stack)) return;
+      const lastCell = codeCells[codeCells.length - 1];
+      if (lastCell !== undefined && lastCell.cell === cellCount) lastCell.text += text;
+      else codeCells.push({ cell: cellCount, text: text, position: position });
+    },
+  });
+  flush();
+  return { words, equations, sections, codeCells };
+};
+
+/**
+ * Finds the field paths like "sim.dust.St" in the code of a cell, returns
+ * ``[path, kind]`` with the kind "set" for lines assigning the field and
+ * "plot" for lines plotting it. ``paths`` are sorted longest first.
+ */
+const findFieldUses = (code, paths) => {
+  const uses = [];
+  code.split("\n").forEach((line) => {
+    paths.forEach((fieldPath) => {
+      const escaped = fieldPath.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const fieldRe = new RegExp(`(?<![\\w.])${escaped}(?!\\w)`, "g");
+      // blank the matches, so that "sim.dust.v.rel.tot" isn't "sim.dust.v.rel"
+      line = line.replace(fieldRe, (match, offset) => {
+        const after = line.substring(offset + match.length);
+        if (after.match(/^(?:\[[^\]]*\]|\.updater)?\s*[-+*/]?=(?!=)/))
+          uses.push([fieldPath, "set"]);
+        else if (PLOT_RE.test(line)) uses.push([fieldPath, "plot"]);
+        return " ".repeat(match.length);
+      });
+    });
+  });
+  return uses;
+};
+
+/**
+ * Adds the positions of all terms to the index:
+ * ``termpositions[term][file]`` is the list of word positions of ``term`` in
+ * the file with the index ``file``. The number of positions is the frequency
+ * of the term in the file.
+ *
+ * ``doclengths[file]`` is the number of indexed words of the file with the
+ * index ``file``, i.e. of the positions of all its terms.
+ *
+ * ``termwords[term]`` is the most frequent unstemmed word of a term, if it
+ * differs from the term. It is used to show suggestions for misspelled words.
+ *
+ * ``codeterms[word][file]`` is the list of code cells of the file with the
+ * index ``file`` that contain ``word``. Code words are not stemmed.
+ *
+ * ``sections[file]`` is the list of sections of the file with the index
+ * ``file`` as ``[id, title, start, end]``, in the order of the page. The
+ * words with a position in ``[start, end)`` are in the section, or in one of
+ * its subsections listed after it. Together with ``termpositions`` this is
+ * the index of the terms of every section.
+ *
+ * ``equations[file]`` is the list of the TeX sources of all equations of the
+ * file with the index ``file``, numbered from 1 in the order of the page.
+ *
+ * ``buildid`` identifies the build, it changes with the content of the
+ * pages. Data cached by the browser is only reused for the same build.
+ *
+ * ``language`` is the language of the docs the words are stemmed for, the
+ * search stems the queries with the stemmer of the same language.
+ *
+ * Sphinx stems snake_case names like all other words, they are added
+ * unstemmed to ``terms`` and ``titleterms`` and only so in ``termpositions``.
+ *
+ * ``fields[path]`` is ``[updater, uses]`` for the field paths of
+ * ``fieldUpdaters`` like "sim.dust.St": the full name of the function
+ * computing the field and the sections of the notebooks about the field,
+ * setting it or plotting it, as ``[file, id, kinds]`` with the kinds
+ * "about", "set" and "plot".
+ */
+const extendIndex = (index, buildDir, fieldUpdaters) => {
+  const { language, stopwords, stemmer, splitQuery } = loadLanguageData(buildDir);
+  const hash = crypto.createHash("sha1");
+  const isIndexed = (word) =>
+    word.length > 0 && !stopwords.has(word) && !word.match(/^\d+$/);
+
+  const termPositions = {};
+  const docLengths = index.filenames.map(() => 0);
+  const wordCounts = {};
+  const codeTerms = {};
+  const equations = {};
+  const sections = {};
+  const fields = {};
+  const fieldPaths = Object.keys(fieldUpdaters).sort((a, b) => b.length - a.length);
+  for (const [fieldPath, updater] of Object.entries(fieldUpdaters))
+    fields[fieldPath] = [updater, []];
+  const addFile = (mapping, term, file) => {
+    const files = mapping[term];
+    if (files === undefined) mapping[term] = file;
+    else if (typeof files === "number") {
+      if (files !== file) mapping[term] = [files, file];
+    } else if (!files.includes(file)) files.push(file);
+  };
+
+  // the titles of the sections of every file
+  const sectionTitles = {};
+  for (const [title, foundTitles] of Object.entries(index.alltitles))
+    for (const [file, id] of foundTitles) {
+      if (!sectionTitles.hasOwnProperty(file)) sectionTitles[file] = {};
+      if (id !== null) sectionTitles[file][id] = title;
+    }
+
+  index.filenames.forEach((filename, file) => {
+    const htmlFile = path.join(
+      buildDir,
+      index.docnames[file] + ".html"
+    );
+    if (!fs.existsSync(htmlFile)) return;
+
+    const html = fs.readFileSync(htmlFile, "utf8");
+    hash.update(html);
+    const page = parsePage(html, splitQuery);
+    if (page.equations.length) equations[file] = page.equations;
+    const titles = sectionTitles[file] || {};
+    const fileSections = page.sections
+      .filter(({ id }) => titles.hasOwnProperty(id))
+      .map(({ id, start, end }) => [id, titles[id], start, end]);
+    if (fileSections.length) sections[file] = fileSections;
+    const addFieldUse = (fieldPath, id, kind) => {
+      const uses = fields[fieldPath][1];
+      let use = uses.find(([useFile, useId]) => useFile === file && useId === id);
+      if (use === undefined) uses.push((use = [file, id, []]));
+      if (!use[2].includes(kind)) use[2].push(kind);
+    };
+    // sections about a field are titled like "Simulation.dust.St"
+    fileSections.forEach(([id, title]) => {
+      const fieldPath = title.replace(/^Simulation\./, "sim.");
+      if (fields.hasOwnProperty(fieldPath)) addFieldUse(fieldPath, id, "about");
+    });
+    page.codeCells.forEach(({ text, position }) => {
+      // the innermost section of the cell, the subsections come later
+      const section = fileSections
+        .filter(([_id, _title, start, end]) => start <= position && position < end)
+        .pop();
+      if (section === undefined) return;
+      findFieldUses(text, fieldPaths).forEach(([fieldPath, kind]) =>
+        addFieldUse(fieldPath, section[0], kind)
+      );
+    });
+    page.words.forEach(({ word, position, cell }) => {
+      if (cell !== null && !word.match(/^\d+$/)) {
+        if (!codeTerms.hasOwnProperty(word)) codeTerms[word] = {};
+        if (!codeTerms[word].hasOwnProperty(file)) codeTerms[word][file] = [];
+        const cells = codeTerms[word][file];
+        if (cells[cells.length - 1] !== cell) cells.push(cell);
+      }
+
+      let term = isIdentifier(word) ? word : stemmer.stemWord(word);
+      if (!isIndexed(term)) {
+        if (!isIndexed(word)) return;
+        term = word;
+      }
+      if (isIdentifier(term)) addFile(index.terms, term, file);
+      if (!termPositions.hasOwnProperty(term)) termPositions[term] = {};
+      if (!termPositions[term].hasOwnProperty(file)) termPositions[term][file] = [];
+      termPositions[term][file].push(position);
+      docLengths[file]++;
+
+      if (!wordCounts.hasOwnProperty(term)) wordCounts[term] = {};
+      wordCounts[term][word] = (wordCounts[term][word] || 0) + 1;
+    });
+  });
+  // the snake_case names of the titles
+  const addTitle = (title, file) =>
+    splitQuery(title.toLowerCase())
+      .filter(isIdentifier)
+      .forEach((word) => addFile(index.titleterms, word, file));
+  index.titles.forEach(addTitle);
+  for (const [title, foundTitles] of Object.entries(index.alltitles))
+    for (const [file, _id] of foundTitles) addTitle(title, file);
+  index.termpositions = termPositions;
+  index.fields = fields;
+  index.doclengths = docLengths;
+  index.codeterms = codeTerms;
+  index.equations = equations;
+  index.sections = sections;
+
+  const termWords = {};
+  for (const [term, counts] of Object.entries(wordCounts)) {
+    const [word] = Object.entries(counts).reduce((a, b) => (b[1] > a[1] ? b : a));
+    if (word !== term) termWords[term] = word;
+  }
+  index.termwords = termWords;
+  index.buildid = hash.digest("hex").substring(0, 16);
+  index.language = language;
+};
+
+const main = (buildDir) => {
+  const indexFile = path.join(buildDir, "searchindex.js");
+  const content = fs.readFileSync(indexFile, "utf8").trim();
+  if (!content.startsWith(INDEX_PREFIX) || !content.endsWith(INDEX_SUFFIX))
+    throw new Error(`${indexFile} is not a Sphinx search index.`);
+
+  const index = JSON.parse(
+    content.substring(INDEX_PREFIX.length, content.length - INDEX_SUFFIX.length)
+  );
+  const fieldUpdaters = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "field_updaters.json"), "utf8")
+  );
+  extendIndex(index, buildDir, fieldUpdaters);
+  fs.writeFileSync(indexFile, INDEX_PREFIX + JSON.stringify(index) + INDEX_SUFFIX);
+};
+
+if (process.argv.length !== 3) {
+  console.error("Usage: node extend_searchindex.js <html build directory>");
+  process.exit(1);
+}
+main(process.argv[2]);
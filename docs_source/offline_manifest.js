@@ -0,0 +1,77 @@
+/*
+ * offline_manifest.js
+ * ~~~~~~~~~~~~~~~~~~~
+ *
+ * Writes offline_manifest.js into the HTML build, the list of the files that
+ * service_worker.js stores for reading the documentation offline: all pages,
+ * the files of _static and _images and the search index. The scripts the
+ * pages load from CDNs, like MathJax, are listed separately.
+ *
+ * The version of the manifest is a hash of the listed files. The service
+ * worker stores every version in a new cache and deletes the old ones, so
+ * it has to run after extend_searchindex.js.
+ *
+ * Usage: node offline_manifest.js <html build directory>
+ *
+ */
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_FILE = "offline_manifest.js";
+// directories stored completely, other directories only with their pages
+const ASSET_DIRS = new Set(["_static", "_images"]);
+// directories not needed for reading the documentation
+const SKIPPED_DIRS = new Set(["_sources", ".doctrees"]);
+const EXTERNAL_SCRIPT_RE = /<script\b[^>]*\ssrc="(https:\/\/[^"]+)"/g;
+
+/**
+ * the files of the build to store, as paths relative to the build directory
+ * with forward slashes
+ */
+const listFiles = (buildDir) => {
+  const files = [];
+  const walk = (dir, isAsset) => {
+    for (const entry of fs.readdirSync(path.join(buildDir, dir), { withFileTypes: true })) {
+      const file = dir ? dir + "/" + entry.name : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(file)) walk(file, isAsset || ASSET_DIRS.has(file));
+      } else if (isAsset || file.endsWith(".html") || file === "searchindex.js") {
+        files.push(file);
+      }
+    }
+  };
+  walk("", false);
+  return files.sort();
+};
+
+const main = (buildDir) => {
+  const hash = crypto.createHash("sha1");
+  const external = new Set();
+  const files = listFiles(buildDir);
+  for (const file of files) {
+    const content = fs.readFileSync(path.join(buildDir, file));
+    hash.update(file).update(content);
+    if (file.endsWith(".html"))
+      for (const [, url] of content.toString("utf8").matchAll(EXTERNAL_SCRIPT_RE))
+        external.add(url);
+  }
+
+  const manifest = {
+    version: hash.digest("hex").substring(0, 16),
+    files: files,
+    external: [...external].sort(),
+  };
+  fs.writeFileSync(
+    path.join(buildDir, MANIFEST_FILE),
+    "var offlineManifest = " + JSON.stringify(manifest) + ";\n"
+  );
+};
+
+if (process.argv.length !== 3) {
+  console.error("Usage: node offline_manifest.js <html build directory>");
+  process.exit(1);
+}
+main(process.argv[2]);
@@ -0,0 +1,272 @@
+/*
+ * doctools.js
+ * ~~~~~~~~~~~
+ *
+ * Base JavaScript utilities for all Sphinx HTML documentation.
+ *
+ * :copyright: Copyright 2007-2023 by the Sphinx team, see AUTHORS.
+ * :license: BSD, see LICENSE for details.
+ *
+ */
+"use strict";
+
+const BLACKLISTED_KEY_CONTROL_ELEMENTS = new Set([
+  "TEXTAREA",
+  "INPUT",
+  "SELECT",
+  "BUTTON",
+]);
+
+const _ready = (callback) => {
+  // the callbacks use the strings of the catalog of the language
+  const run = () => Documentation.translationsLoaded.then(callback);
+  if (document.readyState !== "loading") {
+    run();
+  } else {
+    document.addEventListener("DOMContentLoaded", run);
+  }
+};
+
+/**
+ * Small JavaScript module for the documentation.
+ */
+const Documentation = {
+  init: () => {
+    Documentation.initDomainIndexTable();
+    Documentation.initOnKeyListeners();
+    Documentation.initSearchAnchors();
+  },
+
+  /**
+   * i18n support
+   */
+  TRANSLATIONS: {},
+  // the keyboard shortcuts listed by "?", as [keys, description]
+  SHORTCUTS: [],
+  PLURAL_EXPR: (n) => (n === 1 ? 0 : 1),
+  LOCALE: "unknown",
+  // languages with a catalog in _static/translations/ for the strings of
+  // the search and the highlighting
+  CATALOGS: new Set(["de"]),
+  translationsLoaded: Promise.resolve(),
+
+  // gettext and ngettext don't access this so that the functions
+  // can safely bound to a different name (_ = Documentation.gettext)
+  gettext: (string) => {
+    const translated = Documentation.TRANSLATIONS[string];
+    switch (typeof translated) {
+      case "undefined":
+        return string; // no translation
+      case "string":
+        return translated; // translation exists
+      default:
+        return translated[0]; // (singular, plural) translation tuple exists
+    }
+  },
+
+  ngettext: (singular, plural, n) => {
+    const translated = Documentation.TRANSLATIONS[singular];
+    // plural expressions like "(n != 1)" give booleans
+    const form = Number(Documentation.PLURAL_EXPR(n));
+    if (typeof translated !== "undefined" && translated[form] !== undefined)
+      return translated[form];
+    return n === 1 ? singular : plural;
+  },
+
+  /**
+   * replace the placeholders like ``%(count)s`` of a (translated) string,
+   * the translations may reorder them
+   */
+  interpolate: (string, values) =>
+    string.replace(/%\((\w+)\)s/g, (placeholder, name) =>
+      values.hasOwnProperty(name) ? values[name] : placeholder
+    ),
+
+  addTranslations: (catalog) => {
+    Object.assign(Documentation.TRANSLATIONS, catalog.messages);
+    Documentation.PLURAL_EXPR = new Function(
+      "n",
+      `return (${catalog.plural_expr})`
+    );
+    Documentation.LOCALE = catalog.locale;
+  },
+
+  /**
+   * load the catalog of the language of the docs, the catalogs call
+   * ``addTranslations`` like the translations.js of Sphinx
+   */
+  loadTranslations: () => {
+    const language = (DOCUMENTATION_OPTIONS.LANGUAGE || "en").split(/[-_]/)[0];
+    if (!Documentation.CATALOGS.has(language)) return;
+    const contentRoot = document.documentElement.dataset.content_root;
+    Documentation.translationsLoaded = new Promise((resolve) => {
+      const script = document.createElement("script");
+      script.src = contentRoot + `_static/translations/${language}.js`;
+      script.addEventListener("load", resolve);
+      // without a catalog the strings stay English
+      script.addEventListener("error", resolve);
+      document.head.appendChild(script);
+    });
+  },
+
+  /**
+   * helper function to focus on search bar
+   */
+  focusSearchBar: () => {
+    document.querySelectorAll("input[name=q]")[0]?.focus();
+  },
+
+  /**
+   * Initialise the domain index toggle buttons
+   */
+  initDomainIndexTable: () => {
+    const toggler = (el) => {
+      const idNumber = el.id.substr(7);
+      const toggledRows = document.querySelectorAll(`tr.cg-${idNumber}`);
+      if (el.src.substr(-9) === "minus.png") {
+        el.src = `${el.src.substr(0, el.src.length - 9)}plus.png`;
+        toggledRows.forEach((el) => (el.style.display = "none"));
+      } else {
+        el.src = `${el.src.substr(0, el.src.length - 8)}minus.png`;
+        toggledRows.forEach((el) => (el.style.display = ""));
+      }
+    };
+
+    const togglerElements = document.querySelectorAll("img.toggler");
+    togglerElements.forEach((el) =>
+      el.addEventListener("click", (event) => toggler(event.currentTarget))
+    );
+    togglerElements.forEach((el) => (el.style.display = ""));
+    if (DOCUMENTATION_OPTIONS.COLLAPSE_INDEX) togglerElements.forEach(toggler);
+  },
+
+  /**
+   * Give the code cells of notebooks and the equations the ids used by the
+   * search results ("cell-1", "math-1", ...) and scroll to the linked one
+   */
+  initSearchAnchors: () => {
+    document
+      .querySelectorAll('[role="main"] div.nbinput')
+      .forEach((el, i) => {
+        if (!el.id) el.id = `cell-${i + 1}`;
+      });
+    document
+      .querySelectorAll('[role="main"] .math:not(.math .math)')
+      .forEach((el, i) => {
+        if (!el.id) el.id = `math-${i + 1}`;
+      });
+
+    // the browser could not find the element before it got its id
+    const anchor = decodeURIComponent(window.location.hash.substring(1));
+    if (anchor.match(/^(cell|math)-\d+$/))
+      document.getElementById(anchor)?.scrollIntoView();
+  },
+
+  /**
+   * show or hide the overlay listing the keyboard shortcuts
+   */
+  toggleShortcuts: () => {
+    const existing = document.getElementById("shortcuts-overlay");
+    if (existing !== null) {
+      existing.remove();
+      return;
+    }
+
+    const overlay = document.createElement("div");
+    overlay.id = "shortcuts-overlay";
+    overlay.setAttribute("role", "dialog");
+    overlay.setAttribute("aria-label", _("Keyboard shortcuts"));
+    const box = overlay.appendChild(document.createElement("div"));
+    box.appendChild(document.createElement("h2")).textContent = _("Keyboard shortcuts");
+    const list = box.appendChild(document.createElement("dl"));
+    Documentation.SHORTCUTS.forEach(([keys, description]) => {
+      const term = list.appendChild(document.createElement("dt"));
+      keys.split(" ").forEach((key) =>
+        term.appendChild(document.createElement("kbd")).append(key)
+      );
+      list.appendChild(document.createElement("dd")).textContent = description;
+    });
+    // close it by clicking next to the list
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) overlay.remove();
+    });
+    document.body.appendChild(overlay);
+  },
+
+  initOnKeyListeners: () => {
+    // only install a listener if it is really needed
+    if (
+      !DOCUMENTATION_OPTIONS.NAVIGATION_WITH_KEYS &&
+      !DOCUMENTATION_OPTIONS.ENABLE_SEARCH_SHORTCUTS
+    )
+      return;
+
+    if (DOCUMENTATION_OPTIONS.NAVIGATION_WITH_KEYS)
+      Documentation.SHORTCUTS.push(
+        ["←", _("Go to the previous page")],
+        ["→", _("Go to the next page")]
+      );
+    if (DOCUMENTATION_OPTIONS.ENABLE_SEARCH_SHORTCUTS)
+      Documentation.SHORTCUTS.push(["/", _("Focus the search box")]);
+    Documentation.SHORTCUTS.push(["?", _("Show or hide the keyboard shortcuts")]);
+
+    document.addEventListener("keydown", (event) => {
+      // bail for input elements
+      if (BLACKLISTED_KEY_CONTROL_ELEMENTS.has(document.activeElement.tagName)) return;
+      // bail with special keys
+      if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+      if (!event.shiftKey) {
+        switch (event.key) {
+          case "ArrowLeft":
+            if (!DOCUMENTATION_OPTIONS.NAVIGATION_WITH_KEYS) break;
+
+            const prevLink = document.querySelector('link[rel="prev"]');
+            if (prevLink && prevLink.href) {
+              window.location.href = prevLink.href;
+              event.preventDefault();
+            }
+            break;
+          case "ArrowRight":
+            if (!DOCUMENTATION_OPTIONS.NAVIGATION_WITH_KEYS) break;
+
+            const nextLink = document.querySelector('link[rel="next"]');
+            if (nextLink && nextLink.href) {
+              window.location.href = nextLink.href;
+              event.preventDefault();
+            }
+            break;
+        }
+      }
+
+      // some keyboard layouts may need Shift to get / and ?
+      switch (event.key) {
+        case "/":
+          if (!DOCUMENTATION_OPTIONS.ENABLE_SEARCH_SHORTCUTS) break;
+          Documentation.focusSearchBar();
+          event.preventDefault();
+          break;
+        case "?":
+          Documentation.toggleShortcuts();
+          event.preventDefault();
+          break;
+        case "Escape": {
+          const overlay = document.getElementById("shortcuts-overlay");
+          if (overlay === null) break;
+          overlay.remove();
+          // Escape only closes the overlay, the other listeners ignore it
+          event.stopImmediatePropagation();
+          event.preventDefault();
+          break;
+        }
+      }
+    });
+  },
+};
+
+// quick alias for translations
+const _ = Documentation.gettext;
+
+Documentation.loadTranslations();
+
+_ready(Documentation.init);
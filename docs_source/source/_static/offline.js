@@ -0,0 +1,110 @@
+/*
+ * offline.js
+ * ~~~~~~~~~~
+ *
+ * Opt-in offline copy of the documentation. The checkbox in the footer of
+ * every page registers service_worker.js, which stores all pages, the search
+ * index and the files of _static and _images in the browser. The choice is
+ * kept in the localStorage, unchecking the box removes the stored files.
+ *
+ */
+"use strict";
+
+const OfflineDocs = {
+  KEY: "sphinx_offline_docs",
+  // prefix of the cache names of service_worker.js
+  CACHE_PREFIX: "dustpy-docs-",
+
+  _status: null,
+
+  init: () => {
+    // service workers are only available on https and localhost
+    if (!("serviceWorker" in navigator)) return;
+    const footer = document.querySelector("footer [role=contentinfo]");
+    if (footer === null) return;
+
+    const paragraph = document.createElement("p");
+    paragraph.classList.add("offline-docs");
+    const label = paragraph.appendChild(document.createElement("label"));
+    const checkbox = label.appendChild(document.createElement("input"));
+    checkbox.type = "checkbox";
+    checkbox.checked = OfflineDocs.isEnabled();
+    label.append(" " + _("Make this documentation available offline"));
+    OfflineDocs._status = paragraph.appendChild(document.createElement("span"));
+    OfflineDocs._status.classList.add("offline-status");
+    OfflineDocs._status.setAttribute("role", "status");
+    footer.append(paragraph);
+
+    checkbox.addEventListener("change", () =>
+      checkbox.checked ? OfflineDocs.enable() : OfflineDocs.disable()
+    );
+    // registering again looks for a new version of the docs
+    if (checkbox.checked) OfflineDocs.enable();
+  },
+
+  isEnabled: () => {
+    try {
+      return localStorage.getItem(OfflineDocs.KEY) === "true";
+    } catch (error) {
+      // no localStorage, the docs are not stored either
+      return false;
+    }
+  },
+
+  _setStatus: (text) => {
+    if (OfflineDocs._status !== null) OfflineDocs._status.textContent = text;
+  },
+
+  enable: () => {
+    try {
+      localStorage.setItem(OfflineDocs.KEY, "true");
+    } catch (error) {
+      // no localStorage, the docs are stored for this visit only
+    }
+    const contentRoot = document.documentElement.dataset.content_root;
+    OfflineDocs._setStatus(_("Saving the documentation…"));
+    navigator.serviceWorker
+      .register(contentRoot + "service_worker.js", {
+        scope: contentRoot,
+        // always check for a new offline_manifest.js
+        updateViaCache: "none",
+      })
+      .then(() => navigator.serviceWorker.ready)
+      .then(() => OfflineDocs._setStatus(_("Available offline")))
+      .catch(() =>
+        OfflineDocs._setStatus(_("The documentation could not be saved."))
+      );
+  },
+
+  /**
+   * unregister the service worker and delete the stored files
+   */
+  disable: () => {
+    try {
+      localStorage.removeItem(OfflineDocs.KEY);
+    } catch (error) {
+      // no localStorage
+    }
+    const scope = new URL(
+      document.documentElement.dataset.content_root,
+      window.location.href
+    ).href;
+    navigator.serviceWorker
+      .getRegistration(scope)
+      .then(
+        (registration) =>
+          registration && registration.scope === scope && registration.unregister()
+      )
+      .then(() => caches.keys())
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(OfflineDocs.CACHE_PREFIX))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => OfflineDocs._setStatus(""));
+  },
+};
+
+_ready(OfflineDocs.init);
@@ -0,0 +1,71 @@
+/*
+ * search_synonyms.js
+ * ~~~~~~~~~~~~~~~~~~
+ *
+ * Synonyms used by searchtools.js to expand search queries, loaded together
+ * with the search index like language_data.js. Every group lists the physics
+ * terms and the names in the code of one quantity. A query containing one of
+ * them also finds the others as whole words, ranked below the literal
+ * matches. Entries with spaces are searched as phrases.
+ *
+ */
+
+var searchSynonyms = [
+  // dustpy.std.dust
+  ["surface density", "column density", "Sigma"],
+  ["Stokes number", "St"],
+  ["Epstein regime", "St_Epstein_StokesI"],
+  ["Stokes regime", "St_Epstein_StokesI"],
+  ["particle size", "grain size", "particle radius"],
+  ["dust-to-gas ratio", "dust to gas ratio", "eps"],
+  ["dust diffusivity", "diffusion coefficient", "diffusivity"],
+  ["dust scale height", "particle scale height"],
+  ["midplane density", "volume density", "rho_midplane"],
+  ["material density", "bulk density", "rhos"],
+  ["fragmentation threshold", "fragmentation velocity", "vfrag", "v_frag"],
+  ["fragmentation probability", "p_frag"],
+  ["sticking probability", "p_stick"],
+  ["coagulation kernel", "collision kernel", "kernel"],
+  ["coagulation parameters", "coagulation_parameters"],
+  ["relative velocity", "collision velocity", "vrel"],
+  ["total relative velocity", "vrel_tot"],
+  ["Brownian motion", "vrel_brownian_motion"],
+  ["turbulent relative velocity", "turbulent motion", "vrel_turbulent_motion"],
+  ["vertical settling", "differential settling", "vrel_vertical_settling"],
+  ["azimuthal drift", "vrel_azimuthal_drift"],
+  ["differential radial drift", "vrel_radial_drift"],
+  ["radial velocity", "radial drift", "vrad"],
+  ["maximum drift velocity", "vdriftmax"],
+  ["advective flux", "advection", "F_adv"],
+  ["diffusive flux", "diffusion", "F_diff"],
+  ["total flux", "mass flux", "F_tot", "Fi"],
+  ["coagulation source", "S_coag"],
+  ["hydrodynamic source", "S_hyd"],
+  ["source terms", "S_tot"],
+  ["size distribution", "MRN distribution", "MRN_distribution"],
+  ["floor value", "SigmaFloor", "enforce_floor_value"],
+  ["time step", "timestep", "dt"],
+  ["adaptive time step", "dt_adaptive"],
+  ["implicit integration", "implicit integrator", "impl_1_direct"],
+  // dustpy.std.gas
+  ["turbulence parameter", "viscosity parameter", "alpha"],
+  ["kinematic viscosity", "viscosity", "nu"],
+  ["viscous velocity", "viscous accretion", "vvisc"],
+  ["sound speed", "cs", "cs_adiabatic"],
+  ["pressure scale height", "gas scale height", "Hp"],
+  ["midplane pressure", "pressure", "P_midplane"],
+  ["pressure gradient parameter", "eta", "eta_midplane"],
+  ["mean free path", "mfp", "mfp_midplane"],
+  ["number density", "n_midplane"],
+  ["passive irradiation", "irradiated disk temperature", "T_passive"],
+  ["adiabatic index", "heat capacity ratio", "gamma"],
+  ["mean molecular weight", "mu"],
+  ["self-similar solution", "Lynden-Bell and Pringle", "lyndenbellpringle1974"],
+  // dustpy.std.grid
+  ["Keplerian frequency", "orbital frequency", "OmegaK"],
+  // dustpy.std.star
+  ["stellar luminosity", "luminosity"],
+  ["stellar mass", "star.M"],
+  ["stellar radius", "star.R"],
+  ["stellar temperature", "effective temperature", "star.T"],
+];
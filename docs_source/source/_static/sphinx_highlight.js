@@ -0,0 +1,373 @@
+/* Highlighting utilities for Sphinx HTML documentation. */
+"use strict";
+
+const SPHINX_HIGHLIGHT_ENABLED = true
+
+/**
+ * highlight a given string on a node by wrapping it in
+ * span elements with the given class name.
+ */
+const _highlight = (node, addItems, text, className) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const val = node.nodeValue;
+    const parent = node.parentNode;
+    const pos = val.toLowerCase().indexOf(text);
+    if (
+      pos >= 0 &&
+      !parent.classList.contains(className) &&
+      !parent.classList.contains("nohighlight")
+    ) {
+      let span;
+
+      const closestNode = parent.closest("body, svg, foreignObject");
+      const isInSVG = closestNode && closestNode.matches("svg");
+      if (isInSVG) {
+        span = document.createElementNS("http://www.w3.org/2000/svg", "tspan");
+      } else {
+        span = document.createElement("span");
+        span.classList.add(className);
+      }
+
+      span.appendChild(document.createTextNode(val.substr(pos, text.length)));
+      const rest = document.createTextNode(val.substr(pos + text.length));
+      parent.insertBefore(
+        span,
+        parent.insertBefore(
+          rest,
+          node.nextSibling
+        )
+      );
+      node.nodeValue = val.substr(0, pos);
+      /* There may be more occurrences of search term in this node. So call this
+       * function recursively on the remaining fragment.
+       */
+      _highlight(rest, addItems, text, className);
+
+      if (isInSVG) {
+        const rect = document.createElementNS(
+          "http://www.w3.org/2000/svg",
+          "rect"
+        );
+        const bbox = parent.getBBox();
+        rect.x.baseVal.value = bbox.x;
+        rect.y.baseVal.value = bbox.y;
+        rect.width.baseVal.value = bbox.width;
+        rect.height.baseVal.value = bbox.height;
+        rect.setAttribute("class", className);
+        addItems.push({ parent: parent, target: rect });
+      }
+    }
+  } else if (node.matches && !node.matches("button, select, textarea")) {
+    node.childNodes.forEach((el) => _highlight(el, addItems, text, className));
+  }
+};
+
+/**
+ * highlight a given string in the text of an element, also if it spans
+ * several adjacent inline elements like the tokens of Pygments or the
+ * colours of ANSI output. Every part of a match is wrapped in a span, the
+ * parts after the first one have the class name with "-continued".
+ */
+const _highlightRuns = (element, text, className) => {
+  const nodes = [];
+  let content = "";
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: content.length });
+    content += walker.currentNode.nodeValue;
+  }
+
+  const positions = [];
+  const lowerContent = content.toLowerCase();
+  let pos = lowerContent.indexOf(text);
+  while (pos >= 0) {
+    positions.push(pos);
+    pos = lowerContent.indexOf(text, pos + text.length);
+  }
+  // wrap the last match first, the start of the nodes before stays valid
+  positions.reverse().forEach((start) => {
+    const end = start + text.length;
+    const parts = nodes.filter(
+      ({ node, start: nodeStart }) =>
+        nodeStart < end && nodeStart + node.nodeValue.length > start
+    );
+    if (parts.some(({ node }) => node.parentNode.closest(`.${className}, .nohighlight`)))
+      return;
+    parts.forEach(({ node, start: nodeStart }, i) => {
+      const from = Math.max(start - nodeStart, 0);
+      const to = Math.min(end - nodeStart, node.nodeValue.length);
+      const part = node.splitText(from);
+      part.splitText(to - from);
+      const span = document.createElement("span");
+      span.classList.add(className);
+      if (i > 0) span.classList.add(className + "-continued");
+      part.parentNode.replaceChild(span, part);
+      span.appendChild(part);
+    });
+  });
+};
+
+/**
+ * the TeX source without spaces, braces and commands that only change the
+ * layout, so that e.g. "\Sigma_{\rm d}" matches "\Sigma_\mathrm{d}"
+ */
+const _normalizeTex = (tex) =>
+  tex
+    .toLowerCase()
+    .replace(/\\(?:left|right|bigg?|mathrm|mathit|textrm|text|rm|displaystyle)(?![a-z])|\\[,;:! ]|[\s{}]/g, "")
+    .replace(/^\\[(\[]|\\[)\]]$/g, "");
+
+/**
+ * the TeX source of rendered math, MathJax replaces it by the rendered math
+ */
+const _mathSource = (element) => {
+  const items = window.MathJax?.startup?.document?.getMathItemsWithin?.(element);
+  if (items && items.length) return items.map((item) => item.math).join(" ");
+  return element.textContent;
+};
+
+const _highlightText = (thisNode, text, className) => {
+  // math is highlighted as a whole by its source, "math:" marks TeX terms
+  if (text.startsWith("math:")) {
+    const tex = _normalizeTex(text.substring(5));
+    if (tex)
+      thisNode
+        .querySelectorAll(".math")
+        .forEach((el) => {
+          if (_normalizeTex(_mathSource(el)).includes(tex)) el.classList.add(className);
+        });
+    return;
+  }
+  // code and outputs can be split into many inline elements
+  thisNode
+    .querySelectorAll("pre, code")
+    .forEach((el) => _highlightRuns(el, text, className));
+
+  let addItems = [];
+  _highlight(thisNode, addItems, text, className);
+  addItems.forEach((obj) =>
+    obj.parent.insertAdjacentElement("beforebegin", obj.target)
+  );
+};
+
+/**
+ * Small JavaScript module for the documentation.
+ */
+const SphinxHighlight = {
+  // the highlighted matches of the enabled terms in the order of the page
+  _matches: [],
+  _current: -1,
+
+  /**
+   * highlight the search words provided in localstorage in the text
+   */
+  highlightSearchWords: () => {
+    if (!SPHINX_HIGHLIGHT_ENABLED) return;  // bail if no highlight
+
+    // get and clear terms from localstorage
+    const url = new URL(window.location);
+    const highlight =
+        localStorage.getItem("sphinx_highlight_terms")
+        || url.searchParams.get("highlight")
+        || "";
+    localStorage.removeItem("sphinx_highlight_terms")
+    url.searchParams.delete("highlight");
+    window.history.replaceState({}, "", url);
+
+    // get individual terms from highlight string
+    const terms = highlight.toLowerCase().split(/\s+/).filter(x => x);
+    if (terms.length === 0) return; // nothing to do
+
+    // There should never be more than one element matching "div.body"
+    const divBody = document.querySelectorAll("div.body");
+    const body = divBody.length ? divBody[0] : document.querySelector("body");
+    window.setTimeout(() => {
+      terms.forEach((term) => {
+        _highlightText(body, term, "highlighted");
+        // remember the term of the new matches for the navigator
+        body
+          .querySelectorAll(".highlighted:not([data-term])")
+          .forEach((el) => (el.dataset.term = term));
+      });
+      SphinxHighlight.showNavigator(body, terms);
+    }, 10);
+
+    const searchBox = document.getElementById("searchbox");
+    if (searchBox === null) return;
+    searchBox.appendChild(
+      document
+        .createRange()
+        .createContextualFragment(
+          '<p class="highlight-link">' +
+            '<a href="javascript:SphinxHighlight.hideSearchWords()">' +
+            _("Hide Search Matches") +
+            "</a></p>"
+        )
+    );
+  },
+
+  /**
+   * show a bar to go through the matches, with a counter of the matches and
+   * a toggle for every term
+   */
+  showNavigator: (body, terms) => {
+    // a match split into several parts counts once
+    const matches = [
+      ...body.querySelectorAll(".highlighted[data-term]:not(.highlighted-continued)"),
+    ];
+    if (!matches.length) return;
+
+    const navigator = document.createElement("div");
+    navigator.id = "highlight-navigator";
+    navigator.setAttribute("role", "toolbar");
+    navigator.setAttribute("aria-label", _("Search matches"));
+    const addButton = (text, title, onClick) => {
+      const button = navigator.appendChild(document.createElement("button"));
+      button.type = "button";
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener("click", onClick);
+      return button;
+    };
+
+    const counter = navigator.appendChild(document.createElement("span"));
+    counter.classList.add("highlight-counter");
+    counter.setAttribute("aria-live", "polite");
+    addButton("↑", _("Previous match"), () => SphinxHighlight.goToMatch(-1));
+    addButton("↓", _("Next match"), () => SphinxHighlight.goToMatch(1));
+    terms.forEach((term) => {
+      const count = matches.filter((el) => el.dataset.term === term).length;
+      if (!count) return;
+      const toggle = addButton(
+        Documentation.interpolate(_("%(term)s (%(count)s)"), {
+          term: term.replace(/^math:/, ""),
+          count: count,
+        }),
+        Documentation.interpolate(
+          Documentation.ngettext(
+            "Show or hide the match of this term",
+            "Show or hide the %(count)s matches of this term",
+            count
+          ),
+          { count }
+        ),
+        () => {
+          const enabled = toggle.getAttribute("aria-pressed") !== "true";
+          toggle.setAttribute("aria-pressed", enabled);
+          SphinxHighlight.toggleTerm(term, enabled);
+        }
+      );
+      toggle.classList.add("highlight-term");
+      toggle.setAttribute("aria-pressed", true);
+    });
+    addButton("×", _("Hide Search Matches"), SphinxHighlight.hideSearchWords);
+
+    document.body.appendChild(navigator);
+    if (DOCUMENTATION_OPTIONS.ENABLE_SEARCH_SHORTCUTS)
+      Documentation.SHORTCUTS.push(
+        ["n", _("Go to the next search match")],
+        ["N", _("Go to the previous search match")],
+        ["Escape", _("Hide the search matches")]
+      );
+    SphinxHighlight._matches = matches;
+    SphinxHighlight._current = -1;
+    SphinxHighlight.updateCounter();
+  },
+
+  updateCounter: () => {
+    const counter = document.querySelector("#highlight-navigator .highlight-counter");
+    if (counter === null) return;
+    const count = SphinxHighlight._matches.length;
+    counter.textContent = Documentation.interpolate(_("%(current)s / %(count)s"), {
+      current: SphinxHighlight._current + 1,
+      count: count,
+    });
+  },
+
+  /**
+   * scroll to the next (direction 1) or previous (direction -1) match
+   */
+  goToMatch: (direction) => {
+    const matches = SphinxHighlight._matches;
+    if (!matches.length) return;
+    document
+      .querySelectorAll(".highlighted-current")
+      .forEach((el) => el.classList.remove("highlighted-current"));
+    // before the first step, going backward starts at the last match
+    const current = SphinxHighlight._current < 0 && direction < 0 ? 0 : SphinxHighlight._current;
+    SphinxHighlight._current = (current + direction + matches.length) % matches.length;
+
+    const match = matches[SphinxHighlight._current];
+    match.classList.add("highlighted-current");
+    match.scrollIntoView({ block: "center" });
+    SphinxHighlight.updateCounter();
+  },
+
+  /**
+   * show or hide the matches of a term and skip them when navigating
+   */
+  toggleTerm: (term, enabled) => {
+    const matches = [...document.querySelectorAll("[data-term]")];
+    matches.forEach((el) => {
+      if (el.dataset.term === term) el.classList.toggle("highlighted", enabled);
+      el.classList.remove("highlighted-current");
+    });
+    SphinxHighlight._matches = matches.filter(
+      (el) =>
+        el.classList.contains("highlighted") &&
+        !el.classList.contains("highlighted-continued")
+    );
+    SphinxHighlight._current = -1;
+    SphinxHighlight.updateCounter();
+  },
+
+  /**
+   * helper function to hide the search marks again
+   */
+  hideSearchWords: () => {
+    document
+      .querySelectorAll("#searchbox .highlight-link, #highlight-navigator")
+      .forEach((el) => el.remove());
+    document
+      .querySelectorAll(".highlighted, [data-term]")
+      .forEach((el) => {
+        el.classList.remove("highlighted", "highlighted-continued", "highlighted-current");
+        delete el.dataset.term;
+      });
+    SphinxHighlight._matches = [];
+    SphinxHighlight._current = -1;
+    localStorage.removeItem("sphinx_highlight_terms")
+  },
+
+  initEscapeListener: () => {
+    // only install a listener if it is really needed
+    if (!DOCUMENTATION_OPTIONS.ENABLE_SEARCH_SHORTCUTS) return;
+
+    document.addEventListener("keydown", (event) => {
+      // bail for input elements
+      if (BLACKLISTED_KEY_CONTROL_ELEMENTS.has(document.activeElement.tagName)) return;
+      // bail with special keys
+      if (event.altKey || event.ctrlKey || event.metaKey) return;
+      // N is n with Shift
+      if (event.key === "n" || event.key === "N") {
+        if (!SphinxHighlight._matches.length) return;
+        SphinxHighlight.goToMatch(event.key === "n" ? 1 : -1);
+        event.preventDefault();
+        return;
+      }
+      if (event.shiftKey) return;
+      if (DOCUMENTATION_OPTIONS.ENABLE_SEARCH_SHORTCUTS && (event.key === "Escape")) {
+        SphinxHighlight.hideSearchWords();
+        event.preventDefault();
+      }
+    });
+  },
+};
+
+_ready(() => {
+  /* Do not call highlightSearchWords() when we are on the search page.
+   * It will highlight words from the *previous* search query.
+   */
+  if (typeof Search === "undefined") SphinxHighlight.highlightSearchWords();
+  SphinxHighlight.initEscapeListener();
+});
@@ -10,8 +10,13 @@
 # add these directories to sys.path here. If the directory is relative to the
 # documentation root, use os.path.abspath to make it absolute, like shown here.
 #
+from importlib import metadata
 from pathlib import Path
+import re
+import shutil
+import subprocess
 import sys
+from sphinx.util import logging
 sys.path.insert(0, Path(__file__).parents[1].absolute())
 
 
@@ -21,6 +26,16 @@ project = 'dustpy'
 copyright = '2020-2023, Sebastian Stammler & Tilman Birnstiel'
 author = 'Sebastian Stammler & Tilman Birnstiel'
 
+# The version of the installed package, the version switcher looks it up in
+# versions.json. Without installing dustpy it is the one of pyproject.toml.
+try:
+    release = metadata.version('dustpy')
+except metadata.PackageNotFoundError:
+    pyproject = (Path(__file__).parents[2] / 'pyproject.toml').read_text()
+    release = re.search(r"^version\s*=\s*['\"]([^'\"]+)['\"]", pyproject,
+                        re.MULTILINE).group(1)
+version = release
+
 
 # -- General configuration ---------------------------------------------------
 
@@ -59,8 +74,56 @@ html_theme = 'sphinx_rtd_theme'
 
 # -- Logo --------------------------------------------------------------------
 html_static_path = ['_static']
+# service_worker.js for the offline docs has to be in the root of the docs.
+# _extra/versions.json has the URL of the site and lists the versions of the
+# docs on it, add the new version to it on every release.
+html_extra_path = ['_extra']
 html_logo = "_static/logo.png"
 html_theme_options = {
     'logo_only': True,
     'display_version': False,
 }
+
+
+# -- Search ------------------------------------------------------------------
+# Additions to the search, the files in _static/ override the ones of Sphinx.
+# After every HTML build extend_searchindex.js adds its extra data to the
+# index, this needs Node.js (see setup() below).
+# The synonyms used to expand search queries are in _static/search_synonyms.js.
+# The stemmers and stopwords of the languages are registered in
+# _static/language_data.js, the one of the language of the docs is used.
+# The files stored for offline reading are then listed with
+# offline_manifest.js.
+# The strings of the additions are translated with the catalogs in
+# _static/translations/, doctools.js loads the one of the language.
+# A custom Scorer goes into _static/scorer.js, added first to html_js_files,
+# the search worker loads it as well.
+html_css_files = [
+    'custom.css',
+]
+html_js_files = [
+    'search_dropdown.js',
+    'search_history.js',
+    'offline.js',
+    'version_switcher.js',
+]
+
+
+def run_node_scripts(app, exception):
+    """Extends the search index and lists the offline files of the build."""
+    if exception is not None or app.builder.format != 'html':
+        return
+    logger = logging.getLogger(__name__)
+    node = shutil.which('node')
+    if node is None:
+        logger.warning('node was not found, the search index is not extended '
+                       'and the docs are not available offline, see README.md.')
+        return
+    scripts = Path(__file__).parents[1]
+    for script in ['extend_searchindex.js', 'offline_manifest.js']:
+        logger.info('running ' + script)
+        subprocess.run([node, str(scripts / script), app.outdir], check=True)
+
+
+def setup(app):
+    app.connect('build-finished', run_node_scripts)